@@ -1,6 +1,17 @@
 // Thin adapter for Vercel serverless deployment
-// Imports the shared MCP handler from the main server file
-import { handleMcpRequest, getCorsHeaders } from '../mcp-server/src/server.js';
+// Imports the shared MCP handler from the main server file. Requests are handled statelessly:
+// instances share no memory, so MCP_SESSION_MODE only applies to the standalone server.
+import {
+	flushTraces,
+	handleHealthRequest,
+	handleMcpRequest,
+	handleMetricsRequest,
+	handleProtectedResourceMetadataRequest,
+	handleReadinessRequest,
+	getCorsHeaders,
+} from '../mcp-server/src/server.js';
+import { writeInternalError } from '../mcp-server/src/http-utils.js';
+import { logger } from '../mcp-server/src/logger.js';
 
 // Serverless function handler for Vercel
 export default async function handler(req, res) {
@@ -9,13 +20,34 @@ export default async function handler(req, res) {
 		const requestedHeaders = req.headers?.['access-control-request-headers'];
 		const corsHeaders = getCorsHeaders(req.headers?.origin, {
 			'Access-Control-Allow-Methods': 'POST, GET, DELETE, OPTIONS',
-			'Access-Control-Allow-Headers': requestedHeaders || 'content-type, mcp-session-id',
-			'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+			'Access-Control-Allow-Headers':
+				requestedHeaders || 'authorization, content-type, mcp-session-id',
+			'Access-Control-Expose-Headers':
+				'Mcp-Session-Id, WWW-Authenticate, Retry-After, X-Request-Id',
 		});
 		Object.entries(corsHeaders).forEach(([key, value]) => res.setHeader(key, value));
 		return res.status(204).end();
 	}
 
+	// /.well-known/oauth-protected-resource is rewritten to /api/mcp?metadata=1 in vercel.json
+	if (req.method === 'GET' && req.query?.metadata) {
+		return handleProtectedResourceMetadataRequest(req, res);
+	}
+
+	// /healthz, /readyz and /metrics are rewritten to /api/mcp?endpoint=<name> in vercel.json
+	if (req.method === 'GET' && req.query?.endpoint) {
+		const endpoints = {
+			healthz: handleHealthRequest,
+			readyz: handleReadinessRequest,
+			metrics: handleMetricsRequest,
+		};
+		const handleEndpoint = endpoints[req.query.endpoint];
+		if (!handleEndpoint) {
+			return res.status(404).end('Not Found');
+		}
+		return handleEndpoint(req, res);
+	}
+
 	const MCP_METHODS = new Set(['POST', 'GET', 'DELETE']);
 	if (!req.method || !MCP_METHODS.has(req.method)) {
 		return res.status(405).end('Method Not Allowed');
@@ -25,12 +57,10 @@ export default async function handler(req, res) {
 	try {
 		await handleMcpRequest(req, res);
 	} catch (error) {
-		console.error('[API] Error:', error);
-		if (!res.headersSent) {
-			res.status(500).json({
-				error: 'Internal server error',
-				message: error.message,
-			});
-		}
+		logger.error('Unhandled error in the MCP handler', { error });
+		writeInternalError(res, res.getHeader('X-Request-Id'));
+	} finally {
+		// The instance may be frozen once the response is sent
+		await flushTraces();
 	}
 }
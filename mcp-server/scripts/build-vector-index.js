@@ -0,0 +1,17 @@
+/**
+ * Precomputes the semantic search index next to the article data, so servers
+ * (and serverless cold starts) can load it instead of training on startup.
+ *
+ * Usage: pnpm --filter unic-mcp-server build:vectors
+ */
+import { CONTENT_SOURCE_CONFIG } from '../src/config.js';
+import { createContentSource } from '../src/content-sources.js';
+import { loadMagazineArticles } from '../src/article-service.js';
+
+const source = createContentSource(CONTENT_SOURCE_CONFIG);
+if (!source.vectorIndexPath) {
+	console.error('The content source has no vector index location. Set VECTOR_INDEX_PATH.');
+	process.exit(1);
+}
+
+await loadMagazineArticles(source);
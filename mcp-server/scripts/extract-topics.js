@@ -0,0 +1,66 @@
+/**
+ * Reports the topics extracted from the article data, for reviewing the taxonomy in
+ * src/topics.js. Articles without a topic are listed with their most distinctive keywords,
+ * which are candidates for new synonyms or topics.
+ *
+ * Usage: pnpm --filter unic-mcp-server topics [--json]
+ *   --json prints { locale: { slug: [topic ids] } }, e.g. to import the topics into the CMS
+ */
+import { CONTENT_SOURCE_CONFIG } from '../src/config.js';
+import { createContentSource } from '../src/content-sources.js';
+import {
+	getArticleBody,
+	getArticleTopics,
+	getAvailableLocales,
+	getArticlesForLocale,
+	listTopics,
+	loadMagazineArticles,
+} from '../src/article-service.js';
+import { extractKeywords } from '../src/topics.js';
+import { logger } from '../src/logger.js';
+
+const asJson = process.argv.includes('--json');
+
+// Keep load logging out of the JSON output
+const { level } = logger;
+if (asJson) logger.level = 'warn';
+await loadMagazineArticles(createContentSource(CONTENT_SOURCE_CONFIG));
+logger.level = level;
+
+const locales = getAvailableLocales();
+
+if (asJson) {
+	const topicsByLocale = Object.fromEntries(
+		locales.map((locale) => [
+			locale,
+			Object.fromEntries(
+				getArticlesForLocale(locale).map((article) => [article.slug, getArticleTopics(article)])
+			),
+		])
+	);
+	console.log(JSON.stringify(topicsByLocale, null, 2));
+	process.exit(0);
+}
+
+for (const locale of locales) {
+	const articles = getArticlesForLocale(locale);
+	console.log(`\n## ${locale} (${articles.length} articles)\n`);
+	for (const { id, label, count } of listTopics(locale)) {
+		console.log(`${String(count).padStart(4)}  ${label} (${id})`);
+	}
+
+	const untagged = articles.filter((article) => getArticleTopics(article).length === 0);
+	if (untagged.length === 0) continue;
+
+	const keywords = extractKeywords(
+		articles.map((article) =>
+			[article.title, article.lead ?? '', getArticleBody(article).text].join('\n')
+		),
+		8
+	);
+	console.log(`\nWithout topic (${untagged.length}):`);
+	for (const article of untagged) {
+		const candidates = keywords[articles.indexOf(article)].map(({ keyword }) => keyword);
+		console.log(`- ${article.title}\n    keywords: ${candidates.join(', ') || '-'}`);
+	}
+}
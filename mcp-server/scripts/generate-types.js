@@ -0,0 +1,181 @@
+/**
+ * Generates the TypeScript types of the tool contracts in src/tool-contracts.js into
+ * ui-sdk/src/tool-contracts.ts, so the widgets are typed against the payloads the server sends.
+ * Run it after changing a contract and commit the result.
+ *
+ * Usage: pnpm --filter unic-mcp-server types [--check]
+ *   --check only reports whether the generated file is up to date, e.g. in CI
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { z } from 'zod';
+import { SHARED_SCHEMAS, TOOL_CONTRACTS } from '../src/tool-contracts.js';
+
+const OUTPUT_PATH = path.resolve(
+	path.dirname(fileURLToPath(import.meta.url)),
+	'../../ui-sdk/src/tool-contracts.ts'
+);
+
+const typeNames = new Map(Object.entries(SHARED_SCHEMAS).map(([name, schema]) => [schema, name]));
+
+const toPascalCase = (name) =>
+	name.replace(/(^|_)([a-z])/g, (match, separator, letter) => letter.toUpperCase());
+
+const formatComment = (description, indent) =>
+	description ? `${indent}/** ${description.replace(/\*\//g, '*\\/')} */\n` : '';
+
+/**
+ * Unwraps optional, nullable and default wrappers
+ * @param schema - zod schema
+ * @returns { schema, optional, nullable, description } where `schema` is the wrapped schema and
+ *   `description` the outermost description
+ */
+function unwrap(schema) {
+	let optional = false;
+	let nullable = false;
+	let description = schema.description;
+
+	for (;;) {
+		const { typeName } = schema._def;
+		if (typeName === 'ZodOptional' || typeName === 'ZodDefault') {
+			optional = true;
+		} else if (typeName === 'ZodNullable') {
+			nullable = true;
+		} else {
+			break;
+		}
+		schema = schema._def.innerType;
+		description ??= schema.description;
+	}
+	return { schema, optional, nullable, description };
+}
+
+/**
+ * Converts a zod schema to a TypeScript type. Optional and defaulted properties become optional,
+ * as in the input type of the schema.
+ * @param schema - zod schema
+ * @param indent - Indentation of the line the type starts on
+ * @param root - Schema being declared, which is expanded even if it has a name
+ * @returns TypeScript type expression
+ */
+function toTypeScript(schema, indent = '', root = null) {
+	const { schema: inner, nullable } = unwrap(schema);
+	const name = inner !== root && typeNames.get(inner);
+	const type = name || toType(inner, indent);
+	return nullable ? `${type} | null` : type;
+}
+
+function toType(schema, indent) {
+	const { _def: def } = schema;
+	switch (def.typeName) {
+		case 'ZodString':
+			return 'string';
+		case 'ZodNumber':
+			return 'number';
+		case 'ZodBoolean':
+			return 'boolean';
+		case 'ZodUnknown':
+			return 'unknown';
+		case 'ZodLiteral':
+			return JSON.stringify(def.value);
+		case 'ZodEnum':
+			return def.values.map((value) => `'${value}'`).join(' | ');
+		case 'ZodUnion':
+			return def.options.map((option) => toTypeScript(option, indent)).join(' | ');
+		case 'ZodRecord':
+			return `Record<string, ${toTypeScript(def.valueType, indent)}>`;
+		case 'ZodArray': {
+			const item = toTypeScript(def.type, indent);
+			return /[|&]/.test(item) && !item.startsWith('{') ? `Array<${item}>` : `${item}[]`;
+		}
+		case 'ZodObject':
+			return toObjectType(schema.shape, indent);
+		default:
+			throw new Error(`Unsupported schema type ${def.typeName}`);
+	}
+}
+
+function toObjectType(shape, indent) {
+	const propertyIndent = `${indent}\t`;
+	const properties = Object.entries(shape).map(([key, value]) => {
+		const { optional, description } = unwrap(value);
+		return `${formatComment(description, propertyIndent)}${propertyIndent}${key}${
+			optional ? '?' : ''
+		}: ${toTypeScript(value, propertyIndent)};`;
+	});
+	return `{\n${properties.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Declares a named type, as an interface for object types
+ * @param name - Type name
+ * @param schema - zod schema
+ * @param description - Doc comment, by default the description of the schema
+ * @param root - Schema to expand; by default `schema`, while null aliases a named schema
+ * @returns TypeScript declaration
+ */
+function declare(name, schema, description, root = schema) {
+	const type = toTypeScript(schema, '', root);
+	const keyword = type.startsWith('{') ? `interface ${name}` : `type ${name} =`;
+	return `${formatComment(description ?? schema.description, '')}export ${keyword} ${type}${
+		keyword.startsWith('type') ? ';' : ''
+	}`;
+}
+
+function generate() {
+	const declarations = Object.entries(SHARED_SCHEMAS).map(([name, schema]) =>
+		declare(name, schema)
+	);
+	const toolTypes = [];
+
+	for (const [tool, contract] of Object.entries(TOOL_CONTRACTS)) {
+		const typeName = toPascalCase(tool);
+		declarations.push(
+			declare(`${typeName}Input`, z.object(contract.inputSchema), `Arguments of ${tool}`)
+		);
+		if (contract.outputSchema) {
+			declarations.push(
+				declare(
+					`${typeName}Output`,
+					contract.outputSchema,
+					`structuredContent of ${tool}`,
+					null
+				)
+			);
+		}
+		const output = contract.outputSchema ? `${typeName}Output` : 'undefined';
+		toolTypes.push(`\t${tool}: {\n\t\tinput: ${typeName}Input;\n\t\toutput: ${output};\n\t};`);
+	}
+	declarations.push(
+		[
+			'/** Arguments and structuredContent of every tool, by tool name */',
+			`export interface ToolContracts {\n${toolTypes.join('\n')}\n}`,
+		].join('\n'),
+		'export type ToolName = keyof ToolContracts;'
+	);
+
+	return [
+		'// Generated from mcp-server/src/tool-contracts.js by `pnpm --filter unic-mcp-server types`.',
+		'// Do not edit.',
+		'',
+		declarations.join('\n\n'),
+		'',
+	].join('\n');
+}
+
+const output = generate();
+const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : null;
+
+if (process.argv.includes('--check')) {
+	if (current !== output) {
+		console.error(`${OUTPUT_PATH} is out of date. Run pnpm --filter unic-mcp-server types.`);
+		process.exit(1);
+	}
+	console.log(`${OUTPUT_PATH} is up to date.`);
+} else if (current === output) {
+	console.log(`${OUTPUT_PATH} is up to date.`);
+} else {
+	fs.writeFileSync(OUTPUT_PATH, output);
+	console.log(`Wrote ${OUTPUT_PATH}`);
+}
@@ -0,0 +1,214 @@
+import { z } from 'zod';
+
+const nonEmptyString = z.string().trim().min(1);
+
+/**
+ * Fields an article must have to be loaded. Failing any of these drops the entry.
+ */
+export const requiredArticleSchema = z.object({
+	slug: nonEmptyString.regex(/^[a-z0-9-]+$/i, 'Slug may only contain letters, digits and dashes'),
+	title: nonEmptyString,
+	publicationDate: nonEmptyString.refine(
+		(value) => !Number.isNaN(Date.parse(value)),
+		'Publication date is not a valid date'
+	),
+});
+
+/**
+ * Fields that should be present and well-formed. Problems are reported as warnings.
+ */
+export const optionalArticleSchema = z.object({
+	lead: nonEmptyString,
+	link: z.string().trim().url('Link is not a valid URL'),
+	author: z.preprocess(
+		(value) => (typeof value === 'string' ? { name: value } : value),
+		z.object({
+			name: nonEmptyString,
+			holaspiritMedia: z.string().url('Author avatar is not a valid URL'),
+		})
+	),
+	keyvisual: z.object({
+		cloudinaryAsset: z
+			.array(
+				z.object({
+					url: z.string().url('Key visual URL is not a valid URL'),
+					alt: nonEmptyString,
+				})
+			)
+			.min(1, 'Key visual has no image'),
+	}),
+	body: z.object({
+		json: z.object({
+			nodeType: z.literal('document'),
+			content: z.array(z.unknown()).min(1, 'Body document is empty'),
+		}),
+	}),
+});
+
+const LINK_SCHEMES = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+function formatIssue(issue) {
+	const field = issue.path.join('.');
+	if (issue.code === 'invalid_type' && issue.received === 'undefined') {
+		return `${field}: missing`;
+	}
+	if (issue.code === 'invalid_type' && issue.received === 'null') {
+		return `${field}: null`;
+	}
+	return `${field}: ${issue.message}`;
+}
+
+function collectBodyHyperlinks(node, uris = []) {
+	if (!node || typeof node !== 'object') return uris;
+	if (node.nodeType === 'hyperlink') uris.push(node.data?.uri ?? '');
+	(node.content ?? []).forEach((child) => collectBodyHyperlinks(child, uris));
+	return uris;
+}
+
+/**
+ * Heuristics for links that are likely broken in the CMS export
+ * @param article - Raw article entry
+ * @returns Array of warning messages
+ */
+export function detectBrokenLinks(article) {
+	const warnings = [];
+	const slug = article.slug?.trim();
+	const link = article.link?.trim();
+
+	if (link && slug) {
+		try {
+			const url = new URL(link);
+			if (!url.pathname.replace(/\/$/, '').endsWith(`/${slug}`)) {
+				warnings.push(`link: does not end with the article slug (${link})`);
+			}
+		} catch {
+			// Invalid URLs are already reported by the schema
+		}
+	}
+
+	for (const uri of collectBodyHyperlinks(article.body?.json)) {
+		const trimmed = uri.trim();
+		if (!trimmed || /^(undefined|null|#)$/i.test(trimmed)) {
+			warnings.push(`body: hyperlink without a target (${JSON.stringify(uri)})`);
+			continue;
+		}
+		try {
+			const url = new URL(trimmed);
+			if (!LINK_SCHEMES.has(url.protocol)) {
+				warnings.push(`body: hyperlink with unsupported scheme (${trimmed})`);
+			} else if (/\s/.test(uri) || /localhost|127\.0\.0\.1|\.local\b/.test(url.hostname)) {
+				warnings.push(`body: hyperlink looks like a draft or local URL (${trimmed})`);
+			}
+		} catch {
+			warnings.push(`body: hyperlink is not a valid URL (${trimmed})`);
+		}
+	}
+
+	return warnings;
+}
+
+/**
+ * Validates raw article entries and produces a structured load report
+ * @param entries - Parsed entries from the data file
+ * @param source - Human-readable description of where the entries came from
+ * @returns Object with the `valid` entries and the `report`
+ */
+export function validateArticles(entries, source) {
+	const valid = [];
+	const issues = [];
+	const firstIndexBySlug = new Map();
+	const duplicates = new Map();
+
+	if (!Array.isArray(entries)) {
+		throw new Error(`Expected an array of articles in ${source}`);
+	}
+
+	entries.forEach((entry, index) => {
+		const errors = [];
+		const warnings = [];
+		const article = entry && typeof entry === 'object' ? entry : {};
+
+		const required = requiredArticleSchema.safeParse(article);
+		if (!required.success) {
+			errors.push(...required.error.issues.map(formatIssue));
+		}
+
+		const optional = optionalArticleSchema.safeParse(article);
+		if (!optional.success) {
+			warnings.push(...optional.error.issues.map(formatIssue));
+		}
+		warnings.push(...detectBrokenLinks(article));
+
+		// Translations may share a slug, so slugs only have to be unique within a locale
+		const slug = article.slug?.trim();
+		const locale = typeof article.locale === 'string' ? article.locale : null;
+		const slugKey = `${locale ?? ''}:${slug}`;
+		if (slug && errors.length === 0) {
+			if (firstIndexBySlug.has(slugKey)) {
+				const first = firstIndexBySlug.get(slugKey);
+				const indices = duplicates.get(slugKey)?.indices ?? [first];
+				duplicates.set(slugKey, { slug, locale, indices: [...indices, index] });
+				errors.push(`slug: duplicate of entry #${first}`);
+			} else {
+				firstIndexBySlug.set(slugKey, index);
+			}
+		}
+
+		if (errors.length === 0) {
+			valid.push(article);
+		}
+		if (errors.length > 0 || warnings.length > 0) {
+			issues.push({
+				index,
+				slug: slug || null,
+				locale,
+				title: typeof article.title === 'string' ? article.title.trim() || null : null,
+				status: errors.length > 0 ? 'dropped' : 'loaded',
+				errors,
+				warnings,
+			});
+		}
+	});
+
+	return {
+		valid,
+		report: {
+			source,
+			generatedAt: new Date().toISOString(),
+			totalEntries: entries.length,
+			loaded: valid.length,
+			dropped: entries.length - valid.length,
+			errorCount: issues.reduce((sum, issue) => sum + issue.errors.length, 0),
+			warningCount: issues.reduce((sum, issue) => sum + issue.warnings.length, 0),
+			duplicateSlugs: [...duplicates.values()],
+			issues,
+		},
+	};
+}
+
+/**
+ * Groups warnings and errors by field and message kind
+ * @param report - Load report from validateArticles
+ * @returns Array of { problem, count } sorted by count
+ */
+export function summarizeIssues(report) {
+	const counts = new Map();
+	for (const issue of report.issues) {
+		for (const message of [...issue.errors, ...issue.warnings]) {
+			const problem = message.replace(/\s*\(.*\)$/, '').replace(/#\d+/, '#n');
+			counts.set(problem, (counts.get(problem) ?? 0) + 1);
+		}
+	}
+	return [...counts]
+		.map(([problem, count]) => ({ problem, count }))
+		.sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Formats a one-line summary of a load report for startup logs
+ * @param report - Load report from validateArticles
+ * @returns Summary line
+ */
+export function formatLoadReportSummary(report) {
+	return `Dataset ${report.source}: ${report.loaded}/${report.totalEntries} loaded, ${report.dropped} dropped, ${report.errorCount} error(s), ${report.warningCount} warning(s), ${report.duplicateSlugs.length} duplicate slug(s)`;
+}
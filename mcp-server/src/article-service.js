@@ -1,25 +1,71 @@
-import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { createFileSource } from './content-sources.js';
+import { renderRichTextToMarkdown, renderRichTextToPlainText } from './rich-text.js';
+import { buildSearchIndex, foldDiacritics, parseQuery, searchIndex } from './search-index.js';
+import { chunkText, loadOrBuildVectorIndices, searchVectorIndex } from './vector-index.js';
+import { createCursorScope, paginate } from './pagination.js';
+import { resolveDateRange } from './date-ranges.js';
+import { extractTopics, findTopic, getTopicLabel } from './topics.js';
+import { buildRelatedArticles } from './related-articles.js';
+import { buildAuthorIndex, getAuthorId, normalizeAuthorName } from './author-index.js';
+import { fuzzyMatch } from './fuzzy.js';
+import { normalizeTextFields } from './text-normalization.js';
+import { formatLoadReportSummary, summarizeIssues, validateArticles } from './article-schema.js';
+import { logger } from './logger.js';
+import { ValidationError } from './errors.js';
 
 export const CONFIG = {
 	DEFAULT_PORT: 8001,
 	DEFAULT_LIMIT: 10,
 	MAX_LIMIT: 100,
+	FUZZY_THRESHOLD: 0.6,
+	// Hybrid search: weight of the normalized keyword score, the rest is vector similarity
+	HYBRID_KEYWORD_WEIGHT: 0.6,
+	// Minimum vector similarity for a result that matches no keyword
+	SEMANTIC_MIN_SIMILARITY: 0.4,
+	DEFAULT_LOCALE: 'en',
+	// Fixed "now" (ISO date) for relative date filters such as "last quarter"; empty = current time
+	REFERENCE_DATE: '',
 	BLOG_DATA_PATH: '',
 	UI_ASSETS_DIR: '',
+	SEARCH_FIELD_BOOSTS: {
+		title: 3,
+		author: 2,
+		lead: 1.5,
+		body: 1,
+	},
+	// Date formatting and magazine URL path per content language
+	LOCALES: {
+		en: { dateLocale: 'en-US', magazinePath: 'en/magazine' },
+		de: { dateLocale: 'de-CH', magazinePath: 'de/magazin' },
+		fr: { dateLocale: 'fr-CH', magazinePath: 'fr/magazine' },
+	},
 };
 
-export let magazineArticles = [];
-export const articlesBySlug = new Map();
+export const SEARCH_MODES = ['hybrid', 'keyword', 'semantic'];
+export const SORT_FIELDS = ['relevance', 'date', 'title'];
+export const SORT_ORDERS = ['asc', 'desc'];
 
-/**
- * Validates that a date string is in valid ISO format
- * @param dateString - The date string to validate
- * @returns true if the date is valid
- */
-export function isValidDate(dateString) {
-	const date = new Date(dateString);
-	return !isNaN(date.getTime());
-}
+// Maximum number of values listed per facet
+const MAX_FACET_VALUES = 10;
+
+// Fuzzy author matches within this score of the best one are reported as ambiguous
+const AMBIGUOUS_AUTHOR_MARGIN = 0.1;
+
+// The active dataset is replaced as a whole on every (re)load, so a reader never sees
+// articles, slug index and search index from different loads.
+// `magazineArticles` holds every locale; `articlesBySlug` prefers the default locale.
+export let magazineArticles = [];
+export let articlesBySlug = new Map();
+let localeDatasets = new Map();
+let loadReport = null;
+let datasetVersion = 0;
+// Content hash per "locale/slug" of every article, to report what a reload changed
+let articleHashes = new Map();
+// Outcome of the last load attempts, for readiness checks
+let loadedAt = null;
+let lastLoadError = null;
+const datasetListeners = new Set();
 
 /**
  * Validates that a slug contains only allowed characters
@@ -31,20 +77,13 @@ export function isValidSlug(slug) {
 }
 
 /**
- * Clamps a limit value between valid bounds
+ * Clamps a limit value between valid bounds, dropping any fraction
  * @param limit - The requested limit
  * @returns Clamped limit value
  */
 export function clampLimit(limit) {
 	if (limit === undefined) return CONFIG.DEFAULT_LIMIT;
-	return Math.min(Math.max(1, limit), CONFIG.MAX_LIMIT);
-}
-
-export function isLoadedArticle(article) {
-	const slug = article.slug?.trim();
-	const title = article.title?.trim();
-	const publicationDate = article.publicationDate?.trim();
-	return Boolean(slug && title && publicationDate && !Number.isNaN(Date.parse(publicationDate)));
+	return Math.min(Math.max(1, Math.trunc(limit)), CONFIG.MAX_LIMIT);
 }
 
 export function getAuthorRaw(article) {
@@ -63,9 +102,27 @@ export function getAuthorName(article) {
 	return getAuthorRaw(article) ?? 'Editorial team';
 }
 
-export function authorMatches(article, lowerQuery) {
+/**
+ * Avatar of an article's author
+ * @param article - The article
+ * @returns The author's `holaspiritMedia` image URL, or null if there is none
+ */
+export function getAuthorAvatar(article) {
+	if (!article.author || typeof article.author !== 'object') {
+		return null;
+	}
+	return article.author.holaspiritMedia?.trim() || null;
+}
+
+/**
+ * Checks whether an article's author name contains a query, ignoring case and diacritics
+ * @param article - The article
+ * @param query - Author name or partial name ("Jorg Nolke" matches "Jörg Nölke")
+ * @returns true if the author name contains the query
+ */
+export function authorMatches(article, query) {
 	const name = getAuthorRaw(article);
-	return name ? name.toLowerCase().includes(lowerQuery) : false;
+	return name ? foldDiacritics(name).includes(foldDiacritics(query)) : false;
 }
 
 export function extractHeroMedia(article) {
@@ -77,129 +134,842 @@ export function extractHeroMedia(article) {
 }
 
 /**
- * Loads magazine articles from JSON file and builds lookup indices
- * @throws {Error} If file read or JSON parsing fails
+ * Reduces a locale tag to its language ("de-CH" → "de")
+ * @param locale - Locale tag such as "de-CH", "fr_FR" or "en"
+ * @returns Lowercase two-letter language code, or null if the tag is not usable
  */
-export function loadMagazineArticles(blogDataPath) {
-	try {
-		if (!fs.existsSync(blogDataPath)) {
-			throw new Error(`Blog data file not found: ${blogDataPath}`);
+export function normalizeLocale(locale) {
+	if (typeof locale !== 'string') return null;
+	const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+	return /^[a-z]{2}$/.test(language) ? language : null;
+}
+
+/**
+ * Returns the languages that have content in the active dataset
+ * @returns Array of language codes, default locale first
+ */
+export function getAvailableLocales() {
+	return [...localeDatasets.keys()];
+}
+
+/**
+ * Resolves a requested locale to a language that has content, falling back to the
+ * default locale when there are no articles in the requested language
+ * @param locale - Requested locale, e.g. from a tool argument or the client's `openai/locale`
+ * @returns Language code of the content to use
+ */
+export function resolveLocale(locale) {
+	const language = normalizeLocale(locale);
+	if (language && localeDatasets.has(language)) return language;
+	if (localeDatasets.has(CONFIG.DEFAULT_LOCALE) || localeDatasets.size === 0) {
+		return CONFIG.DEFAULT_LOCALE;
+	}
+	return getAvailableLocales()[0];
+}
+
+function getLocaleSettings(locale) {
+	const language = normalizeLocale(locale) ?? CONFIG.DEFAULT_LOCALE;
+	return CONFIG.LOCALES[language] ?? { dateLocale: language, magazinePath: `${language}/magazine` };
+}
+
+function getLocaleDataset(locale) {
+	return (
+		localeDatasets.get(resolveLocale(locale)) ?? {
+			articles: [],
+			bySlug: new Map(),
+			searchIndex: null,
+			vectorIndex: null,
+			related: new Map(),
+			authors: new Map(),
 		}
-		const data = fs.readFileSync(blogDataPath, 'utf8');
-		const articles = JSON.parse(data);
-		magazineArticles = articles.filter(isLoadedArticle).map((article) => {
+	);
+}
+
+/**
+ * Returns the articles of one language
+ * @param locale - Requested locale (resolved with resolveLocale)
+ * @returns Array of articles in that language
+ */
+export function getArticlesForLocale(locale) {
+	return getLocaleDataset(locale).articles;
+}
+
+/**
+ * Returns the translation of an article in another language
+ * @param article - Article in any language
+ * @param locale - Requested locale (resolved with resolveLocale)
+ * @returns The translated article, the article itself if it is already in that language,
+ *   or undefined if there is no translation
+ */
+export function getArticleTranslation(article, locale) {
+	const language = resolveLocale(locale);
+	if (article.locale === language) return article;
+	const slug = article.translations?.[language];
+	return slug ? localeDatasets.get(language)?.bySlug.get(slug) : undefined;
+}
+
+/**
+ * Looks up an article by slug, preferring its version in the requested language
+ * @param slug - Article slug in any language
+ * @param locale - Requested locale (resolved with resolveLocale)
+ * @returns The article, or undefined if no article has this slug
+ */
+export function getArticleBySlug(slug, locale) {
+	const article = getLocaleDataset(locale).bySlug.get(slug) ?? articlesBySlug.get(slug);
+	return article ? (getArticleTranslation(article, locale) ?? article) : undefined;
+}
+
+/**
+ * Lists the other languages an article is available in
+ * @param article - The article
+ * @returns Array of { locale, slug, title, url }
+ */
+export function getArticleTranslations(article) {
+	return Object.keys(article.translations ?? {})
+		.map((locale) => getArticleTranslation(article, locale))
+		.filter((translation) => translation && translation !== article)
+		.map((translation) => ({
+			locale: translation.locale,
+			slug: translation.slug,
+			title: translation.title,
+			url: getArticleUrl(translation),
+		}));
+}
+
+/**
+ * Returns the public URL of an article, derived from its locale when the CMS has no link
+ * @param article - The article
+ * @returns Absolute URL on unic.com
+ */
+export function getArticleUrl(article) {
+	const link = article.link?.trim();
+	if (link) return link;
+	return `https://www.unic.com/${getLocaleSettings(article.locale).magazinePath}/${article.slug}`;
+}
+
+/**
+ * Returns the locale used to format dates for a content language
+ * @param locale - Content locale such as "de"
+ * @returns BCP 47 locale for toLocaleDateString, e.g. "de-CH"
+ */
+export function getDateLocale(locale) {
+	return getLocaleSettings(locale).dateLocale;
+}
+
+function formatArticleDate(article, options) {
+	return new Date(article.publicationDate).toLocaleDateString(
+		getDateLocale(article.locale),
+		options
+	);
+}
+
+// Explicit ids win; otherwise translations share a slug or a publication day and hero image
+function getTranslationKeys(article) {
+	const explicitId = article.translationKey ?? article.id;
+	if (explicitId) return [`id:${explicitId}`];
+
+	const { heroUrl } = extractHeroMedia(article);
+	return [
+		`slug:${article.slug}`,
+		heroUrl ? `hero:${article.publicationDate.slice(0, 10)}:${heroUrl}` : null,
+	].filter(Boolean);
+}
+
+// Stores the slugs of all translations as `translations` ({ locale: slug }) on every article
+function linkTranslations(articles) {
+	const groupsByKey = new Map();
+	const groupOf = new Map();
+
+	for (const article of articles) {
+		const keys = getTranslationKeys(article);
+		const group =
+			keys
+				.map((key) => groupsByKey.get(key))
+				.find((candidate) => candidate && !candidate.has(article.locale)) ?? new Map();
+		group.set(article.locale, article);
+		groupOf.set(article, group);
+		keys.filter((key) => !groupsByKey.has(key)).forEach((key) => groupsByKey.set(key, group));
+	}
+
+	for (const article of articles) {
+		article.translations = Object.fromEntries(
+			[...groupOf.get(article)]
+				.filter(([locale]) => locale !== article.locale)
+				.map(([locale, translation]) => [locale, translation.slug])
+		);
+	}
+}
+
+const renderedBodies = new WeakMap();
+
+/**
+ * Renders the rich-text body of an article, caching the result per article record
+ * @param article - The article whose `body.json` should be rendered
+ * @returns Object with `markdown`, `text` and `wordCount` of the full article body
+ */
+export function getArticleBody(article) {
+	const cached = renderedBodies.get(article);
+	if (cached) {
+		return cached;
+	}
+
+	const document = article.body?.json;
+	const text = renderRichTextToPlainText(document);
+	const rendered = {
+		markdown: renderRichTextToMarkdown(document, article.body?.links),
+		text,
+		wordCount: text.split(/\s+/).filter(Boolean).length,
+	};
+	renderedBodies.set(article, rendered);
+	return rendered;
+}
+
+/**
+ * Returns the validation report of the last load
+ * @returns Load report, or null if no data has been loaded
+ */
+export function getLoadReport() {
+	return loadReport;
+}
+
+/**
+ * Returns the version of the active dataset, incremented on every successful load
+ * @returns Dataset version (0 before the first load)
+ */
+export function getDatasetVersion() {
+	return datasetVersion;
+}
+
+/**
+ * Reports whether article data is available and how the last load went
+ * @returns { version, articleCount, loadedAt, lastError } where `loadedAt` is the time of the
+ *   last successful load and `lastError` ({ message, at }) is set when the last attempt failed
+ */
+export function getLoadStatus() {
+	return {
+		version: datasetVersion,
+		articleCount: magazineArticles.length,
+		loadedAt,
+		lastError: lastLoadError,
+	};
+}
+
+/**
+ * Subscribes to dataset swaps
+ * @param listener - Called with { version, added, removed, changed } after every successful
+ *   load, each a list of "locale/slug" keys, so translations count separately
+ * @returns Function that removes the listener
+ */
+export function onDatasetChange(listener) {
+	datasetListeners.add(listener);
+	return () => datasetListeners.delete(listener);
+}
+
+/**
+ * Loads magazine articles from a content source and builds lookup indices.
+ * Double-encoded UTF-8 is repaired and all strings are NFC-normalized on the way in.
+ * Articles without a locale belong to the default locale; translations of the same
+ * article are linked across locales and every locale gets its own search index.
+ * Entries are validated against the article schema; invalid ones are dropped and
+ * recorded in the load report. The new dataset replaces the active one in a single step;
+ * if loading fails, the previously active dataset stays in place.
+ * @param source - A ContentSource, or a path to a JSON file
+ * @returns The load report
+ * @throws {Error} If the source cannot be read or parsed
+ */
+export async function loadMagazineArticles(source) {
+	const contentSource = typeof source === 'string' ? createFileSource(source) : source;
+	try {
+		const entries = await contentSource.load();
+		const { value: normalizedEntries, fixedFields } = normalizeTextFields(entries);
+		const { valid, report } = validateArticles(normalizedEntries, contentSource.describe());
+		const articles = valid.map((article) => {
 			const slug = article.slug.trim();
 			const title = article.title.trim();
 			const publicationDate = article.publicationDate.trim();
+			const locale = normalizeLocale(article.locale) ?? CONFIG.DEFAULT_LOCALE;
 
 			return {
 				...article,
 				slug,
 				title,
 				publicationDate,
+				locale,
 			};
 		});
+		// Hashed before translations and topics are derived, so only source changes count
+		const hashes = new Map(
+			articles.map((article) => [
+				`${article.locale}/${article.slug}`,
+				crypto.createHash('sha256').update(JSON.stringify(article)).digest('hex'),
+			])
+		);
+		linkTranslations(articles);
+		assignTopics(articles);
+
+		// Build slug lookup index; the default locale wins when translations share a slug
+		const bySlug = new Map();
+		for (const article of articles) {
+			const existing = bySlug.get(article.slug);
+			const isDefaultLocale = article.locale === CONFIG.DEFAULT_LOCALE;
+			if (!existing || (isDefaultLocale && existing.locale !== CONFIG.DEFAULT_LOCALE)) {
+				bySlug.set(article.slug, article);
+			}
+		}
+
+		// Build slug lookup and full-text search index per locale, default locale first
+		const locales = [...new Set(articles.map((article) => article.locale))].sort((a, b) =>
+			a === CONFIG.DEFAULT_LOCALE ? -1 : b === CONFIG.DEFAULT_LOCALE ? 1 : a.localeCompare(b)
+		);
+		const nextLocaleDatasets = new Map(
+			locales.map((locale) => {
+				const localeArticles = articles.filter((article) => article.locale === locale);
+				return [
+					locale,
+					{
+						articles: localeArticles,
+						bySlug: new Map(localeArticles.map((article) => [article.slug, article])),
+						searchIndex: buildSearchIndex(
+							localeArticles,
+							getSearchableFields,
+							CONFIG.SEARCH_FIELD_BOOSTS
+						),
+					},
+				];
+			})
+		);
 
-		// Build slug lookup index
-		articlesBySlug.clear();
-		magazineArticles.forEach((article) => {
-			articlesBySlug.set(article.slug, article);
+		// Semantic search index, reused from disk when the content has not changed
+		const vectorIndices = loadOrBuildVectorIndices(
+			new Map(
+				[...nextLocaleDatasets].map(([locale, dataset]) => [
+					locale,
+					dataset.articles.map((article) => ({
+						id: article.slug,
+						chunks: getArticleChunks(article),
+					})),
+				])
+			),
+			contentSource.vectorIndexPath
+		);
+		for (const [locale, dataset] of nextLocaleDatasets) {
+			dataset.vectorIndex = vectorIndices.get(locale) ?? null;
+			// "Read next" suggestions, computed once per load
+			dataset.related = buildRelatedArticles(dataset.articles, dataset.vectorIndex, {
+				getTopics: getArticleTopics,
+				getAuthor: getAuthorRaw,
+			});
+			dataset.authors = buildAuthorIndex(dataset.articles, {
+				getAuthor: getAuthorRaw,
+				getAvatar: getAuthorAvatar,
+				getTopics: getArticleTopics,
+			});
+		}
+
+		const added = [...hashes.keys()].filter((key) => !articleHashes.has(key));
+		const removed = [...articleHashes.keys()].filter((key) => !hashes.has(key));
+		const changed = [...hashes]
+			.filter(([key, hash]) => articleHashes.has(key) && articleHashes.get(key) !== hash)
+			.map(([key]) => key);
+
+		// Swap everything at once; nothing above touched the active dataset
+		magazineArticles = articles;
+		articlesBySlug = bySlug;
+		localeDatasets = nextLocaleDatasets;
+		articleHashes = hashes;
+		loadReport = {
+			...report,
+			fixedFields,
+			locales: Object.fromEntries(
+				[...nextLocaleDatasets].map(([locale, dataset]) => [locale, dataset.articles.length])
+			),
+		};
+		datasetVersion += 1;
+		loadedAt = new Date().toISOString();
+		lastLoadError = null;
+
+		logger.info(`Loaded ${magazineArticles.length} blog articles`, {
+			version: datasetVersion,
+			locales: loadReport.locales,
+			summary: formatLoadReportSummary(loadReport),
+			...(fixedFields > 0 ? { repairedFields: fixedFields } : {}),
 		});
 
-		console.log(`Loaded ${magazineArticles.length} blog articles`);
-	} catch (error) {
-		console.error('Failed to load blog articles:', error);
-		if (error instanceof Error) {
-			console.error('Error details:', error.message);
+		const change = { version: datasetVersion, added, removed, changed };
+		for (const listener of datasetListeners) {
+			try {
+				listener(change);
+			} catch (error) {
+				logger.error('Dataset change listener failed', { error });
+			}
 		}
-		magazineArticles = [];
-		articlesBySlug.clear();
-		throw error; // Re-throw to prevent server start with no data
+
+		return loadReport;
+	} catch (error) {
+		logger.error('Failed to load blog articles', { error });
+		lastLoadError = { message: error.message, at: new Date().toISOString() };
+		// The previously active dataset (if any) stays in place
+		throw error;
 	}
 }
 
+// Articles keep topics delivered by the CMS; all others get topics extracted from their text.
+// Translations take the topics of their default-locale version, which the taxonomy fits best.
+function assignTopics(articles) {
+	const topicsOf = new Map(
+		articles.map((article) => {
+			const cmsTopics = getArticleTopics(article);
+			const topics =
+				cmsTopics.length > 0
+					? cmsTopics
+					: extractTopics({
+							title: article.title,
+							lead: article.lead ?? '',
+							body: getArticleBody(article).text,
+					  });
+			return [article, { topics, fromCms: cmsTopics.length > 0 }];
+		})
+	);
+	const byLocaleAndSlug = new Map(
+		articles.map((article) => [`${article.locale}:${article.slug}`, article])
+	);
+
+	for (const [article, { topics, fromCms }] of topicsOf) {
+		const original = byLocaleAndSlug.get(
+			`${CONFIG.DEFAULT_LOCALE}:${article.translations[CONFIG.DEFAULT_LOCALE]}`
+		);
+		article.topics = !fromCms && original ? topicsOf.get(original).topics : topics;
+	}
+}
+
+function formatLocaleCounts(counts) {
+	return Object.entries(counts)
+		.map(([locale, count]) => `${locale}: ${count}`)
+		.join(', ');
+}
+
+// Passages embedded for semantic search: title and lead, then the body in overlapping chunks
+function getArticleChunks(article) {
+	const heading = [article.title, article.lead?.trim()].filter(Boolean).join('. ');
+	return [heading, ...chunkText(getArticleBody(article).text)];
+}
+
+// Blends min-max normalized keyword scores with vector similarity
+function combineHits(keywordHits, vectorHits, bySlug) {
+	const keywordWeight = CONFIG.HYBRID_KEYWORD_WEIGHT;
+	const topKeywordScore = keywordHits[0]?.score ?? 0;
+	const similarities = new Map(vectorHits.map(({ id, score }) => [id, Math.max(0, score)]));
+	const combined = new Map();
+
+	for (const { document, score } of keywordHits) {
+		combined.set(document.slug, {
+			article: document,
+			score:
+				keywordWeight * (score / topKeywordScore) +
+				(1 - keywordWeight) * (similarities.get(document.slug) ?? 0),
+		});
+	}
+	for (const { id, score } of vectorHits) {
+		if (combined.has(id) || score < CONFIG.SEMANTIC_MIN_SIMILARITY) continue;
+		combined.set(id, { article: bySlug.get(id), score: (1 - keywordWeight) * score });
+	}
+
+	return [...combined.values()].sort((a, b) => b.score - a.score);
+}
+
+function getSearchableFields(article) {
+	return {
+		title: article.title,
+		author: getAuthorRaw(article) ?? '',
+		lead: article.lead ?? '',
+		body: getArticleBody(article).text,
+	};
+}
+
+// Newest first; slugs break ties so the order (and therefore cursors) is stable
+function compareByDateDescending(a, b) {
+	return (
+		new Date(b.publicationDate).getTime() - new Date(a.publicationDate).getTime() ||
+		a.slug.localeCompare(b.slug)
+	);
+}
+
+/**
+ * Slices one page out of a result list. Cursors are tied to the request and the dataset
+ * version, so a cursor is rejected instead of skipping or repeating results after a reload.
+ * @param results - The complete, stably ordered result list
+ * @param options - { cursor, limit, request } where `request` holds everything that
+ *   determines the list (tool name and arguments)
+ * @returns Object with the page `items`, `offset`, `total`, `hasMore` and `nextCursor`
+ * @throws {Error} If the cursor is malformed or belongs to another request
+ */
+export function paginateResults(results, { cursor, limit, request }) {
+	const scope = createCursorScope({ ...request, version: datasetVersion });
+	const page = paginate(results, cursor, clampLimit(limit), scope);
+	return { ...page, total: results.length };
+}
+
 /**
- * Search articles by keyword in title, lead, or author name
+ * Rank all matching articles by relevance. `keyword` uses the full-text index over title,
+ * lead, body and author and supports quoted phrases ("digital commerce") and prefix terms
+ * (comm*). `semantic` compares embeddings of article passages with the query. `hybrid` blends
+ * both; queries with phrases or prefix terms stay keyword-only. When the vector index cannot
+ * embed the query (no index, too little content in the locale to train one, or no known terms),
+ * every mode ranks by keywords alone.
  * @param query - Search keyword or phrase
- * @param limit - Maximum number of results (default: 10, max: 100)
- * @returns Array of matching articles
+ * @param locale - Content locale (default: the default locale)
+ * @param mode - One of SEARCH_MODES (default: 'hybrid')
+ * @returns Array of { article, score }, most relevant first
  */
-export function searchArticles(query, limit = CONFIG.DEFAULT_LIMIT) {
-	const clampedLimit = clampLimit(limit);
-	const lowerQuery = query.toLowerCase();
-	return magazineArticles
-		.filter((article) => {
-			const titleMatch = article.title?.toLowerCase().includes(lowerQuery);
-			const leadMatch = article.lead?.toLowerCase().includes(lowerQuery);
-			const authorMatch = authorMatches(article, lowerQuery);
-			return titleMatch || leadMatch || authorMatch;
-		})
-		.slice(0, clampedLimit);
+export function findRankedArticles(query, locale, mode = 'hybrid') {
+	const dataset = getLocaleDataset(locale);
+	const { phrases, prefixes } = parseQuery(query ?? '');
+	const useVectors =
+		mode === 'semantic' || (mode === 'hybrid' && phrases.length === 0 && prefixes.length === 0);
+
+	const vectorHits = useVectors ? searchVectorIndex(dataset.vectorIndex, query) : [];
+	const keywordOnly = vectorHits.length === 0;
+	const keywordHits =
+		mode === 'semantic' && !keywordOnly ? [] : searchIndex(dataset.searchIndex, query);
+
+	let hits;
+	if (keywordOnly) {
+		hits = keywordHits.map(({ document, score }) => ({ article: document, score }));
+	} else if (mode === 'semantic') {
+		hits = vectorHits
+			.filter(({ score }) => score >= CONFIG.SEMANTIC_MIN_SIMILARITY)
+			.map(({ id, score }) => ({ article: dataset.bySlug.get(id), score }));
+	} else {
+		hits = combineHits(keywordHits, vectorHits, dataset.bySlug);
+	}
+
+	return hits.map(({ article, score }) => ({ article, score: Math.round(score * 1000) / 1000 }));
 }
 
 /**
  * Search articles by keyword in title only
  * @param query - Search keyword or phrase
  * @param limit - Maximum number of results (default: 10, max: 100)
+ * @param locale - Content locale (default: the default locale)
  * @returns Array of matching articles
  */
-export function searchArticlesByTitle(query, limit = CONFIG.DEFAULT_LIMIT) {
+export function searchArticlesByTitle(query, limit = CONFIG.DEFAULT_LIMIT, locale) {
 	const clampedLimit = clampLimit(limit);
 	const lowerQuery = query.toLowerCase();
-	return magazineArticles
+	return getArticlesForLocale(locale)
 		.filter((article) => article.title?.toLowerCase().includes(lowerQuery))
 		.slice(0, clampedLimit);
 }
 
 /**
- * Filter articles by publication date range
- * @param startDate - Start date in ISO format (YYYY-MM-DD) - optional
- * @param endDate - End date in ISO format (YYYY-MM-DD) - optional
- * @param limit - Maximum number of results (default: 10, max: 100)
+ * The time relative date filters ("last quarter", "past 6 months") are resolved against
+ * @returns CONFIG.REFERENCE_DATE if set, otherwise the current time
+ */
+export function getReferenceDate() {
+	return CONFIG.REFERENCE_DATE ? new Date(CONFIG.REFERENCE_DATE) : new Date();
+}
+
+/**
+ * Find all articles in a publication date range
+ * @param startDate - Start of the range: an ISO date (YYYY-MM-DD) or a natural expression
+ *   such as "March 2024" or "last quarter", see resolveDateRange() - optional
+ * @param endDate - End of the range, in the same formats - optional
+ * @param locale - Content locale (default: the default locale)
+ * @param range - Whole range as one expression, e.g. "past 6 months" or "2023" - optional
  * @returns Array of articles sorted by date (newest first)
- * @throws {Error} If date format is invalid
+ * @throws {InvalidDateRangeError} If a date is not understood
  */
-export function filterArticlesByDateRange(startDate, endDate, limit = CONFIG.DEFAULT_LIMIT) {
-	const clampedLimit = clampLimit(limit);
-	let filtered = [...magazineArticles];
+export function findArticlesByDateRange(startDate, endDate, locale, range) {
+	const { start, end } = resolveDateRange({ range, startDate, endDate }, getReferenceDate());
 
-	if (startDate) {
-		if (!isValidDate(startDate)) {
-			throw new Error(`Invalid start date format: ${startDate}. Expected ISO format (YYYY-MM-DD)`);
-		}
-		const start = new Date(startDate);
-		filtered = filtered.filter((article) => new Date(article.publicationDate) >= start);
+	return getArticlesForLocale(locale)
+		.filter((article) => {
+			const published = new Date(article.publicationDate);
+			return (!start || published >= start) && (!end || published <= end);
+		})
+		.sort(compareByDateDescending);
+}
+
+/**
+ * Suggest articles whose title fuzzily matches a misspelled or paraphrased query
+ * @param query - Title or phrase to look for
+ * @param limit - Maximum number of suggestions (default: 5)
+ * @param locale - Content locale (default: the default locale)
+ * @returns Array of { article, score } with a confidence score between 0 and 1, best first
+ */
+export function suggestArticlesByTitle(query, limit = 5, locale) {
+	const articles = getArticlesForLocale(locale);
+	return fuzzyMatch(query, articles, (article) => article.title, CONFIG.FUZZY_THRESHOLD)
+		.slice(0, clampLimit(limit))
+		.map(({ item, score }) => ({ article: item, score: Math.round(score * 100) / 100 }));
+}
+
+/**
+ * Find all articles by an author. When no author name contains the query, the query is
+ * taken as a misspelled name of one author, see findAuthor().
+ * @param authorName - Author name or partial name to search for
+ * @param locale - Content locale (default: the default locale)
+ * @returns Array of articles by the author, sorted by date (newest first)
+ * @throws {ValidationError} If a misspelled name could mean several authors
+ */
+export function findArticlesByAuthor(authorName, locale) {
+	const matches = getArticlesForLocale(locale).filter((article) =>
+		authorMatches(article, authorName)
+	);
+	if (matches.length > 0) return matches.sort(compareByDateDescending);
+
+	const { author, candidates } = findAuthor(authorName, locale);
+	if (!author && candidates.length > 0) {
+		const names = candidates.map((candidate) => candidate.name);
+		throw new ValidationError(`"${authorName}" matches several authors: ${names.join(', ')}.`, {
+			code: 'ambiguous_author',
+			hint: 'Call the tool again with the full name of one of these authors.',
+			details: { candidates: names },
+		});
+	}
+	if (!author) return [];
+
+	// Author slugs are already newest first
+	const { bySlug } = getLocaleDataset(locale);
+	return author.slugs.map((slug) => bySlug.get(slug)).filter(Boolean);
+}
+
+/**
+ * List the authors of a locale
+ * @param locale - Content locale (default: the default locale)
+ * @param topic - Only authors who wrote about this topic (id, label or synonym), optional
+ * @returns Array of author profiles (see buildAuthorIndex()), most articles first. With a
+ *   topic, authors are ordered by their number of articles on that topic.
+ */
+export function listAuthors(locale, topic) {
+	const authors = [...getLocaleDataset(locale).authors.values()];
+	if (!topic) return authors;
+
+	const topicId = resolveTopicId(topic);
+	const topicCount = (author) => author.topics.find(({ id }) => id === topicId)?.count ?? 0;
+	return authors
+		.filter((author) => topicCount(author) > 0)
+		.sort((a, b) => topicCount(b) - topicCount(a) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Find an author by name, alias or id. Partial names ("Henkel") and small typos are accepted.
+ * @param name - Author name as typed by the user
+ * @param locale - Content locale (default: the default locale)
+ * @returns { author, candidates }: `author` is the profile when the name identifies one
+ *   author, otherwise null and `candidates` lists the authors it could mean (empty if none)
+ */
+export function findAuthor(name, locale) {
+	const authors = getLocaleDataset(locale).authors;
+	const id = getAuthorId(normalizeAuthorName(name) ?? '');
+	if (!id) return { author: null, candidates: [] };
+
+	const profiles = [...authors.values()];
+	const exact =
+		authors.get(id) ??
+		profiles.find((author) => author.aliases.some((alias) => getAuthorId(alias) === id));
+	if (exact) return { author: exact, candidates: [] };
+
+	// Whole name parts only, so "mark" does not match "Markus"
+	const pattern = new RegExp(`(^|-)${id}(-|$)`);
+	let candidates = profiles.filter((author) => pattern.test(author.id));
+	if (candidates.length === 0) {
+		// Close runners-up make the name ambiguous, clearly weaker ones are dropped
+		const matches = fuzzyMatch(name, profiles, (author) => author.name, CONFIG.FUZZY_THRESHOLD);
+		candidates = matches
+			.filter(({ score }) => score >= matches[0].score - AMBIGUOUS_AUTHOR_MARGIN)
+			.map(({ item }) => item);
+	}
+	return candidates.length === 1
+		? { author: candidates[0], candidates: [] }
+		: { author: null, candidates };
+}
+
+/**
+ * Get an author's profile together with their articles
+ * @param name - Author name, alias or id, see findAuthor()
+ * @param limit - Maximum number of articles (default: 10, max: 100)
+ * @param locale - Content locale (default: the default locale)
+ * @returns { author, articles, candidates }; `author` is null when the name is unknown or
+ *   ambiguous, and `articles` are newest first
+ */
+export function getAuthorProfile(name, limit = CONFIG.DEFAULT_LIMIT, locale) {
+	const { author, candidates } = findAuthor(name, locale);
+	if (!author) return { author: null, articles: [], candidates };
+
+	const { bySlug } = getLocaleDataset(locale);
+	const articles = author.slugs
+		.slice(0, clampLimit(limit))
+		.map((slug) => bySlug.get(slug))
+		.filter(Boolean);
+	return { author, articles, candidates };
+}
+
+/**
+ * Topics an article is tagged with
+ * @param article - The article
+ * @returns Array of topic ids (empty if the article has none). Topics from the CMS that
+ *   match the taxonomy are reported by their taxonomy id.
+ */
+export function getArticleTopics(article) {
+	if (!Array.isArray(article.topics)) return [];
+	return article.topics
+		.filter((topic) => typeof topic === 'string' && topic.trim().length > 0)
+		.map(resolveTopicId);
+}
+
+// Taxonomy id for an id, label or synonym; other names are kept as given
+function resolveTopicId(name) {
+	return findTopic(name)?.id ?? name.trim();
+}
+
+/**
+ * List all topics used by the articles of a locale
+ * @param locale - Content locale (default: the default locale)
+ * @returns Array of { id, label, count }, most articles first
+ */
+export function listTopics(locale) {
+	const counts = new Map();
+	for (const article of getArticlesForLocale(locale)) {
+		for (const id of getArticleTopics(article)) counts.set(id, (counts.get(id) ?? 0) + 1);
 	}
+	return [...counts]
+		.map(([id, count]) => ({ id, label: getTopicLabel(id), count }))
+		.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Find all articles tagged with a topic
+ * @param topic - Topic id, label or synonym, e.g. "ai", "Artificial intelligence"
+ * @param locale - Content locale (default: the default locale)
+ * @returns Array of articles sorted by date (newest first); empty for unknown topics
+ */
+export function findArticlesByTopic(topic, locale) {
+	const topicId = resolveTopicId(topic);
+	return getArticlesForLocale(locale)
+		.filter((article) => getArticleTopics(article).includes(topicId))
+		.sort(compareByDateDescending);
+}
 
-	if (endDate) {
-		if (!isValidDate(endDate)) {
-			throw new Error(`Invalid end date format: ${endDate}. Expected ISO format (YYYY-MM-DD)`);
+function compareArticles(sortBy) {
+	switch (sortBy) {
+		case 'title':
+			return (a, b) =>
+				a.article.title.localeCompare(b.article.title) ||
+				a.article.slug.localeCompare(b.article.slug);
+		case 'relevance':
+			return (a, b) => b.score - a.score || compareByDateDescending(a.article, b.article);
+		default:
+			return (a, b) => compareByDateDescending(a.article, b.article);
+	}
+}
+
+// Value counts, most frequent first; ties are ordered by value
+function countFacet(articles, getValues, compareValues = (a, b) => a.localeCompare(b)) {
+	const counts = new Map();
+	for (const article of articles) {
+		for (const value of new Set(getValues(article))) {
+			counts.set(value, (counts.get(value) ?? 0) + 1);
 		}
-		const end = new Date(endDate);
-		filtered = filtered.filter((article) => new Date(article.publicationDate) <= end);
 	}
+	return [...counts]
+		.map(([value, count]) => ({ value, count }))
+		.sort((a, b) => b.count - a.count || compareValues(a.value, b.value))
+		.slice(0, MAX_FACET_VALUES);
+}
 
-	// Sort by date descending (newest first)
-	filtered.sort(
-		(a, b) => new Date(b.publicationDate).getTime() - new Date(a.publicationDate).getTime()
-	);
+/**
+ * Count matching articles per author, publication year and topic
+ * @param articles - Articles to count
+ * @returns Object with `authors`, `years` and `topics`, each an array of { value, count }
+ */
+export function computeFacets(articles) {
+	return {
+		authors: countFacet(articles, (article) => {
+			const name = getAuthorRaw(article);
+			return name ? [name] : [];
+		}),
+		years: countFacet(
+			articles,
+			(article) => [new Date(article.publicationDate).getUTCFullYear()],
+			(a, b) => b - a
+		),
+		topics: countFacet(articles, getArticleTopics),
+	};
+}
+
+/**
+ * Find articles matching any combination of keyword, author, date range and topic
+ * @param criteria - { query, author, startDate, endDate, topic, sortBy, sortOrder, mode }.
+ *   Every filter is optional; `sortBy` is one of SORT_FIELDS (default: 'relevance' with a
+ *   query, 'date' otherwise) and `sortOrder` one of SORT_ORDERS (default: 'asc' for titles,
+ *   'desc' otherwise). `mode` is the search mode for `query`, see findRankedArticles().
+ * @param locale - Content locale (default: the default locale)
+ * @returns Object with the sorted `results` (array of { article, score? }) and the `facets`
+ *   of all matches
+ * @throws {ValidationError} If a date is invalid or relevance sorting is requested without a
+ *   query
+ */
+export function queryArticles(
+	{ query, author, startDate, endDate, topic, sortBy, sortOrder, mode = 'hybrid' } = {},
+	locale
+) {
+	const keyword = query?.trim();
+	const field = sortBy ?? (keyword ? 'relevance' : 'date');
+	if (field === 'relevance' && !keyword) {
+		throw new ValidationError('Sorting by relevance requires a query.', {
+			hint: "Pass a query, or sort by 'date' or 'title'.",
+		});
+	}
 
-	return filtered.slice(0, clampedLimit);
+	let results = keyword
+		? findRankedArticles(keyword, locale, mode)
+		: getArticlesForLocale(locale).map((article) => ({ article }));
+
+	if (startDate || endDate) {
+		const inRange = new Set(findArticlesByDateRange(startDate, endDate, locale));
+		results = results.filter(({ article }) => inRange.has(article));
+	}
+	if (author?.trim()) {
+		const byAuthor = new Set(findArticlesByAuthor(author.trim(), locale));
+		results = results.filter(({ article }) => byAuthor.has(article));
+	}
+	if (topic?.trim()) {
+		const byTopic = new Set(findArticlesByTopic(topic, locale));
+		results = results.filter(({ article }) => byTopic.has(article));
+	}
+
+	const compare = compareArticles(field);
+	const descending = (sortOrder ?? (field === 'title' ? 'asc' : 'desc')) === 'desc';
+	// Comparators yield the natural order of each field (best, newest, A-Z first)
+	const naturalDescending = field !== 'title';
+	results.sort((a, b) => (descending === naturalDescending ? compare(a, b) : compare(b, a)));
+
+	return { results, facets: computeFacets(results.map(({ article }) => article)) };
 }
 
 /**
- * Filter articles by author name
- * @param authorName - Author name or partial name to search for
- * @param limit - Maximum number of results (default: 10, max: 100)
- * @returns Array of articles by the author, sorted by date (newest first)
+ * Find the articles most related to an article, by content similarity, shared topics and
+ * author. Relations are precomputed when the articles are loaded.
+ * @param slug - Slug of the article
+ * @param limit - Maximum number of results (default: 5, max: 10)
+ * @param locale - Content locale (default: the default locale)
+ * @returns Object with the resolved `article` and its `related` articles as array of
+ *   { article, score, sharedTopics, sameAuthor }, best first; null if the slug is unknown
  */
-export function filterArticlesByAuthor(authorName, limit = CONFIG.DEFAULT_LIMIT) {
-	const clampedLimit = clampLimit(limit);
-	const lowerAuthor = authorName.toLowerCase();
-	return magazineArticles
-		.filter((article) => authorMatches(article, lowerAuthor))
-		.sort((a, b) => new Date(b.publicationDate).getTime() - new Date(a.publicationDate).getTime())
-		.slice(0, clampedLimit);
+export function getRelatedArticles(slug, limit = 5, locale) {
+	const article = getArticleBySlug(slug, locale);
+	if (!article) return null;
+
+	const dataset = getLocaleDataset(article.locale);
+	const related = (dataset.related.get(article.slug) ?? [])
+		.slice(0, clampLimit(limit))
+		.map(({ slug: relatedSlug, ...signals }) => ({
+			article: dataset.bySlug.get(relatedSlug),
+			...signals,
+		}))
+		.filter((entry) => entry.article);
+	return { article, related };
 }
 
 /**
@@ -208,7 +978,7 @@ export function filterArticlesByAuthor(authorName, limit = CONFIG.DEFAULT_LIMIT)
  * @returns Formatted markdown string with article details
  */
 export function formatArticlePreview(article) {
-	const date = new Date(article.publicationDate).toLocaleDateString('en-US', {
+	const date = formatArticleDate(article, {
 		year: 'numeric',
 		month: 'long',
 		day: 'numeric',
@@ -218,7 +988,7 @@ export function formatArticlePreview(article) {
 
     📅 Published: ${date}
     ✍️ Author: ${getAuthorName(article)}
-    🔗 Read full article: ${article.link}
+    🔗 Read full article: ${getArticleUrl(article)}
 
     ${article.lead || 'No summary available.'}`;
 }
@@ -235,14 +1005,14 @@ export function formatArticleList(articles) {
 
 	return articles
 		.map((article, index) => {
-			const date = new Date(article.publicationDate).toLocaleDateString('en-US', {
+			const date = formatArticleDate(article, {
 				year: 'numeric',
 				month: 'short',
 				day: 'numeric',
 			});
 			return `${index + 1}. **${article.title}**
         📅 ${date} | ✍️ ${getAuthorName(article)}
-        🔗 Read more: ${article.link}`;
+        🔗 Read more: ${getArticleUrl(article)}`;
 		})
 		.join('\n\n');
 }
@@ -260,11 +1030,208 @@ export function formatArticleUrlList(articles) {
 
 	return articles
 		.map((article, index) => {
-			const date = new Date(article.publicationDate).toLocaleDateString('en-US', {
+			const date = formatArticleDate(article, {
 				year: 'numeric',
 				month: 'short',
 			});
-			return `${index + 1}. ${article.title} (${date}) - ${article.link}`;
+			return `${index + 1}. ${article.title} (${date}) - ${getArticleUrl(article)}`;
+		})
+		.join('\n');
+}
+
+/**
+ * Format the full article content, including metadata header and rendered body
+ * @param article - The article to format
+ * @param format - Either 'markdown' or 'text'
+ * @returns Formatted article content, falling back to the lead when there is no body
+ */
+export function formatArticleContent(article, format = 'markdown') {
+	const date = formatArticleDate(article, {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+	});
+	const url = getArticleUrl(article);
+	const body = getArticleBody(article);
+	const content = (format === 'text' ? body.text : body.markdown) || 'No article body available.';
+	const lead = article.lead?.trim();
+	const translations = getArticleTranslations(article)
+		.map((translation) => `${translation.locale} (slug: ${translation.slug})`)
+		.join(', ');
+
+	if (format === 'text') {
+		return [
+			article.title,
+			`Published: ${date} | Author: ${getAuthorName(article)} | ${url}`,
+			translations ? `Also available in: ${translations}` : null,
+			lead,
+			content,
+		]
+			.filter(Boolean)
+			.join('\n\n');
+	}
+
+	return [
+		`# ${article.title}`,
+		`📅 Published: ${date} | ✍️ Author: ${getAuthorName(article)} | 🔗 ${url}`,
+		translations ? `🌐 Also available in: ${translations}` : null,
+		lead ? `_${lead.replace(/\n+/g, ' ')}_` : null,
+		content,
+	]
+		.filter(Boolean)
+		.join('\n\n');
+}
+
+/**
+ * Format the "more results" hint for paginated tool output
+ * @param page - Page from paginateResults()
+ * @returns Instruction with the next cursor, or an empty string on the last page
+ */
+export function formatPaginationHint(page) {
+	if (!page.hasMore) {
+		return '';
+	}
+	const remaining = page.total - page.offset - page.items.length;
+	return `📄 **More results available** (${remaining} more). Call this tool again with the same arguments and cursor: "${page.nextCursor}"`;
+}
+
+/**
+ * Format facet counts as refinement suggestions. Topics are shown by label, which the topic
+ * filters accept as well as the id.
+ * @param facets - Facets from computeFacets()
+ * @returns Markdown list with one line per non-empty facet, or an empty string
+ */
+export function formatFacets(facets) {
+	const labels = { authors: '✍️ Authors', years: '📅 Years', topics: '🏷️ Topics' };
+	const formatValue = (key, value) => (key === 'topics' ? getTopicLabel(value) : value);
+	return Object.entries(labels)
+		.filter(([key]) => facets[key]?.length > 0)
+		.map(([key, label]) => {
+			const values = facets[key].map(
+				({ value, count }) => `${formatValue(key, value)} (${count})`
+			);
+			return `- ${label}: ${values.join(', ')}`;
 		})
 		.join('\n');
 }
+
+/**
+ * Format related articles with the reasons they were suggested
+ * @param related - Array of { article, sharedTopics, sameAuthor } from getRelatedArticles()
+ * @returns Numbered list with titles, URLs and shared topics or author
+ */
+export function formatRelatedArticles(related) {
+	if (related.length === 0) {
+		return 'No related articles found.';
+	}
+
+	return related
+		.map(({ article, sharedTopics, sameAuthor }, index) => {
+			const reasons = [
+				sharedTopics.length > 0 ? `topics: ${sharedTopics.map(getTopicLabel).join(', ')}` : null,
+				sameAuthor ? `also by ${getAuthorName(article)}` : null,
+			].filter(Boolean);
+			return `${index + 1}. ${article.title} - ${getArticleUrl(article)}${
+				reasons.length > 0 ? ` (${reasons.join('; ')})` : ''
+			}`;
+		})
+		.join('\n');
+}
+
+/**
+ * Format the author directory
+ * @param authors - Author profiles from listAuthors()
+ * @returns Numbered list with article counts, active years and main topics
+ */
+export function formatAuthorList(authors) {
+	return authors
+		.map((author, index) => {
+			const topics = author.topics.slice(0, 3).map(({ id }) => getTopicLabel(id));
+			const summary = `${author.articleCount} article(s), ${formatActiveYears(author)}`;
+			return `${index + 1}. **${author.name}** - ${summary}${
+				topics.length > 0 ? ` - ${topics.join(', ')}` : ''
+			}`;
+		})
+		.join('\n');
+}
+
+/**
+ * Format an author profile with their articles
+ * @param author - Author profile from getAuthorProfile()
+ * @param articles - The author's articles to list
+ * @returns Markdown with the author's statistics, topics and articles
+ */
+export function formatAuthorProfile(author, articles) {
+	const topics = author.topics.map(({ id, count }) => `${getTopicLabel(id)} (${count})`);
+	return [
+		`**${author.name}**`,
+		'',
+		`Articles: ${author.articleCount} (${formatActiveYears(author)})`,
+		...(topics.length > 0 ? [`Topics: ${topics.join(', ')}`] : []),
+		...(author.aliases.length > 0 ? [`Also written as: ${author.aliases.join(', ')}`] : []),
+		'',
+		formatArticleUrlList(articles),
+	].join('\n');
+}
+
+function formatActiveYears(author) {
+	const first = new Date(author.firstPublished).getUTCFullYear();
+	const last = new Date(author.lastPublished).getUTCFullYear();
+	return first === last ? `${first}` : `${first}–${last}`;
+}
+
+/**
+ * Format fuzzy title suggestions as a "did you mean" list
+ * @param suggestions - Array of { article, score } from suggestArticlesByTitle
+ * @returns Numbered markdown list with titles, slugs and confidence
+ */
+export function formatTitleSuggestions(suggestions) {
+	return suggestions
+		.map(
+			({ article, score }, index) =>
+				`${index + 1}. **${article.title}** (slug: ${article.slug}, confidence: ${Math.round(
+					score * 100
+				)}%)`
+		)
+		.join('\n');
+}
+
+/**
+ * Format the dataset load report for content editors
+ * @param report - Load report from loadMagazineArticles
+ * @param maxIssues - Maximum number of per-article entries to list
+ * @returns Formatted markdown report
+ */
+export function formatLoadReport(report, maxIssues = 20) {
+	const problems = summarizeIssues(report)
+		.map(({ problem, count }) => `- ${problem} (${count}×)`)
+		.join('\n');
+	const duplicates = report.duplicateSlugs
+		.map(
+			({ slug, locale, indices }) =>
+				`- ${locale ? `${locale}/` : ''}${slug}: entries ${indices.map((index) => `#${index}`).join(', ')}`
+		)
+		.join('\n');
+	const details = report.issues
+		.slice(0, maxIssues)
+		.map((issue) => {
+			const label = issue.title ?? issue.slug ?? 'Untitled';
+			const messages = [
+				...issue.errors.map((message) => `❌ ${message}`),
+				...issue.warnings.map((message) => `⚠️ ${message}`),
+			];
+			return `- #${issue.index} **${label}** (${issue.status})\n  ${messages.join('\n  ')}`;
+		})
+		.join('\n');
+
+	return [
+		`**Dataset health:** ${formatLoadReportSummary(report)}`,
+		`Repaired text fields: ${report.fixedFields ?? 0}`,
+		report.locales ? `Articles per locale: ${formatLocaleCounts(report.locales)}` : null,
+		problems ? `**Problems by kind:**\n${problems}` : '✅ No problems found.',
+		duplicates ? `**Duplicate slugs:**\n${duplicates}` : null,
+		details ? `**Affected entries** (showing ${Math.min(maxIssues, report.issues.length)} of ${report.issues.length}):\n${details}` : null,
+	]
+		.filter(Boolean)
+		.join('\n\n');
+}
@@ -0,0 +1,271 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+export const AUTH_MODES = ['none', 'api-key', 'oauth'];
+
+export const PROTECTED_RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+// Tolerated clock difference when checking exp and nbf
+const CLOCK_SKEW_SECONDS = 60;
+
+// JWS algorithm → node:crypto verify settings
+const JWT_ALGORITHMS = {
+	RS256: { hash: 'sha256' },
+	RS384: { hash: 'sha384' },
+	RS512: { hash: 'sha512' },
+	PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+	PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+	PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+	ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+	ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+	ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+	EdDSA: { hash: null },
+};
+
+/**
+ * Thrown when a request is not authenticated or not authorized. `code` is the OAuth error code
+ * for the WWW-Authenticate header: invalid_request (no credentials), invalid_token or
+ * insufficient_scope.
+ */
+export class AuthenticationError extends Error {
+	constructor(message, code = 'invalid_token') {
+		super(message);
+		this.name = 'AuthenticationError';
+		this.code = code;
+		this.status = code === 'insufficient_scope' ? 403 : 401;
+	}
+}
+
+function sha256(value) {
+	return crypto.createHash('sha256').update(value).digest();
+}
+
+function getBearerToken(req) {
+	const header = req.headers?.authorization;
+	const match = typeof header === 'string' ? header.match(/^Bearer\s+(\S+)\s*$/i) : null;
+	if (!match) {
+		throw new AuthenticationError('Missing bearer token', 'invalid_request');
+	}
+	return match[1];
+}
+
+function decodeJson(segment) {
+	try {
+		return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+	} catch {
+		throw new AuthenticationError('Malformed token');
+	}
+}
+
+/**
+ * Reads a JWKS file ({ keys: [...] }) into public keys
+ * @param jwksPath - Path of the JSON Web Key Set
+ * @returns Array of { kid, alg, key } where `key` is a KeyObject
+ */
+export function loadJwks(jwksPath) {
+	const { keys } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+	if (!Array.isArray(keys) || keys.length === 0) {
+		throw new Error(`No keys in JWKS file ${jwksPath}`);
+	}
+	return keys
+		.filter((jwk) => !jwk.use || jwk.use === 'sig')
+		.map((jwk) => ({
+			kid: jwk.kid,
+			alg: jwk.alg,
+			key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+		}));
+}
+
+/**
+ * Verifies a JWT access token: signature against the JWKS, then exp (required), nbf, iss and aud
+ * @param token - Compact JWS
+ * @param options - { keys, issuer, audience } where `keys` comes from loadJwks()
+ * @returns The token's claims
+ * @throws {AuthenticationError} If the token is invalid, expired or meant for someone else
+ */
+export function verifyJwt(token, { keys, issuer, audience }) {
+	const parts = token.split('.');
+	if (parts.length !== 3) {
+		throw new AuthenticationError('Malformed token');
+	}
+	const [encodedHeader, encodedPayload, signature] = parts;
+	const header = decodeJson(encodedHeader);
+	const settings = JWT_ALGORITHMS[header.alg];
+	if (!settings) {
+		throw new AuthenticationError('Unsupported token algorithm');
+	}
+
+	const candidates = keys.filter(
+		(jwk) => (!header.kid || jwk.kid === header.kid) && (!jwk.alg || jwk.alg === header.alg)
+	);
+	const signedContent = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+	const signatureBytes = Buffer.from(signature, 'base64url');
+	const isSigned = candidates.some(({ key }) => {
+		try {
+			return crypto.verify(settings.hash, signedContent, { key, ...settings }, signatureBytes);
+		} catch {
+			return false;
+		}
+	});
+	if (!isSigned) {
+		throw new AuthenticationError('Invalid token signature');
+	}
+
+	const claims = decodeJson(encodedPayload);
+	const now = Math.floor(Date.now() / 1000);
+	// Access tokens must expire; one without exp would be valid forever
+	if (typeof claims.exp !== 'number') {
+		throw new AuthenticationError('Token has no expiry');
+	}
+	if (claims.exp < now - CLOCK_SKEW_SECONDS) {
+		throw new AuthenticationError('Token expired');
+	}
+	if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_SECONDS) {
+		throw new AuthenticationError('Token not yet valid');
+	}
+	if (issuer && claims.iss !== issuer) {
+		throw new AuthenticationError('Token issued by an unknown issuer');
+	}
+	const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+	if (audience && !audiences.includes(audience)) {
+		throw new AuthenticationError('Token is not meant for this server');
+	}
+	return claims;
+}
+
+function getScopes(claims) {
+	if (typeof claims.scope === 'string') return claims.scope.split(' ').filter(Boolean);
+	if (Array.isArray(claims.scp)) return claims.scp.filter((scope) => typeof scope === 'string');
+	return [];
+}
+
+/**
+ * Creates the authenticator of the MCP endpoint
+ * @param config - { mode, apiKeys, jwksPath, issuer, audience, requiredScopes, resourceUrl,
+ *   authorizationServers } (see resolveAuthConfig() in config.js). `apiKeys` maps client ids
+ *   to their keys.
+ * @returns { mode, authenticate(req), getChallenge(error), getProtectedResourceMetadata() }
+ */
+export function createAuthenticator(config) {
+	const { mode = 'none', requiredScopes = [] } = config;
+	if (!AUTH_MODES.includes(mode)) {
+		throw new Error(`Unknown MCP_AUTH_MODE "${mode}". Use one of: ${AUTH_MODES.join(', ')}`);
+	}
+
+	// Keys are compared by hash in constant time
+	const apiKeys = [...(config.apiKeys ?? new Map())].map(([clientId, key]) => ({
+		clientId,
+		digest: sha256(key),
+	}));
+	if (mode === 'api-key' && apiKeys.length === 0) {
+		throw new Error('MCP_AUTH_MODE=api-key requires MCP_API_KEYS');
+	}
+
+	let jwks = null;
+	if (mode === 'oauth') {
+		if (!config.jwksPath) {
+			throw new Error('MCP_AUTH_MODE=oauth requires MCP_OAUTH_JWKS_PATH');
+		}
+		if (!config.resourceUrl) {
+			throw new Error('MCP_AUTH_MODE=oauth requires MCP_RESOURCE_URL');
+		}
+		jwks = loadJwks(config.jwksPath);
+	}
+
+	const authenticateApiKey = (token) => {
+		const digest = sha256(token);
+		const match = apiKeys.find((entry) => crypto.timingSafeEqual(entry.digest, digest));
+		if (!match) {
+			throw new AuthenticationError('Invalid API key');
+		}
+		return { token, clientId: match.clientId, scopes: [], extra: { method: 'api-key' } };
+	};
+
+	const authenticateJwt = (token) => {
+		const claims = verifyJwt(token, {
+			keys: jwks,
+			issuer: config.issuer,
+			audience: config.audience ?? config.resourceUrl,
+		});
+		const clientId = [claims.client_id, claims.azp, claims.sub].find(
+			(value) => typeof value === 'string' && value !== ''
+		);
+		if (!clientId) {
+			throw new AuthenticationError('Token identifies no client');
+		}
+		const scopes = getScopes(claims);
+		const missing = requiredScopes.filter((scope) => !scopes.includes(scope));
+		if (missing.length > 0) {
+			throw new AuthenticationError(`Missing scope(s): ${missing.join(' ')}`, 'insufficient_scope');
+		}
+		return {
+			token,
+			clientId,
+			scopes,
+			expiresAt: claims.exp,
+			resource: new URL(config.resourceUrl),
+			extra: { method: 'oauth', subject: claims.sub, issuer: claims.iss },
+		};
+	};
+
+	return {
+		mode,
+
+		/**
+		 * Authenticates a request from its Authorization header
+		 * @param req - Node.js request
+		 * @returns AuthInfo for the MCP SDK ({ token, clientId, scopes, ... }), or null when
+		 *   authentication is disabled
+		 * @throws {AuthenticationError} If the credentials are missing or invalid
+		 */
+		authenticate(req) {
+			if (mode === 'none') return null;
+			const token = getBearerToken(req);
+			return mode === 'api-key' ? authenticateApiKey(token) : authenticateJwt(token);
+		},
+
+		/**
+		 * WWW-Authenticate header value for a failed authentication. Error messages are fixed
+		 * texts that never contain token contents, so they are safe in a header.
+		 * @param error - The AuthenticationError
+		 * @returns Header value; in OAuth mode it points to the protected-resource metadata
+		 */
+		getChallenge(error) {
+			const params =
+				mode === 'oauth'
+					? [`resource_metadata="${getMetadataUrl(config.resourceUrl)}"`]
+					: ['realm="mcp"'];
+			if (error.code !== 'invalid_request') {
+				params.push(`error="${error.code}"`, `error_description="${error.message}"`);
+			}
+			if (error.code === 'insufficient_scope') {
+				params.push(`scope="${requiredScopes.join(' ')}"`);
+			}
+			return `Bearer ${params.join(', ')}`;
+		},
+
+		/**
+		 * OAuth 2.0 Protected Resource Metadata (RFC 9728) of the MCP endpoint
+		 * @returns The metadata document, or null unless in OAuth mode
+		 */
+		getProtectedResourceMetadata() {
+			if (mode !== 'oauth') return null;
+			return {
+				resource: config.resourceUrl,
+				authorization_servers: config.authorizationServers.length
+					? config.authorizationServers
+					: [config.issuer].filter(Boolean),
+				...(requiredScopes.length ? { scopes_supported: requiredScopes } : {}),
+				bearer_methods_supported: ['header'],
+				resource_name: 'Unic magazine MCP server',
+			};
+		},
+	};
+}
+
+// The metadata URL inserts the well-known path between the origin and the resource path
+function getMetadataUrl(resourceUrl) {
+	const url = new URL(resourceUrl);
+	const resourcePath = url.pathname === '/' ? '' : url.pathname;
+	return `${url.origin}${PROTECTED_RESOURCE_METADATA_PATH}${resourcePath}`;
+}
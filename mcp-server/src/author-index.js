@@ -0,0 +1,91 @@
+import { foldDiacritics } from './search-index.js';
+
+const GERMAN_UMLAUTS = { ä: 'ae', ö: 'oe', ü: 'ue' };
+
+/**
+ * Normalizes a display name: trimmed, single spaces, Unicode NFC
+ * @param name - Author name as found in the data
+ * @returns The cleaned name, or null if nothing is left
+ */
+export function normalizeAuthorName(name) {
+	const normalized = String(name ?? '')
+		.normalize('NFC')
+		.replace(/\s+/g, ' ')
+		.trim();
+	return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Stable id of an author name. Umlauts are transliterated first, so "Sandro Dönni" and
+ * "Sandro Doenni" share the id "sandro-doenni".
+ * @param name - Author name
+ * @returns Lowercase id made of letters, digits and dashes ("" for empty names)
+ */
+export function getAuthorId(name) {
+	const transliterated = String(name ?? '')
+		.normalize('NFC')
+		.toLowerCase()
+		.replace(/[äöü]/g, (umlaut) => GERMAN_UMLAUTS[umlaut]);
+	return foldDiacritics(transliterated)
+		.replace(/[^\p{L}\p{N}]+/gu, '-')
+		.replace(/^-+|-+$/g, '');
+}
+
+// Most frequent value, ties broken by the first one seen
+function mostFrequent(values) {
+	const counts = new Map();
+	for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+	return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Builds the author directory of one locale
+ * @param articles - Articles of one locale
+ * @param accessors - { getAuthor, getAvatar, getTopics } returning an article's author name,
+ *   avatar URL and topic ids (null when unknown)
+ * @returns Map of author id to { id, name, aliases, avatarUrl, articleCount, firstPublished,
+ *   lastPublished, topics: [{ id, count }], slugs }, most prolific authors first. `slugs` are
+ *   newest first; articles without an author are left out.
+ */
+export function buildAuthorIndex(articles, { getAuthor, getAvatar, getTopics }) {
+	const groups = new Map();
+	for (const article of articles) {
+		const name = normalizeAuthorName(getAuthor(article));
+		const id = name ? getAuthorId(name) : '';
+		if (!id) continue;
+		groups.set(id, [...(groups.get(id) ?? []), { article, name }]);
+	}
+
+	const profiles = [...groups].map(([id, entries]) => {
+		const byDate = entries.sort(
+			(a, b) => Date.parse(b.article.publicationDate) - Date.parse(a.article.publicationDate)
+		);
+		const name = mostFrequent(byDate.map((entry) => entry.name));
+		const topicCounts = new Map();
+		for (const { article } of byDate) {
+			for (const topic of getTopics(article)) {
+				topicCounts.set(topic, (topicCounts.get(topic) ?? 0) + 1);
+			}
+		}
+
+		return {
+			id,
+			name,
+			aliases: [...new Set(byDate.map((entry) => entry.name))].filter((alias) => alias !== name),
+			avatarUrl: byDate.map(({ article }) => getAvatar(article)).find(Boolean) ?? null,
+			articleCount: byDate.length,
+			firstPublished: byDate[byDate.length - 1].article.publicationDate,
+			lastPublished: byDate[0].article.publicationDate,
+			topics: [...topicCounts]
+				.map(([topic, count]) => ({ id: topic, count }))
+				.sort((a, b) => b.count - a.count || a.id.localeCompare(b.id)),
+			slugs: byDate.map(({ article }) => article.slug),
+		};
+	});
+
+	return new Map(
+		profiles
+			.sort((a, b) => b.articleCount - a.articleCount || a.name.localeCompare(b.name))
+			.map((profile) => [profile.id, profile])
+	);
+}
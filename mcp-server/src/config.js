@@ -2,7 +2,14 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { CONFIG, loadMagazineArticles } from './article-service.js';
-import { initializeArticleListWidget, initializeArticlePreviewWidget } from './widget.js';
+import { summarizeIssues } from './article-schema.js';
+import { createContentSource } from './content-sources.js';
+import { logger } from './logger.js';
+import {
+	initializeArticleListWidget,
+	initializeArticlePreviewWidget,
+	initializeAuthorProfileWidget,
+} from './widget.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, '..', '..');
@@ -38,6 +45,275 @@ function resolveBlogDataPath() {
 
 export const BLOG_DATA_PATH = resolveBlogDataPath();
 
+/**
+ * Resolves which content source adapter to use from the environment.
+ * CONTENT_SOURCE selects the adapter: 'file' (default), 'directory' or 'http'.
+ * CONTENT_LOCALES (e.g. "en,de,fr") lists the locales fetched by the http adapter.
+ * VECTOR_INDEX_PATH overrides where the semantic search index is stored.
+ * @returns Content source configuration for createContentSource()
+ */
+function resolveContentSourceConfig() {
+	const type = process.env.CONTENT_SOURCE?.trim() || 'file';
+	const pageSize = Number(process.env.CONTENT_PAGE_SIZE);
+	const timeoutMs = Number(process.env.CONTENT_TIMEOUT_MS);
+
+	return {
+		type,
+		filePath: BLOG_DATA_PATH,
+		directory: process.env.CONTENT_DIR,
+		url: process.env.CONTENT_URL,
+		accessToken: process.env.CONTENT_ACCESS_TOKEN,
+		locales: (process.env.CONTENT_LOCALES ?? '')
+			.split(',')
+			.map((locale) => locale.trim())
+			.filter(Boolean),
+		vectorIndexPath: process.env.VECTOR_INDEX_PATH,
+		...(Number.isInteger(pageSize) && pageSize > 0 ? { pageSize } : {}),
+		...(Number.isInteger(timeoutMs) && timeoutMs > 0 ? { timeoutMs } : {}),
+	};
+}
+
+export const CONTENT_SOURCE_CONFIG = resolveContentSourceConfig();
+
+/**
+ * Resolves how the standalone server keeps article data fresh.
+ * CONTENT_WATCH=false disables file watching; CONTENT_REFRESH_INTERVAL_MS sets the polling
+ * interval (defaults to 5 minutes for the http source, 0 = disabled for local sources).
+ * @returns Options for startContentRefresh()
+ */
+function resolveContentRefreshConfig() {
+	const intervalEnv = Number(process.env.CONTENT_REFRESH_INTERVAL_MS);
+	const defaultInterval = CONTENT_SOURCE_CONFIG.type === 'http' ? 5 * 60 * 1000 : 0;
+
+	return {
+		watch: process.env.CONTENT_WATCH !== 'false',
+		intervalMs: Number.isFinite(intervalEnv) && intervalEnv >= 0 ? intervalEnv : defaultInterval,
+	};
+}
+
+export const CONTENT_REFRESH_CONFIG = resolveContentRefreshConfig();
+
+/**
+ * Resolves how the standalone server handles MCP sessions.
+ * MCP_SESSION_MODE=stateful keeps a server per client session (Mcp-Session-Id) with resumable
+ * SSE streams; the default, stateless, handles every request on its own. Serverless
+ * deployments are always stateless. MCP_SESSION_IDLE_TIMEOUT_MS (default: 30 minutes),
+ * MCP_MAX_SESSIONS (default: 1000) and MCP_SESSION_MAX_EVENTS (events kept for resuming,
+ * default: 1000 per session) tune stateful mode.
+ * @returns Options for createSessionManager() together with `stateful`
+ */
+function resolveSessionConfig() {
+	const positiveInteger = (value, fallback) => {
+		const number = Number(value);
+		return Number.isInteger(number) && number > 0 ? number : fallback;
+	};
+
+	return {
+		stateful: process.env.MCP_SESSION_MODE?.trim().toLowerCase() === 'stateful',
+		idleTimeoutMs: positiveInteger(process.env.MCP_SESSION_IDLE_TIMEOUT_MS, 30 * 60 * 1000),
+		maxSessions: positiveInteger(process.env.MCP_MAX_SESSIONS, 1000),
+		maxEventsPerSession: positiveInteger(process.env.MCP_SESSION_MAX_EVENTS, 1000),
+	};
+}
+
+export const SESSION_CONFIG = resolveSessionConfig();
+
+/**
+ * Parses MCP_API_KEYS: "clientId=key" pairs, comma separated. Client ids are letters, digits,
+ * dots, dashes and underscores, so the key starts after the first "=". Keys are never logged.
+ * @param value - Value of MCP_API_KEYS
+ * @returns Map of client id to key
+ * @throws {Error} If an entry is not a pair, has an empty key or repeats a client id. A bare
+ *   base64 key such as "abc==" is rejected rather than read as client "abc" with key "=".
+ */
+export function parseApiKeys(value) {
+	const apiKeys = new Map();
+	const entries = (value ?? '')
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+
+	entries.forEach((entry, index) => {
+		const [, clientId, key] = entry.match(/^([\w.-]+)=(.*)$/) ?? [];
+		if (!clientId) {
+			throw new Error(`MCP_API_KEYS entry ${index + 1} is not a "clientId=key" pair`);
+		}
+		if (!key.trim() || key.startsWith('=')) {
+			// A bare key would be named here, so the entry is only identified by its position
+			throw new Error(`MCP_API_KEYS entry ${index + 1} has an empty key`);
+		}
+		if (apiKeys.has(clientId)) {
+			throw new Error(`MCP_API_KEYS lists client "${clientId}" more than once`);
+		}
+		apiKeys.set(clientId, key.trim());
+	});
+	return apiKeys;
+}
+
+/**
+ * Resolves how clients authenticate to the MCP endpoint.
+ * MCP_AUTH_MODE selects 'none' (default), 'api-key' or 'oauth'.
+ * api-key: MCP_API_KEYS lists the accepted bearer keys as "clientId=key" pairs, see parseApiKeys().
+ * oauth: access tokens are JWTs verified against the JSON Web Key Set in MCP_OAUTH_JWKS_PATH.
+ * MCP_RESOURCE_URL is the public URL of the MCP endpoint (the expected audience unless
+ * MCP_OAUTH_AUDIENCE is set), MCP_OAUTH_ISSUER the expected issuer, MCP_OAUTH_SCOPES the
+ * required scopes and MCP_OAUTH_AUTHORIZATION_SERVERS the servers advertised in the
+ * protected-resource metadata (default: the issuer).
+ * @returns Options for createAuthenticator()
+ */
+function resolveAuthConfig() {
+	const list = (value, separator = /[\s,]+/) =>
+		(value ?? '')
+			.split(separator)
+			.map((item) => item.trim())
+			.filter(Boolean);
+
+	return {
+		mode: process.env.MCP_AUTH_MODE?.trim().toLowerCase() || 'none',
+		apiKeys: parseApiKeys(process.env.MCP_API_KEYS),
+		jwksPath: process.env.MCP_OAUTH_JWKS_PATH,
+		issuer: process.env.MCP_OAUTH_ISSUER?.trim() || undefined,
+		audience: process.env.MCP_OAUTH_AUDIENCE?.trim() || undefined,
+		requiredScopes: list(process.env.MCP_OAUTH_SCOPES),
+		resourceUrl: process.env.MCP_RESOURCE_URL?.trim() || undefined,
+		authorizationServers: list(process.env.MCP_OAUTH_AUTHORIZATION_SERVERS, ','),
+	};
+}
+
+export const AUTH_CONFIG = resolveAuthConfig();
+
+/**
+ * Resolves the request quotas of the MCP endpoint, counted per authenticated client or per IP.
+ * RATE_LIMIT=false disables rate limiting. RATE_LIMIT_REQUESTS_PER_MINUTE (default: 120) limits
+ * all requests of a client, RATE_LIMIT_TOOL_CALLS_PER_MINUTE (default: 60) the calls of each
+ * tool, and RATE_LIMIT_TOOLS overrides it per tool as JSON, e.g. {"search_articles": 20}.
+ * TRUST_PROXY sets how many proxies in front of the server append to X-Forwarded-For: the
+ * client IP is the entry added by the outermost of them. `true` means one proxy, which is
+ * also the default on Vercel.
+ * @returns Options for createRateLimiter() together with `enabled` and `trustedProxies`
+ */
+function resolveRateLimitConfig() {
+	const perMinute = (value, fallback) => {
+		const number = Number(value);
+		return Number.isFinite(number) && number > 0 ? number : fallback;
+	};
+	const trustedProxies = (value) => {
+		const fallback = process.env.VERCEL ? 1 : 0;
+		if (!value) return fallback;
+		if (value === 'true' || value === 'false') return value === 'true' ? 1 : 0;
+		const count = Number(value);
+		if (Number.isInteger(count) && count >= 0) return count;
+		logger.warn('Ignoring invalid TRUST_PROXY', { value });
+		return fallback;
+	};
+
+	let tools = {};
+	if (process.env.RATE_LIMIT_TOOLS) {
+		try {
+			tools = Object.fromEntries(
+				Object.entries(JSON.parse(process.env.RATE_LIMIT_TOOLS))
+					.map(([name, limit]) => [name, perMinute(limit, undefined)])
+					.filter(([, limit]) => limit !== undefined)
+			);
+		} catch {
+			logger.warn('Ignoring invalid RATE_LIMIT_TOOLS', { value: process.env.RATE_LIMIT_TOOLS });
+		}
+	}
+
+	return {
+		enabled: process.env.RATE_LIMIT !== 'false',
+		requestsPerMinute: perMinute(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE, 120),
+		toolCallsPerMinute: perMinute(process.env.RATE_LIMIT_TOOL_CALLS_PER_MINUTE, 60),
+		tools,
+		trustedProxies: trustedProxies(process.env.TRUST_PROXY?.trim()),
+	};
+}
+
+export const RATE_LIMIT_CONFIG = resolveRateLimitConfig();
+
+/**
+ * Resolves where OpenTelemetry spans of requests and tool calls are exported, using the
+ * standard OTEL_* variables. OTEL_TRACES_EXPORTER selects 'none' (default), 'file' or 'otlp'.
+ * file: OTEL_TRACES_FILE is the JSON lines file (default: traces.jsonl).
+ * otlp: OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or to /v1/traces under
+ * OTEL_EXPORTER_OTLP_ENDPOINT (default: http://localhost:4318), with the "key=value" pairs of
+ * OTEL_EXPORTER_OTLP_HEADERS. OTEL_SERVICE_NAME names the service (default: unic-mcp-server).
+ * @returns Options for createTracer()
+ */
+function resolveTracingConfig() {
+	const endpoint = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT?.trim() || 'http://localhost:4318')
+		.replace(/\/+$/, '');
+
+	return {
+		exporter: process.env.OTEL_TRACES_EXPORTER?.trim().toLowerCase() || 'none',
+		file: process.env.OTEL_TRACES_FILE?.trim() || 'traces.jsonl',
+		url: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT?.trim() || `${endpoint}/v1/traces`,
+		headers: Object.fromEntries(
+			(process.env.OTEL_EXPORTER_OTLP_HEADERS ?? '')
+				.split(',')
+				.map((entry) => entry.split('=').map((part) => decodeURIComponent(part.trim())))
+				.filter(([key, value]) => key && value !== undefined)
+		),
+		serviceName: process.env.OTEL_SERVICE_NAME?.trim() || 'unic-mcp-server',
+	};
+}
+
+export const TRACING_CONFIG = resolveTracingConfig();
+
+/**
+ * Resolves how long the standalone server waits for requests in flight when it receives
+ * SIGTERM or SIGINT. SHUTDOWN_TIMEOUT_MS defaults to 10 seconds; keep it below the grace
+ * period of the container platform (e.g. 30 seconds on Kubernetes).
+ * @returns Shutdown options for startServer()
+ */
+function resolveShutdownConfig() {
+	const timeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS);
+
+	return {
+		timeoutMs: Number.isFinite(timeoutMs) && timeoutMs >= 0 ? timeoutMs : 10 * 1000,
+	};
+}
+
+export const SHUTDOWN_CONFIG = resolveShutdownConfig();
+
+/**
+ * Resolves the cache of tool results. TOOL_CACHE_SIZE is the number of results kept
+ * (default: 500, 0 disables the cache) and TOOL_CACHE_TTL_MS how long one is reused
+ * (default: 5 minutes). Results are always dropped when the articles are reloaded.
+ * @returns Options for createToolResultCache() together with `enabled`
+ */
+function resolveToolCacheConfig() {
+	const maxEntries = Number(process.env.TOOL_CACHE_SIZE);
+	const ttlMs = Number(process.env.TOOL_CACHE_TTL_MS);
+
+	return {
+		enabled: process.env.TOOL_CACHE_SIZE?.trim() !== '0',
+		maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : 500,
+		ttlMs: Number.isFinite(ttlMs) && ttlMs > 0 ? ttlMs : 5 * 60 * 1000,
+	};
+}
+
+export const TOOL_CACHE_CONFIG = resolveToolCacheConfig();
+
+/**
+ * Resolves the fixed "now" for relative date filters from REFERENCE_DATE (ISO date or
+ * timestamp), e.g. to get reproducible results for "last quarter" in demos
+ * @returns ISO timestamp, or an empty string to use the current time
+ */
+function resolveReferenceDate() {
+	const value = process.env.REFERENCE_DATE?.trim();
+	if (!value) return '';
+
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		logger.warn('Ignoring invalid REFERENCE_DATE', { value });
+		return '';
+	}
+	return date.toISOString();
+}
+
+CONFIG.REFERENCE_DATE = resolveReferenceDate();
+
 // For Vercel, UI assets are included via includeFiles in vercel.json
 function resolveUIAssetsDir() {
 	if (process.env.UI_ASSETS_DIR) {
@@ -54,7 +330,7 @@ function resolveUIAssetsDir() {
 
 		for (const testPath of possiblePaths) {
 			if (fs.existsSync(testPath)) {
-				console.log('Found UI assets at:', testPath);
+				logger.debug('Found UI assets', { path: testPath });
 				return testPath;
 			}
 		}
@@ -71,75 +347,92 @@ export const UI_ASSETS_DIR = resolveUIAssetsDir();
 export const DEFAULT_PORT = CONFIG.DEFAULT_PORT;
 
 /**
- * Validates that required data files exist before server startup
- * @throws {Error} If required files are missing
+ * Validates that the configured content source is usable before server startup
+ * @param source - The configured ContentSource
+ * @throws {Error} If required files are missing or the source is misconfigured
  */
-export function validateEnvironment() {
-	console.log('Validating environment...');
-	console.log('Current working directory:', process.cwd());
-	console.log('Looking for blog data at:', BLOG_DATA_PATH);
-	console.log('VERCEL env:', process.env.VERCEL);
+export async function validateEnvironment(source) {
+	logger.debug('Validating environment', {
+		cwd: process.cwd(),
+		contentSource: source.type,
+		location: source.describe(),
+		vercel: Boolean(process.env.VERCEL),
+	});
 
-	if (!fs.existsSync(BLOG_DATA_PATH)) {
-		console.error('Blog data file not found at:', BLOG_DATA_PATH);
-		console.error('Checking alternative locations...');
+	if (source.type !== 'file') {
+		await source.check();
+		logger.info('Content source configured', { type: source.type, location: source.describe() });
+		return;
+	}
 
-		// List files in process.cwd() for debugging
-		try {
-			const cwdFiles = fs.readdirSync(process.cwd());
-			console.error('Files in cwd():', cwdFiles.filter((f) => f.endsWith('.json')).slice(0, 10));
-		} catch (e) {
-			console.error('Cannot read process.cwd():', e.message);
-		}
+	if (!fs.existsSync(BLOG_DATA_PATH)) {
+		logger.error('Blog data file not found', { path: BLOG_DATA_PATH });
 
-		// Check /var/task in Vercel
-		if (process.env.VERCEL) {
+		// JSON files in the likely locations, to spot a misplaced data file with LOG_LEVEL=debug
+		const directories = process.env.VERCEL ? [process.cwd(), '/var/task'] : [process.cwd()];
+		for (const directory of directories) {
 			try {
-				const taskFiles = fs.readdirSync('/var/task');
-				console.error(
-					'Files in /var/task:',
-					taskFiles.filter((f) => f.endsWith('.json')).slice(0, 10)
-				);
+				const jsonFiles = fs.readdirSync(directory).filter((f) => f.endsWith('.json'));
+				logger.debug('JSON files next to the expected data file', {
+					directory,
+					files: jsonFiles.slice(0, 10),
+				});
 			} catch (e) {
-				console.error('Cannot read /var/task:', e.message);
+				logger.debug('Cannot read directory', { directory, error: e.message });
 			}
 		}
 
 		throw new Error(`Required blog data file not found: ${BLOG_DATA_PATH}`);
 	}
 
-	console.log('✓ Blog data file found at:', BLOG_DATA_PATH);
+	logger.info('Blog data file found', { path: BLOG_DATA_PATH });
 }
 
 /**
  * Initialize application data and widgets
- * @returns Object containing initialized widgets
+ * @returns Promise resolving to an object containing the content source and initialized widgets
  */
-export function initializeApp() {
+export async function initializeApp() {
+	const contentSource = createContentSource(CONTENT_SOURCE_CONFIG);
+
 	// Validate environment first
-	validateEnvironment();
+	await validateEnvironment(contentSource);
 
 	// Load article data
-	loadMagazineArticles(BLOG_DATA_PATH);
+	const loadReport = await loadMagazineArticles(contentSource);
+	if (loadReport.issues.length > 0) {
+		logger.warn('Article data has issues, use the dataset_health tool for the full report', {
+			issues: summarizeIssues(loadReport).slice(0, 5),
+		});
+	}
 
 	// Initialize widgets
 	const articleListWidget = initializeArticleListWidget(UI_ASSETS_DIR);
 	const articlePreviewWidget = initializeArticlePreviewWidget(UI_ASSETS_DIR);
+	const authorProfileWidget = initializeAuthorProfileWidget(UI_ASSETS_DIR);
 
 	if (articleListWidget) {
-		console.log('✓ Article list widget initialized');
+		logger.info('Article list widget initialized');
 	} else {
-		console.warn('✗ Article list widget not available');
+		logger.warn('Article list widget not available');
 	}
 
 	if (articlePreviewWidget) {
-		console.log('✓ Article preview widget initialized');
+		logger.info('Article preview widget initialized');
+	} else {
+		logger.warn('Article preview widget not available');
+	}
+
+	if (authorProfileWidget) {
+		logger.info('Author profile widget initialized');
 	} else {
-		console.warn('✗ Article preview widget not available');
+		logger.warn('Author profile widget not available');
 	}
 
 	return {
+		contentSource,
 		articleListWidget,
 		articlePreviewWidget,
+		authorProfileWidget,
 	};
 }
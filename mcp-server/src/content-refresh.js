@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadMagazineArticles } from './article-service.js';
+import { isLocalizedSibling, isVectorIndexFile } from './content-sources.js';
+import { logger } from './logger.js';
+
+const WATCH_DEBOUNCE_MS = 250;
+
+/**
+ * Creates a reload function that never runs two loads at once. A reload requested while
+ * another one is running is performed once the current one has finished.
+ * @param source - The ContentSource to reload from
+ * @returns Function that triggers a reload
+ */
+function createReloader(source) {
+	let running = false;
+	let pending = false;
+
+	const reload = async () => {
+		if (running) {
+			pending = true;
+			return;
+		}
+		running = true;
+		try {
+			logger.info('Reloading articles', { source: source.describe() });
+			await loadMagazineArticles(source);
+		} catch (error) {
+			logger.warn('Reload failed, keeping the previous articles', { error });
+		} finally {
+			running = false;
+		}
+		if (pending) {
+			pending = false;
+			await reload();
+		}
+	};
+
+	return reload;
+}
+
+function watchPaths(directory, matches, onChange) {
+	let timer = null;
+	const watcher = fs.watch(directory, (_, filename) => {
+		if (filename && !matches(filename.toString())) return;
+		clearTimeout(timer);
+		timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+	});
+	watcher.on('error', (error) => logger.error('Content watcher failed', { error }));
+
+	return () => {
+		clearTimeout(timer);
+		watcher.close();
+	};
+}
+
+/**
+ * Keeps the article dataset up to date without restarting the server.
+ * Local sources are watched for changes; remote sources are polled.
+ * @param source - The active ContentSource
+ * @param options - { watch: boolean, intervalMs: number } (intervalMs 0 disables polling)
+ * @returns Function that stops watching and polling
+ */
+export function startContentRefresh(source, { watch = true, intervalMs = 0 } = {}) {
+	const reload = createReloader(source);
+	const stops = [];
+
+	if (watch && source.type === 'file') {
+		// Watch the directory: editors and deploys often replace the file instead of writing to it,
+		// and translations live in sibling files
+		stops.push(
+			watchPaths(
+				path.dirname(source.filePath),
+				(name) => isLocalizedSibling(source.filePath, name),
+				reload
+			)
+		);
+	} else if (watch && source.type === 'directory') {
+		stops.push(
+			watchPaths(
+				source.directory,
+				(name) =>
+					(name.endsWith('.json') || name.endsWith('.ndjson')) && !isVectorIndexFile(name),
+				reload
+			)
+		);
+	}
+
+	if (intervalMs > 0) {
+		const interval = setInterval(reload, intervalMs);
+		interval.unref();
+		stops.push(() => clearInterval(interval));
+	}
+
+	return () => stops.forEach((stop) => stop());
+}
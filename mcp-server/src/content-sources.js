@@ -0,0 +1,282 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * A ContentSource provides raw article entries to the loader.
+ *
+ * @typedef {Object} ContentSource
+ * @property {string} type - Adapter type ('file', 'directory' or 'http')
+ * @property {() => string} describe - Human-readable location used in logs and load reports
+ * @property {() => Promise<void>} check - Throws if the source is not reachable or misconfigured
+ * @property {() => Promise<Object[]>} load - Resolves with the raw article entries
+ * @property {string} [vectorIndexPath] - Where the semantic search index is stored, if anywhere
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_HTTP_TIMEOUT_MS = 10000;
+
+// Matches "<name>.<locale>.json", e.g. blogposts.en.json or blogposts.de-CH.ndjson
+const LOCALIZED_FILE_PATTERN = /^(.+)\.([a-z]{2}(?:[-_][a-z]{2})?)\.(json|ndjson)$/i;
+
+// The semantic search index is stored next to the data, e.g. blogposts.vector-index.json
+const VECTOR_INDEX_SUFFIX = '.vector-index.json';
+
+/**
+ * Checks whether a file is a stored vector index rather than article data
+ * @param fileName - Name of the file
+ * @returns true for *.vector-index.json files
+ */
+export function isVectorIndexFile(fileName) {
+	return fileName.endsWith(VECTOR_INDEX_SUFFIX);
+}
+
+/**
+ * Extracts the locale from a localized data file name
+ * @param filePath - Path or file name such as "blogposts.de.json"
+ * @returns The locale ("de"), or null if the name carries none
+ */
+export function localeFromFileName(filePath) {
+	return path.basename(filePath).match(LOCALIZED_FILE_PATTERN)?.[2] ?? null;
+}
+
+function withLocale(entries, locale) {
+	if (!locale) return entries;
+	return entries.map((entry) =>
+		entry && typeof entry === 'object' && !entry.locale ? { ...entry, locale } : entry
+	);
+}
+
+function parseNdjson(contents, filePath) {
+	return contents
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line.length > 0)
+		.map((line, index) => {
+			try {
+				return JSON.parse(line);
+			} catch (error) {
+				throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}: ${error.message}`);
+			}
+		});
+}
+
+// Entries without a `locale` field take the locale from the file name
+function readEntriesFromFile(filePath) {
+	const contents = fs.readFileSync(filePath, 'utf8');
+	const locale = localeFromFileName(filePath);
+	if (filePath.endsWith('.ndjson')) {
+		return withLocale(parseNdjson(contents, filePath), locale);
+	}
+	const parsed = JSON.parse(contents);
+	return withLocale(Array.isArray(parsed) ? parsed : [parsed], locale);
+}
+
+/**
+ * Checks whether a file belongs to the same localized dataset as the data file,
+ * e.g. blogposts.de.json for blogposts.en.json
+ * @param filePath - Path to the configured data file
+ * @param fileName - Name of the file to check
+ * @returns True for the data file itself and its translations
+ */
+export function isLocalizedSibling(filePath, fileName) {
+	const own = path.basename(filePath);
+	if (fileName === own) return true;
+	const match = own.match(LOCALIZED_FILE_PATTERN);
+	const other = fileName.match(LOCALIZED_FILE_PATTERN);
+	return Boolean(match && other && match[1] === other[1] && match[3] === other[3]);
+}
+
+// blogposts.en.json also pulls in blogposts.de.json, blogposts.fr.json, ...
+function listLocalizedSiblings(filePath) {
+	const siblings = fs
+		.readdirSync(path.dirname(filePath))
+		.filter((file) => file !== path.basename(filePath) && isLocalizedSibling(filePath, file))
+		.sort()
+		.map((file) => path.join(path.dirname(filePath), file));
+	return [filePath, ...siblings];
+}
+
+/**
+ * Reads all articles from a JSON (array) or NDJSON file. A localized file such as
+ * blogposts.en.json is read together with its siblings for other locales.
+ * @param filePath - Path to the data file
+ * @returns ContentSource
+ */
+export function createFileSource(filePath) {
+	const name = path
+		.basename(filePath)
+		.replace(LOCALIZED_FILE_PATTERN, '$1')
+		.replace(/\.[^.]+$/, '');
+	return {
+		type: 'file',
+		filePath,
+		vectorIndexPath: path.join(path.dirname(filePath), `${name}${VECTOR_INDEX_SUFFIX}`),
+		describe: () => {
+			const match = path.basename(filePath).match(LOCALIZED_FILE_PATTERN);
+			return match ? path.join(path.dirname(filePath), `${match[1]}.*.${match[3]}`) : filePath;
+		},
+		async check() {
+			if (!fs.existsSync(filePath)) {
+				throw new Error(`Blog data file not found: ${filePath}`);
+			}
+		},
+		async load() {
+			await this.check();
+			return listLocalizedSiblings(filePath).flatMap(readEntriesFromFile);
+		},
+	};
+}
+
+/**
+ * Reads articles from every .json and .ndjson file in a directory, in file name order.
+ * JSON files may contain a single article or an array of articles; localized file names
+ * (articles.de.json) set the locale of their entries.
+ * @param directory - Path to the directory
+ * @returns ContentSource
+ */
+export function createDirectorySource(directory) {
+	const listDataFiles = () =>
+		fs
+			.readdirSync(directory)
+			.filter((file) => file.endsWith('.json') || file.endsWith('.ndjson'))
+			.filter((file) => !isVectorIndexFile(file))
+			.sort()
+			.map((file) => path.join(directory, file));
+
+	return {
+		type: 'directory',
+		directory,
+		vectorIndexPath: path.join(directory, `articles${VECTOR_INDEX_SUFFIX}`),
+		describe: () => `${directory}${path.sep}*.{json,ndjson}`,
+		async check() {
+			if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+				throw new Error(`Content directory not found: ${directory}`);
+			}
+			if (listDataFiles().length === 0) {
+				throw new Error(`Content directory contains no .json or .ndjson files: ${directory}`);
+			}
+		},
+		async load() {
+			await this.check();
+			return listDataFiles().flatMap(readEntriesFromFile);
+		},
+	};
+}
+
+/**
+ * Reads articles from a Contentful-style paginated HTTP endpoint.
+ * Each page is requested with `skip` and `limit` query parameters and must answer
+ * `{ items, total }`. Contentful entries (`{ sys, fields }`) are unwrapped to their fields,
+ * keeping `sys.id` as `id` so translations can be linked. With `locales`, the collection
+ * is fetched once per locale using the `locale` query parameter.
+ * @param options - { url, accessToken, locales, pageSize, timeoutMs, fetch }
+ * @returns ContentSource
+ */
+export function createHttpSource({
+	url,
+	accessToken,
+	locales = [],
+	pageSize = DEFAULT_PAGE_SIZE,
+	timeoutMs = DEFAULT_HTTP_TIMEOUT_MS,
+	fetch: fetchImpl = globalThis.fetch,
+}) {
+	const fetchPage = async (skip, locale) => {
+		const pageUrl = new URL(url);
+		pageUrl.searchParams.set('skip', String(skip));
+		pageUrl.searchParams.set('limit', String(pageSize));
+		if (locale) pageUrl.searchParams.set('locale', locale);
+
+		const response = await fetchImpl(pageUrl, {
+			headers: {
+				accept: 'application/json',
+				...(accessToken ? { authorization: `Bearer ${accessToken}` } : {}),
+			},
+			signal: AbortSignal.timeout(timeoutMs),
+		});
+		if (!response.ok) {
+			throw new Error(
+				`Content request failed with HTTP ${response.status}: ${pageUrl.origin}${pageUrl.pathname}`
+			);
+		}
+
+		const page = await response.json();
+		if (!Array.isArray(page?.items)) {
+			throw new Error(
+				`Unexpected response from ${pageUrl.origin}${pageUrl.pathname}: missing "items" array`
+			);
+		}
+		return page;
+	};
+
+	const loadCollection = async (locale) => {
+		const entries = [];
+
+		for (;;) {
+			const page = await fetchPage(entries.length, locale);
+			entries.push(
+				...page.items.map((item) => (item?.fields ? { id: item.sys?.id, ...item.fields } : item))
+			);
+
+			// Without a total, a short page marks the end of the collection
+			const isLastPage = Number.isFinite(page.total)
+				? entries.length >= page.total
+				: page.items.length < pageSize;
+			if (page.items.length === 0 || isLastPage) {
+				return entries;
+			}
+		}
+	};
+
+	return {
+		type: 'http',
+		url,
+		describe: () => {
+			const { origin, pathname } = new URL(url);
+			return `${origin}${pathname}`;
+		},
+		async check() {
+			const parsed = new URL(url);
+			if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+				throw new Error(`Content URL must use http or https: ${url}`);
+			}
+		},
+		async load() {
+			await this.check();
+			const entries = [];
+			for (const locale of locales.length > 0 ? locales : [undefined]) {
+				entries.push(...withLocale(await loadCollection(locale), locale));
+			}
+			return entries;
+		},
+	};
+}
+
+/**
+ * Creates the content source selected by configuration
+ * @param config - { type, filePath, directory, url, accessToken, locales, pageSize, timeoutMs,
+ *   vectorIndexPath }
+ * @returns ContentSource
+ * @throws {Error} If the type is unknown or a required option is missing
+ */
+export function createContentSource(config) {
+	const source = createSourceAdapter(config);
+	if (config.vectorIndexPath) {
+		source.vectorIndexPath = config.vectorIndexPath;
+	}
+	return source;
+}
+
+function createSourceAdapter(config) {
+	switch (config.type) {
+		case 'file':
+			return createFileSource(config.filePath);
+		case 'directory':
+			if (!config.directory) throw new Error('CONTENT_DIR is required for the directory source');
+			return createDirectorySource(config.directory);
+		case 'http':
+			if (!config.url) throw new Error('CONTENT_URL is required for the http source');
+			return createHttpSource(config);
+		default:
+			throw new Error(`Unknown content source type: ${config.type}`);
+	}
+}
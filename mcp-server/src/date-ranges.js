@@ -0,0 +1,240 @@
+// Parses date filters such as "2024-03-15", "March 2024", "last quarter", "past 6 months",
+// "since March 2024" or "between 2023 and Q2 2024" into UTC date ranges.
+// Relative expressions are resolved against an explicit "now", so results are deterministic.
+
+import { ValidationError } from './errors.js';
+
+export const DATE_RANGE_EXAMPLES = [
+	'ISO dates (2024-03-15, 2024-03, 2024)',
+	'months (March 2024, Mar 2024)',
+	'quarters (Q1 2024)',
+	'calendar periods (today, yesterday, this week, last month, last quarter, this year)',
+	'rolling periods (past 6 months, last 30 days, past 2 years)',
+	'open ranges (since March 2024, after 2023, before 2024, until Q2 2025)',
+	'combined ranges (between January 2024 and June 2024, 2023 to 2024)',
+];
+
+const MONTHS = [
+	'january',
+	'february',
+	'march',
+	'april',
+	'may',
+	'june',
+	'july',
+	'august',
+	'september',
+	'october',
+	'november',
+	'december',
+];
+
+const UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Thrown when a date filter cannot be parsed; the hint lists the accepted formats
+ */
+export class InvalidDateRangeError extends ValidationError {
+	constructor(message) {
+		super(`${message}.`, {
+			code: 'invalid_date',
+			hint: `Use one of the accepted formats: ${DATE_RANGE_EXAMPLES.join('; ')}.`,
+			details: { acceptedFormats: DATE_RANGE_EXAMPLES },
+		});
+		this.name = 'InvalidDateRangeError';
+	}
+}
+
+function monthIndex(name) {
+	const lower = name.toLowerCase();
+	if (lower.length < 3) return -1;
+	return MONTHS.findIndex((month) => month.startsWith(lower));
+}
+
+function utcDate(year, month, day = 1) {
+	return new Date(Date.UTC(year, month, day));
+}
+
+// Last millisecond before `date`
+function justBefore(date) {
+	return new Date(date.getTime() - 1);
+}
+
+function addUnits(date, unit, amount) {
+	const result = new Date(date);
+	if (unit === 'day') result.setUTCDate(result.getUTCDate() + amount);
+	if (unit === 'week') result.setUTCDate(result.getUTCDate() + 7 * amount);
+	if (unit === 'month') result.setUTCMonth(result.getUTCMonth() + amount);
+	if (unit === 'quarter') result.setUTCMonth(result.getUTCMonth() + 3 * amount);
+	if (unit === 'year') result.setUTCFullYear(result.getUTCFullYear() + amount);
+	return result;
+}
+
+// Calendar period (weeks start on Monday) that contains `date`
+function periodContaining(date, unit) {
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth();
+	let start;
+	if (unit === 'day') start = utcDate(year, month, date.getUTCDate());
+	if (unit === 'week') {
+		const day = utcDate(year, month, date.getUTCDate());
+		start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+	}
+	if (unit === 'month') start = utcDate(year, month);
+	if (unit === 'quarter') start = utcDate(year, month - (month % 3));
+	if (unit === 'year') start = utcDate(year, 0);
+	return { start, end: justBefore(addUnits(start, unit, 1)) };
+}
+
+function singularUnit(word) {
+	const unit = word.toLowerCase().replace(/s$/, '');
+	return UNITS.includes(unit) ? unit : null;
+}
+
+// A single period such as "2024", "Q1 2024", "March 2024", "2024-03-15" or "last month"
+function parsePeriod(text, now) {
+	const value = text.trim().toLowerCase();
+	let match;
+
+	if (value === 'today' || value === 'now') return periodContaining(now, 'day');
+	if (value === 'yesterday') return periodContaining(addUnits(now, 'day', -1), 'day');
+
+	if ((match = value.match(/^(this|current|last|previous|past)\s+(\w+)$/))) {
+		const unit = singularUnit(match[2]);
+		if (unit && !match[2].endsWith('s')) {
+			const offset = match[1] === 'this' || match[1] === 'current' ? 0 : -1;
+			return periodContaining(addUnits(now, unit, offset), unit);
+		}
+	}
+
+	// Rolling window up to and including today
+	if ((match = value.match(/^(?:last|past|previous)\s+(\d+)\s+(\w+)$/))) {
+		const unit = singularUnit(match[2]);
+		const amount = Number(match[1]);
+		if (unit && amount > 0) {
+			const today = periodContaining(now, 'day');
+			return { start: addUnits(today.start, unit, -amount), end: today.end };
+		}
+	}
+
+	if ((match = value.match(/^(\d{4})$/))) {
+		return periodContaining(utcDate(Number(match[1]), 0), 'year');
+	}
+
+	if ((match = value.match(/^q([1-4])\s*(\d{4})$/) ?? value.match(/^(\d{4})\s*q([1-4])$/))) {
+		const [quarter, year] = value.startsWith('q') ? [match[1], match[2]] : [match[2], match[1]];
+		return periodContaining(utcDate(Number(year), (Number(quarter) - 1) * 3), 'quarter');
+	}
+
+	if ((match = value.match(/^(\d{4})-(\d{2})$/))) {
+		const month = Number(match[2]) - 1;
+		if (month >= 0 && month < 12) {
+			return periodContaining(utcDate(Number(match[1]), month), 'month');
+		}
+	}
+
+	if ((match = value.match(/^([a-z]+)\.?,?\s+(\d{4})$/))) {
+		const month = monthIndex(match[1]);
+		if (month >= 0) return periodContaining(utcDate(Number(match[2]), month), 'month');
+	}
+
+	if ((match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+		const date = utcDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+		// Rejects overflowing dates such as 2024-02-31
+		if (date.toISOString().startsWith(value)) return periodContaining(date, 'day');
+	}
+
+	// Full ISO timestamps are taken as an exact instant
+	if (/^\d{4}-\d{2}-\d{2}t[\d:.]+(z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+		const date = new Date(text.trim());
+		if (!Number.isNaN(date.getTime())) return { start: date, end: date };
+	}
+
+	return null;
+}
+
+/**
+ * Parses a date range expression
+ * @param expression - A period ("2023", "last quarter", "past 6 months"), an open range
+ *   ("since March 2024", "before 2023") or a combined range ("between 2023 and Q2 2024")
+ * @param now - Reference time for relative expressions (default: the current time)
+ * @returns Object with `start` and `end` Dates (inclusive); either may be null for open ranges
+ * @throws {InvalidDateRangeError} If the expression is not understood
+ */
+export function parseDateRange(expression, now = new Date()) {
+	const value = String(expression ?? '').trim();
+	if (!value) {
+		throw new InvalidDateRangeError('Empty date');
+	}
+
+	const lower = value.toLowerCase();
+	let match;
+	let range;
+
+	if ((match = lower.match(/^(?:between|from)\s+(.+?)\s+(?:and|to|until)\s+(.+)$/))) {
+		range = { start: parsePeriod(match[1], now)?.start, end: parsePeriod(match[2], now)?.end };
+	} else if ((match = lower.match(/^(since|from|after|before|until|till|up to)\s+(.+)$/))) {
+		const period = parsePeriod(match[2], now);
+		if (period) {
+			range = {
+				since: { start: period.start, end: null },
+				from: { start: period.start, end: null },
+				after: { start: new Date(period.end.getTime() + 1), end: null },
+				before: { start: null, end: justBefore(period.start) },
+				until: { start: null, end: period.end },
+				till: { start: null, end: period.end },
+				'up to': { start: null, end: period.end },
+			}[match[1]];
+		}
+	} else if ((match = lower.match(/^(.+?)\s+(?:to|until|-|–)\s+(.+)$/))) {
+		range = { start: parsePeriod(match[1], now)?.start, end: parsePeriod(match[2], now)?.end };
+	} else {
+		range = parsePeriod(value, now);
+	}
+
+	if (!range || range.start === undefined || range.end === undefined) {
+		throw new InvalidDateRangeError(`Unrecognized date "${value}"`);
+	}
+	if (range.start && range.end && range.start > range.end) {
+		throw new InvalidDateRangeError(`Date range "${value}" ends before it starts`);
+	}
+	return range;
+}
+
+/**
+ * Combines a range expression with explicit start and end dates. Each may be any expression
+ * understood by parseDateRange(); `startDate` contributes its start and `endDate` its end,
+ * so endDate "March 2024" includes all of March.
+ * @param filters - { range, startDate, endDate }, all optional
+ * @param now - Reference time for relative expressions (default: the current time)
+ * @returns Object with `start` and `end` Dates (inclusive), null where unbounded
+ * @throws {InvalidDateRangeError} If an expression is invalid or the range is empty
+ */
+export function resolveDateRange({ range, startDate, endDate } = {}, now = new Date()) {
+	const base = range ? parseDateRange(range, now) : { start: null, end: null };
+	const start = startDate ? parseDateRange(startDate, now).start : null;
+	const end = endDate ? parseDateRange(endDate, now).end : null;
+
+	const resolved = {
+		start: [base.start, start].filter(Boolean).sort((a, b) => b - a)[0] ?? null,
+		end: [base.end, end].filter(Boolean).sort((a, b) => a - b)[0] ?? null,
+	};
+	if (resolved.start && resolved.end && resolved.start > resolved.end) {
+		throw new InvalidDateRangeError('The start date is after the end date');
+	}
+	return resolved;
+}
+
+/**
+ * Formats a resolved range for tool output
+ * @param range - Object with `start` and `end` Dates
+ * @returns Text such as "between 2024-01-01 and 2024-03-31" or "from all time"
+ */
+export function describeDateRange({ start, end }) {
+	const day = (date) => date.toISOString().slice(0, 10);
+	if (start && end) return `between ${day(start)} and ${day(end)}`;
+	if (start) return `from ${day(start)} onwards`;
+	if (end) return `until ${day(end)}`;
+	return 'from all time';
+}
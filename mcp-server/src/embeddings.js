@@ -0,0 +1,320 @@
+import { isStopword, tokenize } from './search-index.js';
+
+// Latent semantic analysis: terms that occur in similar passages end up close together,
+// so "productive teams" can match passages about collaboration or efficiency.
+// Training is a seeded randomized SVD over the corpus, so it is deterministic and runs
+// offline on a CPU in well under a second for a few thousand passages.
+export const EMBEDDING_MODEL_NAME = 'lsa-v1';
+
+const DEFAULT_DIMENSIONS = 64;
+const OVERSAMPLING = 10;
+const POWER_ITERATIONS = 2;
+const MIN_DOCUMENT_FREQUENCY = 2;
+const MAX_DOCUMENT_RATIO = 0.5;
+const RANDOM_SEED = 0x5eed;
+const JACOBI_MAX_SWEEPS = 60;
+
+// mulberry32: small deterministic PRNG
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function countTerms(text) {
+	const counts = new Map();
+	for (const token of tokenize(text)) {
+		if (token.length < 2 || isStopword(token)) continue;
+		counts.set(token, (counts.get(token) ?? 0) + 1);
+	}
+	return counts;
+}
+
+// Sparse, L2-normalized TF-IDF vector of a passage over the model vocabulary
+function weightTerms(counts, termIndex, idf) {
+	const indices = [];
+	const values = [];
+	for (const [term, count] of counts) {
+		const index = termIndex.get(term);
+		if (index === undefined) continue;
+		indices.push(index);
+		values.push((1 + Math.log(count)) * idf[index]);
+	}
+	const norm = Math.hypot(...values) || 1;
+	return { indices, values: values.map((value) => value / norm) };
+}
+
+// A · X, with A given as sparse columns and X as `rank` dense vectors over the columns
+function multiply(columns, vectors, rows) {
+	return vectors.map((vector) => {
+		const result = new Float64Array(rows);
+		columns.forEach(({ indices, values }, column) => {
+			const factor = vector[column];
+			if (factor === 0) return;
+			indices.forEach((row, position) => {
+				result[row] += values[position] * factor;
+			});
+		});
+		return result;
+	});
+}
+
+// Aᵀ · Y
+function multiplyTransposed(columns, vectors) {
+	return vectors.map((vector) =>
+		Float64Array.from(columns, ({ indices, values }) =>
+			indices.reduce((sum, row, position) => sum + values[position] * vector[row], 0)
+		)
+	);
+}
+
+function dot(a, b) {
+	let sum = 0;
+	for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+	return sum;
+}
+
+// Modified Gram-Schmidt; linearly dependent vectors become zero vectors
+function orthonormalize(vectors) {
+	vectors.forEach((vector, index) => {
+		for (let previous = 0; previous < index; previous++) {
+			const projection = dot(vector, vectors[previous]);
+			for (let i = 0; i < vector.length; i++) vector[i] -= projection * vectors[previous][i];
+		}
+		const norm = Math.sqrt(dot(vector, vector));
+		for (let i = 0; i < vector.length; i++) vector[i] = norm > 1e-10 ? vector[i] / norm : 0;
+	});
+	return vectors;
+}
+
+// Cyclic Jacobi eigenvalue algorithm for a small symmetric matrix
+function eigenSymmetric(matrix) {
+	const size = matrix.length;
+	const a = matrix.map((row) => Float64Array.from(row));
+	const v = Array.from({ length: size }, (_, i) =>
+		Float64Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+	);
+
+	for (let sweep = 0; sweep < JACOBI_MAX_SWEEPS; sweep++) {
+		let offDiagonal = 0;
+		for (let p = 0; p < size; p++) {
+			for (let q = p + 1; q < size; q++) offDiagonal += a[p][q] ** 2;
+		}
+		if (offDiagonal < 1e-20) break;
+
+		for (let p = 0; p < size; p++) {
+			for (let q = p + 1; q < size; q++) {
+				if (Math.abs(a[p][q]) < 1e-15) continue;
+				const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+				const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				const c = 1 / Math.sqrt(t * t + 1);
+				const s = t * c;
+				for (let k = 0; k < size; k++) {
+					const akp = a[k][p];
+					const akq = a[k][q];
+					a[k][p] = c * akp - s * akq;
+					a[k][q] = s * akp + c * akq;
+				}
+				for (let k = 0; k < size; k++) {
+					const apk = a[p][k];
+					const aqk = a[q][k];
+					a[p][k] = c * apk - s * aqk;
+					a[q][k] = s * apk + c * aqk;
+				}
+				for (let k = 0; k < size; k++) {
+					const vkp = v[k][p];
+					const vkq = v[k][q];
+					v[k][p] = c * vkp - s * vkq;
+					v[k][q] = s * vkp + c * vkq;
+				}
+			}
+		}
+	}
+
+	return Array.from({ length: size }, (_, i) => ({
+		value: a[i][i],
+		vector: Float64Array.from(v, (row) => row[i]),
+	})).sort((x, y) => y.value - x.value);
+}
+
+function createModel(vocabulary, idf, termVectors, dimensions) {
+	return {
+		name: EMBEDDING_MODEL_NAME,
+		dimensions,
+		vocabulary,
+		termIndex: new Map(vocabulary.map((term, index) => [term, index])),
+		idf,
+		termVectors,
+	};
+}
+
+/**
+ * Trains a deterministic embedding model on a corpus of passages
+ * @param texts - Passages to learn term relationships from (typically article chunks)
+ * @param options - { dimensions } (default: 64)
+ * @returns Embedding model for embedText()
+ */
+export function trainEmbeddingModel(texts, { dimensions = DEFAULT_DIMENSIONS } = {}) {
+	const counts = texts.map(countTerms);
+	const documentFrequency = new Map();
+	for (const termCounts of counts) {
+		for (const term of termCounts.keys()) {
+			documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+		}
+	}
+
+	// Terms seen only once carry no co-occurrence signal; very common ones carry no meaning
+	const maxFrequency = Math.max(MIN_DOCUMENT_FREQUENCY, texts.length * MAX_DOCUMENT_RATIO);
+	const vocabulary = [...documentFrequency]
+		.filter(([, frequency]) => frequency >= MIN_DOCUMENT_FREQUENCY && frequency <= maxFrequency)
+		.map(([term]) => term)
+		.sort();
+	const termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+	const idf = Float64Array.from(
+		vocabulary,
+		(term) => Math.log(texts.length / documentFrequency.get(term)) + 1
+	);
+	const columns = counts.map((termCounts) => weightTerms(termCounts, termIndex, idf));
+
+	const rank = Math.min(dimensions + OVERSAMPLING, vocabulary.length, texts.length);
+	if (rank === 0) {
+		return createModel(vocabulary, idf, new Float32Array(0), 0);
+	}
+
+	// Randomized range finder with power iterations
+	const random = createRandom(RANDOM_SEED);
+	const probes = Array.from({ length: rank }, () =>
+		Float64Array.from({ length: texts.length }, () => random() * 2 - 1)
+	);
+	let range = orthonormalize(multiply(columns, probes, vocabulary.length));
+	for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+		const back = orthonormalize(multiplyTransposed(columns, range));
+		range = orthonormalize(multiply(columns, back, vocabulary.length));
+	}
+
+	// Eigen-decompose the small (Qᵀ A)(Qᵀ A)ᵀ to get the left singular vectors
+	const projected = multiplyTransposed(columns, range);
+	const gram = projected.map((a) => projected.map((b) => dot(a, b)));
+	const components = eigenSymmetric(gram)
+		.filter(({ value }) => value > 1e-10)
+		.slice(0, dimensions);
+
+	const size = components.length;
+	const termVectors = new Float32Array(vocabulary.length * size);
+	components.forEach(({ vector }, component) => {
+		for (let term = 0; term < vocabulary.length; term++) {
+			let value = 0;
+			for (let j = 0; j < rank; j++) value += vector[j] * range[j][term];
+			termVectors[term * size + component] = value;
+		}
+	});
+
+	return createModel(vocabulary, idf, termVectors, size);
+}
+
+/**
+ * Embeds a text with a trained model
+ * @param model - Model from trainEmbeddingModel() or deserializeEmbeddingModel()
+ * @param text - Query or passage
+ * @returns L2-normalized vector, or null if the text shares no terms with the model
+ */
+export function embedText(model, text) {
+	const { indices, values } = weightTerms(countTerms(text), model.termIndex, model.idf);
+	if (indices.length === 0 || model.dimensions === 0) return null;
+
+	const vector = new Float32Array(model.dimensions);
+	indices.forEach((term, position) => {
+		const offset = term * model.dimensions;
+		for (let i = 0; i < model.dimensions; i++) {
+			vector[i] += values[position] * model.termVectors[offset + i];
+		}
+	});
+
+	const norm = Math.sqrt(dot(vector, vector));
+	if (norm < 1e-10) return null;
+	return vector.map((value) => value / norm);
+}
+
+/**
+ * Cosine similarity of two L2-normalized vectors
+ * @returns Value between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+	return dot(a, b);
+}
+
+/**
+ * Packs vectors as int8 with one scale per vector, base64-encoded
+ * @param vectors - Flat Float32Array of consecutive vectors
+ * @param dimensions - Length of each vector
+ * @returns Object with `scales` and base64 `data`
+ */
+export function encodeVectors(vectors, dimensions) {
+	const count = dimensions > 0 ? vectors.length / dimensions : 0;
+	const bytes = new Int8Array(vectors.length);
+	const scales = [];
+	for (let row = 0; row < count; row++) {
+		const offset = row * dimensions;
+		let max = 0;
+		for (let i = 0; i < dimensions; i++) max = Math.max(max, Math.abs(vectors[offset + i]));
+		const scale = max / 127 || 1;
+		scales.push(Number(scale.toPrecision(6)));
+		for (let i = 0; i < dimensions; i++) {
+			bytes[offset + i] = Math.round(vectors[offset + i] / scales[row]);
+		}
+	}
+	return { scales, data: Buffer.from(bytes.buffer).toString('base64') };
+}
+
+/**
+ * Unpacks vectors written by encodeVectors()
+ * @param encoded - Object with `scales` and base64 `data`
+ * @param dimensions - Length of each vector
+ * @returns Flat Float32Array of consecutive vectors
+ */
+export function decodeVectors(encoded, dimensions) {
+	const buffer = Buffer.from(encoded.data, 'base64');
+	const bytes = new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+	return Float32Array.from(
+		bytes,
+		(value, index) => value * encoded.scales[Math.floor(index / dimensions)]
+	);
+}
+
+/**
+ * Converts a model to plain JSON for the on-disk vector index
+ * @param model - Trained model
+ * @returns JSON-serializable object
+ */
+export function serializeEmbeddingModel(model) {
+	return {
+		name: model.name,
+		dimensions: model.dimensions,
+		vocabulary: model.vocabulary,
+		idf: Array.from(model.idf, (value) => Number(value.toFixed(4))),
+		termVectors: encodeVectors(model.termVectors, model.dimensions),
+	};
+}
+
+/**
+ * Restores a model written by serializeEmbeddingModel()
+ * @param data - Parsed JSON
+ * @returns Embedding model
+ * @throws {Error} If the data was written by a different model
+ */
+export function deserializeEmbeddingModel(data) {
+	if (data?.name !== EMBEDDING_MODEL_NAME) {
+		throw new Error(`Unsupported embedding model: ${data?.name}`);
+	}
+	return createModel(
+		data.vocabulary,
+		Float64Array.from(data.idf),
+		decodeVectors(data.termVectors, data.dimensions),
+		data.dimensions
+	);
+}
@@ -0,0 +1,129 @@
+// Errors a tool reports to the model as a result with `isError` set, instead of failing the
+// request. Every error has a machine-readable `code` and a `hint` on how to recover.
+
+/**
+ * Base class of tool errors
+ * @param message - What went wrong, shown to the model
+ * @param options - { code, hint, retryable, details, cause } where `details` are additional
+ *   structured fields, e.g. the accepted values
+ */
+export class ToolError extends Error {
+	constructor(message, { code = 'tool_error', hint, retryable = false, details = {}, cause } = {}) {
+		super(message, { cause });
+		this.name = 'ToolError';
+		this.code = code;
+		this.hint = hint;
+		this.retryable = retryable;
+		this.details = details;
+	}
+}
+
+/**
+ * Thrown for arguments the model can correct itself, e.g. an unknown topic or a malformed date
+ */
+export class ValidationError extends ToolError {
+	constructor(message, { code = 'invalid_input', hint, details } = {}) {
+		super(message, {
+			code,
+			hint: hint ?? 'Correct the arguments and call the tool again.',
+			details,
+		});
+		this.name = 'ValidationError';
+	}
+}
+
+/**
+ * Thrown when the article, author or other item a tool was asked for does not exist
+ */
+export class NotFoundError extends ToolError {
+	constructor(message, { code = 'not_found', hint, details } = {}) {
+		super(message, {
+			code,
+			hint: hint ?? 'Use search_articles to find what you are looking for.',
+			details,
+		});
+		this.name = 'NotFoundError';
+	}
+}
+
+/**
+ * Thrown when a client has used up its budget for a tool
+ * @param options - { tool, limitPerMinute, retryAfterSeconds }
+ */
+export class RateLimitError extends ToolError {
+	constructor(message, { tool, limitPerMinute, retryAfterSeconds }) {
+		super(message, {
+			code: 'rate_limited',
+			hint: `Wait ${retryAfterSeconds} second(s) before calling ${tool} again.`,
+			retryable: true,
+			details: { tool, limitPerMinute, retryAfterSeconds },
+		});
+		this.name = 'RateLimitError';
+	}
+}
+
+/**
+ * Thrown when no article data is loaded, e.g. because the content source is unreachable
+ */
+export class DataUnavailableError extends ToolError {
+	constructor(message, { cause } = {}) {
+		super(message, {
+			code: 'data_unavailable',
+			hint: 'The article data is temporarily unavailable. Try again in a minute.',
+			retryable: true,
+			cause,
+		});
+		this.name = 'DataUnavailableError';
+	}
+}
+
+/**
+ * Stands in for unexpected errors, whose messages may reveal internals and are only logged
+ * @param requestId - Id of the failed request, which operators find in the logs
+ */
+export class InternalError extends ToolError {
+	constructor({ requestId, cause } = {}) {
+		super('The tool failed unexpectedly.', {
+			code: 'internal_error',
+			hint: 'Try again. If the error persists, answer without this tool.',
+			retryable: true,
+			details: requestId ? { requestId } : {},
+			cause,
+		});
+		this.name = 'InternalError';
+	}
+}
+
+/**
+ * Turns an error thrown by a tool into a tool result. Errors other than ToolErrors become an
+ * InternalError.
+ * @param error - The thrown error
+ * @param requestId - Id of the request, reported for unexpected errors
+ * @returns Tool result with `isError` set and { code, message, hint, retryable, ...details }
+ *   as `_meta.error`. Clients validate `structuredContent` against the output schema of the
+ *   tool even for errors, so it is left out.
+ */
+export function createToolErrorResult(error, requestId) {
+	const toolError =
+		error instanceof ToolError ? error : new InternalError({ requestId, cause: error });
+	const { code, message, hint, retryable, details } = toolError;
+
+	return {
+		isError: true,
+		content: [
+			{
+				type: 'text',
+				text: hint ? `${message}\n\nHint: ${hint}` : message,
+			},
+		],
+		_meta: {
+			error: {
+				code,
+				message,
+				...(hint ? { hint } : {}),
+				retryable,
+				...details,
+			},
+		},
+	};
+}
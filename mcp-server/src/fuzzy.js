@@ -0,0 +1,89 @@
+import { foldDiacritics, tokenize } from './search-index.js';
+
+const TOKEN_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param a - First string
+ * @param b - Second string
+ * @returns Minimum number of single-character insertions, deletions or substitutions
+ */
+export function editDistance(a, b) {
+	if (a === b) return 0;
+	if (a.length === 0) return b.length;
+	if (b.length === 0) return a.length;
+
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+			current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Normalized similarity between two strings based on edit distance
+ * @returns Value between 0 (nothing in common) and 1 (identical)
+ */
+export function stringSimilarity(a, b) {
+	const longest = Math.max(a.length, b.length);
+	return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+function tokenOverlap(queryTokens, candidateTokens) {
+	if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+	let matchedWeight = 0;
+	let matchedCount = 0;
+	for (const queryToken of queryTokens) {
+		const best = Math.max(
+			...candidateTokens.map((candidateToken) => stringSimilarity(queryToken, candidateToken))
+		);
+		if (best >= TOKEN_MATCH_THRESHOLD) {
+			matchedWeight += best;
+			matchedCount += 1;
+		}
+	}
+
+	// Recall of the query matters more than covering every word of the candidate
+	const recall = matchedWeight / queryTokens.length;
+	const precision = matchedCount / candidateTokens.length;
+	return 0.75 * recall + 0.25 * Math.min(1, precision);
+}
+
+/**
+ * Scores how well a candidate string matches a possibly misspelled or paraphrased query.
+ * Combines whole-string edit distance with typo-tolerant token overlap.
+ * @param query - What the user or model typed
+ * @param candidate - A title, name or other label to compare against
+ * @returns Confidence between 0 and 1
+ */
+export function fuzzyScore(query, candidate) {
+	const foldedQuery = foldDiacritics(query).trim();
+	const foldedCandidate = foldDiacritics(candidate).trim();
+	if (!foldedQuery || !foldedCandidate) return 0;
+	if (foldedQuery === foldedCandidate) return 1;
+
+	const whole = stringSimilarity(foldedQuery, foldedCandidate);
+	const tokens = tokenOverlap(tokenize(foldedQuery), tokenize(foldedCandidate));
+	return Math.max(whole, tokens);
+}
+
+/**
+ * Returns the candidates that fuzzily match a query, best first
+ * @param query - What the user or model typed
+ * @param items - Items to rank
+ * @param getLabel - Returns the string to compare for an item
+ * @param threshold - Minimum confidence for an item to be returned
+ * @returns Array of { item, score } sorted by descending score
+ */
+export function fuzzyMatch(query, items, getLabel, threshold) {
+	return items
+		.map((item) => ({ item, score: fuzzyScore(query, getLabel(item) ?? '') }))
+		.filter(({ score }) => score >= threshold)
+		.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,62 @@
+/**
+ * Reads and parses the JSON body of a request the platform has not parsed yet
+ * @param req - Node.js request
+ * @returns The parsed body, or undefined if it is not valid JSON
+ */
+export async function readJsonBody(req) {
+	const chunks = [];
+	for await (const chunk of req) chunks.push(chunk);
+	try {
+		return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Answers with a JSON-RPC error, for requests rejected before they reach the MCP transport
+ * @param res - Node.js response
+ * @param status - HTTP status
+ * @param code - JSON-RPC error code
+ * @param message - Error message
+ * @param options - { id, data, headers }: the id of the rejected request (default: null),
+ *   structured error data and extra response headers
+ */
+export function writeJsonRpcError(res, status, code, message, { id = null, data, headers } = {}) {
+	res.writeHead(status, { 'content-type': 'application/json', ...headers });
+	res.end(
+		JSON.stringify({
+			jsonrpc: '2.0',
+			error: { code, message, ...(data === undefined ? {} : { data }) },
+			id,
+		})
+	);
+}
+
+/**
+ * Answers a request that failed unexpectedly with a JSON-RPC internal error. The details are
+ * only logged; the request id lets operators find them.
+ * @param res - Node.js response, left alone when the response has started
+ * @param requestId - Id of the failed request
+ */
+export function writeInternalError(res, requestId) {
+	if (res.headersSent) return;
+	writeJsonRpcError(res, 500, -32603, 'Internal error', {
+		data: {
+			code: 'internal_error',
+			hint: 'Try again. If the error persists, report the request id.',
+			requestId,
+		},
+	});
+}
+
+/**
+ * Answers with a JSON document that must not be cached, e.g. a health check
+ * @param res - Node.js response
+ * @param status - HTTP status
+ * @param body - JSON-serializable response body
+ */
+export function writeJson(res, status, body) {
+	res.writeHead(status, { 'content-type': 'application/json', 'cache-control': 'no-store' });
+	res.end(JSON.stringify(body));
+}
@@ -0,0 +1,148 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Argument names whose values never end up in logs or traces
+const SECRET_NAME_PATTERN = /token|secret|password|authorization|api[-_]?key/i;
+const MAX_LOGGED_STRING_LENGTH = 200;
+
+/**
+ * Resolves the log output from the environment. Read here rather than in config.js because
+ * every module logs, including the ones config.js imports.
+ * LOG_LEVEL: debug, info (default), warn, error or silent.
+ * LOG_FORMAT: json (one object per line, the default unless stdout is a terminal) or pretty.
+ * @returns Options for createLogger()
+ */
+function resolveLogConfig() {
+	const level = process.env.LOG_LEVEL?.trim().toLowerCase();
+	const format = process.env.LOG_FORMAT?.trim().toLowerCase();
+	const defaultFormat = process.stdout.isTTY ? 'pretty' : 'json';
+
+	return {
+		level: LOG_LEVELS.includes(level) ? level : 'info',
+		format: format === 'json' || format === 'pretty' ? format : defaultFormat,
+	};
+}
+
+/**
+ * Shortens long strings and hides secrets so values can be logged, e.g. tool arguments
+ * @param value - Any JSON-like value
+ * @returns A copy safe to log
+ */
+export function sanitizeForLog(value) {
+	if (typeof value === 'string') {
+		return value.length > MAX_LOGGED_STRING_LENGTH
+			? `${value.slice(0, MAX_LOGGED_STRING_LENGTH)}… (${value.length} chars)`
+			: value;
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => sanitizeForLog(item));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => [
+				key,
+				SECRET_NAME_PATTERN.test(key) ? '[redacted]' : sanitizeForLog(item),
+			])
+		);
+	}
+	return value;
+}
+
+function serializeError(error) {
+	return {
+		name: error.name,
+		message: error.message,
+		...(error.code !== undefined ? { code: error.code } : {}),
+		stack: error.stack,
+	};
+}
+
+// Errors are not JSON-serializable on their own
+function serializeFields(fields) {
+	return Object.fromEntries(
+		Object.entries(fields)
+			.filter(([, value]) => value !== undefined)
+			.map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+	);
+}
+
+function formatPretty(entry) {
+	const { time, level, msg, ...fields } = entry;
+	const details = Object.entries(fields).map(([key, value]) => {
+		if (value?.stack) return `\n  ${value.stack}`;
+		return ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+	});
+	return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details.join('')}`;
+}
+
+/**
+ * Creates a logger writing one entry per line: debug and info to stdout, warnings and errors
+ * to stderr
+ * @param options - { level, format, bindings } where `bindings` are fields added to every entry
+ * @returns Logger with debug/info/warn/error(message, fields), child(bindings) and a settable
+ *   `level`
+ */
+export function createLogger({ level = 'info', format = 'json', bindings = {} } = {}) {
+	const write = (entryLevel, msg, fields) => {
+		if (LOG_LEVELS.indexOf(entryLevel) < LOG_LEVELS.indexOf(logger.level)) return;
+
+		const entry = {
+			time: new Date().toISOString(),
+			level: entryLevel,
+			msg,
+			...serializeFields({ ...bindings, ...fields }),
+		};
+		const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+		const stream = entryLevel === 'warn' || entryLevel === 'error' ? process.stderr : process.stdout;
+		stream.write(`${line}\n`);
+	};
+
+	const logger = {
+		level,
+		debug: (msg, fields) => write('debug', msg, fields),
+		info: (msg, fields) => write('info', msg, fields),
+		warn: (msg, fields) => write('warn', msg, fields),
+		error: (msg, fields) => write('error', msg, fields),
+
+		// Children follow the level of their parent
+		child(childBindings) {
+			const child = createLogger({ format, bindings: { ...bindings, ...childBindings } });
+			Object.defineProperty(child, 'level', { get: () => logger.level });
+			return child;
+		},
+	};
+	return logger;
+}
+
+export const logger = createLogger(resolveLogConfig());
+
+// Context of the HTTP request being handled: { requestId, log, span }
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs a request handler with its context, which the code it calls (e.g. tool handlers)
+ * gets from getRequestContext()
+ * @param context - { requestId, log, span }
+ * @param callback - Handler to run
+ * @returns The callback's result
+ */
+export function runWithRequestContext(context, callback) {
+	return requestContext.run(context, callback);
+}
+
+/**
+ * Context of the current HTTP request
+ * @returns { requestId, log, span }, or undefined outside a request
+ */
+export function getRequestContext() {
+	return requestContext.getStore();
+}
+
+/**
+ * Logger of the current HTTP request, which adds its request id to every entry
+ * @returns The request logger, or the root logger outside a request
+ */
+export function getLogger() {
+	return getRequestContext()?.log ?? logger;
+}
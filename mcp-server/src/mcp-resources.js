@@ -1,6 +1,20 @@
-import { CONFIG, magazineArticles } from './article-service.js';
+import {
+	articlesBySlug,
+	extractHeroMedia,
+	getArticleBody,
+	getArticleTopics,
+	getArticleTranslations,
+	getArticleUrl,
+	getAuthorName,
+	getDatasetVersion,
+} from './article-service.js';
+import { createCursorScope, paginate } from './pagination.js';
+import { getTopicLabel } from './topics.js';
 import { widgetDescriptorMeta } from './widget.js';
 
+// JSON-RPC error code the MCP specification uses for unknown resource URIs
+export const RESOURCE_NOT_FOUND_ERROR_CODE = -32002;
+
 /**
  * Creates an MCP Resource from a widget descriptor
  */
@@ -8,7 +22,7 @@ export function createWidgetResource(widget) {
 	return {
 		uri: widget.templateUri,
 		name: widget.title,
-		description: 'Interactive article list widget markup',
+		description: `Interactive ${widget.title} widget markup`,
 		mimeType: 'text/html+skybridge',
 		_meta: widgetDescriptorMeta(widget),
 	};
@@ -21,7 +35,7 @@ export function createWidgetResourceTemplate(widget) {
 	return {
 		uriTemplate: widget.templateUri,
 		name: widget.title,
-		description: 'Interactive article list widget markup',
+		description: `Interactive ${widget.title} widget markup`,
 		mimeType: 'text/html+skybridge',
 		_meta: widgetDescriptorMeta(widget),
 	};
@@ -41,143 +55,74 @@ export function getArticleResourceTemplate() {
 }
 
 /**
- * Creates MCP Resources for each article
+ * Creates MCP Resources for one page of articles, newest first. Translations sharing a
+ * slug are listed once, in the default locale. Cursors are only valid for the dataset version
+ * they were issued for, like the cursors of the tools.
+ * @param cursor - Opaque cursor from a previous page, or undefined for the first page
+ * @returns Object with the page `resources` and the `nextCursor` (undefined on the last page)
+ * @throws {ValidationError} If the cursor is malformed or the articles have been reloaded since
  */
-export function getArticleResources() {
+export function getArticleResources(cursor) {
 	const limitEnv = Number(process.env.MAX_LISTED_ARTICLE_RESOURCES ?? '50');
 	const limit = Number.isFinite(limitEnv) && limitEnv > 0 ? limitEnv : 50;
 
-	const sorted = [...magazineArticles].sort(
+	const sorted = [...articlesBySlug.values()].sort(
 		(a, b) => new Date(b.publicationDate).getTime() - new Date(a.publicationDate).getTime()
 	);
+	const scope = createCursorScope({ list: 'article-resources', version: getDatasetVersion() });
+	const page = paginate(sorted, cursor, limit, scope);
 
-	return sorted.slice(0, limit).map((article) => ({
-		uri: `blog://article/${article.slug}`,
-		name: article.title || 'Untitled',
-		description: article.lead || 'No description available',
-		mimeType: 'application/json',
-	}));
+	return {
+		resources: page.items.map((article) => ({
+			uri: `blog://article/${article.slug}`,
+			name: article.title || 'Untitled',
+			description: article.lead || 'No description available',
+			mimeType: 'application/json',
+		})),
+		nextCursor: page.nextCursor,
+	};
 }
 
 /**
- * Defines all available MCP tools for article operations
+ * Completes a partial slug for the blog://article/{slug} template
+ * @param value - The partial slug typed by the user
+ * @returns Up to 100 matching slugs, prefix matches first
  */
-export function createTools(articleListWidget, articlePreviewWidget) {
-	return [
-		{
-			name: 'search_articles',
-			title: 'Search Unic magazine articles',
-			description:
-				'Search blog articles by keyword or phrase. Searches in title, lead/summary, and author name. Returns formatted results with article URLs (https://www.unic.com/en/magazine/...).',
-			inputSchema: {
-				type: 'object',
-				properties: {
-					query: {
-						type: 'string',
-						description: 'Search keyword or phrase',
-					},
-					limit: {
-						type: 'number',
-						description: 'Maximum number of results to return (default: 10)',
-						default: 10,
-					},
-				},
-				required: ['query'],
-			},
-			...(articleListWidget
-				? {
-						_meta: widgetDescriptorMeta(articleListWidget),
-						annotations: {
-							destructiveHint: false,
-							openWorldHint: false,
-							readOnlyHint: true,
-						},
-				  }
-				: {}),
-		},
-		{
-			name: 'filter_articles_by_date',
-			description:
-				'Filter blog articles by publication date range. Returns articles sorted by date (newest first) with article URLs (https://www.unic.com/en/magazine/...).',
-			inputSchema: {
-				type: 'object',
-				properties: {
-					startDate: {
-						type: 'string',
-						description: 'Start date in ISO format (YYYY-MM-DD) - optional',
-					},
-					endDate: {
-						type: 'string',
-						description: 'End date in ISO format (YYYY-MM-DD) - optional',
-					},
-					limit: {
-						type: 'number',
-						description: 'Maximum number of results to return (default: 10)',
-						default: 10,
-					},
-				},
-			},
-		},
-		{
-			name: 'filter_articles_by_author',
-			description:
-				'Filter blog articles by author name. Returns formatted results with article URLs (https://www.unic.com/en/magazine/...).',
-			inputSchema: {
-				type: 'object',
-				properties: {
-					authorName: {
-						type: 'string',
-						description: 'Author name or partial name to search for',
-					},
-					limit: {
-						type: 'number',
-						description: 'Maximum number of results to return (default: 10)',
-						default: 10,
-					},
-				},
-				required: ['authorName'],
-			},
-		},
-		{
-			name: 'list_recent_articles',
-			description:
-				'List the most recent blog articles, sorted by publication date. Returns formatted results with article URLs (https://www.unic.com/en/magazine/...).',
-			inputSchema: {
-				type: 'object',
-				properties: {
-					limit: {
-						type: 'number',
-						description: `Maximum number of articles to return (default: ${CONFIG.DEFAULT_LIMIT}, max: ${CONFIG.MAX_LIMIT})`,
-						default: CONFIG.DEFAULT_LIMIT,
-					},
-				},
-			},
-		},
-		{
-			name: 'get_article_preview',
-			description:
-				'Get a detailed summary, preview, or full content of a specific blog article by its title. Use this tool whenever a user asks for a summary, preview, or details about a specific article. The tool will search for the article by title and display it in a rich interactive widget.',
-			inputSchema: {
-				type: 'object',
-				properties: {
-					title: {
-						type: 'string',
-						description:
-							'Article title or phrase to search for (e.g., "AI solutions" or "Value-added AI solutions tailored to your company"). Use the exact or partial title from the user\'s request.',
-					},
-				},
-				required: ['title'],
-			},
-			...(articlePreviewWidget
-				? {
-						_meta: widgetDescriptorMeta(articlePreviewWidget),
-						annotations: {
-							destructiveHint: false,
-							openWorldHint: false,
-							readOnlyHint: true,
-						},
-				  }
-				: {}),
+export function completeArticleSlug(value = '') {
+	const lowerValue = value.toLowerCase();
+	const slugs = [...articlesBySlug.keys()];
+	const prefixMatches = slugs.filter((slug) => slug.startsWith(lowerValue));
+	const otherMatches = slugs.filter(
+		(slug) => !slug.startsWith(lowerValue) && slug.includes(lowerValue)
+	);
+	return [...prefixMatches, ...otherMatches].slice(0, 100);
+}
+
+/**
+ * Builds the JSON document returned when reading blog://article/{slug}
+ * @param article - The article to serialize
+ * @returns Article metadata together with the rendered body
+ */
+export function createArticleResourcePayload(article) {
+	const { heroUrl, heroAlt } = extractHeroMedia(article);
+	const { markdown, text, wordCount } = getArticleBody(article);
+
+	return {
+		slug: article.slug,
+		locale: article.locale,
+		title: article.title,
+		publicationDate: article.publicationDate,
+		author: getAuthorName(article),
+		lead: article.lead?.trim() ?? '',
+		url: getArticleUrl(article),
+		heroUrl,
+		heroAlt,
+		translations: getArticleTranslations(article),
+		topics: getArticleTopics(article).map((id) => ({ id, label: getTopicLabel(id) })),
+		wordCount,
+		body: {
+			markdown,
+			text,
 		},
-	];
+	};
 }
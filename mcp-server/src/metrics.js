@@ -0,0 +1,124 @@
+// Prometheus text exposition format, version 0.0.4
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; tool calls run in-process, so most land in the lower buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) return '';
+	return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Label sets are stored by a key that does not depend on property order
+function labelKey(labels) {
+	return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Creates a registry of metrics rendered in the Prometheus text format. Values live in this
+ * process only, so every serverless instance reports its own.
+ * @returns { counter(name, help), histogram(name, help, buckets), gauge(name, help, collect),
+ *   render() }
+ */
+export function createMetricsRegistry() {
+	// Registration order is the output order
+	const metrics = [];
+
+	return {
+		/**
+		 * @returns Counter with inc(labels, value = 1)
+		 */
+		counter(name, help) {
+			const values = new Map();
+			metrics.push({
+				name,
+				help,
+				type: 'counter',
+				samples: () =>
+					[...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+			});
+			return {
+				inc(labels = {}, value = 1) {
+					const key = labelKey(labels);
+					const entry = values.get(key) ?? { labels, value: 0 };
+					entry.value += value;
+					values.set(key, entry);
+				},
+			};
+		},
+
+		/**
+		 * @returns Histogram with observe(labels, value)
+		 */
+		histogram(name, help, buckets = DEFAULT_BUCKETS) {
+			const values = new Map();
+			metrics.push({
+				name,
+				help,
+				type: 'histogram',
+				samples: () =>
+					[...values.values()].flatMap(({ labels, counts, sum, count }) => [
+						...buckets.map(
+							(bound, index) =>
+								`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+						),
+						`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+						`${name}_sum${formatLabels(labels)} ${sum}`,
+						`${name}_count${formatLabels(labels)} ${count}`,
+					]),
+			});
+			return {
+				observe(labels, value) {
+					const key = labelKey(labels);
+					const entry = values.get(key) ?? {
+						labels,
+						counts: buckets.map(() => 0),
+						sum: 0,
+						count: 0,
+					};
+					// Buckets are cumulative
+					buckets.forEach((bound, index) => {
+						if (value <= bound) entry.counts[index]++;
+					});
+					entry.sum += value;
+					entry.count++;
+					values.set(key, entry);
+				},
+			};
+		},
+
+		/**
+		 * Registers a gauge read when the metrics are rendered
+		 * @param collect - Returns a number, or an array of { labels, value }
+		 */
+		gauge(name, help, collect) {
+			metrics.push({
+				name,
+				help,
+				type: 'gauge',
+				samples: () => {
+					const result = collect();
+					const entries = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+					return entries.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+				},
+			});
+		},
+
+		/**
+		 * @returns All metrics in the Prometheus text format
+		 */
+		render() {
+			const lines = metrics.flatMap(({ name, help, type, samples }) => [
+				`# HELP ${name} ${help}`,
+				`# TYPE ${name} ${type}`,
+				...samples(),
+			]);
+			return `${lines.join('\n')}\n`;
+		},
+	};
+}
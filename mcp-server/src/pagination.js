@@ -0,0 +1,82 @@
+import crypto from 'node:crypto';
+import { ValidationError } from './errors.js';
+
+/**
+ * Derives a short, stable identifier for the request a cursor belongs to
+ * @param request - Plain object with everything that determines the result list
+ * @returns Hex string embedded in cursors by paginate()
+ */
+export function createCursorScope(request) {
+	return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encodes a pagination position as an opaque cursor string
+ * @param position - Plain object describing where the next page starts (e.g. { offset: 50 })
+ * @returns URL-safe base64 cursor
+ */
+export function encodeCursor(position) {
+	return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param cursor - The opaque cursor string received from a client
+ * @returns The decoded position object, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+	if (typeof cursor !== 'string' || cursor.length === 0) {
+		return null;
+	}
+	try {
+		const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+		if (!position || typeof position !== 'object' || !Number.isInteger(position.offset)) {
+			return null;
+		}
+		return position.offset >= 0 ? position : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Slices one page out of a list using an optional cursor
+ * @param items - The complete, stably ordered list
+ * @param cursor - Cursor from a previous page, or undefined for the first page
+ * @param pageSize - Number of items per page
+ * @param scope - Optional value from createCursorScope(); cursors issued for another scope
+ *   are rejected instead of returning a page of a different list
+ * @returns Object with the page `items`, its `offset`, `hasMore` and the `nextCursor`
+ *   (undefined on the last page)
+ * @throws {ValidationError} If the cursor is malformed or belongs to another scope
+ */
+export function paginate(items, cursor, pageSize, scope) {
+	let offset = 0;
+	if (cursor !== undefined) {
+		const position = decodeCursor(cursor);
+		if (!position) {
+			throw new ValidationError(`Invalid cursor: ${cursor}`, {
+				code: 'invalid_cursor',
+				hint: 'Pass the nextCursor of the previous response unchanged, or omit the cursor.',
+			});
+		}
+		if (scope !== undefined && position.scope !== scope) {
+			throw new ValidationError(
+				'Invalid cursor: it belongs to a different request or the article data has changed.',
+				{ code: 'invalid_cursor', hint: 'Repeat the request without a cursor.' }
+			);
+		}
+		offset = position.offset;
+	}
+
+	const end = offset + pageSize;
+	const hasMore = end < items.length;
+	return {
+		items: items.slice(offset, end),
+		offset,
+		hasMore,
+		nextCursor: hasMore
+			? encodeCursor(scope === undefined ? { offset: end } : { offset: end, scope })
+			: undefined,
+	};
+}
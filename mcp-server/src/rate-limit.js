@@ -0,0 +1,128 @@
+import { clampLimit } from './article-service.js';
+
+// JSON-RPC error code of rejected requests, from the range reserved for implementation errors
+export const RATE_LIMIT_ERROR_CODE = -32029;
+
+// Listing tools cost one token per this many requested results, so `limit: 100` costs ten calls
+const RESULTS_PER_TOKEN = 10;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates an in-memory token bucket store. Buckets live in this process only; deployments with
+ * several instances (e.g. serverless) need a shared store with the same `take` method, for
+ * example one backed by Redis.
+ * @returns RateLimitStore: { take(key, { capacity, refillPerSecond, cost }) } resolving to
+ *   { allowed, remaining, retryAfterMs }
+ */
+export function createMemoryRateLimitStore() {
+	// Bucket key → { tokens, updatedAt, fullAt }
+	const buckets = new Map();
+
+	// Buckets that have refilled completely hold no information
+	const prune = setInterval(() => {
+		const now = Date.now();
+		for (const [key, bucket] of buckets) {
+			if (bucket.fullAt <= now) buckets.delete(key);
+		}
+	}, PRUNE_INTERVAL_MS);
+	prune.unref();
+
+	return {
+		async take(key, { capacity, refillPerSecond, cost = 1 }) {
+			const now = Date.now();
+			const previous = buckets.get(key);
+			const elapsedSeconds = previous ? (now - previous.updatedAt) / 1000 : 0;
+			const available = previous
+				? Math.min(capacity, previous.tokens + elapsedSeconds * refillPerSecond)
+				: capacity;
+
+			// Requests that cost more than the whole bucket can never pass; they are charged
+			// the full bucket instead of being rejected forever
+			const charge = Math.min(cost, capacity);
+			const allowed = available >= charge;
+			const tokens = allowed ? available - charge : available;
+			buckets.set(key, {
+				tokens,
+				updatedAt: now,
+				fullAt: now + ((capacity - tokens) / refillPerSecond) * 1000,
+			});
+
+			return {
+				allowed,
+				remaining: Math.floor(tokens),
+				retryAfterMs: allowed ? 0 : Math.ceil(((charge - available) / refillPerSecond) * 1000),
+			};
+		},
+	};
+}
+
+/**
+ * Number of tokens a tool call costs: one per ten returned results for tools with a `limit`.
+ * Limits above the maximum are charged as the maximum, which is all the tool returns.
+ * @param args - Tool call arguments
+ * @returns Cost of at least 1
+ */
+export function getToolCallCost(args) {
+	const limit = Number(args?.limit);
+	return Number.isFinite(limit) ? Math.ceil(clampLimit(limit) / RESULTS_PER_TOKEN) : 1;
+}
+
+function toBucket(perMinute) {
+	return { capacity: perMinute, refillPerSecond: perMinute / 60 };
+}
+
+/**
+ * Creates the rate limiter of the MCP endpoint: one budget for all requests of a client and,
+ * within it, one budget per tool
+ * @param options - { store, requestsPerMinute, toolCallsPerMinute, tools } where `tools` maps
+ *   tool names to their own calls per minute (default: toolCallsPerMinute)
+ * @returns { limitRequest(clientKey), limitToolCall(clientKey, name, args) }, both resolving to
+ *   { allowed, remaining, retryAfterMs, limit }
+ */
+export function createRateLimiter({
+	store = createMemoryRateLimitStore(),
+	requestsPerMinute = 120,
+	toolCallsPerMinute = 60,
+	tools = {},
+}) {
+	const requestBucket = toBucket(requestsPerMinute);
+
+	return {
+		async limitRequest(clientKey) {
+			const result = await store.take(`request:${clientKey}`, requestBucket);
+			return { ...result, limit: requestsPerMinute };
+		},
+
+		async limitToolCall(clientKey, name, args) {
+			const perMinute = tools[name] ?? toolCallsPerMinute;
+			const result = await store.take(`tool:${name}:${clientKey}`, {
+				...toBucket(perMinute),
+				cost: getToolCallCost(args),
+			});
+			return { ...result, limit: perMinute };
+		},
+	};
+}
+
+/**
+ * Identifies the client a request is counted against: the authenticated client id, otherwise
+ * the IP address. Proxies append the address they received the request from to
+ * X-Forwarded-For, so only the entry added by the last trusted proxy is genuine; everything to
+ * its left may have been sent by the client.
+ * @param req - Node.js request, with `req.auth` when authenticated
+ * @param trustedProxies - Number of proxies in front of the server (0: use the socket address)
+ * @returns Key such as "client:chatgpt" or "ip:203.0.113.7"
+ */
+export function getClientKey(req, trustedProxies = 0) {
+	if (req.auth?.clientId) {
+		return `client:${req.auth.clientId}`;
+	}
+	const forwarded = trustedProxies > 0 ? req.headers?.['x-forwarded-for'] : undefined;
+	const addresses = [forwarded ?? []]
+		.flat()
+		.flatMap((header) => header.split(','))
+		.map((address) => address.trim())
+		.filter(Boolean);
+	const ip = addresses[Math.max(0, addresses.length - trustedProxies)];
+	return `ip:${ip || req.socket?.remoteAddress || 'unknown'}`;
+}
@@ -0,0 +1,75 @@
+import { cosineSimilarity } from './embeddings.js';
+
+// Weights of the relatedness signals; content similarity dominates, shared topics and the
+// same author break ties between articles about similar things
+const SIGNAL_WEIGHTS = { content: 0.7, topics: 0.2, author: 0.1 };
+const MAX_RELATED_PER_ARTICLE = 10;
+const MIN_RELATED_SCORE = 0.15;
+
+// One vector per document: the normalized mean of its chunk vectors
+function averageDocumentVectors(vectorIndex) {
+	const sums = new Map();
+	for (const { id, vector } of vectorIndex?.chunks ?? []) {
+		const sum = sums.get(id) ?? new Float32Array(vector.length);
+		for (let i = 0; i < vector.length; i++) sum[i] += vector[i];
+		sums.set(id, sum);
+	}
+	for (const [id, sum] of sums) {
+		const norm = Math.hypot(...sum);
+		sums.set(id, norm > 0 ? sum.map((value) => value / norm) : null);
+	}
+	return sums;
+}
+
+function jaccard(a, b) {
+	if (a.size === 0 || b.size === 0) return 0;
+	let shared = 0;
+	for (const value of a) if (b.has(value)) shared++;
+	return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Precomputes the most related articles of every article in one locale
+ * @param articles - Articles of one locale
+ * @param vectorIndex - Semantic search index of the same articles (ids are slugs), or null
+ * @param accessors - { getTopics, getAuthor } returning an article's topic ids and author name
+ * @returns Map of slug to array of { slug, score, sharedTopics, sameAuthor }, best first
+ */
+export function buildRelatedArticles(articles, vectorIndex, { getTopics, getAuthor }) {
+	const vectors = averageDocumentVectors(vectorIndex);
+	const profiles = articles.map((article) => ({
+		slug: article.slug,
+		vector: vectors.get(article.slug) ?? null,
+		topics: new Set(getTopics(article)),
+		author: getAuthor(article),
+	}));
+
+	const related = new Map(profiles.map(({ slug }) => [slug, []]));
+	profiles.forEach((a, i) => {
+		for (let j = i + 1; j < profiles.length; j++) {
+			const b = profiles[j];
+			const content = a.vector && b.vector ? Math.max(0, cosineSimilarity(a.vector, b.vector)) : 0;
+			const sameAuthor = Boolean(a.author && a.author === b.author);
+			const score =
+				SIGNAL_WEIGHTS.content * content +
+				SIGNAL_WEIGHTS.topics * jaccard(a.topics, b.topics) +
+				SIGNAL_WEIGHTS.author * (sameAuthor ? 1 : 0);
+			if (score < MIN_RELATED_SCORE) continue;
+
+			const sharedTopics = [...a.topics].filter((topic) => b.topics.has(topic));
+			const rounded = Math.round(score * 1000) / 1000;
+			related.get(a.slug).push({ slug: b.slug, score: rounded, sharedTopics, sameAuthor });
+			related.get(b.slug).push({ slug: a.slug, score: rounded, sharedTopics, sameAuthor });
+		}
+	});
+
+	for (const [slug, candidates] of related) {
+		related.set(
+			slug,
+			candidates
+				.sort((x, y) => y.score - x.score || x.slug.localeCompare(y.slug))
+				.slice(0, MAX_RELATED_PER_ARTICLE)
+		);
+	}
+	return related;
+}
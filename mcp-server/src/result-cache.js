@@ -0,0 +1,83 @@
+/**
+ * Creates a least-recently-used cache whose entries also expire after `ttlMs`
+ * @param options - { maxEntries, ttlMs }
+ * @returns { get(key), set(key, value), clear(), size() }
+ */
+export function createLruCache({ maxEntries = 500, ttlMs = 5 * 60 * 1000 } = {}) {
+	// Maps iterate in insertion order, so re-inserting on every hit keeps the least recently used
+	// entry first
+	const entries = new Map();
+
+	return {
+		get(key) {
+			const entry = entries.get(key);
+			if (!entry) return undefined;
+
+			entries.delete(key);
+			if (entry.expiresAt <= Date.now()) return undefined;
+			entries.set(key, entry);
+			return entry.value;
+		},
+
+		set(key, value) {
+			entries.delete(key);
+			entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+			if (entries.size > maxEntries) {
+				entries.delete(entries.keys().next().value);
+			}
+		},
+
+		clear() {
+			entries.clear();
+		},
+
+		size() {
+			return entries.size;
+		},
+	};
+}
+
+/**
+ * Normalizes tool arguments so equivalent calls share a cache entry: keys are sorted, strings
+ * trimmed with runs of whitespace collapsed, and empty values dropped
+ * @param value - Tool arguments
+ * @returns Normalized copy
+ */
+export function normalizeToolInput(value) {
+	if (typeof value === 'string') {
+		return value.trim().replace(/\s+/g, ' ');
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => normalizeToolInput(item));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(
+			Object.keys(value)
+				.sort()
+				.map((key) => [key, normalizeToolInput(value[key])])
+				.filter(([, item]) => item !== undefined && item !== null && item !== '')
+		);
+	}
+	return value;
+}
+
+/**
+ * Creates the cache of tool results. Entries belong to one dataset version, so a reload
+ * never serves results computed from the previous articles.
+ * @param options - { maxEntries, ttlMs }; the TTL bounds how long relative date ranges such as
+ *   "last week" are reused
+ * @returns { get(name, args, context), set(name, args, context, result), clear(), size() }
+ *   where `context` is { version, locale }
+ */
+export function createToolResultCache(options) {
+	const cache = createLruCache(options);
+	const toKey = (name, args, { version, locale }) =>
+		JSON.stringify([version, name, locale, normalizeToolInput(args ?? {})]);
+
+	return {
+		get: (name, args, context) => cache.get(toKey(name, args, context)),
+		set: (name, args, context, result) => cache.set(toKey(name, args, context), result),
+		clear: () => cache.clear(),
+		size: () => cache.size(),
+	};
+}
@@ -0,0 +1,208 @@
+const HEADING_LEVELS = {
+	'heading-1': 1,
+	'heading-2': 2,
+	'heading-3': 3,
+	'heading-4': 4,
+	'heading-5': 5,
+	'heading-6': 6,
+};
+
+const MARKDOWN_MARKS = {
+	bold: (text) => `**${text}**`,
+	italic: (text) => `_${text}_`,
+	code: (text) => `\`${text}\``,
+};
+
+/**
+ * Collects linked entries and assets from a Contentful `links` object into lookup maps
+ * @param links - The `body.links` object delivered next to the rich-text JSON
+ * @returns Maps of entry and asset records keyed by their sys.id
+ */
+function indexLinks(links) {
+	const entries = new Map();
+	const assets = new Map();
+
+	for (const group of Object.values(links?.entries ?? {})) {
+		for (const entry of Array.isArray(group) ? group : []) {
+			if (entry?.sys?.id) entries.set(entry.sys.id, entry);
+		}
+	}
+	for (const group of Object.values(links?.assets ?? {})) {
+		for (const asset of Array.isArray(group) ? group : []) {
+			if (asset?.sys?.id) assets.set(asset.sys.id, asset);
+		}
+	}
+
+	return { entries, assets };
+}
+
+function resolveTarget(node, lookup) {
+	const id = node.data?.target?.sys?.id;
+	if (!id) return null;
+	const map = node.nodeType.includes('asset') ? lookup.assets : lookup.entries;
+	return map.get(id) ?? null;
+}
+
+function resolveTargetUrl(target) {
+	return target?.url?.trim() || target?.link?.trim() || null;
+}
+
+function applyMarks(text, marks) {
+	if (!text.trim()) return text;
+
+	// Keep surrounding whitespace outside of the markers, otherwise Markdown ignores them
+	const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+	const wrapped = (marks ?? []).reduce(
+		(value, mark) => MARKDOWN_MARKS[mark.type]?.(value) ?? value,
+		core
+	);
+	return `${leading}${wrapped}${trailing}`;
+}
+
+function renderInlineMarkdown(nodes, lookup) {
+	return (nodes ?? [])
+		.map((node) => {
+			switch (node.nodeType) {
+				case 'text':
+					return applyMarks(node.value ?? '', node.marks);
+				case 'hyperlink': {
+					const label = renderInlineMarkdown(node.content, lookup);
+					const uri = node.data?.uri?.trim();
+					return uri ? `[${label}](${uri})` : label;
+				}
+				case 'entry-hyperlink':
+				case 'asset-hyperlink': {
+					const label = renderInlineMarkdown(node.content, lookup);
+					const url = resolveTargetUrl(resolveTarget(node, lookup));
+					return url ? `[${label}](${url})` : label;
+				}
+				default:
+					return renderInlineMarkdown(node.content, lookup);
+			}
+		})
+		.join('');
+}
+
+function indent(text, prefix) {
+	return text
+		.split('\n')
+		.map((line, index) => (index === 0 || line.length === 0 ? line : `${prefix}${line}`))
+		.join('\n');
+}
+
+function renderListMarkdown(node, lookup, ordered) {
+	return (node.content ?? [])
+		.filter((item) => item.nodeType === 'list-item')
+		.map((item, index) => {
+			const marker = ordered ? `${index + 1}.` : '-';
+			const body = renderBlocksMarkdown(item.content, lookup).replace(/\n{2,}/g, '\n');
+			return `${marker} ${indent(body, ' '.repeat(marker.length + 1))}`;
+		})
+		.join('\n');
+}
+
+function renderBlockMarkdown(node, lookup) {
+	if (HEADING_LEVELS[node.nodeType]) {
+		const text = renderInlineMarkdown(node.content, lookup).trim();
+		return text ? `${'#'.repeat(HEADING_LEVELS[node.nodeType])} ${text}` : '';
+	}
+
+	switch (node.nodeType) {
+		case 'paragraph':
+			return renderInlineMarkdown(node.content, lookup).trim();
+		case 'unordered-list':
+			return renderListMarkdown(node, lookup, false);
+		case 'ordered-list':
+			return renderListMarkdown(node, lookup, true);
+		case 'blockquote':
+			return renderBlocksMarkdown(node.content, lookup)
+				.split('\n')
+				.map((line) => (line ? `> ${line}` : '>'))
+				.join('\n');
+		case 'hr':
+			return '---';
+		case 'embedded-asset-block': {
+			const asset = resolveTarget(node, lookup);
+			const url = resolveTargetUrl(asset);
+			if (!url) return '';
+			const alt = asset.description?.trim() || asset.title?.trim() || '';
+			return `![${alt}](${url})`;
+		}
+		case 'embedded-entry-block': {
+			// Embedded entries are CMS sections without inline content; keep only resolvable links
+			const entry = resolveTarget(node, lookup);
+			const url = resolveTargetUrl(entry);
+			if (!url) return '';
+			return `[${entry.text?.trim() || entry.title?.trim() || url}](${url})`;
+		}
+		case 'text':
+		case 'hyperlink':
+		case 'entry-hyperlink':
+		case 'asset-hyperlink':
+			return renderInlineMarkdown([node], lookup).trim();
+		default:
+			return renderBlocksMarkdown(node.content, lookup);
+	}
+}
+
+function renderBlocksMarkdown(nodes, lookup) {
+	return (nodes ?? [])
+		.map((node) => renderBlockMarkdown(node, lookup))
+		.filter((block) => block.length > 0)
+		.join('\n\n');
+}
+
+function renderInlineText(nodes) {
+	return (nodes ?? [])
+		.map((node) => (node.nodeType === 'text' ? node.value ?? '' : renderInlineText(node.content)))
+		.join('');
+}
+
+function renderBlocksText(nodes) {
+	return (nodes ?? [])
+		.map((node) => {
+			switch (node.nodeType) {
+				case 'unordered-list':
+				case 'ordered-list':
+					return (node.content ?? [])
+						.map((item) => `- ${renderBlocksText(item.content).replace(/\n+/g, ' ')}`)
+						.join('\n');
+				case 'hr':
+				case 'embedded-asset-block':
+				case 'embedded-entry-block':
+					return '';
+				default:
+					if (HEADING_LEVELS[node.nodeType] || node.nodeType === 'paragraph') {
+						return renderInlineText(node.content).trim();
+					}
+					return node.nodeType === 'text' ? (node.value ?? '').trim() : renderBlocksText(node.content);
+			}
+		})
+		.filter((block) => block.length > 0)
+		.join('\n\n');
+}
+
+/**
+ * Renders a Contentful rich-text document as Markdown
+ * @param document - The rich-text tree (`body.json`)
+ * @param links - Optional `body.links` object used to resolve embedded entries and assets
+ * @returns Markdown string (empty when the document has no content)
+ */
+export function renderRichTextToMarkdown(document, links) {
+	if (!document || typeof document !== 'object') {
+		return '';
+	}
+	return renderBlocksMarkdown(document.content, indexLinks(links));
+}
+
+/**
+ * Renders a Contentful rich-text document as plain text without any markup
+ * @param document - The rich-text tree (`body.json`)
+ * @returns Plain text with blocks separated by blank lines
+ */
+export function renderRichTextToPlainText(document) {
+	if (!document || typeof document !== 'object') {
+		return '';
+	}
+	return renderBlocksText(document.content);
+}
@@ -0,0 +1,260 @@
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BONUS = 1.5;
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+const STOPWORDS = new Set([
+	'a',
+	'an',
+	'and',
+	'are',
+	'as',
+	'at',
+	'be',
+	'by',
+	'for',
+	'from',
+	'how',
+	'in',
+	'is',
+	'it',
+	'of',
+	'on',
+	'or',
+	'that',
+	'the',
+	'this',
+	'to',
+	'was',
+	'what',
+	'with',
+]);
+
+/**
+ * Checks whether a folded token is an English stopword
+ * @param token - Folded token
+ * @returns true for words like "the" or "with"
+ */
+export function isStopword(token) {
+	return STOPWORDS.has(token);
+}
+
+/**
+ * Removes diacritics and lowercases text so "Nölke" and "nolke" compare equal
+ * @param text - The text to fold
+ * @returns Folded, lowercase text
+ */
+export function foldDiacritics(text) {
+	return text
+		.normalize('NFD')
+		.replace(/\p{M}+/gu, '')
+		.replace(/ß/g, 'ss')
+		.toLowerCase();
+}
+
+/**
+ * Reduces an English word to a crude stem (plural and verb suffixes only)
+ * @param token - Folded token
+ * @returns Stemmed token
+ */
+export function stem(token) {
+	if (token.length <= 3 || /\d/.test(token)) return token;
+	if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+	if (token.endsWith('sses')) return token.slice(0, -2);
+	if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+	if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+	if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+	return token;
+}
+
+/**
+ * Splits text into folded, stemmed tokens
+ * @param text - Raw text
+ * @returns Array of tokens in document order
+ */
+export function tokenize(text) {
+	if (!text) return [];
+	return foldDiacritics(text)
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter((token) => token.length > 0)
+		.map(stem);
+}
+
+/**
+ * Parses a user query into phrases, exact terms and prefix terms.
+ * Quoted text ("digital commerce") is a phrase, a trailing asterisk (comm*) a prefix.
+ * @param query - Raw query string
+ * @returns Parsed query clauses
+ */
+export function parseQuery(query) {
+	const phrases = [];
+	const terms = [];
+	const prefixes = [];
+
+	const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+		const tokens = tokenize(phrase);
+		if (tokens.length > 1) phrases.push(tokens);
+		else terms.push(...tokens);
+		return ' ';
+	});
+
+	for (const word of rest.split(/\s+/)) {
+		if (word.endsWith('*')) {
+			const [prefix] = foldDiacritics(word.slice(0, -1)).split(/[^\p{L}\p{N}]+/u);
+			if (prefix) prefixes.push(prefix);
+		} else {
+			terms.push(...tokenize(word));
+		}
+	}
+
+	// Drop stopwords unless they are all the query consists of
+	const meaningful = terms.filter((term) => !STOPWORDS.has(term));
+	return {
+		phrases,
+		terms: [...new Set(meaningful.length > 0 ? meaningful : terms)],
+		prefixes: [...new Set(prefixes)],
+	};
+}
+
+/**
+ * Builds an in-memory inverted index with per-field term frequencies and positions
+ * @param documents - Items to index (typically articles)
+ * @param getFields - Returns an object of field name to text for a document
+ * @param boosts - Weight per field name; fields without a boost are ignored
+ * @returns Search index consumed by searchIndex()
+ */
+export function buildSearchIndex(documents, getFields, boosts) {
+	const fieldNames = Object.keys(boosts);
+	const postings = new Map();
+	const docs = [];
+	const totalLengths = Object.fromEntries(fieldNames.map((field) => [field, 0]));
+
+	documents.forEach((document, docId) => {
+		const fields = getFields(document);
+		const lengths = {};
+
+		for (const field of fieldNames) {
+			const tokens = tokenize(fields[field] ?? '');
+			lengths[field] = tokens.length;
+			totalLengths[field] += tokens.length;
+
+			tokens.forEach((token, position) => {
+				let termPostings = postings.get(token);
+				if (!termPostings) {
+					termPostings = new Map();
+					postings.set(token, termPostings);
+				}
+				let posting = termPostings.get(docId);
+				if (!posting) {
+					posting = {};
+					termPostings.set(docId, posting);
+				}
+				(posting[field] ??= []).push(position);
+			});
+		}
+
+		docs.push({ document, lengths });
+	});
+
+	const averageLengths = Object.fromEntries(
+		fieldNames.map((field) => [field, docs.length > 0 ? totalLengths[field] / docs.length : 0])
+	);
+
+	return { postings, docs, boosts, averageLengths };
+}
+
+function inverseDocumentFrequency(index, term) {
+	const documentFrequency = index.postings.get(term)?.size ?? 0;
+	const total = index.docs.length;
+	return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+function scoreTerm(index, term, docId) {
+	const posting = index.postings.get(term)?.get(docId);
+	if (!posting) return 0;
+
+	const { lengths } = index.docs[docId];
+	let weightedFrequency = 0;
+	for (const [field, positions] of Object.entries(posting)) {
+		const averageLength = index.averageLengths[field] || 1;
+		const tf = positions.length;
+		const normalized =
+			(tf * (BM25_K1 + 1)) /
+			(tf + BM25_K1 * (1 - BM25_B + (BM25_B * lengths[field]) / averageLength));
+		weightedFrequency += index.boosts[field] * normalized;
+	}
+
+	return inverseDocumentFrequency(index, term) * weightedFrequency;
+}
+
+function matchesPhrase(index, tokens, docId) {
+	const first = index.postings.get(tokens[0])?.get(docId);
+	if (!first) return false;
+
+	return Object.entries(first).some(([field, starts]) =>
+		starts.some((start) =>
+			tokens.every((token, offset) =>
+				index.postings.get(token)?.get(docId)?.[field]?.includes(start + offset)
+			)
+		)
+	);
+}
+
+function expandPrefix(index, prefix) {
+	return [...index.postings.keys()].filter((term) => term.startsWith(prefix));
+}
+
+/**
+ * Ranks indexed documents against a query using BM25 with per-field boosts.
+ * Phrases are required; terms and prefixes are optional but documents matching
+ * more of them rank higher.
+ * @param index - Index built by buildSearchIndex()
+ * @param query - Raw query string
+ * @returns Array of { document, score } sorted by descending score
+ */
+export function searchIndex(index, query) {
+	const { phrases, terms, prefixes } = parseQuery(query ?? '');
+	const clauseCount = phrases.length + terms.length + prefixes.length;
+	if (!index || clauseCount === 0) {
+		return [];
+	}
+
+	const expandedPrefixes = prefixes.map((prefix) => expandPrefix(index, prefix));
+	const candidates = new Set();
+	for (const term of [...terms, ...phrases.flat(), ...expandedPrefixes.flat()]) {
+		for (const docId of index.postings.get(term)?.keys() ?? []) {
+			candidates.add(docId);
+		}
+	}
+
+	const hits = [];
+	for (const docId of candidates) {
+		if (!phrases.every((phrase) => matchesPhrase(index, phrase, docId))) {
+			continue;
+		}
+
+		let score = 0;
+		let matchedClauses = phrases.length;
+
+		for (const phrase of phrases) {
+			score += PHRASE_BONUS * phrase.reduce((sum, term) => sum + scoreTerm(index, term, docId), 0);
+		}
+		for (const term of terms) {
+			const termScore = scoreTerm(index, term, docId);
+			if (termScore > 0) matchedClauses += 1;
+			score += termScore;
+		}
+		for (const expansions of expandedPrefixes) {
+			const prefixScore = Math.max(0, ...expansions.map((term) => scoreTerm(index, term, docId)));
+			if (prefixScore > 0) matchedClauses += 1;
+			score += PREFIX_MATCH_WEIGHT * prefixScore;
+		}
+
+		if (score > 0) {
+			// Coordination factor: favour documents that match every part of the query
+			hits.push({ document: index.docs[docId].document, score: score * (matchedClauses / clauseCount) });
+		}
+	}
+
+	return hits.sort((a, b) => b.score - a.score);
+}
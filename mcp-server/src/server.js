@@ -1,46 +1,396 @@
+import { randomUUID } from 'node:crypto';
 import { createServer } from 'node:http';
 import path from 'node:path';
 import { URL, pathToFileURL } from 'node:url';
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { z } from 'zod';
+import {
+	ErrorCode,
+	ListResourcesRequestSchema,
+	McpError,
+} from '@modelcontextprotocol/sdk/types.js';
 
-import { DEFAULT_PORT, initializeApp } from './config.js';
+import {
+	AUTH_CONFIG,
+	CONTENT_REFRESH_CONFIG,
+	DEFAULT_PORT,
+	RATE_LIMIT_CONFIG,
+	SESSION_CONFIG,
+	SHUTDOWN_CONFIG,
+	TOOL_CACHE_CONFIG,
+	TRACING_CONFIG,
+	initializeApp,
+} from './config.js';
+import { startContentRefresh } from './content-refresh.js';
+import { createSessionManager } from './sessions.js';
+import { writeInternalError, writeJson, writeJsonRpcError } from './http-utils.js';
+import {
+	getLogger,
+	getRequestContext,
+	logger,
+	runWithRequestContext,
+	sanitizeForLog,
+} from './logger.js';
+import { SPAN_KIND, createTracer, parseTraceparent } from './tracing.js';
+import { METRICS_CONTENT_TYPE, createMetricsRegistry } from './metrics.js';
+import { createRequestTracker, handleShutdownSignals } from './shutdown.js';
+import { createToolResultCache } from './result-cache.js';
+import { TOOL_CONTRACTS, getToolConfig, parseToolInput } from './tool-contracts.js';
+import {
+	DataUnavailableError,
+	NotFoundError,
+	RateLimitError,
+	ToolError,
+	ValidationError,
+	createToolErrorResult,
+} from './errors.js';
+import {
+	RATE_LIMIT_ERROR_CODE,
+	createRateLimiter,
+	getClientKey,
+} from './rate-limit.js';
+import {
+	AuthenticationError,
+	PROTECTED_RESOURCE_METADATA_PATH,
+	createAuthenticator,
+} from './auth.js';
 import {
 	CONFIG,
-	filterArticlesByAuthor,
-	filterArticlesByDateRange,
+	articlesBySlug,
+	findArticlesByAuthor,
+	findArticlesByDateRange,
+	findArticlesByTopic,
+	findRankedArticles,
+	formatArticleContent,
 	formatArticleList,
 	formatArticlePreview,
 	formatArticleUrlList,
+	formatAuthorList,
+	formatAuthorProfile,
+	formatFacets,
+	formatLoadReport,
+	formatPaginationHint,
+	formatRelatedArticles,
+	formatTitleSuggestions,
+	getArticleBySlug,
+	getDatasetVersion,
+	getAuthorProfile,
+	getLoadReport,
+	getLoadStatus,
+	getReferenceDate,
+	getRelatedArticles,
+	isValidSlug,
+	listAuthors,
+	listTopics,
 	magazineArticles,
-	searchArticles,
+	onDatasetChange,
+	paginateResults,
+	queryArticles,
+	resolveLocale,
 	searchArticlesByTitle,
+	suggestArticlesByTitle,
 } from './article-service.js';
 import {
+	createArticleListPayload,
 	createArticlePreviewWidgetPayload,
+	createAuthorProfileWidgetPayload,
+	mapAuthorProfileToWidgetAuthor,
+	createRelatedArticlesPayload,
 	createSearchWidgetPayload,
 	widgetDescriptorMeta,
 	widgetInvocationMeta,
 } from './widget.js';
+import {
+	completeArticleSlug,
+	createArticleResourcePayload,
+	createWidgetResource,
+	getArticleResources,
+	getArticleResourceTemplate,
+	RESOURCE_NOT_FOUND_ERROR_CODE,
+} from './mcp-resources.js';
+import { describeDateRange, resolveDateRange } from './date-ranges.js';
+import { findTopic, getTopicLabel } from './topics.js';
 import { getCorsHeaders, ensureStreamableAccept } from './cors-utils.js';
 
-// Initialize application: load data and widgets once on module load
+// Initialize application: load data and widgets once on first use
+let contentSource = null;
 let articleListWidget = null;
 let articlePreviewWidget = null;
-let widgetsInitialized = false;
+let authorProfileWidget = null;
+let initialization = null;
+// Set by startServer() in stateful mode; serverless requests are always stateless
+let sessionManager = null;
 
-// Load widgets lazily (heavy, only when needed)
+// Fails at startup when the auth configuration is incomplete
+const authenticator = createAuthenticator(AUTH_CONFIG);
+
+// Spans of requests and tool calls; a no-op unless OTEL_TRACES_EXPORTER is set
+const tracer = createTracer(TRACING_CONFIG);
+
+// Results of recent tool calls, keyed on the dataset version, tool, locale and arguments
+const toolResultCache = TOOL_CACHE_CONFIG.enabled
+	? createToolResultCache(TOOL_CACHE_CONFIG)
+	: null;
+
+// Prometheus metrics of this process, served at /metrics
+const metrics = createMetricsRegistry();
+const requestCounter = metrics.counter(
+	'mcp_http_requests_total',
+	'Requests to the MCP endpoint by method and status'
+);
+const toolCallCounter = metrics.counter(
+	'mcp_tool_calls_total',
+	'Tool calls by tool and outcome (ok, error or exception)'
+);
+const toolErrorCounter = metrics.counter(
+	'mcp_tool_errors_total',
+	'Failed tool calls by tool and error code'
+);
+const toolCacheCounter = metrics.counter(
+	'mcp_tool_cache_lookups_total',
+	'Tool result cache lookups by tool and result (hit or miss)'
+);
+const toolDurationHistogram = metrics.histogram(
+	'mcp_tool_call_duration_seconds',
+	'Duration of tool calls by tool'
+);
+metrics.gauge('mcp_articles', 'Loaded articles by locale', () =>
+	Object.entries(getLoadReport()?.locales ?? {}).map(([locale, value]) => ({
+		labels: { locale },
+		value,
+	}))
+);
+metrics.gauge('mcp_dataset_version', 'Version of the active dataset', () =>
+	getLoadStatus().version
+);
+metrics.gauge('mcp_tool_cache_entries', 'Tool results in the cache', () =>
+	toolResultCache ? toolResultCache.size() : 0
+);
+metrics.gauge('mcp_active_sessions', 'Open MCP sessions (stateful mode)', () =>
+	sessionManager ? sessionManager.size() : 0
+);
+
+let rateLimiter = RATE_LIMIT_CONFIG.enabled ? createRateLimiter(RATE_LIMIT_CONFIG) : null;
+
+/**
+ * Replaces the in-memory rate limit store, e.g. with one shared by all instances of a
+ * serverless deployment. Has no effect when RATE_LIMIT=false.
+ * @param store - RateLimitStore (see createMemoryRateLimitStore() in rate-limit.js)
+ */
+export function setRateLimitStore(store) {
+	if (rateLimiter) {
+		rateLimiter = createRateLimiter({ ...RATE_LIMIT_CONFIG, store });
+	}
+}
+
+// Servers with an open connection, notified when articles are added or removed
+const activeServers = new Set();
+
+// Requests a shutdown waits for; set once the standalone server starts shutting down
+const requestTracker = createRequestTracker();
+let shuttingDown = false;
+
+onDatasetChange(({ version, added, removed, changed }) => {
+	// Cached results of older versions can no longer be hit, even if only content changed
+	toolResultCache?.clear();
+	if (added.length === 0 && removed.length === 0 && changed.length === 0) return;
+
+	logger.info('Dataset changed', {
+		version,
+		added: added.length,
+		removed: removed.length,
+		changed: changed.length,
+	});
+	if (added.length === 0 && removed.length === 0) return;
+	for (const server of activeServers) {
+		server.sendResourceListChanged();
+	}
+});
+
+// Load widgets lazily (heavy, only when needed). Concurrent callers share one initialization;
+// a failed initialization is retried on the next request.
 function ensureWidgetsInitialized() {
-	if (widgetsInitialized) return;
-
-	console.log('[MCP] Initializing widgets...');
-	const { articleListWidget: listWidget, articlePreviewWidget: previewWidget } = initializeApp();
-	articleListWidget = listWidget;
-	articlePreviewWidget = previewWidget;
-	widgetsInitialized = true;
-	console.log('[MCP] Widgets initialized');
+	if (!initialization) {
+		logger.debug('Initializing widgets');
+		initialization = initializeApp()
+			.then((app) => {
+				contentSource = app.contentSource;
+				articleListWidget = app.articleListWidget;
+				articlePreviewWidget = app.articlePreviewWidget;
+				authorProfileWidget = app.authorProfileWidget;
+				logger.debug('Widgets initialized');
+			})
+			.catch((error) => {
+				initialization = null;
+				throw error;
+			});
+	}
+	return initialization;
+}
+
+/**
+ * Resolves the content locale of a tool call from the `locale` argument, falling back to
+ * the locale the client sends as `openai/locale` in the request metadata
+ * @param locale - The `locale` tool argument, if any
+ * @param extra - Request handler extra passed to the tool callback
+ * @returns Language code of the content to use
+ */
+function resolveRequestLocale(locale, extra) {
+	return resolveLocale(locale ?? extra?._meta?.['openai/locale']);
+}
+
+/**
+ * Builds the error for an article that was not found, listing similar titles when there are any
+ * @param message - What was not found
+ * @param suggestions - Result of suggestArticlesByTitle()
+ * @param retryHint - How to call the tool again with one of the suggestions
+ * @returns NotFoundError with the suggested slugs and titles as `suggestions`
+ */
+function createArticleNotFoundError(message, suggestions, retryHint) {
+	if (suggestions.length === 0) {
+		return new NotFoundError(message, {
+			code: 'unknown_article',
+			hint: 'Use search_articles to find the correct article first.',
+		});
+	}
+	return new NotFoundError(
+		`${message} Did you mean:\n\n${formatTitleSuggestions(suggestions)}`,
+		{
+			code: 'unknown_article',
+			hint: retryHint,
+			details: {
+				suggestions: suggestions.map(({ article }) => ({
+					slug: article.slug,
+					title: article.title,
+				})),
+			},
+		}
+	);
+}
+
+/**
+ * Counts a tool call against the budget of the client and the tool
+ * @param name - Tool name
+ * @param args - Tool arguments, which determine the cost
+ * @param clientKey - Client of the request (see getClientKey())
+ * @throws {RateLimitError} If the budget is used up
+ */
+async function checkToolRateLimit(name, args, clientKey) {
+	const toolLimit = await rateLimiter.limitToolCall(clientKey, name, args);
+	if (!toolLimit.allowed) {
+		getLogger().warn('Tool rate limit exceeded', { client: clientKey, tool: name });
+		throw new RateLimitError(`Too many calls of ${name}.`, {
+			tool: name,
+			limitPerMinute: toolLimit.limit,
+			retryAfterSeconds: Math.max(1, Math.ceil(toolLimit.retryAfterMs / 1000)),
+		});
+	}
+}
+
+// Number of items a tool returned: the length of the first list in its structured content
+function countToolResults(result) {
+	const content = result?.structuredContent;
+	if (!content || typeof content !== 'object') return undefined;
+	return Object.values(content).find(Array.isArray)?.length;
+}
+
+// Stands in for the arguments of a call that failed validation (see createBlogServer())
+const INPUT_ERROR = Symbol('inputError');
+
+/**
+ * Wraps a tool callback to enforce the tool's rate limit, answer repeated calls from the result
+ * cache, and turn thrown errors into tool results with `isError` set (see errors.js). Every call
+ * is logged and traced with its name, sanitized arguments, result count, cache use, duration
+ * and error, as part of the HTTP request it arrived in.
+ * @param name - Tool name
+ * @param callback - Tool callback, called with (args, extra), or (extra) for tools without input
+ * @returns The wrapped callback
+ */
+function instrumentToolCall(name, callback) {
+	return async (...callbackArgs) => {
+		const args = callbackArgs.length > 1 ? callbackArgs[0] : undefined;
+		const extra = callbackArgs.at(-1);
+		const context = getRequestContext();
+		const log = getLogger();
+		const span = tracer.startSpan(`tools/call ${name}`, {
+			parent: context?.span,
+			attributes: { 'mcp.tool.name': name, 'mcp.request_id': context?.requestId },
+		});
+		const startedAt = performance.now();
+		const fields = { tool: name, arguments: sanitizeForLog(args) };
+		// Recorded in the latency histogram, in seconds, and logged in milliseconds
+		const measure = () => {
+			const seconds = (performance.now() - startedAt) / 1000;
+			toolDurationHistogram.observe({ tool: name }, seconds);
+			return Math.round(seconds * 1000);
+		};
+
+		try {
+			if (getLoadStatus().version === 0) {
+				throw new DataUnavailableError('No article data is loaded.');
+			}
+			if (rateLimiter && context?.clientKey) {
+				await checkToolRateLimit(name, args, context.clientKey);
+			}
+			if (args?.[INPUT_ERROR]) {
+				throw args[INPUT_ERROR];
+			}
+
+			// The locale can come from the request metadata instead of the arguments
+			const cacheContext = toolResultCache && {
+				version: getDatasetVersion(),
+				locale: resolveRequestLocale(args?.locale, extra),
+			};
+			const cached = cacheContext ? toolResultCache.get(name, args, cacheContext) : undefined;
+			if (cacheContext) {
+				fields.cache = cached ? 'hit' : 'miss';
+				toolCacheCounter.inc({ tool: name, result: fields.cache });
+				span.setAttributes({ 'mcp.tool.cache': fields.cache });
+			}
+
+			const result = cached ?? (await callback(...callbackArgs));
+			// Errors are not cached, so a failing call is retried against the current content
+			if (cacheContext && !cached && !result?.isError) {
+				toolResultCache.set(name, args, cacheContext, result);
+			}
+
+			const resultCount = countToolResults(result);
+			const errorCode = result?.isError
+				? (result._meta?.error?.code ?? 'tool_error')
+				: undefined;
+			span.setAttributes({ 'mcp.tool.result_count': resultCount, 'error.type': errorCode });
+
+			const durationMs = measure();
+			toolCallCounter.inc({ tool: name, outcome: errorCode ? 'error' : 'ok' });
+			if (errorCode) {
+				toolErrorCounter.inc({ tool: name, code: errorCode });
+				log.warn('Tool call returned an error', { ...fields, durationMs, error: errorCode });
+			} else {
+				log.info('Tool call', { ...fields, resultCount, durationMs });
+			}
+			return result;
+		} catch (error) {
+			const durationMs = measure();
+			const result = createToolErrorResult(error, context?.requestId);
+			const { code } = result._meta.error;
+			span.setAttributes({ 'error.type': code });
+			toolErrorCounter.inc({ tool: name, code });
+
+			// Tool errors are answers the model can act on; anything else is a bug
+			if (error instanceof ToolError) {
+				toolCallCounter.inc({ tool: name, outcome: 'error' });
+				log.warn('Tool call returned an error', { ...fields, durationMs, error: code });
+			} else {
+				span.recordError(error);
+				toolCallCounter.inc({ tool: name, outcome: 'exception' });
+				log.error('Tool call failed', { ...fields, durationMs, error });
+			}
+			return result;
+		} finally {
+			span.end();
+		}
+	};
 }
 
 /**
@@ -52,6 +402,31 @@ function createBlogServer() {
 		version: '1.0.0',
 	});
 
+	// Every tool call is cached, logged and traced (see instrumentToolCall())
+	const registerTool = server.registerTool.bind(server);
+	server.registerTool = (name, config, callback) =>
+		registerTool(name, config, instrumentToolCall(name, callback));
+
+	// The SDK answers invalid arguments with a bare error text before any tool code runs.
+	// Arguments are validated against the contracts instead, and a failure is handed to
+	// instrumentToolCall(), which reports it like every other tool error.
+	const validateToolInput = server.validateToolInput.bind(server);
+	server.validateToolInput = async (tool, args, name) => {
+		if (!TOOL_CONTRACTS[name]) return validateToolInput(tool, args, name);
+		try {
+			return parseToolInput(name, args);
+		} catch (error) {
+			return { [INPUT_ERROR]: error };
+		}
+	};
+
+	// Output templates of the tools, by the `widget` names of the tool contracts
+	const widgets = {
+		articleList: articleListWidget,
+		articlePreview: articlePreviewWidget,
+		authorProfile: authorProfileWidget,
+	};
+
 	// Register article list widget resource
 	if (articleListWidget) {
 		server.registerResource('article-list-widget', articleListWidget.templateUri, {}, async () => {
@@ -89,44 +464,111 @@ function createBlogServer() {
 		);
 	}
 
+	// Register author profile widget resource
+	if (authorProfileWidget) {
+		server.registerResource(
+			'author-profile-widget',
+			authorProfileWidget.templateUri,
+			{},
+			async () => {
+				return {
+					contents: [
+						{
+							uri: authorProfileWidget.templateUri,
+							mimeType: 'text/html+skybridge',
+							text: authorProfileWidget.html,
+							_meta: widgetDescriptorMeta(authorProfileWidget),
+						},
+					],
+				};
+			}
+		);
+	}
+
+	// Register article resource template (blog://article/{slug})
+	const articleTemplate = getArticleResourceTemplate();
+	server.registerResource(
+		'article',
+		new ResourceTemplate(articleTemplate.uriTemplate, {
+			list: undefined,
+			complete: {
+				slug: (value) => completeArticleSlug(value),
+			},
+		}),
+		{
+			description: articleTemplate.description,
+			mimeType: articleTemplate.mimeType,
+		},
+		async (uri, { slug }) => {
+			const requestedSlug = Array.isArray(slug) ? slug[0] : slug;
+			if (!requestedSlug || !isValidSlug(requestedSlug)) {
+				throw new McpError(ErrorCode.InvalidParams, `Invalid article slug: ${requestedSlug}`);
+			}
+
+			const article = articlesBySlug.get(requestedSlug);
+			if (!article) {
+				throw new McpError(RESOURCE_NOT_FOUND_ERROR_CODE, `Article not found: ${requestedSlug}`, {
+					uri: uri.href,
+				});
+			}
+
+			return {
+				contents: [
+					{
+						uri: uri.href,
+						mimeType: articleTemplate.mimeType,
+						text: JSON.stringify(createArticleResourcePayload(article), null, 2),
+					},
+				],
+			};
+		}
+	);
+
+	// The built-in resources/list handler ignores cursors, so articles are paginated here.
+	// Widget resources are only listed on the first page.
+	const widgetResources = [articleListWidget, articlePreviewWidget, authorProfileWidget]
+		.filter(Boolean)
+		.map((widget) => createWidgetResource(widget));
+	server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+		const cursor = request.params?.cursor;
+		let page;
+		try {
+			page = getArticleResources(cursor);
+		} catch (error) {
+			throw new McpError(ErrorCode.InvalidParams, error.message, {
+				code: error.code,
+				hint: error.hint,
+			});
+		}
+
+		return {
+			resources: cursor ? page.resources : [...widgetResources, ...page.resources],
+			...(page.nextCursor ? { nextCursor: page.nextCursor } : {}),
+		};
+	});
+
 	// Register search_articles tool
 	server.registerTool(
 		'search_articles',
-		{
-			title: 'Search articles',
-			description:
-				'Search for Unic magazine articles by keyword. Returns matching articles with titles, summaries, and links.',
-			inputSchema: {
-				query: z.string().describe('The search query to find articles'),
-				limit: z
-					.number()
-					.optional()
-					.default(CONFIG.DEFAULT_LIMIT)
-					.describe('Maximum number of results to return'),
-			},
-			annotations: {
-				readOnlyHint: true,
-			},
-			_meta: articleListWidget
-				? {
-						'openai/outputTemplate': articleListWidget.templateUri,
-						'openai/toolInvocation/invoking': articleListWidget.invoking,
-						'openai/toolInvocation/invoked': articleListWidget.invoked,
-				  }
-				: {},
-		},
-		async ({ query, limit = CONFIG.DEFAULT_LIMIT }) => {
-			const results = searchArticles(query, limit);
+		getToolConfig('search_articles', widgets),
+		async ({ query, limit = CONFIG.DEFAULT_LIMIT, mode = 'hybrid', cursor, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const page = paginateResults(findRankedArticles(query, contentLocale, mode), {
+				cursor,
+				limit,
+				request: { tool: 'search_articles', query, mode, locale: contentLocale },
+			});
+			const results = page.items.map(({ article }) => article);
+			const widgetPayload = createSearchWidgetPayload(query, limit, page, contentLocale, mode);
+			const paginationHint = formatPaginationHint(page);
 
 			if (articleListWidget) {
-				const widgetPayload = createSearchWidgetPayload(query, limit, results);
-
-				const textOutput = `Found ${results.length} article(s) matching "${query}"${
-					limit < CONFIG.MAX_LIMIT ? ` (showing up to ${limit})` : ''
+				const textOutput = `Found ${page.total} article(s) matching "${query}"${
+					limit < CONFIG.MAX_LIMIT ? ` (showing ${results.length})` : ''
 				}.
 					[DO NOT show published date and author name.]
 					**Quick Reference:** display summary of search results as a whole.
-				💡 **Try:** display summary of an article.`;
+				💡 **Try:** display summary of an article.${paginationHint ? `\n\n${paginationHint}` : ''}`;
 
 				return {
 					content: [
@@ -146,9 +588,12 @@ function createBlogServer() {
 				content: [
 					{
 						type: 'text',
-						text: `Found ${results.length} article(s) matching "${query}":\n\n${formattedResults}`,
+						text: `Found ${page.total} article(s) matching "${query}":\n\n${formattedResults}${
+							paginationHint ? `\n\n${paginationHint}` : ''
+						}`,
 					},
 				],
+				structuredContent: widgetPayload,
 			};
 		}
 	);
@@ -156,42 +601,36 @@ function createBlogServer() {
 	// Register filter_articles_by_date tool
 	server.registerTool(
 		'filter_articles_by_date',
-		{
-			title: 'Filter articles by date',
-			description: 'Filter articles by publication date range.',
-			inputSchema: {
-				startDate: z.string().optional().describe('Start date in ISO format (YYYY-MM-DD)'),
-				endDate: z.string().optional().describe('End date in ISO format (YYYY-MM-DD)'),
-				limit: z
-					.number()
-					.optional()
-					.default(CONFIG.DEFAULT_LIMIT)
-					.describe('Maximum number of results'),
-			},
-			annotations: {
-				readOnlyHint: true,
-			},
-		},
-		async ({ startDate, endDate, limit = CONFIG.DEFAULT_LIMIT }) => {
-			const results = filterArticlesByDateRange(startDate, endDate, limit);
-
-			const dateContext =
-				startDate && endDate
-					? `between ${startDate} and ${endDate}`
-					: startDate
-					? `from ${startDate} onwards`
-					: endDate
-					? `until ${endDate}`
-					: 'from all time';
+		getToolConfig('filter_articles_by_date', widgets),
+		async ({ range, startDate, endDate, limit = CONFIG.DEFAULT_LIMIT, cursor, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const dateRange = resolveDateRange({ range, startDate, endDate }, getReferenceDate());
+			const articles = findArticlesByDateRange(startDate, endDate, contentLocale, range);
+
+			// The resolved dates are part of the request, so a cursor for "last month" expires
+			// when the month changes
+			const page = paginateResults(articles, {
+				cursor,
+				limit,
+				request: {
+					tool: 'filter_articles_by_date',
+					start: dateRange.start?.toISOString(),
+					end: dateRange.end?.toISOString(),
+					locale: contentLocale,
+				},
+			});
+			const results = page.items;
+			const dateContext = describeDateRange(dateRange);
 
 			const urlList = formatArticleUrlList(results);
-			const textOutput = `Found ${results.length} article(s) ${dateContext}${
-				limit < CONFIG.MAX_LIMIT ? ` (showing up to ${limit})` : ''
+			const paginationHint = formatPaginationHint(page);
+			const textOutput = `Found ${page.total} article(s) ${dateContext}${
+				limit < CONFIG.MAX_LIMIT ? ` (showing ${results.length})` : ''
 			}.
 
 				**Quick Reference:**
 				${urlList}
-
+				${paginationHint ? `\n${paginationHint}\n` : ''}
 				💡 **Try:** Search by keyword or filter by specific author.`;
 
 			return {
@@ -201,6 +640,18 @@ function createBlogServer() {
 						text: textOutput,
 					},
 				],
+				structuredContent: createArticleListPayload({
+					heading: `Articles ${dateContext}`,
+					summary: `Found ${page.total} article(s).`,
+					page: { ...page, items: results.map((article) => ({ article })) },
+					locale: contentLocale,
+					toolCall: {
+						name: 'filter_articles_by_date',
+						arguments: { range, startDate, endDate, limit, locale: contentLocale },
+					},
+					context: { range, startDate, endDate, limit, locale: contentLocale },
+				}),
+				...(articleListWidget ? { _meta: widgetInvocationMeta(articleListWidget) } : {}),
 			};
 		}
 	);
@@ -208,31 +659,24 @@ function createBlogServer() {
 	// Register filter_articles_by_author tool
 	server.registerTool(
 		'filter_articles_by_author',
-		{
-			title: 'Filter articles by author',
-			description: 'Find articles written by a specific author.',
-			inputSchema: {
-				authorName: z.string().describe('The author name to search for'),
-				limit: z
-					.number()
-					.optional()
-					.default(CONFIG.DEFAULT_LIMIT)
-					.describe('Maximum number of results'),
-			},
-			annotations: {
-				readOnlyHint: true,
-			},
-		},
-		async ({ authorName, limit = CONFIG.DEFAULT_LIMIT }) => {
-			const results = filterArticlesByAuthor(authorName, limit);
+		getToolConfig('filter_articles_by_author', widgets),
+		async ({ authorName, limit = CONFIG.DEFAULT_LIMIT, cursor, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const page = paginateResults(findArticlesByAuthor(authorName, contentLocale), {
+				cursor,
+				limit,
+				request: { tool: 'filter_articles_by_author', authorName, locale: contentLocale },
+			});
+			const results = page.items;
 			const urlList = formatArticleUrlList(results);
-			const textOutput = `Found ${results.length} article(s) by "${authorName}"${
-				limit < CONFIG.MAX_LIMIT ? ` (showing up to ${limit})` : ''
+			const paginationHint = formatPaginationHint(page);
+			const textOutput = `Found ${page.total} article(s) by "${authorName}"${
+				limit < CONFIG.MAX_LIMIT ? ` (showing ${results.length})` : ''
 			}.
 
 				**Quick Reference:**
 				${urlList}
-
+				${paginationHint ? `\n${paginationHint}\n` : ''}
 				💡 **Try:** Filter by date range or search for specific topics.`;
 
 			return {
@@ -242,6 +686,88 @@ function createBlogServer() {
 						text: textOutput,
 					},
 				],
+				structuredContent: createArticleListPayload({
+					heading: `Articles by ${authorName}`,
+					summary: `Found ${page.total} article(s).`,
+					page: { ...page, items: results.map((article) => ({ article })) },
+					locale: contentLocale,
+					toolCall: {
+						name: 'filter_articles_by_author',
+						arguments: { authorName, limit, locale: contentLocale },
+					},
+					context: { authorName, limit, locale: contentLocale },
+				}),
+				...(articleListWidget ? { _meta: widgetInvocationMeta(articleListWidget) } : {}),
+			};
+		}
+	);
+
+	// Register list_authors tool
+	server.registerTool(
+		'list_authors',
+		getToolConfig('list_authors', widgets),
+		async ({ topic, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const authors = listAuthors(contentLocale, topic);
+			if (topic && authors.length === 0 && !findTopic(topic)) {
+				const topics = listTopics(contentLocale);
+				throw new ValidationError(`Unknown topic "${topic}".`, {
+					code: 'unknown_topic',
+					hint: `Use one of the available topics: ${topics.map(({ id }) => id).join(', ')}`,
+					details: { availableTopics: topics },
+				});
+			}
+
+			const heading = topic
+				? `${authors.length} author(s) writing about ${getTopicLabel(findTopic(topic)?.id ?? topic)}`
+				: `${authors.length} author(s)`;
+			return {
+				content: [
+					{
+						type: 'text',
+						text: `${heading}:\n\n${formatAuthorList(authors)}\n\n💡 **Try:** Show the profile of one of these authors.`,
+					},
+				],
+				structuredContent: {
+					locale: contentLocale,
+					...(topic ? { topic } : {}),
+					authors: authors.map(mapAuthorProfileToWidgetAuthor),
+				},
+			};
+		}
+	);
+
+	// Register author_profile tool
+	server.registerTool(
+		'author_profile',
+		getToolConfig('author_profile', widgets),
+		async ({ author: name, limit = CONFIG.DEFAULT_LIMIT, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const { author, articles, candidates } = getAuthorProfile(name, limit, contentLocale);
+			if (!author && candidates.length > 0) {
+				const names = candidates.map((candidate) => candidate.name);
+				throw new ValidationError(`"${name}" matches several authors: ${names.join(', ')}.`, {
+					code: 'ambiguous_author',
+					hint: 'Call author_profile again with the full name.',
+					details: { candidates: names },
+				});
+			}
+			if (!author) {
+				throw new NotFoundError(`No author named "${name}" found.`, {
+					code: 'unknown_author',
+					hint: 'Use list_authors to see all authors.',
+				});
+			}
+
+			return {
+				content: [
+					{
+						type: 'text',
+						text: formatAuthorProfile(author, articles),
+					},
+				],
+				structuredContent: createAuthorProfileWidgetPayload(author, articles, contentLocale),
+				...(authorProfileWidget ? { _meta: widgetInvocationMeta(authorProfileWidget) } : {}),
 			};
 		}
 	);
@@ -249,30 +775,24 @@ function createBlogServer() {
 	// Register list_recent_articles tool
 	server.registerTool(
 		'list_recent_articles',
-		{
-			title: 'List recent articles',
-			description: 'Get the most recently published articles.',
-			inputSchema: {
-				limit: z
-					.number()
-					.optional()
-					.default(CONFIG.DEFAULT_LIMIT)
-					.describe('Maximum number of articles to return'),
-			},
-			annotations: {
-				readOnlyHint: true,
-			},
-		},
-		async ({ limit = CONFIG.DEFAULT_LIMIT }) => {
-			const results = filterArticlesByDateRange(undefined, undefined, limit);
+		getToolConfig('list_recent_articles', widgets),
+		async ({ limit = CONFIG.DEFAULT_LIMIT, cursor, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const page = paginateResults(findArticlesByDateRange(undefined, undefined, contentLocale), {
+				cursor,
+				limit,
+				request: { tool: 'list_recent_articles', locale: contentLocale },
+			});
+			const results = page.items;
 			const urlList = formatArticleUrlList(results);
+			const paginationHint = formatPaginationHint(page);
 			const textOutput = `Showing ${results.length} most recent article(s)${
 				limit < CONFIG.MAX_LIMIT ? ` (limit: ${limit})` : ''
 			}.
 
 				**Quick Reference:**
 				${urlList}
-
+				${paginationHint ? `\n${paginationHint}\n` : ''}
 				💡 **Try:** Search by keyword, filter by author, or specify a date range.`;
 
 			return {
@@ -282,6 +802,163 @@ function createBlogServer() {
 						text: textOutput,
 					},
 				],
+				structuredContent: createArticleListPayload({
+					heading: 'Recent articles',
+					summary: `Showing the most recent of ${page.total} article(s).`,
+					page: { ...page, items: results.map((article) => ({ article })) },
+					locale: contentLocale,
+					toolCall: { name: 'list_recent_articles', arguments: { limit, locale: contentLocale } },
+					context: { limit, locale: contentLocale },
+				}),
+				...(articleListWidget ? { _meta: widgetInvocationMeta(articleListWidget) } : {}),
+			};
+		}
+	);
+
+	// Register list_topics tool
+	server.registerTool(
+		'list_topics',
+		getToolConfig('list_topics', widgets),
+		async ({ locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const topics = listTopics(contentLocale);
+			const topicList = topics
+				.map(({ id, label, count }) => `- ${label} (\`${id}\`): ${count} article(s)`)
+				.join('\n');
+
+			return {
+				content: [
+					{
+						type: 'text',
+						text: `${topics.length} topic(s):\n\n${topicList}\n\n💡 **Try:** Filter articles by one of these topics.`,
+					},
+				],
+				structuredContent: { locale: contentLocale, topics },
+			};
+		}
+	);
+
+	// Register filter_articles_by_topic tool
+	server.registerTool(
+		'filter_articles_by_topic',
+		getToolConfig('filter_articles_by_topic', widgets),
+		async ({ topic, limit = CONFIG.DEFAULT_LIMIT, cursor, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const topics = listTopics(contentLocale);
+			const articles = findArticlesByTopic(topic, contentLocale);
+			if (articles.length === 0 && !findTopic(topic)) {
+				throw new ValidationError(`Unknown topic "${topic}".`, {
+					code: 'unknown_topic',
+					hint: `Use one of the available topics: ${topics.map(({ id }) => id).join(', ')}`,
+					details: { availableTopics: topics },
+				});
+			}
+
+			const topicId = findTopic(topic)?.id ?? topic.trim();
+			const label = getTopicLabel(topicId);
+			const page = paginateResults(articles, {
+				cursor,
+				limit,
+				request: { tool: 'filter_articles_by_topic', topic: topicId, locale: contentLocale },
+			});
+			const results = page.items;
+			const urlList = formatArticleUrlList(results);
+			const paginationHint = formatPaginationHint(page);
+			const textOutput = `Found ${page.total} article(s) about ${label}${
+				limit < CONFIG.MAX_LIMIT ? ` (showing ${results.length})` : ''
+			}.
+
+				**Quick Reference:**
+				${urlList}
+				${paginationHint ? `\n${paginationHint}\n` : ''}
+				💡 **Try:** Combine the topic with an author or date range using query_articles.`;
+
+			return {
+				content: [
+					{
+						type: 'text',
+						text: textOutput,
+					},
+				],
+				structuredContent: createArticleListPayload({
+					heading: `Articles about ${label}`,
+					summary: `Found ${page.total} article(s).`,
+					page: { ...page, items: results.map((article) => ({ article })) },
+					locale: contentLocale,
+					toolCall: {
+						name: 'filter_articles_by_topic',
+						arguments: { topic, limit, locale: contentLocale },
+					},
+					context: { topic, limit, locale: contentLocale },
+				}),
+				...(articleListWidget ? { _meta: widgetInvocationMeta(articleListWidget) } : {}),
+			};
+		}
+	);
+
+	// Register query_articles tool
+	server.registerTool(
+		'query_articles',
+		getToolConfig('query_articles', widgets),
+		async ({ limit = CONFIG.DEFAULT_LIMIT, cursor, locale, ...criteria }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const { results: matches, facets } = queryArticles(criteria, contentLocale);
+			const page = paginateResults(matches, {
+				cursor,
+				limit,
+				request: { tool: 'query_articles', ...criteria, locale: contentLocale },
+			});
+			const results = page.items.map(({ article }) => article);
+
+			const filters = [
+				criteria.query && `matching "${criteria.query}"`,
+				criteria.author && `by "${criteria.author}"`,
+				criteria.startDate && `from ${criteria.startDate}`,
+				criteria.endDate && `until ${criteria.endDate}`,
+				criteria.topic && `about topic "${criteria.topic}"`,
+			].filter(Boolean);
+			const filterContext = filters.length > 0 ? ` ${filters.join(' ')}` : '';
+
+			const urlList = formatArticleUrlList(results);
+			const facetList = formatFacets(facets);
+			const paginationHint = formatPaginationHint(page);
+			const textOutput = `Found ${page.total} article(s)${filterContext}${
+				limit < CONFIG.MAX_LIMIT ? ` (showing ${results.length})` : ''
+			}.
+
+				**Quick Reference:**
+				${urlList}
+				${paginationHint ? `\n${paginationHint}\n` : ''}${
+				facetList ? `\n**Refine by:**\n${facetList}\n` : ''
+			}
+				💡 **Try:** ${
+					facetList
+						? 'Narrow the results with one of the authors, years or topics above.'
+						: 'Remove a filter or widen the date range.'
+				}`;
+
+			return {
+				content: [
+					{
+						type: 'text',
+						text: textOutput,
+					},
+				],
+				structuredContent: {
+					...createArticleListPayload({
+						heading: `Articles${filterContext}`,
+						summary: `Found ${page.total} article(s).`,
+						page,
+						locale: contentLocale,
+						toolCall: {
+							name: 'query_articles',
+							arguments: { ...criteria, limit, locale: contentLocale },
+						},
+						context: { ...criteria, limit, locale: contentLocale },
+					}),
+					facets,
+				},
+				...(articleListWidget ? { _meta: widgetInvocationMeta(articleListWidget) } : {}),
 			};
 		}
 	);
@@ -289,36 +966,19 @@ function createBlogServer() {
 	// Register get_article_preview tool
 	server.registerTool(
 		'get_article_preview',
-		{
-			title: 'Get article preview',
-			description: 'Get a detailed preview of a specific article by its title.',
-			inputSchema: {
-				title: z.string().describe('The title of the article to preview'),
-			},
-			annotations: {
-				readOnlyHint: true,
-			},
-			_meta: articlePreviewWidget
-				? {
-						'openai/outputTemplate': articlePreviewWidget.templateUri,
-						'openai/toolInvocation/invoking': articlePreviewWidget.invoking,
-						'openai/toolInvocation/invoked': articlePreviewWidget.invoked,
-				  }
-				: {},
-		},
-		async ({ title }) => {
-			const results = searchArticlesByTitle(title, 1);
+		getToolConfig('get_article_preview', widgets),
+		async ({ title, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const results = searchArticlesByTitle(title, 1, contentLocale);
 			const article = results.length > 0 ? results[0] : null;
 
 			if (!article) {
-				return {
-					content: [
-						{
-							type: 'text',
-							text: `Article with title "${title}" not found. Try using the search_articles tool first to find the correct article.`,
-						},
-					],
-				};
+				const suggestions = suggestArticlesByTitle(title, 5, contentLocale);
+				throw createArticleNotFoundError(
+					`No article titled "${title}" found.`,
+					suggestions,
+					'Call get_article_preview again with the exact title of the intended article.'
+				);
 			}
 
 			if (articlePreviewWidget) {
@@ -348,6 +1008,90 @@ function createBlogServer() {
 						text: preview,
 					},
 				],
+				structuredContent: createArticlePreviewWidgetPayload(article),
+			};
+		}
+	);
+
+	// Register get_related_articles tool
+	server.registerTool(
+		'get_related_articles',
+		getToolConfig('get_related_articles', widgets),
+		async ({ slug, limit = 5, locale }, extra) => {
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const result = isValidSlug(slug) ? getRelatedArticles(slug, limit, contentLocale) : null;
+			if (!result) {
+				throw new NotFoundError(`Article not found: ${slug}.`, {
+					code: 'unknown_article',
+					hint: 'Use search_articles to find the slug of the article.',
+				});
+			}
+
+			const { article, related } = result;
+			return {
+				content: [
+					{
+						type: 'text',
+						text: `Related to "${article.title}":\n\n${formatRelatedArticles(related)}`,
+					},
+				],
+				structuredContent: createRelatedArticlesPayload(article, related, contentLocale),
+			};
+		}
+	);
+
+	// Register get_article_content tool
+	server.registerTool(
+		'get_article_content',
+		getToolConfig('get_article_content', widgets),
+		async ({ slug, title, format = 'markdown', locale }, extra) => {
+			if (!slug && !title) {
+				throw new ValidationError('Either a slug or a title is required.', {
+					hint: 'Call get_article_content again with the slug or the title of the article.',
+				});
+			}
+
+			const contentLocale = resolveRequestLocale(locale, extra);
+			const article =
+				(slug && isValidSlug(slug) ? getArticleBySlug(slug, contentLocale) : undefined) ??
+				(title ? searchArticlesByTitle(title, 1, contentLocale)[0] : undefined);
+
+			if (!article) {
+				const reference = slug ? `slug "${slug}"` : `title "${title}"`;
+				const suggestions = title ? suggestArticlesByTitle(title, 5, contentLocale) : [];
+				throw createArticleNotFoundError(
+					`No article with ${reference} found.`,
+					suggestions,
+					'Call get_article_content again with the slug of the intended article.'
+				);
+			}
+
+			return {
+				content: [
+					{
+						type: 'text',
+						text: formatArticleContent(article, format),
+					},
+				],
+			};
+		}
+	);
+
+	// Register dataset_health tool
+	server.registerTool(
+		'dataset_health',
+		getToolConfig('dataset_health', widgets),
+		async ({ maxIssues = 20 }) => {
+			// Tool calls only run once articles are loaded (see instrumentToolCall())
+			const report = getLoadReport();
+			return {
+				content: [
+					{
+						type: 'text',
+						text: formatLoadReport(report, Math.max(0, maxIssues)),
+					},
+				],
+				structuredContent: report,
 			};
 		}
 	);
@@ -358,15 +1102,182 @@ function createBlogServer() {
 // Exported handler for both serverless and traditional server usage
 export { getCorsHeaders } from './cors-utils.js';
 
+/**
+ * Serves the OAuth protected-resource metadata (RFC 9728) that MCP clients fetch to find the
+ * authorization server. Only available with MCP_AUTH_MODE=oauth.
+ * @param req - HTTP request
+ * @param res - HTTP response
+ */
+export function handleProtectedResourceMetadataRequest(req, res) {
+	const metadata = authenticator.getProtectedResourceMetadata();
+	if (!metadata) {
+		res.writeHead(404, getCorsHeaders(req.headers?.origin)).end('Not Found');
+		return;
+	}
+
+	res.writeHead(200, {
+		'content-type': 'application/json',
+		'cache-control': 'public, max-age=3600',
+		...getCorsHeaders(req.headers?.origin),
+	});
+	res.end(JSON.stringify(metadata));
+}
+
+/**
+ * Counts a request against the request budget of its client and answers it with 429 and a
+ * Retry-After header when the budget is used up. Tool calls are limited per tool when they
+ * run (see checkToolRateLimit()).
+ * @param res - HTTP response, answered when the request is rejected
+ * @param clientKey - Client of the request (see getClientKey())
+ * @returns Whether the request may proceed
+ */
+async function checkRequestRateLimit(res, clientKey) {
+	const requestLimit = await rateLimiter.limitRequest(clientKey);
+	if (requestLimit.allowed) return true;
+
+	getLogger().warn('Rate limit exceeded', { client: clientKey });
+	const retryAfterSeconds = Math.max(1, Math.ceil(requestLimit.retryAfterMs / 1000));
+	writeJsonRpcError(res, 429, RATE_LIMIT_ERROR_CODE, 'Too many requests, try again later', {
+		data: { code: 'rate_limited', limitPerMinute: requestLimit.limit, retryAfterSeconds },
+		headers: { 'Retry-After': String(retryAfterSeconds) },
+	});
+	return false;
+}
+
+/**
+ * Liveness probe: answers as long as the process can handle requests
+ * @param req - HTTP request
+ * @param res - HTTP response
+ */
+export function handleHealthRequest(req, res) {
+	writeJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+}
+
+function getReadinessStatus(ready, degraded) {
+	if (shuttingDown) return 'shutting_down';
+	if (!ready) return 'not_ready';
+	return degraded ? 'degraded' : 'ready';
+}
+
+/**
+ * Readiness probe: ready once articles are loaded. Missing widgets or a failed reload (the
+ * previous articles stay active) are reported as degraded, a shutdown in progress as not ready.
+ * Loads the data on first use, like the MCP endpoint.
+ * @param req - HTTP request
+ * @param res - HTTP response
+ */
+export async function handleReadinessRequest(req, res) {
+	let initializationError;
+	try {
+		await ensureWidgetsInitialized();
+	} catch (error) {
+		initializationError = error.message;
+	}
+
+	const load = getLoadStatus();
+	const widgets = {
+		articleList: Boolean(articleListWidget),
+		articlePreview: Boolean(articlePreviewWidget),
+		authorProfile: Boolean(authorProfileWidget),
+	};
+	const ready = load.articleCount > 0 && !shuttingDown;
+	const degraded = !Object.values(widgets).every(Boolean) || Boolean(load.lastError);
+
+	writeJson(res, ready ? 200 : 503, {
+		status: getReadinessStatus(ready, degraded),
+		articles: {
+			count: load.articleCount,
+			locales: getLoadReport()?.locales ?? {},
+			datasetVersion: load.version,
+			loadedAt: load.loadedAt,
+			lastError: load.lastError,
+		},
+		widgets,
+		...(initializationError ? { error: initializationError } : {}),
+	});
+}
+
+/**
+ * Serves the metrics of this process in the Prometheus text format
+ * @param req - HTTP request
+ * @param res - HTTP response
+ */
+export function handleMetricsRequest(req, res) {
+	res.writeHead(200, { 'content-type': METRICS_CONTENT_TYPE, 'cache-control': 'no-store' });
+	res.end(metrics.render());
+}
+
+/**
+ * Exports the spans that have not been exported yet, e.g. at the end of a serverless
+ * invocation
+ */
+export function flushTraces() {
+	return tracer.flush();
+}
+
+// Caller-supplied request ids are kept when they are short and harmless to log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function getRequestId(req) {
+	const header = req.headers['x-request-id'];
+	return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+}
+
+/**
+ * Handles a request to the MCP endpoint. Every request gets an id, the caller's X-Request-Id
+ * or a new one, that is returned as X-Request-Id and added to every log entry and span of the
+ * request, including those of its tool calls.
+ * @param req - HTTP request
+ * @param res - HTTP response
+ */
 export async function handleMcpRequest(req, res) {
-	// Log request details for debugging
-	console.log('[MCP] Request received:', {
+	const requestId = getRequestId(req);
+	const span = tracer.startSpan(`MCP ${req.method}`, {
+		kind: SPAN_KIND.SERVER,
+		parent: parseTraceparent(req.headers.traceparent),
+		attributes: { 'http.request.method': req.method, 'mcp.request_id': requestId },
+	});
+	const log = logger.child({ requestId, traceId: span.traceId });
+	const startedAt = performance.now();
+
+	res.setHeader('X-Request-Id', requestId);
+	// Notification streams stay open until the session ends, so they are not waited for
+	if (req.method !== 'GET') {
+		requestTracker.track(res);
+	}
+	res.on('close', () => {
+		span.setAttributes({ 'http.response.status_code': res.statusCode });
+		span.end();
+		requestCounter.inc({ method: req.method, status: res.statusCode });
+		log.info('Request completed', {
+			method: req.method,
+			status: res.statusCode,
+			durationMs: Math.round(performance.now() - startedAt),
+		});
+	});
+
+	// Tool calls find the request id, logger, span and client in the request context
+	const context = { requestId, log, span };
+	await runWithRequestContext(context, () => processMcpRequest(req, res, context));
+}
+
+async function processMcpRequest(req, res, context) {
+	const { log, span } = context;
+	log.debug('Request received', {
 		method: req.method,
 		userAgent: req.headers['user-agent'],
 		accept: req.headers.accept,
-		hasMcpSessionId: !!req.headers['mcp-session-id'],
+		sessionId: req.headers['mcp-session-id'],
 	});
 
+	// Requests on connections that were open before the shutdown started go elsewhere
+	if (shuttingDown) {
+		writeJsonRpcError(res, 503, -32000, 'Server is shutting down, try again', {
+			headers: { connection: 'close', 'Retry-After': '1' },
+		});
+		return;
+	}
+
 	// For GET requests without mcp-session-id, return 200 OK (browser health check)
 	if (req.method === 'GET' && !req.headers['mcp-session-id']) {
 		res.writeHead(200, {
@@ -384,12 +1295,58 @@ export async function handleMcpRequest(req, res) {
 
 	// Set CORS headers on the response
 	const corsHeaders = getCorsHeaders(req.headers?.origin, {
-		'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+		'Access-Control-Expose-Headers':
+			'Mcp-Session-Id, WWW-Authenticate, Retry-After, X-Request-Id',
 	});
 	Object.entries(corsHeaders).forEach(([key, value]) => res.setHeader(key, value));
 
-	// Lazy-initialize widgets before creating the server
-	ensureWidgetsInitialized();
+	// The SDK passes req.auth to tool handlers as extra.authInfo
+	try {
+		req.auth = authenticator.authenticate(req) ?? undefined;
+	} catch (error) {
+		if (!(error instanceof AuthenticationError)) throw error;
+		log.warn('Authentication failed', { error: error.message });
+		res.writeHead(error.status, {
+			'content-type': 'application/json',
+			'WWW-Authenticate': authenticator.getChallenge(error),
+		});
+		res.end(JSON.stringify({ error: error.code, error_description: error.message }));
+		return;
+	}
+
+	// Set once authenticated, as the client id takes precedence over the IP address
+	context.clientKey = getClientKey(req, RATE_LIMIT_CONFIG.trustedProxies);
+	if (rateLimiter && !(await checkRequestRateLimit(res, context.clientKey))) {
+		return;
+	}
+
+	try {
+		// Lazy-initialize data and widgets before creating the server
+		await ensureWidgetsInitialized();
+	} catch (error) {
+		// The client can still connect; its tool calls report the data as unavailable
+		log.error('Initialization failed', { error });
+		span.recordError(error);
+	}
+
+	if (sessionManager) {
+		try {
+			await sessionManager.handleRequest(req, res);
+		} catch (error) {
+			log.error('Error handling request', { error });
+			span.recordError(error);
+			writeInternalError(res, context.requestId);
+		}
+		return;
+	}
+
+	// Stateless: there is no session to stream to or to delete
+	if (req.method !== 'POST') {
+		writeJsonRpcError(res, 405, -32000, 'Method not allowed: this server is stateless', {
+			headers: { allow: 'POST' },
+		});
+		return;
+	}
 
 	const server = createBlogServer();
 	const transport = new StreamableHTTPServerTransport({
@@ -397,7 +1354,9 @@ export async function handleMcpRequest(req, res) {
 	});
 
 	// Cleanup on response close
+	activeServers.add(server);
 	res.on('close', () => {
+		activeServers.delete(server);
 		transport.close();
 		server.close();
 	});
@@ -408,10 +1367,9 @@ export async function handleMcpRequest(req, res) {
 		// If req.body exists (Vercel serverless), pass it; otherwise the transport reads from stream
 		await transport.handleRequest(req, res, req.body);
 	} catch (error) {
-		console.error('[MCP] Error handling request:', error);
-		if (!res.headersSent) {
-			res.writeHead(500).end('Internal server error');
-		}
+		log.error('Error handling request', { error });
+		span.recordError(error);
+		writeInternalError(res, context.requestId);
 	}
 }
 
@@ -419,13 +1377,28 @@ const MCP_METHODS = new Set(['POST', 'GET', 'DELETE']);
 
 async function startServer() {
 	// Initialize widgets for local server
-	ensureWidgetsInitialized();
+	await ensureWidgetsInitialized();
+
+	// Pick up content changes without a restart
+	const stopContentRefresh = startContentRefresh(contentSource, CONTENT_REFRESH_CONFIG);
+
+	if (SESSION_CONFIG.stateful) {
+		sessionManager = createSessionManager({
+			idleTimeoutMs: SESSION_CONFIG.idleTimeoutMs,
+			maxSessions: SESSION_CONFIG.maxSessions,
+			maxEventsPerSession: SESSION_CONFIG.maxEventsPerSession,
+			createServer: createBlogServer,
+			onSessionOpen: (server) => activeServers.add(server),
+			onSessionClose: (server) => activeServers.delete(server),
+		});
+	}
 
 	const portEnv = Number(process.env.PORT ?? DEFAULT_PORT);
 	const port = Number.isFinite(portEnv) ? portEnv : DEFAULT_PORT;
 	const MCP_PATH = process.env.MCP_PATH ?? '/mcp';
 
-	const httpServer = createServer(async (req, res) => {
+	// Routes a request of the standalone server to its handler
+	const routeRequest = async (req, res) => {
 		if (!req.url) {
 			res.writeHead(400).end('Missing URL');
 			return;
@@ -438,8 +1411,10 @@ async function startServer() {
 			res.writeHead(204, {
 				...getCorsHeaders(req.headers?.origin, {
 					'Access-Control-Allow-Methods': 'POST, GET, DELETE, OPTIONS',
-					'Access-Control-Allow-Headers': requestedHeaders || 'content-type, mcp-session-id',
-					'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+					'Access-Control-Allow-Headers':
+						requestedHeaders || 'authorization, content-type, mcp-session-id',
+					'Access-Control-Expose-Headers':
+						'Mcp-Session-Id, WWW-Authenticate, Retry-After, X-Request-Id',
 				}),
 			});
 			res.end();
@@ -451,23 +1426,98 @@ async function startServer() {
 			return;
 		}
 
+		if (req.method === 'GET' && url.pathname === '/healthz') {
+			handleHealthRequest(req, res);
+			return;
+		}
+
+		if (req.method === 'GET' && url.pathname === '/readyz') {
+			await handleReadinessRequest(req, res);
+			return;
+		}
+
+		if (req.method === 'GET' && url.pathname === '/metrics') {
+			handleMetricsRequest(req, res);
+			return;
+		}
+
+		if (req.method === 'GET' && url.pathname.startsWith(PROTECTED_RESOURCE_METADATA_PATH)) {
+			handleProtectedResourceMetadataRequest(req, res);
+			return;
+		}
+
 		if (url.pathname.startsWith(MCP_PATH) && req.method && MCP_METHODS.has(req.method)) {
 			await handleMcpRequest(req, res);
 			return;
 		}
 
 		res.writeHead(404).end('Not Found');
+	};
+
+	// A handler that throws must not take the process down with it
+	const httpServer = createServer(async (req, res) => {
+		try {
+			await routeRequest(req, res);
+		} catch (error) {
+			logger.error('Request failed', { method: req.method, url: req.url, error });
+			if (res.headersSent) {
+				res.end();
+			} else {
+				writeInternalError(res, res.getHeader('X-Request-Id'));
+			}
+		}
 	});
 
 	httpServer.on('clientError', (err, socket) => {
-		console.error('HTTP client error', err);
+		logger.warn('HTTP client error', { error: err.message });
 		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
 	});
 
 	httpServer.listen(port, () => {
-		console.log(`Unic.com MCP server listening on http://localhost:${port}${MCP_PATH}`);
-		console.log(`  Server loaded ${magazineArticles.length} articles`);
-		console.log(`  Press Ctrl+C to shut down`);
+		logger.info('Unic.com MCP server listening', {
+			url: `http://localhost:${port}${MCP_PATH}`,
+			articles: magazineArticles.length,
+			sessions: sessionManager ? 'stateful' : 'stateless',
+			auth: authenticator.mode,
+			rateLimit: rateLimiter
+				? {
+						requestsPerMinute: RATE_LIMIT_CONFIG.requestsPerMinute,
+						toolCallsPerMinute: RATE_LIMIT_CONFIG.toolCallsPerMinute,
+					}
+				: 'off',
+			tracing: TRACING_CONFIG.exporter,
+		});
+	});
+
+	// Stops accepting connections, fails readiness and lets requests in flight finish before
+	// sessions, transports and servers are closed
+	handleShutdownSignals(async (signal) => {
+		shuttingDown = true;
+		logger.info('Shutting down', {
+			signal,
+			inFlightRequests: requestTracker.size(),
+			timeoutMs: SHUTDOWN_CONFIG.timeoutMs,
+		});
+
+		stopContentRefresh();
+		httpServer.close();
+		httpServer.closeIdleConnections();
+
+		const drained = await requestTracker.drain(SHUTDOWN_CONFIG.timeoutMs);
+		if (!drained) {
+			logger.warn('Shutdown deadline reached, closing the remaining requests', {
+				inFlightRequests: requestTracker.size(),
+			});
+		}
+
+		// Ends the sessions' notification streams and closes their transports and servers
+		await sessionManager?.closeAll();
+		await Promise.allSettled([...activeServers].map((server) => server.close()));
+		httpServer.closeAllConnections();
+		await flushTraces();
+
+		logger.info('Shutdown complete', { drained });
+		return drained;
 	});
 }
 
@@ -479,5 +1529,8 @@ const isMain =
 	pathToFileURL(path.resolve(mainArg)).href === import.meta.url;
 
 if (isMain) {
-	startServer();
+	startServer().catch((error) => {
+		logger.error('Failed to start server', { error });
+		process.exit(1);
+	});
 }
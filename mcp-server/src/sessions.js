@@ -0,0 +1,213 @@
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { readJsonBody, writeJsonRpcError } from './http-utils.js';
+import { getLogger, logger } from './logger.js';
+
+// How often idle sessions are looked for, at most
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates an in-memory event store for one session. Every message sent on an SSE stream is
+ * kept, so a client that lost the connection can resume with the Last-Event-ID header.
+ * Stream ids are only unique within a session, hence one store per session.
+ * @param options - { maxEvents } number of most recent events kept (default: 1000)
+ * @returns EventStore for StreamableHTTPServerTransport
+ */
+export function createEventStore({ maxEvents = 1000 } = {}) {
+	// Oldest first; event ids are increasing sequence numbers
+	const events = [];
+	let sequence = 0;
+
+	const indexOf = (eventId) => events.findIndex((event) => event.eventId === eventId);
+
+	return {
+		async storeEvent(streamId, message) {
+			const eventId = String(++sequence);
+			events.push({ eventId, streamId, message });
+			if (events.length > maxEvents) {
+				events.splice(0, events.length - maxEvents);
+			}
+			return eventId;
+		},
+
+		// Unknown or evicted ids are rejected by the transport with 400
+		async getStreamIdForEventId(eventId) {
+			return events[indexOf(eventId)]?.streamId;
+		},
+
+		async replayEventsAfter(lastEventId, { send }) {
+			const index = indexOf(lastEventId);
+			if (index === -1) {
+				throw new Error(`Unknown event id: ${lastEventId}`);
+			}
+			const { streamId } = events[index];
+			for (const event of events.slice(index + 1)) {
+				if (event.streamId === streamId) {
+					await send(event.eventId, event.message);
+				}
+			}
+			return streamId;
+		},
+	};
+}
+
+/**
+ * Keeps one MCP server and transport per client session (stateful Streamable HTTP).
+ * A session starts with an initialize request without Mcp-Session-Id; the transport answers
+ * with a new session id that the client sends on every later request. Sessions end with
+ * DELETE, or when they had no open request for `idleTimeoutMs`.
+ * @param options - { createServer, onSessionOpen, onSessionClose, idleTimeoutMs, maxSessions,
+ *   maxEventsPerSession }. `createServer` returns a new McpServer; the hooks receive it when a
+ *   session is established and when it ends.
+ * @returns { handleRequest(req, res), closeAll(), size() }
+ */
+export function createSessionManager({
+	createServer,
+	onSessionOpen = () => {},
+	onSessionClose = () => {},
+	idleTimeoutMs = 30 * 60 * 1000,
+	maxSessions = 1000,
+	maxEventsPerSession = 1000,
+}) {
+	// Session id → { server, transport, clientId, lastActivity, openRequests }
+	const sessions = new Map();
+
+	const closeSession = async (sessionId, reason) => {
+		const session = sessions.get(sessionId);
+		if (!session) return;
+
+		sessions.delete(sessionId);
+		logger.info('Session closed', { sessionId, reason, activeSessions: sessions.size });
+		onSessionClose(session.server);
+		await session.transport.close();
+		await session.server.close();
+	};
+
+	const sweep = setInterval(() => {
+		const cutoff = Date.now() - idleTimeoutMs;
+		for (const [sessionId, session] of sessions) {
+			if (session.openRequests === 0 && session.lastActivity < cutoff) {
+				closeSession(sessionId, 'idle').catch((error) =>
+					logger.error('Failed to close session', { sessionId, error })
+				);
+			}
+		}
+	}, Math.min(idleTimeoutMs, MAX_SWEEP_INTERVAL_MS));
+	sweep.unref();
+
+	// Open SSE streams keep a session alive; the idle timer starts when the last one closes
+	const track = (session, res) => {
+		session.openRequests++;
+		session.lastActivity = Date.now();
+		res.on('close', () => {
+			session.openRequests--;
+			session.lastActivity = Date.now();
+		});
+	};
+
+	const startSession = async (req, res, body) => {
+		if (sessions.size >= maxSessions) {
+			writeJsonRpcError(res, 503, -32000, 'Too many active sessions, try again later');
+			return;
+		}
+
+		const server = createServer();
+		const session = {
+			server,
+			transport: null,
+			// Authenticated client that started the session (req.auth, see auth.js)
+			clientId: req.auth?.clientId,
+			lastActivity: Date.now(),
+			openRequests: 0,
+		};
+		session.transport = new StreamableHTTPServerTransport({
+			sessionIdGenerator: () => randomUUID(),
+			eventStore: createEventStore({ maxEvents: maxEventsPerSession }),
+			onsessioninitialized: (sessionId) => {
+				sessions.set(sessionId, session);
+				onSessionOpen(server);
+				getLogger().info('Session started', { sessionId, activeSessions: sessions.size });
+			},
+			onsessionclosed: (sessionId) => closeSession(sessionId, 'deleted by client'),
+		});
+		// Also covers transports closed by the SDK itself
+		session.transport.onclose = () => {
+			const { sessionId } = session.transport;
+			if (sessionId && sessions.get(sessionId) === session) {
+				sessions.delete(sessionId);
+				onSessionClose(server);
+			}
+		};
+
+		// An initialize request rejected before onsessioninitialized leaves nothing to clean up later
+		res.on('close', () => {
+			if (session.transport.sessionId) return;
+			session.transport
+				.close()
+				.then(() => server.close())
+				.catch((error) => logger.error('Failed to close unused session server', { error }));
+		});
+
+		track(session, res);
+		await server.connect(session.transport);
+		await session.transport.handleRequest(req, res, body);
+	};
+
+	return {
+		/**
+		 * Routes a request to its session, or starts a session for initialize requests
+		 * @param req - Node.js request; `req.body` is used when already parsed
+		 * @param res - Node.js response
+		 */
+		async handleRequest(req, res) {
+			const sessionId = req.headers['mcp-session-id'];
+			if (typeof sessionId === 'string' && sessionId.length > 0) {
+				const session = sessions.get(sessionId);
+				// Sessions of other clients are treated as unknown
+				if (!session || session.clientId !== req.auth?.clientId) {
+					// Tells the client to start over with a new initialize request
+					writeJsonRpcError(res, 404, -32001, 'Session not found');
+					return;
+				}
+				track(session, res);
+				await session.transport.handleRequest(req, res, req.body);
+				return;
+			}
+
+			if (req.method === 'POST') {
+				// The body is read here to recognize initialize requests, so it is passed on parsed
+				const body = req.body ?? (await readJsonBody(req));
+				if (body === undefined) {
+					writeJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+					return;
+				}
+
+				const messages = Array.isArray(body) ? body : [body];
+				if (messages.some((message) => isInitializeRequest(message))) {
+					await startSession(req, res, body);
+					return;
+				}
+			}
+
+			writeJsonRpcError(
+				res,
+				400,
+				-32000,
+				'Bad Request: Mcp-Session-Id header is required, start a session with initialize'
+			);
+		},
+
+		/**
+		 * Ends every session, e.g. before the process exits
+		 */
+		async closeAll() {
+			clearInterval(sweep);
+			await Promise.all([...sessions.keys()].map((id) => closeSession(id, 'server shutdown')));
+		},
+
+		size() {
+			return sessions.size;
+		},
+	};
+}
@@ -0,0 +1,74 @@
+import { logger } from './logger.js';
+
+/**
+ * Keeps track of the requests being handled, so a shutdown can wait for them to finish
+ * @returns { track(res), size(), drain(timeoutMs) }
+ */
+export function createRequestTracker() {
+	const active = new Set();
+	let waiters = [];
+
+	return {
+		/**
+		 * Counts a request as in flight until its response is closed
+		 * @param res - Node.js response
+		 */
+		track(res) {
+			active.add(res);
+			res.on('close', () => {
+				active.delete(res);
+				if (active.size === 0) {
+					waiters.forEach((resolve) => resolve());
+					waiters = [];
+				}
+			});
+		},
+
+		size() {
+			return active.size;
+		},
+
+		/**
+		 * Waits until no request is in flight
+		 * @param timeoutMs - Deadline
+		 * @returns Promise resolving to true when all requests finished, false at the deadline
+		 */
+		drain(timeoutMs) {
+			if (active.size === 0) return Promise.resolve(true);
+			return new Promise((resolve) => {
+				const timer = setTimeout(() => resolve(false), timeoutMs);
+				waiters.push(() => {
+					clearTimeout(timer);
+					resolve(true);
+				});
+			});
+		},
+	};
+}
+
+/**
+ * Runs a shutdown sequence on SIGTERM and SIGINT, then exits. A second signal exits at once.
+ * @param shutdown - Called with the signal name; resolves to true after a clean shutdown
+ */
+export function handleShutdownSignals(shutdown) {
+	let shuttingDown = false;
+
+	const onSignal = (signal) => {
+		if (shuttingDown) {
+			logger.warn('Second shutdown signal, exiting immediately', { signal });
+			process.exit(1);
+		}
+		shuttingDown = true;
+
+		shutdown(signal).then(
+			(clean) => process.exit(clean ? 0 : 1),
+			(error) => {
+				logger.error('Shutdown failed', { error });
+				process.exit(1);
+			}
+		);
+	};
+
+	process.on('SIGTERM', onSignal);
+	process.on('SIGINT', onSignal);
+}
@@ -0,0 +1,93 @@
+// Windows-1252 characters in the 0x80-0x9F range; all other code points below 0x100 map 1:1 to bytes
+const CP1252_BYTES = new Map([
+	['€', 0x80],
+	['‚', 0x82],
+	['ƒ', 0x83],
+	['„', 0x84],
+	['…', 0x85],
+	['†', 0x86],
+	['‡', 0x87],
+	['ˆ', 0x88],
+	['‰', 0x89],
+	['Š', 0x8a],
+	['‹', 0x8b],
+	['Œ', 0x8c],
+	['Ž', 0x8e],
+	['‘', 0x91],
+	['’', 0x92],
+	['“', 0x93],
+	['”', 0x94],
+	['•', 0x95],
+	['–', 0x96],
+	['—', 0x97],
+	['˜', 0x98],
+	['™', 0x99],
+	['š', 0x9a],
+	['›', 0x9b],
+	['œ', 0x9c],
+	['ž', 0x9e],
+	['Ÿ', 0x9f],
+]);
+
+const CONTINUATION = `[\\u0080-\\u00BF${[...CP1252_BYTES.keys()].join('')}]`;
+
+// A UTF-8 lead byte followed by the right number of continuation bytes, read as Windows-1252
+const MOJIBAKE_PATTERN = new RegExp(
+	`[\\u00C2-\\u00DF]${CONTINUATION}|[\\u00E0-\\u00EF]${CONTINUATION}{2}|[\\u00F0-\\u00F4]${CONTINUATION}{3}`,
+	'g'
+);
+
+const MAX_REPAIR_PASSES = 3;
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+function decodeSequence(sequence) {
+	const bytes = [...sequence].map((char) => CP1252_BYTES.get(char) ?? char.codePointAt(0));
+	try {
+		return utf8Decoder.decode(Uint8Array.from(bytes));
+	} catch {
+		// Not valid UTF-8 once re-encoded, so this is genuine Latin-1 text
+		return sequence;
+	}
+}
+
+/**
+ * Reverses UTF-8 text that was decoded as Windows-1252/Latin-1 ("grÃ¼nen" → "grünen").
+ * Only byte sequences that form valid UTF-8 are touched, so correct text is left alone.
+ * @param text - Possibly double-encoded text
+ * @returns Repaired text
+ */
+export function repairMojibake(text) {
+	let current = text;
+	for (let pass = 0; pass < MAX_REPAIR_PASSES; pass++) {
+		const repaired = current.replace(MOJIBAKE_PATTERN, decodeSequence);
+		if (repaired === current) break;
+		current = repaired;
+	}
+	return current;
+}
+
+/**
+ * Repairs mojibake and applies Unicode NFC to every string in a JSON value
+ * @param value - Parsed JSON (objects, arrays and primitives)
+ * @returns Object with the normalized `value` and the number of string fields that changed
+ */
+export function normalizeTextFields(value) {
+	let fixedFields = 0;
+
+	const visit = (node) => {
+		if (typeof node === 'string') {
+			const normalized = repairMojibake(node).normalize('NFC');
+			if (normalized !== node) fixedFields += 1;
+			return normalized;
+		}
+		if (Array.isArray(node)) {
+			return node.map(visit);
+		}
+		if (node && typeof node === 'object') {
+			return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, visit(child)]));
+		}
+		return node;
+	};
+
+	return { value: visit(value), fixedFields };
+}
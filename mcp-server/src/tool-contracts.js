@@ -0,0 +1,504 @@
+import { z } from 'zod';
+import { CONFIG, SEARCH_MODES, SORT_FIELDS, SORT_ORDERS } from './article-service.js';
+import { ValidationError } from './errors.js';
+import { widgetInvocationMeta } from './widget.js';
+
+// Contracts of all tools: input and output schemas, annotations and the widget that renders the
+// result. server.js registers the tools from them, and scripts/generate-types.js derives the
+// TypeScript types of ui-sdk/src/tool-contracts.ts, so widgets and payloads cannot disagree.
+
+// Shared by every content tool; omitted, the client's locale from the request metadata is used
+const localeSchema = z
+	.string()
+	.optional()
+	.describe("Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale");
+
+// Shared by every listing tool
+const cursorSchema = z
+	.string()
+	.optional()
+	.describe('Cursor from a previous response (nextCursor) to fetch the next page');
+
+const limitSchema = z
+	.number()
+	.int()
+	.min(1)
+	.max(CONFIG.MAX_LIMIT)
+	.optional()
+	.default(CONFIG.DEFAULT_LIMIT)
+	.describe('Maximum number of results');
+
+const topicSchema = z.object({
+	id: z.string(),
+	label: z.string(),
+});
+
+const topicCountSchema = topicSchema.extend({
+	count: z.number().describe('Number of articles with this topic'),
+});
+
+const translationSchema = z.object({
+	locale: z.string(),
+	slug: z.string(),
+	title: z.string(),
+	url: z.string(),
+});
+
+// Built by mapMagazineArticleToWidgetArticle() in widget.js
+const widgetArticleSchema = z.object({
+	slug: z.string(),
+	title: z.string(),
+	lead: z.string(),
+	author: z.string(),
+	publicationDate: z.string().describe('ISO timestamp'),
+	url: z.string(),
+	heroUrl: z.string().optional(),
+	heroAlt: z.string().optional(),
+	locale: z.string().describe('Content language of the article, e.g. "de"'),
+	translations: z.array(translationSchema).describe('The same article in other languages'),
+	topics: z.array(topicSchema).describe('Topics the article is tagged with'),
+	score: z.number().optional().describe('Relevance score when the article comes from a search'),
+});
+
+const relatedArticleSchema = widgetArticleSchema.extend({
+	score: z.number().describe('Similarity to the source article'),
+	sharedTopics: z.array(z.string()).describe('Ids of the topics both articles have'),
+	sameAuthor: z.boolean(),
+});
+
+// Built by mapAuthorProfileToWidgetAuthor() in widget.js
+const authorProfileSchema = z.object({
+	id: z.string(),
+	name: z.string(),
+	aliases: z.array(z.string()).describe('Other spellings of the name found in the data'),
+	avatarUrl: z.string().nullable(),
+	articleCount: z.number(),
+	firstPublished: z.string(),
+	lastPublished: z.string(),
+	topics: z.array(topicCountSchema).describe("Topics of the author's articles, most used first"),
+});
+
+const facetSchema = (value) => z.array(z.object({ value, count: z.number() }));
+
+// Built by createArticleListPayload() in widget.js
+const articleListPayloadSchema = z.object({
+	heading: z.string(),
+	articles: z.array(widgetArticleSchema),
+	summary: z.string(),
+	total: z.number().describe('Number of matches on all pages'),
+	hasMore: z.boolean().describe('Whether more results are available after this page'),
+	nextCursor: z
+		.string()
+		.optional()
+		.describe('Cursor for the next page, passed back to the tool as `cursor`'),
+	locale: z.string(),
+	toolCall: z
+		.object({ name: z.string(), arguments: z.record(z.unknown()) })
+		.describe('Tool call that produced this page, repeated with `cursor` to load more'),
+	generatedAt: z.string(),
+	context: z.record(z.unknown()),
+});
+
+const queryArticlesPayloadSchema = articleListPayloadSchema.extend({
+	facets: z
+		.object({
+			authors: facetSchema(z.string()),
+			years: facetSchema(z.number()),
+			topics: facetSchema(z.string()),
+		})
+		.describe('Number of matches per author, year and topic'),
+});
+
+// Built by createArticlePreviewWidgetPayload() in widget.js
+const articlePreviewPayloadSchema = z.object({
+	heading: z.string(),
+	article: widgetArticleSchema.nullable(),
+	locale: z.string(),
+	generatedAt: z.string(),
+});
+
+// Built by createAuthorProfileWidgetPayload() in widget.js
+const authorProfilePayloadSchema = z.object({
+	heading: z.string(),
+	author: authorProfileSchema,
+	articles: z.array(widgetArticleSchema).describe('Latest articles of the author'),
+	locale: z.string(),
+	generatedAt: z.string(),
+});
+
+// Built by createRelatedArticlesPayload() in widget.js
+const relatedArticlesPayloadSchema = z.object({
+	heading: z.string(),
+	source: z
+		.object({ slug: z.string(), title: z.string() })
+		.describe('The article the suggestions are for'),
+	articles: z.array(relatedArticleSchema),
+	locale: z.string(),
+	generatedAt: z.string(),
+});
+
+// structuredContent of list_authors
+const authorListPayloadSchema = z.object({
+	locale: z.string(),
+	topic: z.string().optional(),
+	authors: z.array(authorProfileSchema),
+});
+
+// structuredContent of list_topics
+const topicListPayloadSchema = z.object({
+	locale: z.string(),
+	topics: z.array(topicCountSchema),
+});
+
+// Built by validateArticles() in article-schema.js and completed by loadMagazineArticles()
+const loadReportSchema = z.object({
+	source: z.string(),
+	generatedAt: z.string(),
+	totalEntries: z.number(),
+	loaded: z.number(),
+	dropped: z.number(),
+	errorCount: z.number(),
+	warningCount: z.number(),
+	fixedFields: z.number().describe('Text fields repaired while loading'),
+	locales: z.record(z.number()).describe('Loaded articles per locale'),
+	duplicateSlugs: z.array(
+		z.object({
+			slug: z.string(),
+			locale: z.string().nullable(),
+			indices: z.array(z.number()).describe('Entries sharing the slug'),
+		})
+	),
+	issues: z.array(
+		z.object({
+			index: z.number(),
+			slug: z.string().nullable(),
+			locale: z.string().nullable(),
+			title: z.string().nullable(),
+			status: z.enum(['loaded', 'dropped']),
+			errors: z.array(z.string()),
+			warnings: z.array(z.string()),
+		})
+	),
+});
+
+/**
+ * Schemas that become named types in ui-sdk/src/tool-contracts.ts, in output order. Other
+ * schemas referencing them use the name instead of repeating the type.
+ */
+export const SHARED_SCHEMAS = {
+	ArticleTopic: topicSchema,
+	TopicCount: topicCountSchema,
+	ArticleTranslation: translationSchema,
+	WidgetArticle: widgetArticleSchema,
+	RelatedArticle: relatedArticleSchema,
+	AuthorProfile: authorProfileSchema,
+	ArticleListPayload: articleListPayloadSchema,
+	QueryArticlesPayload: queryArticlesPayloadSchema,
+	ArticlePreviewPayload: articlePreviewPayloadSchema,
+	AuthorProfilePayload: authorProfilePayloadSchema,
+	RelatedArticlesPayload: relatedArticlesPayloadSchema,
+	AuthorListPayload: authorListPayloadSchema,
+	TopicListPayload: topicListPayloadSchema,
+	LoadReport: loadReportSchema,
+};
+
+const readOnly = { readOnlyHint: true };
+
+/**
+ * Tool contracts by tool name. `inputSchema` is a zod raw shape and `outputSchema` the zod
+ * schema of `structuredContent` (none for tools that only return text); `widget` names the
+ * widget that renders the result (see getToolConfig()). Widgets can only call tools marked
+ * `widgetAccessible`, e.g. the list tools for the "Load more" button of the article list.
+ */
+export const TOOL_CONTRACTS = {
+	search_articles: {
+		title: 'Search articles',
+		description:
+			'Search for Unic magazine articles, most relevant first. Combines keyword matching on titles, summaries, full article text and author names with semantic matching, so descriptions of a topic in other words also find articles. Supports "quoted phrases" and prefix* terms.',
+		inputSchema: {
+			query: z.string().describe('The search query to find articles'),
+			limit: limitSchema.describe('Maximum number of results to return'),
+			mode: z
+				.enum(SEARCH_MODES)
+				.optional()
+				.default('hybrid')
+				.describe(
+					"'hybrid' (keywords and meaning), 'keyword' (exact terms only) or 'semantic' (meaning only)"
+				),
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: articleListPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	filter_articles_by_date: {
+		title: 'Filter articles by date',
+		description:
+			'Filter articles by publication date range. Accepts ISO dates as well as natural expressions such as "last quarter", "since March 2024", "past 6 months" or "2023".',
+		inputSchema: {
+			range: z
+				.string()
+				.optional()
+				.describe(
+					'Whole date range as one expression, e.g. "last quarter", "past 6 months", "2023" or "between January 2024 and June 2024"'
+				),
+			startDate: z
+				.string()
+				.optional()
+				.describe('Start date: ISO format (YYYY-MM-DD) or e.g. "March 2024", "Q1 2024"'),
+			endDate: z
+				.string()
+				.optional()
+				.describe('End date: ISO format (YYYY-MM-DD) or e.g. "March 2024" (includes all of it)'),
+			limit: limitSchema,
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: articleListPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	filter_articles_by_author: {
+		title: 'Filter articles by author',
+		description: 'Find articles written by a specific author.',
+		inputSchema: {
+			authorName: z.string().describe('The author name to search for'),
+			limit: limitSchema,
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: articleListPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	list_authors: {
+		title: 'List authors',
+		description:
+			'List the authors of the magazine with their number of articles, active years and main topics. Pass a topic to find out who writes about it.',
+		inputSchema: {
+			topic: z
+				.string()
+				.optional()
+				.describe('Only authors who wrote about this topic (id, label or synonym), e.g. "ai"'),
+			locale: localeSchema,
+		},
+		outputSchema: authorListPayloadSchema,
+		annotations: readOnly,
+	},
+
+	author_profile: {
+		title: 'Get author profile',
+		description:
+			'Show the profile of an author: avatar, number of articles, first and last publication, the topics they write about and their latest articles. Accepts full names, last names and small typos.',
+		inputSchema: {
+			author: z.string().describe('Author name, e.g. "Markus Henkel" or "Henkel"'),
+			limit: limitSchema.describe('Maximum number of articles to list (default: 10, max: 100)'),
+			locale: localeSchema,
+		},
+		outputSchema: authorProfilePayloadSchema,
+		annotations: readOnly,
+		widget: 'authorProfile',
+	},
+
+	list_recent_articles: {
+		title: 'List recent articles',
+		description: 'Get the most recently published articles.',
+		inputSchema: {
+			limit: limitSchema.describe('Maximum number of articles to return'),
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: articleListPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	list_topics: {
+		title: 'List topics',
+		description:
+			'List the topics articles are tagged with (e.g. AI, Commerce, Employee spotlight, Accessibility) and how many articles each has. Use the topic id with filter_articles_by_topic or query_articles.',
+		inputSchema: {
+			locale: localeSchema,
+		},
+		outputSchema: topicListPayloadSchema,
+		annotations: readOnly,
+	},
+
+	filter_articles_by_topic: {
+		title: 'Filter articles by topic',
+		description:
+			'Find articles tagged with a topic such as "ai", "commerce", "employee-spotlight" or "accessibility". Topic labels and synonyms work too. Call list_topics for all topics.',
+		inputSchema: {
+			topic: z.string().describe('Topic id, label or synonym, e.g. "ai" or "New work"'),
+			limit: limitSchema,
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: articleListPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	query_articles: {
+		title: 'Query articles',
+		description:
+			'Find articles with any combination of keyword, author, publication date range and topic, sorted by relevance, date or title. Also returns how many matches each author, year and topic has, to suggest refinements. Use this instead of the single-filter tools when a request combines criteria, e.g. "articles by Nadine Schlegel in 2024 about AI, oldest first".',
+		inputSchema: {
+			query: z.string().optional().describe('Keywords or a description of the subject'),
+			author: z.string().optional().describe('Author name or partial name'),
+			startDate: z
+				.string()
+				.optional()
+				.describe('Start date: ISO format (YYYY-MM-DD) or e.g. "March 2024", "last quarter"'),
+			endDate: z
+				.string()
+				.optional()
+				.describe('End date: ISO format (YYYY-MM-DD) or e.g. "March 2024" (includes all of it)'),
+			topic: z
+				.string()
+				.optional()
+				.describe('Topic id, label or synonym, e.g. "ai" (see list_topics)'),
+			sortBy: z
+				.enum(SORT_FIELDS)
+				.optional()
+				.describe("Sort field (default: 'relevance' with a query, 'date' otherwise)"),
+			sortOrder: z
+				.enum(SORT_ORDERS)
+				.optional()
+				.describe("Sort direction (default: 'asc' for title, 'desc' otherwise)"),
+			mode: z
+				.enum(SEARCH_MODES)
+				.optional()
+				.default('hybrid')
+				.describe("How `query` is matched: 'hybrid', 'keyword' or 'semantic'"),
+			limit: limitSchema,
+			cursor: cursorSchema,
+			locale: localeSchema,
+		},
+		outputSchema: queryArticlesPayloadSchema,
+		annotations: readOnly,
+		widget: 'articleList',
+		widgetAccessible: true,
+	},
+
+	get_article_preview: {
+		title: 'Get article preview',
+		description: 'Get a detailed preview of a specific article by its title.',
+		inputSchema: {
+			title: z.string().describe('The title of the article to preview'),
+			locale: localeSchema,
+		},
+		outputSchema: articlePreviewPayloadSchema,
+		annotations: readOnly,
+		widget: 'articlePreview',
+	},
+
+	get_related_articles: {
+		title: 'Get related articles',
+		description:
+			'Suggest what to read next after an article: the articles most similar in content, sharing topics or written by the same author. Use after get_article_preview or get_article_content.',
+		inputSchema: {
+			slug: z.string().describe('The slug of the article to find related articles for'),
+			limit: z
+				.number()
+				.int()
+				.min(1)
+				.max(10)
+				.optional()
+				.default(5)
+				.describe('Maximum number of related articles (max: 10)'),
+			locale: localeSchema,
+		},
+		outputSchema: relatedArticlesPayloadSchema,
+		annotations: readOnly,
+		// Called by the "Read next" strip of the article preview widget
+		widgetAccessible: true,
+	},
+
+	get_article_content: {
+		title: 'Get article content',
+		description:
+			'Get the full body of a specific article by slug or title. Use this to quote or summarize the actual article instead of its teaser.',
+		inputSchema: {
+			slug: z.string().optional().describe('The slug of the article (preferred when known)'),
+			title: z.string().optional().describe('The title of the article if the slug is unknown'),
+			format: z
+				.enum(['markdown', 'text'])
+				.optional()
+				.default('markdown')
+				.describe('Output format of the article body'),
+			locale: localeSchema,
+		},
+		annotations: readOnly,
+	},
+
+	dataset_health: {
+		title: 'Dataset health',
+		description:
+			'Report on the quality of the loaded article dataset: dropped entries, schema warnings, duplicate slugs and likely broken links. Intended for content editors fixing the CMS export.',
+		inputSchema: {
+			maxIssues: z
+				.number()
+				.int()
+				.min(1)
+				.max(CONFIG.MAX_LIMIT)
+				.optional()
+				.default(20)
+				.describe('Maximum number of affected entries to list'),
+		},
+		outputSchema: loadReportSchema,
+		annotations: readOnly,
+	},
+};
+
+/**
+ * Builds the registerTool() config of a tool from its contract
+ * @param name - Tool name, a key of TOOL_CONTRACTS
+ * @param widgets - { articleList, articlePreview, authorProfile }; a missing widget leaves the
+ *   tool without output template
+ * @returns { title, description, inputSchema, outputSchema, annotations, _meta }
+ */
+export function getToolConfig(name, widgets = {}) {
+	const { widget: widgetName, widgetAccessible, ...config } = TOOL_CONTRACTS[name];
+	const widget = widgetName ? widgets[widgetName] : null;
+
+	return {
+		...config,
+		_meta: {
+			...(widget
+				? { 'openai/outputTemplate': widget.templateUri, ...widgetInvocationMeta(widget) }
+				: {}),
+			...(widgetAccessible ? { 'openai/widgetAccessible': true } : {}),
+		},
+	};
+}
+
+/**
+ * Validates the arguments of a tool call against the input schema of its contract
+ * @param name - Tool name, a key of TOOL_CONTRACTS
+ * @param args - Arguments of the call
+ * @returns The arguments with defaults applied and unknown ones removed
+ * @throws {ValidationError} Listing every invalid argument as `issues`
+ */
+export function parseToolInput(name, args) {
+	const result = z.object(TOOL_CONTRACTS[name].inputSchema).safeParse(args ?? {});
+	if (result.success) return result.data;
+
+	const issues = result.error.issues.map(({ path, message }) => ({
+		argument: path.join('.'),
+		message,
+	}));
+	const summary = issues.map(({ argument, message }) => `${argument}: ${message}`).join('; ');
+	throw new ValidationError(`Invalid arguments for ${name}: ${summary}.`, {
+		details: { issues },
+	});
+}
@@ -0,0 +1,420 @@
+import { foldDiacritics, isStopword, tokenize } from './search-index.js';
+
+// Curated taxonomy. Synonyms are matched as token phrases after the same folding and
+// stemming as the search index, so "apps" matches "app" and "E-Commerce" matches "e commerce".
+// German and French synonyms cover the main terms of translated articles.
+export const TOPIC_TAXONOMY = [
+	{
+		id: 'ai',
+		label: 'AI',
+		synonyms: [
+			'ai',
+			'artificial intelligence',
+			'kunstliche intelligenz',
+			'intelligence artificielle',
+			'ki',
+			'ia',
+			'machine learning',
+			'chatgpt',
+			'gpt',
+			'openai',
+			'llm',
+			'large language model',
+			'generative ai',
+			'genai',
+			'chatbot',
+			'ai agent',
+			'agent experience',
+		],
+	},
+	{
+		id: 'commerce',
+		label: 'Commerce',
+		synonyms: [
+			'commerce',
+			'e commerce',
+			'ecommerce',
+			'online shop',
+			'webshop',
+			'sap commerce',
+			'spryker',
+			'ordercloud',
+			'storefront',
+			'checkout',
+			'd2c',
+			'direct to consumer',
+			'wholesale',
+			'product data',
+		],
+	},
+	{
+		id: 'customer-experience',
+		label: 'Customer experience',
+		synonyms: [
+			'customer experience',
+			'cx',
+			'customer journey',
+			'customer centricity',
+			'customer centric',
+			'omnichannel',
+			'customer portal',
+			'kundenerlebnis',
+			'experience client',
+		],
+	},
+	{
+		id: 'employee-spotlight',
+		label: 'Employee spotlight',
+		synonyms: [
+			'spotlight on',
+			'takes stock',
+			'alumnus',
+			'alumna',
+			'alumni',
+			'works at unic',
+			'how he works',
+			'how she works',
+			'over the shoulder',
+			'coach',
+			'apprentice',
+			'career',
+		],
+	},
+	{
+		id: 'new-work',
+		label: 'New work',
+		synonyms: [
+			'new work',
+			'holacracy',
+			'holakratie',
+			'remote work',
+			'home office',
+			'part time',
+			'flexible working',
+			'working time',
+			'self organisation',
+			'self organization',
+			'shared governance',
+			'psychological safety',
+			'psychological security',
+			'occupational health',
+		],
+	},
+	{
+		id: 'accessibility',
+		label: 'Accessibility',
+		synonyms: [
+			'accessibility',
+			'barrier free',
+			'barrierefreiheit',
+			'barrierefrei',
+			'accessibilite',
+			'wcag',
+			'disability',
+			'screen reader',
+			'assistive technology',
+		],
+	},
+	{
+		id: 'seo',
+		label: 'SEO & search',
+		synonyms: [
+			'seo',
+			'search engine optimisation',
+			'search engine optimization',
+			'search everywhere optimisation',
+			'e e a t',
+			'google search',
+			'web search',
+			'search engine',
+			'ranking factor',
+		],
+	},
+	{
+		id: 'data-analytics',
+		label: 'Data & analytics',
+		synonyms: [
+			'analytics',
+			'data analytics',
+			'web analytics',
+			'tracking',
+			'server side tracking',
+			'data quality',
+			'dashboard',
+			'kpi',
+			'data driven',
+			'consent',
+		],
+	},
+	{
+		id: 'mobile-apps',
+		label: 'Mobile apps',
+		synonyms: [
+			'app',
+			'mobile app',
+			'ios',
+			'android',
+			'iphone',
+			'wwdc',
+			'vision pro',
+			'apple',
+			'best of swiss apps',
+			'mobile ticket',
+		],
+	},
+	{
+		id: 'cloud-engineering',
+		label: 'Cloud & engineering',
+		synonyms: [
+			'cloud',
+			'cloud computing',
+			'kubernetes',
+			'graphql',
+			'frontend',
+			'backend',
+			'software architecture',
+			'microservice',
+			'devops',
+			'api',
+			'hackathon',
+			'composable',
+		],
+	},
+	{
+		id: 'cms-dxp',
+		label: 'CMS & DXP',
+		synonyms: [
+			'cms',
+			'dxp',
+			'content management',
+			'digital experience platform',
+			'sitecore',
+			'drupal',
+			'headless',
+			'contentful',
+		],
+	},
+	{
+		id: 'ux-design',
+		label: 'UX & design',
+		synonyms: [
+			'ux',
+			'user experience',
+			'ui',
+			'user interface',
+			'usability',
+			'interaction design',
+			'prototype',
+			'user research',
+			'spatial',
+		],
+	},
+	{
+		id: 'content',
+		label: 'Content',
+		synonyms: [
+			'content strategy',
+			'content briefing',
+			'content sprint',
+			'copywriting',
+			'editorial',
+			'writing',
+			'storytelling',
+		],
+	},
+	{
+		id: 'digital-marketing',
+		label: 'Digital marketing',
+		synonyms: [
+			'marketing',
+			'email marketing',
+			'e mail marketing',
+			'newsletter',
+			'marketing automation',
+			'campaign',
+			'lead generation',
+		],
+	},
+	{
+		id: 'platforms',
+		label: 'Digital platforms',
+		synonyms: ['platform economy', 'digital platform', 'marketplace', 'ecosystem'],
+	},
+	{
+		id: 'manufacturing-b2b',
+		label: 'Manufacturing & B2B',
+		synonyms: [
+			'manufacturing',
+			'manufacturer',
+			'industry',
+			'industrial',
+			'b2b',
+			'print',
+			'drupa',
+			'machine builder',
+		],
+	},
+	{
+		id: 'sustainability',
+		label: 'Sustainability',
+		synonyms: ['sustainability', 'climate', 'co2', 'esg', 'nachhaltigkeit'],
+	},
+	{
+		id: 'company-news',
+		label: 'Company news',
+		synonyms: [
+			'award',
+			'best of swiss web',
+			'agency ranking',
+			'becomes part of unic',
+			'becomes a member',
+			'anniversary',
+			'gold medal',
+			'silver',
+			'bronze',
+			'merger',
+			'acquisition',
+		],
+	},
+];
+
+// Field weights: a mention in the title says more about the subject than one in the body
+const FIELD_WEIGHTS = { title: 3, lead: 2, body: 1 };
+// Body mentions are counted per this many words, so long articles do not collect every topic
+const BODY_DENSITY_WORDS = 300;
+const MAX_BODY_SCORE = 4;
+const MIN_TOPIC_SCORE = 2.5;
+const MAX_TOPICS_PER_ARTICLE = 4;
+
+const TOPICS_BY_ID = new Map(TOPIC_TAXONOMY.map((topic) => [topic.id, topic]));
+
+// First token → list of { tokens, topicId } for every synonym phrase
+const SYNONYM_PHRASES = TOPIC_TAXONOMY.flatMap(({ id, synonyms }) =>
+	synonyms.map((synonym) => ({ tokens: tokenize(synonym), topicId: id }))
+).reduce((byFirstToken, phrase) => {
+	const [first] = phrase.tokens;
+	byFirstToken.set(first, [...(byFirstToken.get(first) ?? []), phrase]);
+	return byFirstToken;
+}, new Map());
+
+// Number of matches per topic in a token sequence
+function countTopicMentions(tokens) {
+	const counts = new Map();
+	tokens.forEach((token, position) => {
+		for (const phrase of SYNONYM_PHRASES.get(token) ?? []) {
+			if (phrase.tokens.every((expected, offset) => tokens[position + offset] === expected)) {
+				counts.set(phrase.topicId, (counts.get(phrase.topicId) ?? 0) + 1);
+			}
+		}
+	});
+	return counts;
+}
+
+/**
+ * Scores every taxonomy topic for a text
+ * @param fields - { title, lead, body } as plain text
+ * @returns Array of { id, score }, best first, including topics below the threshold
+ */
+export function scoreTopics({ title = '', lead = '', body = '' }) {
+	const scores = new Map();
+	const add = (counts, weight) => {
+		for (const [id, count] of counts) scores.set(id, (scores.get(id) ?? 0) + count * weight);
+	};
+
+	add(countTopicMentions(tokenize(title)), FIELD_WEIGHTS.title);
+	add(countTopicMentions(tokenize(lead)), FIELD_WEIGHTS.lead);
+
+	const bodyTokens = tokenize(body);
+	const density = BODY_DENSITY_WORDS / Math.max(bodyTokens.length, BODY_DENSITY_WORDS);
+	for (const [id, count] of countTopicMentions(bodyTokens)) {
+		const bodyScore = Math.min(count * density, MAX_BODY_SCORE) * FIELD_WEIGHTS.body;
+		scores.set(id, (scores.get(id) ?? 0) + bodyScore);
+	}
+
+	return [...scores]
+		.map(([id, score]) => ({ id, score: Math.round(score * 100) / 100 }))
+		.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/**
+ * Extracts the topics of an article
+ * @param fields - { title, lead, body } as plain text
+ * @returns Array of up to four topic ids, most prominent first
+ */
+export function extractTopics(fields) {
+	return scoreTopics(fields)
+		.filter(({ score }) => score >= MIN_TOPIC_SCORE)
+		.slice(0, MAX_TOPICS_PER_ARTICLE)
+		.map(({ id }) => id);
+}
+
+/**
+ * Finds the most distinctive words and phrases of each text (TF-IDF over the given corpus).
+ * Used to spot recurring subjects that the taxonomy does not cover yet.
+ * @param texts - Plain texts, one per article
+ * @param limit - Maximum number of keywords per text (default: 10)
+ * @returns Array (one entry per text) of { keyword, score }, best first
+ */
+export function extractKeywords(texts, limit = 10) {
+	const termCounts = texts.map((text) => {
+		const words = foldDiacritics(text ?? '')
+			.split(/[^\p{L}\p{N}]+/u)
+			.filter((word) => word.length > 2 && !isStopword(word) && !/^\d+$/.test(word));
+		const counts = new Map();
+		words.forEach((word, index) => {
+			counts.set(word, (counts.get(word) ?? 0) + 1);
+			const next = words[index + 1];
+			if (next) counts.set(`${word} ${next}`, (counts.get(`${word} ${next}`) ?? 0) + 1);
+		});
+		return counts;
+	});
+
+	const documentFrequency = new Map();
+	for (const counts of termCounts) {
+		for (const term of counts.keys()) {
+			documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+		}
+	}
+
+	return termCounts.map((counts) =>
+		[...counts]
+			// Words and phrases that appear once are mostly noise
+			.filter(([, count]) => count > 1)
+			.map(([keyword, count]) => ({
+				keyword,
+				score: Math.round(
+					(1 + Math.log(count)) * Math.log(texts.length / documentFrequency.get(keyword)) * 100
+				) / 100,
+			}))
+			.filter(({ score }) => score > 0)
+			.sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword))
+			.slice(0, limit)
+	);
+}
+
+// Folded id, label and synonyms → taxonomy entry; the first topic wins for shared synonyms
+const TOPICS_BY_NAME = TOPIC_TAXONOMY.reduce((byName, topic) => {
+	for (const name of [topic.id, topic.label, ...topic.synonyms]) {
+		const key = tokenize(name).join(' ');
+		if (!byName.has(key)) byName.set(key, topic);
+	}
+	return byName;
+}, new Map());
+
+/**
+ * Looks up a topic by id, label or synonym
+ * @param name - For example "ai", "Artificial intelligence" or "Employee spotlight"
+ * @returns The taxonomy entry { id, label, synonyms }, or null if the name is unknown
+ */
+export function findTopic(name) {
+	return TOPICS_BY_NAME.get(tokenize(name ?? '').join(' ')) ?? null;
+}
+
+/**
+ * Display label of a topic id
+ * @param id - Topic id, e.g. "new-work"
+ * @returns Label from the taxonomy ("New work"), or the id for topics outside the taxonomy
+ */
+export function getTopicLabel(id) {
+	return TOPICS_BY_ID.get(id)?.label ?? id;
+}
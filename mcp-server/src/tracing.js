@@ -0,0 +1,204 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import { logger } from './logger.js';
+
+export const TRACE_EXPORTERS = ['none', 'file', 'otlp'];
+
+// OTLP span kinds and status codes
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+/**
+ * Reads the W3C trace context of an incoming request, so its spans join the caller's trace
+ * @param header - Value of the traceparent header
+ * @returns { traceId, spanId } of the caller's span, or undefined
+ */
+export function parseTraceparent(header) {
+	const match = typeof header === 'string' ? header.trim().match(TRACEPARENT_PATTERN) : null;
+	return match ? { traceId: match[1], spanId: match[2] } : undefined;
+}
+
+// OTLP/JSON attribute values are typed
+function toAttributes(attributes) {
+	return Object.entries(attributes)
+		.filter(([, value]) => value !== undefined && value !== null)
+		.map(([key, value]) => {
+			if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+			if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+			if (typeof value === 'number') return { key, value: { doubleValue: value } };
+			const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+			return { key, value: { stringValue } };
+		});
+}
+
+function toUnixNano(milliseconds) {
+	return (BigInt(Math.round(milliseconds * 1000)) * 1000n).toString();
+}
+
+/**
+ * Creates an exporter that appends every batch of spans to a file, one OTLP/JSON
+ * ExportTraceServiceRequest per line
+ * @param filePath - Path of the file
+ * @returns SpanExporter: { export(request) }
+ */
+export function createFileSpanExporter(filePath) {
+	return {
+		async export(request) {
+			await fs.promises.appendFile(filePath, `${JSON.stringify(request)}\n`);
+		},
+	};
+}
+
+/**
+ * Creates an exporter that sends spans to an OpenTelemetry collector over OTLP/HTTP with JSON
+ * encoding
+ * @param options - { url, headers, timeoutMs } where `url` is the traces endpoint, usually
+ *   ending in /v1/traces
+ * @returns SpanExporter: { export(request) }
+ */
+export function createOtlpSpanExporter({ url, headers = {}, timeoutMs = 10000 }) {
+	return {
+		async export(request) {
+			const response = await fetch(url, {
+				method: 'POST',
+				headers: { 'content-type': 'application/json', ...headers },
+				body: JSON.stringify(request),
+				signal: AbortSignal.timeout(timeoutMs),
+			});
+			if (!response.ok) {
+				throw new Error(`OTLP endpoint responded with ${response.status}`);
+			}
+		},
+	};
+}
+
+const noopSpan = {
+	traceId: undefined,
+	spanId: undefined,
+	setAttributes() {},
+	recordError() {},
+	end() {},
+};
+
+/**
+ * Creates the tracer of the server. Ended spans are exported in batches, every
+ * `flushIntervalMs` or once `maxBatchSize` spans are waiting. Without an exporter, spans are
+ * no-ops.
+ * @param options - { exporter, file, url, headers, serviceName, flushIntervalMs, maxBatchSize }
+ *   (see resolveTracingConfig() in config.js)
+ * @returns { enabled, startSpan(name, { kind, parent, attributes }), flush() }
+ */
+export function createTracer({
+	exporter = 'none',
+	file,
+	url,
+	headers,
+	serviceName = 'unic-mcp-server',
+	flushIntervalMs = 5000,
+	maxBatchSize = 100,
+}) {
+	if (!TRACE_EXPORTERS.includes(exporter)) {
+		throw new Error(
+			`Unknown OTEL_TRACES_EXPORTER "${exporter}". Use one of: ${TRACE_EXPORTERS.join(', ')}`
+		);
+	}
+	if (exporter === 'none') {
+		return { enabled: false, startSpan: () => noopSpan, flush: async () => {} };
+	}
+
+	const spanExporter =
+		exporter === 'file'
+			? createFileSpanExporter(file)
+			: createOtlpSpanExporter({ url, headers });
+	const resource = { attributes: toAttributes({ 'service.name': serviceName }) };
+	let pending = [];
+
+	const flush = async () => {
+		if (pending.length === 0) return;
+		const spans = pending;
+		pending = [];
+		try {
+			await spanExporter.export({
+				resourceSpans: [{ resource, scopeSpans: [{ scope: { name: serviceName }, spans }] }],
+			});
+		} catch (error) {
+			logger.warn('Could not export spans', { exporter, count: spans.length, error });
+		}
+	};
+
+	const timer = setInterval(flush, flushIntervalMs);
+	timer.unref();
+
+	return {
+		enabled: true,
+
+		/**
+		 * Starts a span; it is exported once ended
+		 * @param name - Span name, e.g. 'tools/call search_articles'
+		 * @param options - { kind, parent, attributes } where `parent` is a span or a parsed
+		 *   traceparent
+		 * @returns Span with traceId, spanId, setAttributes(attributes), recordError(error) and end()
+		 */
+		startSpan(name, { kind = SPAN_KIND.INTERNAL, parent, attributes = {} } = {}) {
+			const startTime = performance.timeOrigin + performance.now();
+			const data = {
+				traceId: parent?.traceId ?? randomBytes(16).toString('hex'),
+				spanId: randomBytes(8).toString('hex'),
+				parentSpanId: parent?.spanId,
+				attributes: { ...attributes },
+				status: { code: STATUS_CODE.UNSET },
+				events: [],
+			};
+			let ended = false;
+
+			return {
+				traceId: data.traceId,
+				spanId: data.spanId,
+
+				setAttributes(values) {
+					Object.assign(data.attributes, values);
+				},
+
+				recordError(error) {
+					data.status = { code: STATUS_CODE.ERROR, message: error.message };
+					data.events.push({
+						name: 'exception',
+						timeUnixNano: toUnixNano(performance.timeOrigin + performance.now()),
+						attributes: toAttributes({
+							'exception.type': error.name,
+							'exception.message': error.message,
+							'exception.stacktrace': error.stack,
+						}),
+					});
+				},
+
+				end() {
+					if (ended) return;
+					ended = true;
+					pending.push({
+						traceId: data.traceId,
+						spanId: data.spanId,
+						...(data.parentSpanId ? { parentSpanId: data.parentSpanId } : {}),
+						name,
+						kind,
+						startTimeUnixNano: toUnixNano(startTime),
+						endTimeUnixNano: toUnixNano(performance.timeOrigin + performance.now()),
+						attributes: toAttributes(data.attributes),
+						status: data.status,
+						events: data.events,
+					});
+					if (pending.length >= maxBatchSize) {
+						flush();
+					}
+				},
+			};
+		},
+
+		/**
+		 * Exports the spans that are still waiting, e.g. before the process exits
+		 */
+		flush,
+	};
+}
@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import {
+	EMBEDDING_MODEL_NAME,
+	cosineSimilarity,
+	decodeVectors,
+	deserializeEmbeddingModel,
+	embedText,
+	encodeVectors,
+	serializeEmbeddingModel,
+	trainEmbeddingModel,
+} from './embeddings.js';
+import { logger } from './logger.js';
+
+const INDEX_FORMAT_VERSION = 1;
+const CHUNK_WORDS = 150;
+const CHUNK_OVERLAP_WORDS = 30;
+
+/**
+ * Splits a text into overlapping passages of roughly equal length
+ * @param text - Plain text
+ * @returns Array of passages
+ */
+export function chunkText(text) {
+	const words = (text ?? '').split(/\s+/).filter(Boolean);
+	const chunks = [];
+	for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS) {
+		chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+		if (start + CHUNK_WORDS >= words.length) break;
+	}
+	return chunks;
+}
+
+/**
+ * Trains a model on the chunks of a set of documents and embeds every chunk
+ * @param documents - Array of { id, chunks }
+ * @returns Vector index for searchVectorIndex()
+ */
+export function buildVectorIndex(documents) {
+	const model = trainEmbeddingModel(documents.flatMap((document) => document.chunks));
+	const chunks = documents.flatMap((document) =>
+		document.chunks
+			.map((text) => ({ id: document.id, vector: embedText(model, text) }))
+			.filter((chunk) => chunk.vector !== null)
+	);
+	return { model, chunks };
+}
+
+/**
+ * Finds the documents whose chunks are most similar to a query
+ * @param index - Index from buildVectorIndex() or loadOrBuildVectorIndices()
+ * @param query - Free-text query
+ * @returns Array of { id, score } with the best chunk similarity per document, best first
+ */
+export function searchVectorIndex(index, query) {
+	const vector = index ? embedText(index.model, query) : null;
+	if (!vector) return [];
+
+	const best = new Map();
+	for (const chunk of index.chunks) {
+		const score = cosineSimilarity(vector, chunk.vector);
+		if (score > (best.get(chunk.id) ?? -Infinity)) best.set(chunk.id, score);
+	}
+	return [...best]
+		.map(([id, score]) => ({ id, score }))
+		.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Hashes the chunks of every locale, so a stored index is only reused for the same content
+ * @param documentsByLocale - Map of locale to array of { id, chunks }
+ * @returns Hex digest
+ */
+export function fingerprintDocuments(documentsByLocale) {
+	const hash = crypto.createHash('sha256');
+	hash.update(`${EMBEDDING_MODEL_NAME}:${INDEX_FORMAT_VERSION}`);
+	for (const [locale, documents] of documentsByLocale) {
+		hash.update(`\u0000${locale}`);
+		for (const { id, chunks } of documents) {
+			hash.update(`\u0001${id}`);
+			chunks.forEach((chunk) => hash.update(`\u0002${chunk}`));
+		}
+	}
+	return hash.digest('hex');
+}
+
+function serializeIndex(index) {
+	return {
+		model: serializeEmbeddingModel(index.model),
+		ids: index.chunks.map((chunk) => chunk.id),
+		vectors: encodeVectors(
+			Float32Array.from(index.chunks.flatMap((chunk) => [...chunk.vector])),
+			index.model.dimensions
+		),
+	};
+}
+
+function deserializeIndex(data) {
+	const model = deserializeEmbeddingModel(data.model);
+	const vectors = decodeVectors(data.vectors, model.dimensions);
+	return {
+		model,
+		chunks: data.ids.map((id, position) => ({
+			id,
+			vector: vectors.subarray(position * model.dimensions, (position + 1) * model.dimensions),
+		})),
+	};
+}
+
+function readIndexFile(filePath, fingerprint) {
+	if (!filePath || !fs.existsSync(filePath)) return null;
+	try {
+		const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		if (data.version !== INDEX_FORMAT_VERSION || data.fingerprint !== fingerprint) {
+			return null;
+		}
+		return new Map(
+			Object.entries(data.locales).map(([locale, index]) => [locale, deserializeIndex(index)])
+		);
+	} catch (error) {
+		logger.warn('Ignoring unreadable vector index', { path: filePath, error: error.message });
+		return null;
+	}
+}
+
+function writeIndexFile(filePath, fingerprint, indices) {
+	const data = {
+		version: INDEX_FORMAT_VERSION,
+		fingerprint,
+		generatedAt: new Date().toISOString(),
+		locales: Object.fromEntries(
+			[...indices].map(([locale, index]) => [locale, serializeIndex(index)])
+		),
+	};
+	try {
+		fs.writeFileSync(filePath, JSON.stringify(data));
+		return true;
+	} catch (error) {
+		// Read-only deployments (e.g. serverless) keep the index in memory only
+		logger.warn('Could not write vector index', { path: filePath, error: error.message });
+		return false;
+	}
+}
+
+/**
+ * Returns one vector index per locale, reusing the on-disk index when it was built from
+ * the same content and rebuilding (and rewriting) it otherwise
+ * @param documentsByLocale - Map of locale to array of { id, chunks }
+ * @param filePath - Location of the on-disk index, or undefined to keep it in memory only
+ * @returns Map of locale to vector index
+ */
+export function loadOrBuildVectorIndices(documentsByLocale, filePath) {
+	const fingerprint = fingerprintDocuments(documentsByLocale);
+	const stored = readIndexFile(filePath, fingerprint);
+	if (stored) {
+		logger.info('Loaded vector index', { path: filePath });
+		return stored;
+	}
+
+	const startedAt = Date.now();
+	const indices = new Map(
+		[...documentsByLocale].map(([locale, documents]) => [locale, buildVectorIndex(documents)])
+	);
+	const saved = filePath ? writeIndexFile(filePath, fingerprint, indices) : false;
+	logger.info('Built vector index', {
+		durationMs: Date.now() - startedAt,
+		...(saved ? { path: filePath } : {}),
+	});
+	return indices;
+}
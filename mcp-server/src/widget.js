@@ -1,7 +1,16 @@
+import { createHash } from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { extractHeroMedia, getAuthorName } from './article-service.js';
+import {
+	extractHeroMedia,
+	getArticleTopics,
+	getArticleTranslations,
+	getArticleUrl,
+	getAuthorName,
+} from './article-service.js';
+import { getTopicLabel } from './topics.js';
+import { logger } from './logger.js';
 
 // ESM equivalent of __dirname
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -58,7 +67,7 @@ export function buildWidgetHtml(entryName, rootId, uiAssetsDir) {
 			</body>
 			</html>`;
 	} catch (err) {
-		console.warn(`[Widget] ${entryName}: ${err?.message || err}`);
+		logger.warn('Widget assets unavailable', { entry: entryName, error: err?.message || err });
 
 		// Try fallback HTML if available
 		const fallbackPath = path.join(uiAssetsDir, 'fallback-widget.html');
@@ -98,6 +107,18 @@ function escapeForInlineStyle(source) {
 	return source.replace(/<\/style/gi, '<\\/style');
 }
 
+/**
+ * Names the widget template after a hash of its HTML, the way Vite names built assets. A new
+ * build gets a new URI, so hosts and proxies can cache a template for as long as they like.
+ * @param entryName - The widget entry name (e.g., 'article-list')
+ * @param html - Widget HTML from buildWidgetHtml()
+ * @returns { templateUri, contentHash }
+ */
+export function getWidgetTemplate(entryName, html) {
+	const contentHash = createHash('sha256').update(html).digest('hex').slice(0, 12);
+	return { templateUri: `ui://widget/${entryName}-${contentHash}.html`, contentHash };
+}
+
 export function widgetDescriptorMeta(widget) {
 	return {
 		'openai/outputTemplate': widget.templateUri,
@@ -125,8 +146,8 @@ export function mapMagazineArticleToWidgetArticle(article) {
 	const lead = article.lead?.trim() ?? '';
 	const author = getAuthorName(article);
 	const { heroUrl, heroAlt } = extractHeroMedia(article);
-	// Use link from CMS, or generate URL from slug as fallback
-	const url = article.link?.trim() || `https://www.unic.com/en/magazine/${slug}`;
+	// Use link from CMS, or generate a localized URL from slug as fallback
+	const url = getArticleUrl(article);
 
 	return {
 		slug,
@@ -137,65 +158,100 @@ export function mapMagazineArticleToWidgetArticle(article) {
 		url,
 		heroUrl,
 		heroAlt,
+		locale: article.locale,
+		translations: getArticleTranslations(article).map(({ locale, slug, title, url }) => ({
+			locale,
+			slug,
+			title,
+			url,
+		})),
+		topics: getArticleTopics(article).map((id) => ({ id, label: getTopicLabel(id) })),
 	};
 }
 
 export function initializeArticleListWidget(uiAssetsDir) {
 	try {
 		const entryName = 'article-list';
-		const templateUri = `ui://widget/${entryName}.html`;
 		const html = buildWidgetHtml(entryName, `${entryName}-root`, uiAssetsDir);
+		const { templateUri, contentHash } = getWidgetTemplate(entryName, html);
 
 		return {
 			id: 'unic-article-list',
 			title: 'Unic magazine article list',
 			templateUri,
+			contentHash,
 			invoking: 'Curating magazine stories',
 			invoked: 'Article list ready',
 			html,
 		};
 	} catch (error) {
-		console.warn('Article list widget unavailable:', error);
+		logger.warn('Article list widget unavailable', { error });
 		return null;
 	}
 }
 
-export function createSearchWidgetPayload(query, limit, results) {
-	const widgetArticles = results
-		.map((article) => mapMagazineArticleToWidgetArticle(article))
+/**
+ * Builds the article list widget payload for one page of results
+ * @param options - { heading, summary, page, locale, toolCall, context } where `page` comes from
+ *   paginateResults() with items of shape { article, score? }, and `toolCall` ({ name,
+ *   arguments }) lets the widget request the next page through window.openai.callTool
+ * @returns Widget payload used as structuredContent
+ */
+export function createArticleListPayload({ heading, summary, page, locale, toolCall, context }) {
+	const widgetArticles = page.items
+		.map(({ article, score }) => {
+			const widgetArticle = mapMagazineArticleToWidgetArticle(article);
+			if (!widgetArticle) return null;
+			return score === undefined ? widgetArticle : { ...widgetArticle, score };
+		})
 		.filter((article) => Boolean(article));
 
 	return {
-		heading: `Results for "${query}"`,
+		heading,
 		articles: widgetArticles,
-		summary: `Found ${results.length} article(s) (limit ${limit}).`,
-		total: widgetArticles.length,
+		summary,
+		total: page.total,
+		hasMore: page.hasMore,
+		...(page.nextCursor ? { nextCursor: page.nextCursor } : {}),
+		locale,
+		toolCall,
 		generatedAt: new Date().toISOString(),
 		context: {
-			query,
-			limit,
-			totalMatches: results.length,
+			...context,
+			totalMatches: page.total,
 			widgetArticles: widgetArticles.length,
 		},
 	};
 }
 
+export function createSearchWidgetPayload(query, limit, page, locale, mode) {
+	return createArticleListPayload({
+		heading: `Results for "${query}"`,
+		summary: `Found ${page.total} article(s) (limit ${limit}).`,
+		page,
+		locale,
+		toolCall: { name: 'search_articles', arguments: { query, limit, mode, locale } },
+		context: { query, limit, locale, mode },
+	});
+}
+
 export function initializeArticlePreviewWidget(uiAssetsDir) {
 	try {
 		const entryName = 'article-preview';
-		const templateUri = `ui://widget/${entryName}.html`;
 		const html = buildWidgetHtml(entryName, `${entryName}-root`, uiAssetsDir);
+		const { templateUri, contentHash } = getWidgetTemplate(entryName, html);
 
 		return {
 			id: 'unic-article-preview',
 			title: 'Unic magazine article preview',
 			templateUri,
+			contentHash,
 			invoking: 'Loading article preview',
 			invoked: 'Article preview ready',
 			html,
 		};
 	} catch (error) {
-		console.warn('Article preview widget unavailable:', error);
+		logger.warn('Article preview widget unavailable', { error });
 		return null;
 	}
 }
@@ -206,6 +262,78 @@ export function createArticlePreviewWidgetPayload(article) {
 	return {
 		heading: 'Article Preview',
 		article: widgetArticle,
+		locale: article.locale,
+		generatedAt: new Date().toISOString(),
+	};
+}
+
+/**
+ * Builds the structured content of get_related_articles, used by the "Read next" strip
+ * @param article - The article the suggestions are for
+ * @param related - Array of { article, score, sharedTopics, sameAuthor }
+ * @param locale - Content locale
+ * @returns Payload with the source article's slug and title and the related widget articles
+ */
+export function createRelatedArticlesPayload(article, related, locale) {
+	const articles = related
+		.map(({ article: relatedArticle, score, sharedTopics, sameAuthor }) => {
+			const widgetArticle = mapMagazineArticleToWidgetArticle(relatedArticle);
+			return widgetArticle ? { ...widgetArticle, score, sharedTopics, sameAuthor } : null;
+		})
+		.filter((relatedArticle) => Boolean(relatedArticle));
+
+	return {
+		heading: 'Read next',
+		source: { slug: article.slug, title: article.title },
+		articles,
+		locale,
+		generatedAt: new Date().toISOString(),
+	};
+}
+
+export function initializeAuthorProfileWidget(uiAssetsDir) {
+	try {
+		const entryName = 'author-profile';
+		const html = buildWidgetHtml(entryName, `${entryName}-root`, uiAssetsDir);
+		const { templateUri, contentHash } = getWidgetTemplate(entryName, html);
+
+		return {
+			id: 'unic-author-profile',
+			title: 'Unic magazine author profile',
+			templateUri,
+			contentHash,
+			invoking: 'Loading author profile',
+			invoked: 'Author profile ready',
+			html,
+		};
+	} catch (error) {
+		logger.warn('Author profile widget unavailable', { error });
+		return null;
+	}
+}
+
+/**
+ * Serializes an author profile for structured content, with topic labels and without the
+ * internal slug list
+ * @param author - Author profile from the author index
+ * @returns { id, name, aliases, avatarUrl, articleCount, firstPublished, lastPublished, topics }
+ */
+export function mapAuthorProfileToWidgetAuthor(author) {
+	const { slugs, topics, ...profile } = author;
+	return {
+		...profile,
+		topics: topics.map(({ id, count }) => ({ id, label: getTopicLabel(id), count })),
+	};
+}
+
+export function createAuthorProfileWidgetPayload(author, articles, locale) {
+	return {
+		heading: 'Author Profile',
+		author: mapAuthorProfileToWidgetAuthor(author),
+		articles: articles
+			.map((article) => mapMagazineArticleToWidgetArticle(article))
+			.filter((article) => Boolean(article)),
+		locale,
 		generatedAt: new Date().toISOString(),
 	};
 }
@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { detectBrokenLinks, summarizeIssues, validateArticles } from '../src/article-schema.js';
+import { FIXTURE_DATA_PATH, connectClient, startServer } from './helpers.js';
+
+const article = (slug, fields = {}) => ({
+	slug,
+	title: `Title of ${slug}`,
+	publicationDate: '2024-05-01T00:00:00.000Z',
+	lead: 'Lead',
+	link: `https://www.unic.com/en/magazine/${slug}`,
+	author: { name: 'Anna Muster', holaspiritMedia: 'https://images.example.com/anna.jpg' },
+	keyvisual: { cloudinaryAsset: [{ url: 'https://images.example.com/kv.jpg', alt: 'Key visual' }] },
+	body: { json: { nodeType: 'document', content: [{ nodeType: 'paragraph', content: [] }] } },
+	...fields,
+});
+
+const hyperlink = (uri) => ({ nodeType: 'hyperlink', data: { uri }, content: [] });
+const bodyWith = (...nodes) => ({ json: { nodeType: 'document', content: nodes } });
+
+describe('validateArticles', () => {
+	test('loads complete articles without issues', () => {
+		const { valid, report } = validateArticles([article('one'), article('two')], 'test.json');
+
+		assert.equal(valid.length, 2);
+		assert.deepEqual(
+			{ ...report, generatedAt: undefined },
+			{
+				source: 'test.json',
+				generatedAt: undefined,
+				totalEntries: 2,
+				loaded: 2,
+				dropped: 0,
+				errorCount: 0,
+				warningCount: 0,
+				duplicateSlugs: [],
+				issues: [],
+			}
+		);
+	});
+
+	test('drops entries without a valid slug, title or publication date', () => {
+		const { valid, report } = validateArticles(
+			[
+				article('ok'),
+				article('no-title', { title: '  ' }),
+				article('bad date', { publicationDate: 'soon' }),
+				null,
+			],
+			'test.json'
+		);
+
+		assert.deepEqual(
+			valid.map(({ slug }) => slug),
+			['ok']
+		);
+		assert.equal(report.dropped, 3);
+		assert.deepEqual(
+			report.issues.map(({ index, status, errors }) => ({ index, status, errors })),
+			[
+				{
+					index: 1,
+					status: 'dropped',
+					errors: ['title: String must contain at least 1 character(s)'],
+				},
+				{
+					index: 2,
+					status: 'dropped',
+					errors: [
+						'slug: Slug may only contain letters, digits and dashes',
+						'publicationDate: Publication date is not a valid date',
+					],
+				},
+				{
+					index: 3,
+					status: 'dropped',
+					errors: ['slug: missing', 'title: missing', 'publicationDate: missing'],
+				},
+			]
+		);
+	});
+
+	test('keeps entries with optional fields missing or malformed, as warnings', () => {
+		const { valid, report } = validateArticles(
+			[article('warned', { lead: undefined, author: 'Anna Muster', link: 'not a url' })],
+			'test.json'
+		);
+
+		assert.equal(valid.length, 1);
+		assert.equal(report.issues[0].status, 'loaded');
+		assert.deepEqual(report.issues[0].warnings, [
+			'lead: missing',
+			'link: Link is not a valid URL',
+			'author.holaspiritMedia: missing',
+		]);
+	});
+
+	test('drops duplicate slugs within a locale but not across locales', () => {
+		const { valid, report } = validateArticles(
+			[
+				article('same', { locale: 'en' }),
+				article('same', { locale: 'de' }),
+				article('same', { locale: 'en' }),
+			],
+			'test.json'
+		);
+
+		assert.deepEqual(
+			valid.map(({ locale }) => locale),
+			['en', 'de']
+		);
+		assert.deepEqual(report.duplicateSlugs, [{ slug: 'same', locale: 'en', indices: [0, 2] }]);
+		assert.deepEqual(report.issues[0].errors, ['slug: duplicate of entry #0']);
+	});
+
+	test('rejects data that is not a list of articles', () => {
+		assert.throws(() => validateArticles({ items: [] }, 'test.json'), /array of articles/);
+	});
+});
+
+test('detectBrokenLinks() reports likely broken article and body links', () => {
+	const warnings = detectBrokenLinks(
+		article('slug', {
+			link: 'https://www.unic.com/en/magazine/other-slug',
+			body: bodyWith(
+				hyperlink('https://www.unic.com/en/ok'),
+				hyperlink('undefined'),
+				hyperlink('javascript:alert(1)'),
+				hyperlink('http://localhost:3000/draft'),
+				hyperlink('www.unic.com')
+			),
+		})
+	);
+
+	assert.deepEqual(warnings, [
+		'link: does not end with the article slug (https://www.unic.com/en/magazine/other-slug)',
+		'body: hyperlink without a target ("undefined")',
+		'body: hyperlink with unsupported scheme (javascript:alert(1))',
+		'body: hyperlink looks like a draft or local URL (http://localhost:3000/draft)',
+		'body: hyperlink is not a valid URL (www.unic.com)',
+	]);
+});
+
+test('summarizeIssues() groups messages by kind, most frequent first', () => {
+	const { report } = validateArticles(
+		[
+			article('a', { link: 'magazine/a' }),
+			article('b', { link: 'magazine/b' }),
+			article('c', { body: bodyWith(hyperlink('')) }),
+		],
+		'test.json'
+	);
+
+	assert.deepEqual(summarizeIssues(report), [
+		{ problem: 'link: Link is not a valid URL', count: 2 },
+		{ problem: 'body: hyperlink without a target', count: 1 },
+	]);
+});
+
+describe('dataset_health', () => {
+	let directory;
+	let server;
+	let client;
+
+	before(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-health-'));
+		const entries = JSON.parse(fs.readFileSync(FIXTURE_DATA_PATH, 'utf8'));
+		const dataPath = path.join(directory, 'articles.json');
+		fs.writeFileSync(
+			dataPath,
+			JSON.stringify([...entries, { ...entries[0], title: '' }, { ...entries[1], lead: '' }])
+		);
+		server = await startServer({ BLOG_DATA_PATH: dataPath });
+		client = await connectClient(server.port);
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	test('reports dropped entries, warnings and duplicate slugs', async () => {
+		const result = await client.callTool({ name: 'dataset_health', arguments: { maxIssues: 1 } });
+		const report = result.structuredContent;
+
+		assert.equal(result.isError, undefined);
+		assert.equal(report.totalEntries, 7);
+		assert.equal(report.loaded, 5);
+		assert.equal(report.dropped, 2);
+		assert.equal(report.duplicateSlugs[0].slug, 'ai-agents-in-customer-service');
+		assert.equal(report.fixedFields, 2);
+
+		const text = result.content[0].text;
+		assert.match(text, /^\*\*Dataset health:\*\* Dataset .*articles\.json: 5\/7 loaded, 2 dropped/);
+		assert.match(text, /Repaired text fields: 2/);
+		assert.match(text, /\*\*Duplicate slugs:\*\*\n- ai-agents-in-customer-service: entries #1, #6/);
+		assert.match(text, /\*\*Affected entries\*\* \(showing 1 of 2\):\n- #5 \*\*headless/);
+	});
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import {
+	findAuthor,
+	formatAuthorProfile,
+	getAuthorProfile,
+	listAuthors,
+} from '../src/article-service.js';
+import { buildAuthorIndex, getAuthorId, normalizeAuthorName } from '../src/author-index.js';
+import { loadFixtures } from './helpers.js';
+
+test('normalizeAuthorName() trims and collapses whitespace', () => {
+	assert.equal(normalizeAuthorName('  Anna \n Muster '), 'Anna Muster');
+	assert.equal(normalizeAuthorName('   '), null);
+	assert.equal(normalizeAuthorName(undefined), null);
+});
+
+test('getAuthorId() transliterates umlauts and drops other accents', () => {
+	assert.equal(getAuthorId('Sandro Dönni'), 'sandro-doenni');
+	assert.equal(getAuthorId('Sandro Doenni'), 'sandro-doenni');
+	assert.equal(getAuthorId('José García-López'), 'jose-garcia-lopez');
+	assert.equal(getAuthorId(' – '), '');
+});
+
+describe('buildAuthorIndex', () => {
+	const article = (slug, author, publicationDate, topics = [], avatar = null) => ({
+		slug,
+		author,
+		publicationDate,
+		topics,
+		avatar,
+	});
+	const authors = buildAuthorIndex(
+		[
+			article('first', 'Sandro Dönni', '2021-02-01', ['ai']),
+			article('latest', 'Sandro Doenni', '2024-05-01', ['ai', 'seo']),
+			article('middle', 'Sandro  Dönni', '2023-01-01', [], 'https://example.com/sandro.jpg'),
+			article('single', 'Anna Muster', '2022-01-01'),
+			article('anonymous', '  ', '2022-01-01'),
+		],
+		{
+			getAuthor: ({ author }) => author,
+			getAvatar: ({ avatar }) => avatar,
+			getTopics: ({ topics }) => topics,
+		}
+	);
+
+	test('merges the spellings of an author into one profile', () => {
+		assert.deepEqual(authors.get('sandro-doenni'), {
+			id: 'sandro-doenni',
+			name: 'Sandro Dönni',
+			aliases: ['Sandro Doenni'],
+			avatarUrl: 'https://example.com/sandro.jpg',
+			articleCount: 3,
+			firstPublished: '2021-02-01',
+			lastPublished: '2024-05-01',
+			topics: [
+				{ id: 'ai', count: 2 },
+				{ id: 'seo', count: 1 },
+			],
+			slugs: ['latest', 'middle', 'first'],
+		});
+	});
+
+	test('lists the most prolific authors first and leaves out articles without one', () => {
+		assert.deepEqual([...authors.keys()], ['sandro-doenni', 'anna-muster']);
+	});
+});
+
+describe('author profiles', () => {
+	before(() => loadFixtures());
+
+	test('lists authors by number of articles, optionally for a topic', () => {
+		assert.deepEqual(
+			listAuthors().map(({ id, articleCount }) => [id, articleCount]),
+			[
+				['anna-muster', 2],
+				['joerg-noelke', 2],
+				['dirk-noelke', 1],
+			]
+		);
+		assert.deepEqual(
+			listAuthors('en', 'accessibility').map(({ id }) => id),
+			['dirk-noelke']
+		);
+		assert.deepEqual(listAuthors('en', 'seo'), []);
+	});
+
+	test('finds an author by transliterated name or last name', () => {
+		assert.equal(findAuthor('Joerg Noelke').author.id, 'joerg-noelke');
+		assert.equal(findAuthor('muster').author.id, 'anna-muster');
+		assert.deepEqual(
+			findAuthor('Nölke').candidates.map(({ id }) => id),
+			['joerg-noelke', 'dirk-noelke']
+		);
+	});
+
+	test('returns the articles of the author, newest first', () => {
+		const { author, articles } = getAuthorProfile('Jörg Nölke', 1);
+
+		assert.equal(author.articleCount, 2);
+		assert.deepEqual(
+			articles.map(({ slug }) => slug),
+			['ai-agents-in-customer-service']
+		);
+		assert.deepEqual(getAuthorProfile('Nobody Known'), {
+			author: null,
+			articles: [],
+			candidates: [],
+		});
+	});
+
+	test('formats the profile with active years, topic labels and articles', () => {
+		const { author, articles } = getAuthorProfile('Anna Muster');
+
+		assert.equal(
+			formatAuthorProfile(author, articles),
+			[
+				'**Anna Muster**',
+				'',
+				'Articles: 2 (2022–2024)',
+				'Topics: Cloud & engineering (1), Commerce (1), Employee spotlight (1)',
+				'',
+				'1. Composable commerce architecture in practice (Jan 2024) - ' +
+					'https://www.unic.com/en/magazine/composable-commerce-architecture',
+				'2. Spotlight on Lena Keller (Sep 2022) - ' +
+					'https://www.unic.com/en/magazine/spotlight-on-lena-keller',
+			].join('\n')
+		);
+	});
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+import { findArticlesByAuthor, queryArticles } from '../src/article-service.js';
+import { loadFixtures } from './helpers.js';
+
+const slugsByAuthor = (name, locale) =>
+	findArticlesByAuthor(name, locale).map((article) => article.slug);
+
+const JOERG_NOELKE = ['ai-agents-in-customer-service', 'headless-commerce-platforms'];
+
+before(() => loadFixtures());
+
+test('findArticlesByAuthor() ignores case and diacritics', () => {
+	assert.deepEqual(slugsByAuthor('Jörg Nölke'), JOERG_NOELKE);
+	assert.deepEqual(slugsByAuthor('jorg nolke'), JOERG_NOELKE);
+});
+
+test('findArticlesByAuthor() does not add authors with a similar name', () => {
+	assert.deepEqual(slugsByAuthor('Jorg Nolke'), JOERG_NOELKE);
+	assert.deepEqual(slugsByAuthor('Dirk Nolke'), ['accessibility-checklist']);
+});
+
+test('findArticlesByAuthor() matches partial names', () => {
+	assert.deepEqual(slugsByAuthor('Nölke'), [...JOERG_NOELKE, 'accessibility-checklist']);
+});
+
+test('findArticlesByAuthor() takes a misspelled name for the author it most likely means', () => {
+	assert.deepEqual(slugsByAuthor('Jörg Nölek'), JOERG_NOELKE);
+	assert.deepEqual(slugsByAuthor('Ana Mustre'), [
+		'composable-commerce-architecture',
+		'spotlight-on-lena-keller',
+	]);
+});
+
+test('findArticlesByAuthor() rejects misspelled names that fit several authors', () => {
+	assert.throws(() => findArticlesByAuthor('Jürk Nölke'), (error) => {
+		assert.equal(error.code, 'ambiguous_author');
+		assert.deepEqual([...error.details.candidates].sort(), ['Dirk Nölke', 'Jörg Nölke']);
+		return true;
+	});
+});
+
+test('findArticlesByAuthor() finds nothing for unknown names', () => {
+	assert.deepEqual(slugsByAuthor('Somebody Else'), []);
+});
+
+test('queryArticles() filters by author the same way', () => {
+	const { results } = queryArticles({ author: 'Jorg Nolke' });
+
+	assert.deepEqual(
+		results.map(({ article }) => article.slug),
+		JOERG_NOELKE
+	);
+});
+
+test('findArticlesByAuthor() searches the requested locale', () => {
+	assert.deepEqual(slugsByAuthor('Jorg Nolke', 'de'), [
+		'ki-agenten-im-kundenservice',
+		'headless-commerce-plattformen',
+	]);
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseApiKeys } from '../src/config.js';
+
+test('parseApiKeys() reads "clientId=key" pairs', () => {
+	assert.deepEqual(
+		[...parseApiKeys(' chatgpt=abc==, internal-tools=s3cr=t ,')],
+		[
+			['chatgpt', 'abc=='],
+			['internal-tools', 's3cr=t'],
+		]
+	);
+	assert.equal(parseApiKeys(undefined).size, 0);
+});
+
+test('parseApiKeys() rejects bare keys instead of splitting them', () => {
+	assert.throws(() => parseApiKeys('abc=='), /entry 1 has an empty key/);
+	assert.throws(() => parseApiKeys('chatgpt=abc,c2VjcmV0'), /entry 2 is not a "clientId=key" pair/);
+});
+
+test('parseApiKeys() rejects empty keys', () => {
+	assert.throws(() => parseApiKeys('chatgpt='), /entry 1 has an empty key/);
+	assert.throws(() => parseApiKeys('chatgpt=  ,other=key'), /has an empty key/);
+});
+
+test('parseApiKeys() rejects client ids listed twice', () => {
+	assert.throws(
+		() => parseApiKeys('chatgpt=first,chatgpt=second'),
+		/lists client "chatgpt" more than once/
+	);
+});
+
+test('parseApiKeys() keeps keys out of its errors', () => {
+	assert.throws(
+		() => parseApiKeys('chatgpt=first-secret,chatgpt=second-secret'),
+		(error) => !/secret/.test(error.message)
+	);
+	assert.throws(() => parseApiKeys('c2VjcmV0=='), (error) => !/c2VjcmV0/.test(error.message));
+});
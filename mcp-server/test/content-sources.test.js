@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { test } from 'node:test';
+import { createHttpSource } from '../src/content-sources.js';
+
+const ARTICLES = Array.from({ length: 5 }, (_, index) => ({
+	sys: { id: `entry-${index}` },
+	fields: { slug: `article-${index}`, title: `Article ${index}` },
+}));
+
+/**
+ * Starts a content endpoint on a free local port, closed when the test ends
+ * @param t - Test context
+ * @param respond - (url, req, res) => void, answers one page request
+ * @returns { url, requests } where `requests` collects the URL and headers of every request
+ */
+async function startStub(t, respond) {
+	const requests = [];
+	const server = createServer((req, res) => {
+		const url = new URL(req.url, 'http://localhost');
+		requests.push({ url, headers: req.headers });
+		respond(url, req, res);
+	});
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	t.after(() => {
+		server.closeAllConnections();
+		server.close();
+	});
+	return { url: `http://127.0.0.1:${server.address().port}/entries`, requests };
+}
+
+/**
+ * Answers a page of ARTICLES for the `skip` and `limit` of the request
+ * @param options - { total } adds the number of articles to the page
+ */
+const servePages =
+	({ total }) =>
+	(url, req, res) => {
+		const skip = Number(url.searchParams.get('skip'));
+		const limit = Number(url.searchParams.get('limit'));
+		const items = ARTICLES.slice(skip, skip + limit);
+		res.setHeader('content-type', 'application/json');
+		res.end(JSON.stringify(total ? { items, total: ARTICLES.length } : { items }));
+	};
+
+test('createHttpSource() reads every page up to the total', async (t) => {
+	const stub = await startStub(t, servePages({ total: true }));
+	const source = createHttpSource({ url: stub.url, accessToken: 'secret', pageSize: 2 });
+
+	const entries = await source.load();
+
+	assert.deepEqual(
+		entries.map(({ id, slug }) => [id, slug]),
+		ARTICLES.map(({ sys, fields }) => [sys.id, fields.slug])
+	);
+	assert.deepEqual(
+		stub.requests.map(({ url }) => url.searchParams.get('skip')),
+		['0', '2', '4']
+	);
+	assert.ok(stub.requests.every(({ url }) => url.searchParams.get('limit') === '2'));
+	assert.ok(stub.requests.every(({ headers }) => headers.authorization === 'Bearer secret'));
+});
+
+test('createHttpSource() pages until a short page when the total is missing', async (t) => {
+	const stub = await startStub(t, servePages({ total: false }));
+	const source = createHttpSource({ url: stub.url, pageSize: 2 });
+
+	const entries = await source.load();
+
+	assert.equal(entries.length, ARTICLES.length);
+	assert.equal(stub.requests.length, 3);
+});
+
+test('createHttpSource() stops at an empty page when the total is missing', async (t) => {
+	const stub = await startStub(t, servePages({ total: false }));
+	const source = createHttpSource({ url: stub.url, pageSize: 5 });
+
+	const entries = await source.load();
+
+	assert.equal(entries.length, ARTICLES.length);
+	assert.deepEqual(
+		stub.requests.map(({ url }) => url.searchParams.get('skip')),
+		['0', '5']
+	);
+});
+
+test('createHttpSource() fetches the collection once per locale', async (t) => {
+	const stub = await startStub(t, servePages({ total: true }));
+	const source = createHttpSource({ url: stub.url, locales: ['en', 'de'], pageSize: 10 });
+
+	const entries = await source.load();
+
+	assert.deepEqual(
+		stub.requests.map(({ url }) => url.searchParams.get('locale')),
+		['en', 'de']
+	);
+	assert.equal(entries.length, ARTICLES.length * 2);
+});
+
+test('createHttpSource() rejects non-2xx responses', async (t) => {
+	const stub = await startStub(t, (url, req, res) => {
+		res.statusCode = 503;
+		res.end('Service Unavailable');
+	});
+	const source = createHttpSource({ url: `${stub.url}?token=hidden` });
+
+	await assert.rejects(source.load(), (error) => {
+		assert.match(error.message, /HTTP 503/);
+		assert.doesNotMatch(error.message, /hidden/);
+		return true;
+	});
+});
+
+test('createHttpSource() rejects responses without items', async (t) => {
+	const stub = await startStub(t, (url, req, res) => res.end(JSON.stringify({ total: 0 })));
+	const source = createHttpSource({ url: stub.url });
+
+	await assert.rejects(source.load(), /missing "items" array/);
+});
+
+test('createHttpSource() gives up on a page after the timeout', async (t) => {
+	// Never answers; the connection is closed when the test ends
+	const stub = await startStub(t, () => {});
+	const source = createHttpSource({ url: stub.url, timeoutMs: 100 });
+
+	await assert.rejects(source.load(), { name: 'TimeoutError' });
+});
@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { test } from 'node:test';
+import { connectClient } from './helpers.js';
+
+test('reports tool calls without article data as data_unavailable', async (t) => {
+	// In this process, as on Vercel, where a failed load is retried on the next request
+	// instead of stopping the server
+	process.env.CONTENT_SOURCE = 'directory';
+	process.env.CONTENT_DIR = '/nonexistent';
+	process.env.LOG_LEVEL = 'silent';
+	const { handleMcpRequest } = await import('../src/server.js');
+	const httpServer = createServer((req, res) => handleMcpRequest(req, res));
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	t.after(() => httpServer.close());
+	const client = await connectClient(httpServer.address().port);
+	t.after(() => client.close());
+
+	const result = await client.callTool({ name: 'list_topics', arguments: {} });
+
+	assert.equal(result.isError, true);
+	assert.equal(result._meta.error.code, 'data_unavailable');
+	assert.equal(result._meta.error.retryable, true);
+});
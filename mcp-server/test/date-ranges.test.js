@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { findArticlesByDateRange } from '../src/article-service.js';
+import {
+	DATE_RANGE_EXAMPLES,
+	describeDateRange,
+	parseDateRange,
+	resolveDateRange,
+} from '../src/date-ranges.js';
+import { loadFixtures } from './helpers.js';
+
+// A Wednesday
+const NOW = new Date('2024-08-14T10:30:00.000Z');
+
+const iso = (date) => date?.toISOString() ?? null;
+const range = (expression) => {
+	const { start, end } = parseDateRange(expression, NOW);
+	return [iso(start), iso(end)];
+};
+const days = (start, end) => [start && `${start}T00:00:00.000Z`, end && `${end}T23:59:59.999Z`];
+
+describe('parseDateRange', () => {
+	test('parses years, months, quarters and days', () => {
+		assert.deepEqual(range('2024'), days('2024-01-01', '2024-12-31'));
+		assert.deepEqual(range('2024-02'), days('2024-02-01', '2024-02-29'));
+		assert.deepEqual(range('March 2024'), days('2024-03-01', '2024-03-31'));
+		assert.deepEqual(range('Sept. 2023'), days('2023-09-01', '2023-09-30'));
+		assert.deepEqual(range('Q2 2024'), days('2024-04-01', '2024-06-30'));
+		assert.deepEqual(range('2024 q4'), days('2024-10-01', '2024-12-31'));
+		assert.deepEqual(range('2024-02-29'), days('2024-02-29', '2024-02-29'));
+		assert.deepEqual(range('2024-03-15T12:00:00Z'), [
+			'2024-03-15T12:00:00.000Z',
+			'2024-03-15T12:00:00.000Z',
+		]);
+	});
+
+	test('resolves calendar periods against the reference time', () => {
+		assert.deepEqual(range('today'), days('2024-08-14', '2024-08-14'));
+		assert.deepEqual(range('yesterday'), days('2024-08-13', '2024-08-13'));
+		assert.deepEqual(range('this week'), days('2024-08-12', '2024-08-18'));
+		assert.deepEqual(range('last week'), days('2024-08-05', '2024-08-11'));
+		assert.deepEqual(range('last month'), days('2024-07-01', '2024-07-31'));
+		assert.deepEqual(range('last quarter'), days('2024-04-01', '2024-06-30'));
+		assert.deepEqual(range('this year'), days('2024-01-01', '2024-12-31'));
+	});
+
+	test('resolves rolling periods up to the end of today', () => {
+		assert.deepEqual(range('past 6 months'), days('2024-02-14', '2024-08-14'));
+		assert.deepEqual(range('last 30 days'), days('2024-07-15', '2024-08-14'));
+		assert.deepEqual(range('past 2 years'), days('2022-08-14', '2024-08-14'));
+	});
+
+	test('parses open and combined ranges', () => {
+		assert.deepEqual(range('since March 2024'), days('2024-03-01', null));
+		assert.deepEqual(range('after 2023'), days('2024-01-01', null));
+		assert.deepEqual(range('before 2024'), days(null, '2023-12-31'));
+		assert.deepEqual(range('until Q2 2025'), days(null, '2025-06-30'));
+		assert.deepEqual(range('between Jan 2024 and June 2024'), days('2024-01-01', '2024-06-30'));
+		assert.deepEqual(range('2023 to 2024'), days('2023-01-01', '2024-12-31'));
+	});
+
+	test('rejects unknown expressions and empty ranges as invalid_date', () => {
+		for (const expression of ['someday', '', '2024-02-30', '2024-13', 'Q5 2024', 'last 0 days']) {
+			assert.throws(() => parseDateRange(expression, NOW), {
+				name: 'InvalidDateRangeError',
+				code: 'invalid_date',
+				details: { acceptedFormats: DATE_RANGE_EXAMPLES },
+			});
+		}
+		assert.throws(() => parseDateRange('between 2025 and 2024', NOW), /ends before it starts/);
+	});
+});
+
+describe('resolveDateRange', () => {
+	test('includes the whole period of the end date', () => {
+		const { start, end } = resolveDateRange({ startDate: '2024', endDate: 'March 2024' }, NOW);
+
+		assert.deepEqual([iso(start), iso(end)], days('2024-01-01', '2024-03-31'));
+	});
+
+	test('narrows a range with explicit start and end dates', () => {
+		const { start, end } = resolveDateRange(
+			{ range: '2024', startDate: 'Q2 2024', endDate: '2025' },
+			NOW
+		);
+
+		assert.deepEqual([iso(start), iso(end)], days('2024-04-01', '2024-12-31'));
+	});
+
+	test('is unbounded without filters and rejects a start after the end', () => {
+		assert.deepEqual(resolveDateRange({}, NOW), { start: null, end: null });
+		assert.throws(() => resolveDateRange({ startDate: '2025', endDate: '2024' }, NOW), {
+			code: 'invalid_date',
+			message: 'The start date is after the end date.',
+		});
+	});
+});
+
+test('describeDateRange() names the resolved days', () => {
+	const { start, end } = parseDateRange('Q1 2024', NOW);
+
+	assert.equal(describeDateRange({ start, end }), 'between 2024-01-01 and 2024-03-31');
+	assert.equal(describeDateRange({ start, end: null }), 'from 2024-01-01 onwards');
+	assert.equal(describeDateRange({ start: null, end }), 'until 2024-03-31');
+	assert.equal(describeDateRange({ start: null, end: null }), 'from all time');
+});
+
+describe('findArticlesByDateRange', () => {
+	before(() => loadFixtures());
+
+	const slugs = (...args) => findArticlesByDateRange(...args).map(({ slug }) => slug);
+
+	test('filters by natural-language dates, newest first', () => {
+		assert.deepEqual(slugs('Q1 2024', 'March 2024'), [
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+		]);
+		assert.deepEqual(slugs(undefined, undefined, 'en', 'before 2024'), [
+			'accessibility-checklist',
+			'spotlight-on-lena-keller',
+		]);
+	});
+
+	test('reports invalid dates', () => {
+		assert.throws(() => findArticlesByDateRange('someday'), { code: 'invalid_date' });
+	});
+});
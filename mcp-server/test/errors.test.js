@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+	InternalError,
+	NotFoundError,
+	RateLimitError,
+	ValidationError,
+	createToolErrorResult,
+} from '../src/errors.js';
+
+describe('createToolErrorResult', () => {
+	test('reports a tool error with its code, hint and details', () => {
+		const error = new ValidationError('Unknown topic "x".', {
+			code: 'unknown_topic',
+			hint: 'Use one of the available topics: ai',
+			details: { availableTopics: ['ai'] },
+		});
+		const result = createToolErrorResult(error, 'request-1');
+
+		assert.equal(result.isError, true);
+		assert.equal(result.structuredContent, undefined);
+		assert.equal(
+			result.content[0].text,
+			'Unknown topic "x".\n\nHint: Use one of the available topics: ai'
+		);
+		assert.deepEqual(result._meta.error, {
+			code: 'unknown_topic',
+			message: 'Unknown topic "x".',
+			hint: 'Use one of the available topics: ai',
+			retryable: false,
+			availableTopics: ['ai'],
+		});
+	});
+
+	test('uses default codes and hints', () => {
+		const invalid = createToolErrorResult(new ValidationError('Bad'))._meta.error;
+		assert.equal(invalid.code, 'invalid_input');
+		assert.match(invalid.hint, /Correct the arguments/);
+		const notFound = createToolErrorResult(new NotFoundError('Missing'))._meta.error;
+		assert.equal(notFound.code, 'not_found');
+		assert.match(notFound.hint, /search_articles/);
+	});
+
+	test('makes rate limit errors retryable', () => {
+		const error = new RateLimitError('Too many calls.', {
+			tool: 'search_articles',
+			limitPerMinute: 2,
+			retryAfterSeconds: 30,
+		});
+		const { _meta } = createToolErrorResult(error);
+		assert.deepEqual(_meta.error, {
+			code: 'rate_limited',
+			message: 'Too many calls.',
+			hint: 'Wait 30 second(s) before calling search_articles again.',
+			retryable: true,
+			tool: 'search_articles',
+			limitPerMinute: 2,
+			retryAfterSeconds: 30,
+		});
+	});
+
+	test('hides the message of unexpected errors', () => {
+		const result = createToolErrorResult(new TypeError('secret is undefined'), 'request-1');
+
+		assert.doesNotMatch(result.content[0].text, /secret/);
+		assert.equal(result._meta.error.code, 'internal_error');
+		assert.equal(result._meta.error.requestId, 'request-1');
+		assert.equal(result._meta.error.retryable, true);
+	});
+
+	test('keeps the cause of internal errors for the logs', () => {
+		const cause = new Error('boom');
+		assert.equal(new InternalError({ cause }).cause, cause);
+	});
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createMetricsRegistry, METRICS_CONTENT_TYPE } from '../src/metrics.js';
+import { connectClient, fixtureEnv, startServer } from './helpers.js';
+
+test('renders counters, histograms and gauges in the Prometheus text format', () => {
+	const metrics = createMetricsRegistry();
+	const counter = metrics.counter('test_calls_total', 'Calls by tool');
+	const histogram = metrics.histogram('test_duration_seconds', 'Durations', [0.1, 1]);
+	metrics.gauge('test_articles', 'Articles by locale', () => [
+		{ labels: { locale: 'en' }, value: 5 },
+		{ labels: { locale: 'de' }, value: 2 },
+	]);
+	metrics.gauge('test_version', 'Version', () => 3);
+
+	counter.inc({ tool: 'list_topics', outcome: 'ok' });
+	counter.inc({ outcome: 'ok', tool: 'list_topics' }, 2);
+	counter.inc({ tool: 'say "hi"\n' });
+	histogram.observe({ tool: 'list_topics' }, 0.05);
+	histogram.observe({ tool: 'list_topics' }, 0.5);
+	histogram.observe({ tool: 'list_topics' }, 3);
+
+	assert.equal(
+		metrics.render(),
+		[
+			'# HELP test_calls_total Calls by tool',
+			'# TYPE test_calls_total counter',
+			'test_calls_total{tool="list_topics",outcome="ok"} 3',
+			'test_calls_total{tool="say \\"hi\\"\\n"} 1',
+			'# HELP test_duration_seconds Durations',
+			'# TYPE test_duration_seconds histogram',
+			'test_duration_seconds_bucket{tool="list_topics",le="0.1"} 1',
+			'test_duration_seconds_bucket{tool="list_topics",le="1"} 2',
+			'test_duration_seconds_bucket{tool="list_topics",le="+Inf"} 3',
+			'test_duration_seconds_sum{tool="list_topics"} 3.55',
+			'test_duration_seconds_count{tool="list_topics"} 3',
+			'# HELP test_articles Articles by locale',
+			'# TYPE test_articles gauge',
+			'test_articles{locale="en"} 5',
+			'test_articles{locale="de"} 2',
+			'# HELP test_version Version',
+			'# TYPE test_version gauge',
+			'test_version 3',
+			'',
+		].join('\n')
+	);
+});
+
+describe('health, readiness and metrics endpoints', () => {
+	let server;
+
+	before(async () => {
+		server = await startServer(fixtureEnv());
+	});
+
+	after(async () => {
+		await server?.stop();
+	});
+
+	const get = (pathname) => fetch(`http://localhost:${server.port}${pathname}`);
+
+	test('/healthz answers while the process runs', async () => {
+		const response = await get('/healthz');
+		const body = await response.json();
+
+		assert.equal(response.status, 200);
+		assert.equal(response.headers.get('cache-control'), 'no-store');
+		assert.equal(body.status, 'ok');
+		assert.equal(typeof body.uptimeSeconds, 'number');
+	});
+
+	test('/readyz reports the loaded articles by locale', async () => {
+		const response = await get('/readyz');
+		const body = await response.json();
+
+		assert.equal(response.status, 200);
+		assert.match(body.status, /^(ready|degraded)$/);
+		assert.deepEqual(body.articles.locales, { en: 5, de: 2 });
+		assert.equal(body.articles.count, 7);
+		assert.equal(body.articles.datasetVersion, 1);
+		assert.ok(!Number.isNaN(Date.parse(body.articles.loadedAt)));
+		assert.equal(body.articles.lastError, null);
+		assert.deepEqual(Object.keys(body.widgets), ['articleList', 'articlePreview', 'authorProfile']);
+	});
+
+	test('/metrics counts requests, tool calls, errors and cache lookups', async () => {
+		const client = await connectClient(server.port);
+		await client.callTool({ name: 'list_topics', arguments: {} });
+		await client.callTool({ name: 'list_topics', arguments: {} });
+		await client.callTool({ name: 'query_articles', arguments: { startDate: 'someday' } });
+		await client.close();
+
+		const response = await get('/metrics');
+		const lines = (await response.text()).split('\n');
+
+		assert.equal(response.status, 200);
+		assert.equal(response.headers.get('content-type'), METRICS_CONTENT_TYPE);
+		assert.equal(response.headers.get('cache-control'), 'no-store');
+		for (const line of [
+			'mcp_tool_calls_total{tool="list_topics",outcome="ok"} 2',
+			'mcp_tool_calls_total{tool="query_articles",outcome="error"} 1',
+			'mcp_tool_errors_total{tool="query_articles",code="invalid_date"} 1',
+			'mcp_tool_cache_lookups_total{tool="list_topics",result="miss"} 1',
+			'mcp_tool_cache_lookups_total{tool="list_topics",result="hit"} 1',
+			'mcp_tool_call_duration_seconds_count{tool="list_topics"} 2',
+			'mcp_articles{locale="en"} 5',
+			'mcp_articles{locale="de"} 2',
+			'mcp_dataset_version 1',
+			'mcp_tool_cache_entries 1',
+		]) {
+			assert.ok(lines.includes(line), `missing ${line}`);
+		}
+		const requestPattern = /^mcp_http_requests_total\{method="POST",status="200"\} \d+$/;
+		assert.ok(lines.some((line) => requestPattern.test(line)));
+	});
+});
@@ -0,0 +1,124 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { loadMagazineArticles } from '../src/article-service.js';
+import { createFileSource } from '../src/content-sources.js';
+import { logger } from '../src/logger.js';
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = path.resolve(TEST_DIR, '../src/server.js');
+const STARTUP_TIMEOUT_MS = 60 * 1000;
+
+// Small English and German dataset with linked translations, see test/fixtures
+export const FIXTURE_DATA_PATH = path.join(TEST_DIR, 'fixtures', 'blogposts.en.json');
+
+export const MCP_ACCEPT = 'application/json, text/event-stream';
+
+/**
+ * Finds a free TCP port
+ * @returns Promise resolving to the port
+ */
+export function getFreePort() {
+	return new Promise((resolve, reject) => {
+		const probe = net.createServer();
+		probe.on('error', reject);
+		probe.listen(0, () => {
+			const { port } = probe.address();
+			probe.close(() => resolve(port));
+		});
+	});
+}
+
+/**
+ * Starts the standalone server in a child process and waits until it listens
+ * @param env - Environment variables on top of the test defaults
+ * @returns { port, child, exited, output(), stop() } where `exited` resolves to the exit code
+ */
+export async function startServer(env = {}) {
+	const port = await getFreePort();
+	const child = spawn(process.execPath, [SERVER_PATH], {
+		env: {
+			...process.env,
+			PORT: String(port),
+			CONTENT_WATCH: 'false',
+			LOG_LEVEL: 'info',
+			LOG_FORMAT: 'json',
+			...env,
+		},
+		stdio: ['ignore', 'pipe', 'pipe'],
+	});
+	let output = '';
+	child.stdout.on('data', (chunk) => (output += chunk));
+	child.stderr.on('data', (chunk) => (output += chunk));
+	const exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+
+	await new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			child.kill();
+			reject(new Error(`Server did not start:\n${output}`));
+		}, STARTUP_TIMEOUT_MS);
+		const onData = () => {
+			if (output.includes('Unic.com MCP server listening')) {
+				clearTimeout(timer);
+				child.stdout.off('data', onData);
+				resolve();
+			}
+		};
+		child.stdout.on('data', onData);
+		exited.then((code) => {
+			clearTimeout(timer);
+			reject(new Error(`Server exited with ${code}:\n${output}`));
+		});
+	});
+
+	return {
+		port,
+		child,
+		exited,
+		output: () => output,
+		async stop() {
+			if (child.exitCode === null) child.kill('SIGKILL');
+			await exited;
+		},
+	};
+}
+
+/**
+ * Connects an MCP client to a server started with startServer()
+ * @param port - Port of the server
+ * @returns Connected Client
+ */
+export async function connectClient(port) {
+	const client = new Client({ name: 'test-client', version: '1.0.0' });
+	await client.connect(new StreamableHTTPClientTransport(new URL(`http://localhost:${port}/mcp`)));
+	return client;
+}
+
+/**
+ * Environment that serves the fixture dataset. The vector index is written to a temporary
+ * directory, removed when the test process exits, instead of next to the fixtures.
+ * @returns Environment variables for startServer()
+ */
+export function fixtureEnv() {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unic-mcp-test-'));
+	process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+	return {
+		BLOG_DATA_PATH: FIXTURE_DATA_PATH,
+		VECTOR_INDEX_PATH: path.join(directory, 'blogposts.vector-index.json'),
+	};
+}
+
+/**
+ * Loads the fixture dataset into this process, without logging and without storing the
+ * vector index
+ * @returns The load report
+ */
+export function loadFixtures() {
+	logger.level = 'silent';
+	return loadMagazineArticles({ ...createFileSource(FIXTURE_DATA_PATH), vectorIndexPath: null });
+}
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import {
+	getArticleBySlug,
+	getArticleTranslations,
+	getArticleUrl,
+	getArticlesForLocale,
+	getAvailableLocales,
+	loadMagazineArticles,
+	normalizeLocale,
+	resolveLocale,
+} from '../src/article-service.js';
+import { createFileSource } from '../src/content-sources.js';
+import {
+	FIXTURE_DATA_PATH,
+	connectClient,
+	fixtureEnv,
+	loadFixtures,
+	startServer,
+} from './helpers.js';
+
+test('normalizeLocale() keeps the language of a locale', () => {
+	assert.equal(normalizeLocale('de-CH'), 'de');
+	assert.equal(normalizeLocale(' FR_ch '), 'fr');
+	assert.equal(normalizeLocale('en'), 'en');
+	assert.equal(normalizeLocale('deu'), null);
+	assert.equal(normalizeLocale(undefined), null);
+});
+
+test('createFileSource() reads the files of every locale', async () => {
+	const entries = await createFileSource(FIXTURE_DATA_PATH).load();
+	const locales = entries.map(({ locale }) => locale);
+
+	assert.deepEqual(locales, ['en', 'en', 'en', 'en', 'en', 'de', 'de']);
+});
+
+describe('locale selection', () => {
+	before(() => loadFixtures());
+
+	test('falls back to the default locale for languages without content', () => {
+		assert.deepEqual(getAvailableLocales(), ['en', 'de']);
+		assert.equal(resolveLocale('de-CH'), 'de');
+		assert.equal(resolveLocale('fr'), 'en');
+		assert.equal(resolveLocale(undefined), 'en');
+		assert.equal(getArticlesForLocale('fr').length, 5);
+	});
+
+	test('links translations in both directions', () => {
+		const english = getArticleBySlug('headless-commerce-platforms', 'en');
+		const german = getArticleBySlug('headless-commerce-plattformen', 'de');
+
+		assert.deepEqual(getArticleTranslations(english), [
+			{
+				locale: 'de',
+				slug: 'headless-commerce-plattformen',
+				title: 'Die richtige Headless-Commerce-Plattform wählen',
+				url: 'https://www.unic.com/de/magazin/headless-commerce-plattformen',
+			},
+		]);
+		assert.deepEqual(
+			getArticleTranslations(german).map(({ locale, slug }) => [locale, slug]),
+			[['en', 'headless-commerce-platforms']]
+		);
+		assert.deepEqual(getArticleTranslations(getArticleBySlug('accessibility-checklist')), []);
+	});
+
+	test('returns the translation in the requested language when there is one', () => {
+		assert.equal(
+			getArticleBySlug('headless-commerce-platforms', 'de').slug,
+			'headless-commerce-plattformen'
+		);
+		assert.equal(getArticleBySlug('headless-commerce-plattformen', 'en').locale, 'en');
+		assert.equal(getArticleBySlug('accessibility-checklist', 'de').locale, 'en');
+	});
+
+	test('derives the URL from the locale when the CMS has no link', () => {
+		assert.equal(
+			getArticleUrl({ slug: 'ueber-uns', locale: 'de' }),
+			'https://www.unic.com/de/magazin/ueber-uns'
+		);
+		assert.equal(
+			getArticleUrl({ slug: 'a-propos', locale: 'fr' }),
+			'https://www.unic.com/fr/magazine/a-propos'
+		);
+	});
+});
+
+test('links translations without ids by publication day and hero image', async (t) => {
+	t.after(() => loadFixtures());
+	const entry = (slug, locale, hero) => ({
+		slug,
+		locale,
+		title: slug,
+		publicationDate: '2024-05-01T08:00:00.000Z',
+		keyvisual: { cloudinaryAsset: [{ url: `https://images.example.com/${hero}.jpg`, alt: '' }] },
+	});
+	await loadMagazineArticles({
+		type: 'memory',
+		describe: () => 'test entries',
+		check: async () => {},
+		load: async () => [
+			entry('team-day', 'en', 'team'),
+			entry('teamtag', 'de', 'team'),
+			entry('other-day', 'en', 'other'),
+		],
+	});
+
+	assert.deepEqual(
+		getArticleTranslations(getArticleBySlug('team-day')).map(({ slug }) => slug),
+		['teamtag']
+	);
+	assert.deepEqual(getArticleTranslations(getArticleBySlug('other-day')), []);
+});
+
+describe('locale of tool calls', () => {
+	let server;
+	let client;
+
+	before(async () => {
+		server = await startServer(fixtureEnv());
+		client = await connectClient(server.port);
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+	});
+
+	const recentSlugs = async (params) => {
+		const result = await client.callTool({ name: 'list_recent_articles', ...params });
+		return result.structuredContent.articles.map(({ slug }) => slug);
+	};
+
+	test('uses the locale argument, then the locale of the client', async () => {
+		const german = ['ki-agenten-im-kundenservice', 'headless-commerce-plattformen'];
+
+		assert.deepEqual(await recentSlugs({ arguments: { locale: 'de' } }), german);
+		assert.deepEqual(
+			await recentSlugs({ arguments: {}, _meta: { 'openai/locale': 'de-CH' } }),
+			german
+		);
+		assert.equal(
+			(await recentSlugs({ arguments: { locale: 'en' }, _meta: { 'openai/locale': 'de' } }))[0],
+			'ai-agents-in-customer-service'
+		);
+	});
+});
@@ -0,0 +1,224 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createLogger, sanitizeForLog } from '../src/logger.js';
+import { createTracer, parseTraceparent, SPAN_KIND } from '../src/tracing.js';
+import { fixtureEnv, startServer } from './helpers.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+// Collects what the logger writes to stdout and stderr, one parsed entry per line
+function captureOutput(t) {
+	const lines = { stdout: [], stderr: [] };
+	for (const name of ['stdout', 'stderr']) {
+		t.mock.method(process[name], 'write', (chunk) => {
+			lines[name].push(...String(chunk).trim().split('\n').map((line) => JSON.parse(line)));
+			return true;
+		});
+	}
+	return lines;
+}
+
+function createTempDir() {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unic-mcp-traces-'));
+	process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+	return directory;
+}
+
+function getAttribute(span, key) {
+	const value = span.attributes.find((attribute) => attribute.key === key)?.value;
+	return value && Object.values(value)[0];
+}
+
+test('writes one JSON entry per line with the bindings of the logger', (t) => {
+	const output = captureOutput(t);
+	const log = createLogger({ level: 'info', bindings: { service: 'test' } });
+
+	log.info('Tool call', { tool: 'list_topics', resultCount: 3, skipped: undefined });
+
+	assert.equal(output.stdout.length, 1);
+	const [entry] = output.stdout;
+	assert.match(entry.time, /^\d{4}-\d\d-\d\dT/);
+	assert.equal(entry.level, 'info');
+	assert.equal(entry.msg, 'Tool call');
+	assert.equal(entry.service, 'test');
+	assert.equal(entry.tool, 'list_topics');
+	assert.equal(entry.resultCount, 3);
+	assert.equal('skipped' in entry, false);
+});
+
+test('writes warnings and errors to stderr and drops entries below the level', (t) => {
+	const output = captureOutput(t);
+	const log = createLogger({ level: 'info' });
+
+	log.debug('Request received');
+	log.info('Request completed');
+	log.warn('Tool call returned an error', { error: 'invalid_input' });
+	log.error('Tool call failed', { error: Object.assign(new Error('boom'), { code: 'E_TEST' }) });
+
+	assert.deepEqual(output.stdout.map(({ msg }) => msg), ['Request completed']);
+	assert.deepEqual(output.stderr.map(({ level }) => level), ['warn', 'error']);
+	const { error } = output.stderr[1];
+	assert.equal(error.name, 'Error');
+	assert.equal(error.message, 'boom');
+	assert.equal(error.code, 'E_TEST');
+	assert.match(error.stack, /boom/);
+});
+
+test('adds child bindings to every entry and follows the level of the parent', (t) => {
+	const output = captureOutput(t);
+	const log = createLogger({ level: 'info', bindings: { service: 'test' } });
+	const child = log.child({ requestId: 'req-1', traceId: TRACE_ID });
+
+	child.info('Request completed', { status: 200 });
+	log.level = 'warn';
+	child.info('Dropped');
+
+	assert.equal(output.stdout.length, 1);
+	assert.equal(output.stdout[0].service, 'test');
+	assert.equal(output.stdout[0].requestId, 'req-1');
+	assert.equal(output.stdout[0].traceId, TRACE_ID);
+	assert.equal(output.stdout[0].status, 200);
+});
+
+test('hides secrets and shortens long strings before they are logged', () => {
+	const sanitized = sanitizeForLog({
+		query: 'headless commerce',
+		apiKey: 'abc',
+		nested: [{ Authorization: 'Bearer abc', access_token: 'abc' }],
+		text: 'x'.repeat(250),
+		limit: 5,
+	});
+
+	assert.equal(sanitized.query, 'headless commerce');
+	assert.equal(sanitized.apiKey, '[redacted]');
+	assert.deepEqual(sanitized.nested, [{ Authorization: '[redacted]', access_token: '[redacted]' }]);
+	assert.equal(sanitized.text, `${'x'.repeat(200)}… (250 chars)`);
+	assert.equal(sanitized.limit, 5);
+});
+
+test('reads the trace and span id of a W3C traceparent header', () => {
+	assert.deepEqual(parseTraceparent(`00-${TRACE_ID}-${PARENT_SPAN_ID}-01`), {
+		traceId: TRACE_ID,
+		spanId: PARENT_SPAN_ID,
+	});
+	assert.equal(parseTraceparent(`01-${TRACE_ID}-${PARENT_SPAN_ID}-01`), undefined);
+	assert.equal(parseTraceparent(`00-${TRACE_ID.toUpperCase()}-${PARENT_SPAN_ID}-01`), undefined);
+	assert.equal(parseTraceparent('not a traceparent'), undefined);
+	assert.equal(parseTraceparent(undefined), undefined);
+});
+
+test('exports ended spans with their parent, attributes and errors', async () => {
+	const file = path.join(createTempDir(), 'traces.jsonl');
+	const tracer = createTracer({ exporter: 'file', file, serviceName: 'test-service' });
+
+	const parent = tracer.startSpan('MCP POST', {
+		kind: SPAN_KIND.SERVER,
+		parent: parseTraceparent(`00-${TRACE_ID}-${PARENT_SPAN_ID}-01`),
+	});
+	const child = tracer.startSpan('tools/call search_articles', {
+		parent,
+		attributes: { 'mcp.tool.name': 'search_articles', 'mcp.request_id': undefined },
+	});
+	child.setAttributes({ 'mcp.tool.result_count': 2, 'mcp.tool.cache': 'miss' });
+	child.recordError(new Error('boom'));
+	child.end();
+	child.end();
+	parent.end();
+	await tracer.flush();
+
+	const [request] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+	const { resource, scopeSpans } = request.resourceSpans[0];
+	assert.equal(getAttribute({ attributes: resource.attributes }, 'service.name'), 'test-service');
+	const [toolSpan, requestSpan] = scopeSpans[0].spans;
+	assert.equal(scopeSpans[0].spans.length, 2);
+
+	assert.equal(requestSpan.traceId, TRACE_ID);
+	assert.equal(requestSpan.parentSpanId, PARENT_SPAN_ID);
+	assert.equal(requestSpan.kind, SPAN_KIND.SERVER);
+	assert.equal(toolSpan.traceId, TRACE_ID);
+	assert.equal(toolSpan.parentSpanId, requestSpan.spanId);
+	assert.equal(toolSpan.kind, SPAN_KIND.INTERNAL);
+	assert.equal(getAttribute(toolSpan, 'mcp.tool.name'), 'search_articles');
+	assert.equal(getAttribute(toolSpan, 'mcp.tool.result_count'), '2');
+	assert.equal(getAttribute(toolSpan, 'mcp.request_id'), undefined);
+	assert.equal(toolSpan.status.code, 2);
+	assert.equal(toolSpan.events[0].name, 'exception');
+	assert.ok(BigInt(toolSpan.endTimeUnixNano) >= BigInt(toolSpan.startTimeUnixNano));
+});
+
+test('rejects unknown exporters and does nothing without one', async () => {
+	assert.throws(() => createTracer({ exporter: 'zipkin' }), /Unknown OTEL_TRACES_EXPORTER/);
+
+	const tracer = createTracer({ exporter: 'none' });
+	const span = tracer.startSpan('MCP POST');
+	span.end();
+
+	assert.equal(tracer.enabled, false);
+	assert.equal(span.traceId, undefined);
+	await tracer.flush();
+});
+
+test('logs and traces tool calls with the request id and trace of the caller', async (t) => {
+	const file = path.join(createTempDir(), 'traces.jsonl');
+	const server = await startServer({
+		...fixtureEnv(),
+		OTEL_TRACES_EXPORTER: 'file',
+		OTEL_TRACES_FILE: file,
+	});
+	t.after(() => server.stop());
+	const client = new Client({ name: 'test-client', version: '1.0.0' });
+	const transport = new StreamableHTTPClientTransport(
+		new URL(`http://localhost:${server.port}/mcp`),
+		{
+			requestInit: {
+				headers: {
+					'x-request-id': 'req-42',
+					traceparent: `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`,
+				},
+			},
+		}
+	);
+	await client.connect(transport);
+
+	await client.callTool({ name: 'search_articles', arguments: { query: 'commerce', limit: 2 } });
+	await client.close();
+	// Spans still waiting are exported when the server shuts down
+	server.child.kill('SIGTERM');
+	await server.exited;
+
+	const entries = server
+		.output()
+		.split('\n')
+		.filter((line) => line.startsWith('{'))
+		.map((line) => JSON.parse(line));
+	const toolCall = entries.find(({ msg }) => msg === 'Tool call');
+	assert.equal(toolCall.requestId, 'req-42');
+	assert.equal(toolCall.traceId, TRACE_ID);
+	assert.equal(toolCall.tool, 'search_articles');
+	assert.equal(toolCall.arguments.query, 'commerce');
+	assert.equal(toolCall.arguments.limit, 2);
+	assert.equal(toolCall.resultCount, 2);
+	assert.equal(typeof toolCall.durationMs, 'number');
+	const completed = entries.filter(({ msg }) => msg === 'Request completed');
+	assert.ok(completed.length > 0);
+	assert.ok(completed.every(({ requestId, status }) => requestId === 'req-42' && status));
+
+	const spans = fs
+		.readFileSync(file, 'utf8')
+		.trim()
+		.split('\n')
+		.flatMap((line) => JSON.parse(line).resourceSpans[0].scopeSpans[0].spans);
+	const toolSpan = spans.find(({ name }) => name === 'tools/call search_articles');
+	const requestSpan = spans.find(({ spanId }) => spanId === toolSpan.parentSpanId);
+	assert.equal(toolSpan.traceId, TRACE_ID);
+	assert.equal(getAttribute(toolSpan, 'mcp.request_id'), 'req-42');
+	assert.equal(getAttribute(toolSpan, 'mcp.tool.result_count'), '2');
+	assert.equal(requestSpan.name, 'MCP POST');
+	assert.equal(requestSpan.parentSpanId, PARENT_SPAN_ID);
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { formatFacets, queryArticles } from '../src/article-service.js';
+import { loadFixtures } from './helpers.js';
+
+const slugs = ({ results }) => results.map(({ article }) => article.slug);
+
+before(() => loadFixtures());
+
+describe('queryArticles filters', () => {
+	test('returns every article, newest first, without criteria', () => {
+		assert.deepEqual(slugs(queryArticles()), [
+			'ai-agents-in-customer-service',
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+			'accessibility-checklist',
+			'spotlight-on-lena-keller',
+		]);
+	});
+
+	test('combines author and topic', () => {
+		assert.deepEqual(slugs(queryArticles({ author: 'Anna Muster', topic: 'commerce' })), [
+			'composable-commerce-architecture',
+		]);
+		assert.deepEqual(slugs(queryArticles({ author: 'Dirk Nölke', topic: 'commerce' })), []);
+	});
+
+	test('combines a query with a date range', () => {
+		const criteria = { query: 'commerce', startDate: '2024-02-01', mode: 'keyword' };
+
+		assert.deepEqual(slugs(queryArticles(criteria)), ['headless-commerce-platforms']);
+	});
+
+	test('combines a topic label with a natural-language date range', () => {
+		assert.deepEqual(slugs(queryArticles({ topic: 'Commerce', startDate: 'January 2024' })), [
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+		]);
+		assert.deepEqual(slugs(queryArticles({ topic: 'Commerce', endDate: 'January 2024' })), [
+			'composable-commerce-architecture',
+		]);
+	});
+
+	test('counts facets over the matches only', () => {
+		const { facets } = queryArticles({ author: 'Jörg Nölke' });
+
+		assert.deepEqual(facets.authors, [{ value: 'Jörg Nölke', count: 2 }]);
+		assert.deepEqual(facets.years, [{ value: 2024, count: 2 }]);
+		assert.deepEqual(
+			facets.topics.map(({ value }) => value),
+			['ai', 'cms-dxp', 'commerce', 'customer-experience']
+		);
+	});
+});
+
+describe('queryArticles sort order', () => {
+	test('sorts by date, newest first unless ascending', () => {
+		assert.deepEqual(slugs(queryArticles({ sortBy: 'date', sortOrder: 'asc' })), [
+			'spotlight-on-lena-keller',
+			'accessibility-checklist',
+			'composable-commerce-architecture',
+			'headless-commerce-platforms',
+			'ai-agents-in-customer-service',
+		]);
+	});
+
+	test('sorts by title, A-Z unless descending', () => {
+		const titles = (criteria) =>
+			queryArticles(criteria).results.map(({ article }) => article.title);
+
+		assert.deepEqual(titles({ sortBy: 'title' }), [
+			'An accessibility checklist for product teams',
+			'Choosing a headless commerce platform',
+			'Composable commerce architecture in practice',
+			'How AI agents change customer service',
+			'Spotlight on Lena Keller',
+		]);
+		assert.deepEqual(
+			titles({ sortBy: 'title', sortOrder: 'desc' }),
+			titles({ sortBy: 'title' }).reverse()
+		);
+	});
+
+	test('sorts by relevance when there is a query', () => {
+		const ranked = queryArticles({ query: 'headless commerce', mode: 'keyword' });
+		const ascending = queryArticles({
+			query: 'headless commerce',
+			mode: 'keyword',
+			sortOrder: 'asc',
+		});
+
+		assert.deepEqual(slugs(ranked), [
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+		]);
+		assert.deepEqual(slugs(ascending), slugs(ranked).reverse());
+		assert.deepEqual(slugs(queryArticles({ query: 'commerce', sortBy: 'date' })).slice(0, 2), [
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+		]);
+	});
+
+	test('requires a query to sort by relevance', () => {
+		assert.throws(() => queryArticles({ sortBy: 'relevance' }), {
+			name: 'ValidationError',
+			message: /requires a query/,
+		});
+	});
+});
+
+describe('formatFacets', () => {
+	test('shows topics by label, which the topic filter accepts', () => {
+		const { facets } = queryArticles({ author: 'Anna Muster' });
+		const text = formatFacets(facets);
+
+		assert.equal(
+			text.split('\n')[2],
+			'- 🏷️ Topics: Cloud & engineering (1), Commerce (1), Employee spotlight (1)'
+		);
+		assert.deepEqual(slugs(queryArticles({ topic: 'Cloud & engineering' })), [
+			'composable-commerce-architecture',
+		]);
+	});
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, mock, test } from 'node:test';
+import {
+	createMemoryRateLimitStore,
+	createRateLimiter,
+	getClientKey,
+	getToolCallCost,
+} from '../src/rate-limit.js';
+
+describe('createMemoryRateLimitStore', () => {
+	const bucket = { capacity: 3, refillPerSecond: 1 };
+
+	test('allows a burst up to the capacity, then refills continuously', async (t) => {
+		t.mock.timers.enable({ apis: ['Date'], now: 0 });
+		const store = createMemoryRateLimitStore();
+
+		for (const remaining of [2, 1, 0]) {
+			assert.deepEqual(await store.take('key', bucket), {
+				allowed: true,
+				remaining,
+				retryAfterMs: 0,
+			});
+		}
+		assert.deepEqual(await store.take('key', bucket), {
+			allowed: false,
+			remaining: 0,
+			retryAfterMs: 1000,
+		});
+
+		t.mock.timers.tick(1500);
+		assert.equal((await store.take('key', bucket)).allowed, true);
+		assert.equal((await store.take('key', bucket)).allowed, false);
+	});
+
+	test('never refills beyond the capacity', async (t) => {
+		t.mock.timers.enable({ apis: ['Date'], now: 0 });
+		const store = createMemoryRateLimitStore();
+		await store.take('key', bucket);
+
+		t.mock.timers.tick(60 * 1000);
+
+		assert.equal((await store.take('key', bucket)).remaining, 2);
+	});
+
+	test('charges the cost, and a cost above the capacity as the whole bucket', async (t) => {
+		t.mock.timers.enable({ apis: ['Date'], now: 0 });
+		const store = createMemoryRateLimitStore();
+
+		assert.deepEqual(await store.take('a', { ...bucket, cost: 2 }), {
+			allowed: true,
+			remaining: 1,
+			retryAfterMs: 0,
+		});
+		assert.deepEqual(await store.take('a', { ...bucket, cost: 2 }), {
+			allowed: false,
+			remaining: 1,
+			retryAfterMs: 1000,
+		});
+		assert.equal((await store.take('b', { ...bucket, cost: 10 })).allowed, true);
+		assert.equal((await store.take('b', bucket)).allowed, false);
+	});
+
+	test('keeps a bucket per key', async () => {
+		const store = createMemoryRateLimitStore();
+		await store.take('a', { ...bucket, cost: 3 });
+
+		assert.equal((await store.take('a', bucket)).allowed, false);
+		assert.equal((await store.take('b', bucket)).allowed, true);
+	});
+});
+
+test('getToolCallCost() charges one call per ten results, up to the maximum limit', () => {
+	assert.equal(getToolCallCost({}), 1);
+	assert.equal(getToolCallCost(undefined), 1);
+	assert.equal(getToolCallCost({ limit: 1 }), 1);
+	assert.equal(getToolCallCost({ limit: 10 }), 1);
+	assert.equal(getToolCallCost({ limit: 11 }), 2);
+	assert.equal(getToolCallCost({ limit: 100 }), 10);
+	assert.equal(getToolCallCost({ limit: 1e9 }), 10);
+	assert.equal(getToolCallCost({ limit: -5 }), 1);
+	assert.equal(getToolCallCost({ limit: 'many' }), 1);
+});
+
+test('createRateLimiter() keeps request and per-tool budgets apart', async () => {
+	const take = mock.fn(async () => ({ allowed: true, remaining: 0, retryAfterMs: 0 }));
+	const limiter = createRateLimiter({
+		store: { take },
+		requestsPerMinute: 120,
+		toolCallsPerMinute: 60,
+		tools: { search_articles: 6 },
+	});
+
+	assert.equal((await limiter.limitRequest('ip:1')).limit, 120);
+	assert.equal((await limiter.limitToolCall('ip:1', 'search_articles', { limit: 30 })).limit, 6);
+	assert.equal((await limiter.limitToolCall('ip:1', 'list_topics', {})).limit, 60);
+
+	assert.deepEqual(
+		take.mock.calls.map(({ arguments: [key, options] }) => [key, options]),
+		[
+			['request:ip:1', { capacity: 120, refillPerSecond: 2 }],
+			['tool:search_articles:ip:1', { capacity: 6, refillPerSecond: 0.1, cost: 3 }],
+			['tool:list_topics:ip:1', { capacity: 60, refillPerSecond: 1, cost: 1 }],
+		]
+	);
+});
+
+describe('getClientKey', () => {
+	const request = (forwardedFor, auth) => ({
+		auth,
+		headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor },
+		socket: { remoteAddress: '10.0.0.1' },
+	});
+
+	test('prefers the authenticated client', () => {
+		const req = request('203.0.113.7', { clientId: 'chatgpt' });
+
+		assert.equal(getClientKey(req, 1), 'client:chatgpt');
+	});
+
+	test('uses the socket address unless proxies are trusted', () => {
+		assert.equal(getClientKey(request('203.0.113.7')), 'ip:10.0.0.1');
+		assert.equal(getClientKey(request(undefined), 1), 'ip:10.0.0.1');
+	});
+
+	test('takes the address added by the trusted proxy, not one sent by the client', () => {
+		assert.equal(getClientKey(request('203.0.113.7'), 1), 'ip:203.0.113.7');
+		assert.equal(getClientKey(request('1.2.3.4, 203.0.113.7'), 1), 'ip:203.0.113.7');
+		assert.equal(getClientKey(request(['1.2.3.4', '5.6.7.8, 203.0.113.7']), 1), 'ip:203.0.113.7');
+	});
+
+	test('counts trusted proxies from the right', () => {
+		assert.equal(getClientKey(request('1.2.3.4, 203.0.113.7, 10.0.0.2'), 2), 'ip:203.0.113.7');
+		assert.equal(getClientKey(request('203.0.113.7'), 2), 'ip:203.0.113.7');
+	});
+});
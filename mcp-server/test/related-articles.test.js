@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { formatRelatedArticles, getRelatedArticles } from '../src/article-service.js';
+import { buildRelatedArticles } from '../src/related-articles.js';
+import { loadFixtures } from './helpers.js';
+
+const chunk = (id, ...vector) => ({ id, vector: Float32Array.from(vector) });
+const accessors = {
+	getTopics: (article) => article.topics,
+	getAuthor: (article) => article.author,
+};
+
+describe('buildRelatedArticles', () => {
+	const articles = [
+		{ slug: 'a', topics: ['commerce', 'ai'], author: 'Anna' },
+		{ slug: 'similar', topics: [], author: 'Ben' },
+		{ slug: 'same-topics', topics: ['ai', 'commerce'], author: 'Anna' },
+		{ slug: 'one-topic', topics: ['ai', 'seo', 'ux'], author: 'Ben' },
+		{ slug: 'same-author', topics: [], author: 'Anna' },
+		{ slug: 'opposite', topics: [], author: 'Ben' },
+	];
+	const vectorIndex = {
+		chunks: [
+			// Chunk vectors are averaged per article
+			chunk('a', 1, 0, 0),
+			chunk('a', 0.6, 0.8, 0),
+			chunk('similar', 0.8, 0.4, 0),
+			chunk('same-topics', 0, 0, 1),
+			chunk('one-topic', 0, 0, 1),
+			chunk('same-author', 0, 0, 1),
+			chunk('opposite', -1, -0.5, 0),
+		],
+	};
+	const related = buildRelatedArticles(articles, vectorIndex, accessors);
+
+	test('blends content similarity, shared topics and the same author', () => {
+		assert.deepEqual(related.get('a'), [
+			{ slug: 'similar', score: 0.7, sharedTopics: [], sameAuthor: false },
+			{ slug: 'same-topics', score: 0.3, sharedTopics: ['commerce', 'ai'], sameAuthor: true },
+		]);
+	});
+
+	test('drops weak relations such as one shared topic or only the author', () => {
+		const slugs = related.get('a').map(({ slug }) => slug);
+
+		assert.ok(!slugs.includes('one-topic'));
+		assert.ok(!slugs.includes('same-author'));
+		assert.ok(!slugs.includes('opposite'));
+	});
+
+	test('relates articles in both directions with the same score', () => {
+		assert.deepEqual(related.get('similar')[0], {
+			slug: 'a',
+			score: 0.7,
+			sharedTopics: [],
+			sameAuthor: false,
+		});
+	});
+
+	test('works on topics and authors alone without a vector index', () => {
+		const withoutVectors = buildRelatedArticles(articles, null, accessors);
+
+		assert.deepEqual(
+			withoutVectors.get('a').map(({ slug, score }) => [slug, score]),
+			[['same-topics', 0.3]]
+		);
+	});
+
+	test('keeps the ten best relations per article', () => {
+		const many = Array.from({ length: 15 }, (_, index) => ({
+			slug: `article-${String(index).padStart(2, '0')}`,
+			topics: ['ai'],
+			author: 'Anna',
+		}));
+		const relations = buildRelatedArticles(many, null, accessors).get('article-00');
+
+		assert.equal(relations.length, 10);
+		assert.equal(relations[0].slug, 'article-01');
+	});
+});
+
+describe('getRelatedArticles', () => {
+	before(() => loadFixtures());
+
+	test('returns the related articles of the same locale', () => {
+		const { article, related } = getRelatedArticles('headless-commerce-platforms');
+
+		assert.equal(article.slug, 'headless-commerce-platforms');
+		assert.deepEqual(
+			related.map(({ article: { slug }, sharedTopics }) => [slug, sharedTopics]),
+			[['composable-commerce-architecture', ['commerce']]]
+		);
+		assert.deepEqual(
+			getRelatedArticles('headless-commerce-platforms', 5, 'de').related.map(
+				({ article: { slug } }) => slug
+			),
+			['ki-agenten-im-kundenservice']
+		);
+	});
+
+	test('returns null for unknown articles', () => {
+		assert.equal(getRelatedArticles('no-such-article'), null);
+	});
+
+	test('formats each relation with the reason', () => {
+		const { related } = getRelatedArticles('headless-commerce-plattformen', 5, 'de');
+
+		assert.equal(
+			formatRelatedArticles(related),
+			'1. Wie KI-Agenten den Kundenservice verändern - ' +
+				'https://www.unic.com/de/magazin/ki-agenten-im-kundenservice (also by Jörg Nölke)'
+		);
+		assert.equal(formatRelatedArticles([]), 'No related articles found.');
+	});
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { before, beforeEach, test } from 'node:test';
+import {
+	getArticlesForLocale,
+	getDatasetVersion,
+	getLoadStatus,
+	loadMagazineArticles,
+	onDatasetChange,
+} from '../src/article-service.js';
+import { createFileSource } from '../src/content-sources.js';
+import { logger } from '../src/logger.js';
+import { FIXTURE_DATA_PATH, loadFixtures } from './helpers.js';
+
+let fixtureEntries;
+
+// Source serving a copy of the fixtures, changed by `edit`; `load` waits for `gate` if given
+function createSource(edit = (entries) => entries, gate) {
+	return {
+		type: 'memory',
+		describe: () => 'test entries',
+		check: async () => {},
+		async load() {
+			await gate;
+			return edit(structuredClone(fixtureEntries));
+		},
+	};
+}
+
+const slugs = (locale) => getArticlesForLocale(locale).map(({ slug }) => slug);
+
+before(async () => {
+	logger.level = 'silent';
+	fixtureEntries = await createFileSource(FIXTURE_DATA_PATH).load();
+});
+
+beforeEach(() => loadFixtures());
+
+test('reports added, removed and changed articles per locale', async (t) => {
+	const changes = [];
+	t.after(onDatasetChange((change) => changes.push(change)));
+
+	await loadMagazineArticles(
+		createSource((entries) => {
+			const spotlight = entries.find(({ slug }) => slug === 'spotlight-on-lena-keller');
+			spotlight.title = 'Spotlight on Lena Keller, engineer';
+			return [
+				...entries.filter(({ slug }) => slug !== 'accessibility-checklist'),
+				// A translation that shares the slug of the English article
+				{ ...structuredClone(spotlight), locale: 'de', title: 'Im Porträt: Lena Keller' },
+			];
+		})
+	);
+
+	assert.equal(changes.length, 1);
+	assert.deepEqual(changes[0], {
+		version: getDatasetVersion(),
+		added: ['de/spotlight-on-lena-keller'],
+		removed: ['en/accessibility-checklist'],
+		changed: ['en/spotlight-on-lena-keller'],
+	});
+});
+
+test('reports no differences when the same content is loaded again', async (t) => {
+	const changes = [];
+	t.after(onDatasetChange((change) => changes.push(change)));
+
+	await loadMagazineArticles(createSource());
+
+	assert.deepEqual(changes, [
+		{ version: getDatasetVersion(), added: [], removed: [], changed: [] },
+	]);
+});
+
+test('keeps serving the previous articles until the new ones are swapped in', async () => {
+	let release;
+	const gate = new Promise((resolve) => {
+		release = resolve;
+	});
+	const version = getDatasetVersion();
+	const before = slugs('en');
+
+	const withoutAiAgents = (entries) =>
+		entries.filter(({ slug }) => slug !== 'ai-agents-in-customer-service');
+	const loading = loadMagazineArticles(createSource(withoutAiAgents, gate));
+	await new Promise((resolve) => setImmediate(resolve));
+
+	assert.equal(getDatasetVersion(), version);
+	assert.deepEqual(slugs('en'), before);
+
+	release();
+	await loading;
+
+	assert.equal(getDatasetVersion(), version + 1);
+	assert.deepEqual(
+		slugs('en'),
+		before.filter((slug) => slug !== 'ai-agents-in-customer-service')
+	);
+});
+
+test('keeps the previous articles when a reload fails', async () => {
+	const version = getDatasetVersion();
+	const before = slugs('en');
+
+	await assert.rejects(
+		loadMagazineArticles(
+			createSource(() => {
+				throw new Error('source offline');
+			})
+		),
+		/source offline/
+	);
+
+	assert.equal(getDatasetVersion(), version);
+	assert.deepEqual(slugs('en'), before);
+	assert.equal(getLoadStatus().lastError.message, 'source offline');
+});
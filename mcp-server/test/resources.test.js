@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getArticleResources, RESOURCE_NOT_FOUND_ERROR_CODE } from '../src/mcp-resources.js';
+import { connectClient, fixtureEnv, loadFixtures, startServer } from './helpers.js';
+
+describe('article resources', () => {
+	let server;
+	let client;
+
+	before(async () => {
+		server = await startServer({ ...fixtureEnv(), MAX_LISTED_ARTICLE_RESOURCES: '2' });
+		client = await connectClient(server.port);
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+	});
+
+	test('reads an article by slug', async () => {
+		const uri = 'blog://article/accessibility-checklist';
+		const { contents } = await client.readResource({ uri });
+
+		assert.equal(contents[0].uri, uri);
+		assert.equal(JSON.parse(contents[0].text).author, 'Dirk Nölke');
+	});
+
+	test('reports unknown articles as resource not found', async () => {
+		await assert.rejects(client.readResource({ uri: 'blog://article/no-such-article' }), {
+			code: RESOURCE_NOT_FOUND_ERROR_CODE,
+			message: /Article not found: no-such-article/,
+		});
+	});
+
+	test('lists every article once across pages, newest first', async () => {
+		const uris = [];
+		let cursor;
+		do {
+			const page = await client.listResources(cursor ? { cursor } : {});
+			uris.push(...page.resources.map(({ uri }) => uri).filter((uri) => uri.startsWith('blog:')));
+			cursor = page.nextCursor;
+		} while (cursor);
+
+		assert.deepEqual(uris, [
+			'blog://article/ai-agents-in-customer-service',
+			'blog://article/ki-agenten-im-kundenservice',
+			'blog://article/headless-commerce-platforms',
+			'blog://article/headless-commerce-plattformen',
+			'blog://article/composable-commerce-architecture',
+			'blog://article/accessibility-checklist',
+			'blog://article/spotlight-on-lena-keller',
+		]);
+	});
+});
+
+test('rejects resource cursors issued before the articles were reloaded', async (t) => {
+	process.env.MAX_LISTED_ARTICLE_RESOURCES = '2';
+	t.after(() => delete process.env.MAX_LISTED_ARTICLE_RESOURCES);
+	await loadFixtures();
+	const { nextCursor } = getArticleResources();
+
+	assert.equal(getArticleResources(nextCursor).resources.length, 2);
+
+	await loadFixtures();
+
+	assert.throws(() => getArticleResources(nextCursor), { code: 'invalid_cursor' });
+});
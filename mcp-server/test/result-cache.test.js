@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { test } from 'node:test';
+import { getDatasetVersion, loadMagazineArticles } from '../src/article-service.js';
+import { createFileSource } from '../src/content-sources.js';
+import { logger } from '../src/logger.js';
+import { createLruCache, createToolResultCache, normalizeToolInput } from '../src/result-cache.js';
+import { connectClient, FIXTURE_DATA_PATH, fixtureEnv } from './helpers.js';
+
+const EN = { version: 1, locale: 'en' };
+
+test('evicts the least recently used entry once the cache is full', () => {
+	const cache = createLruCache({ maxEntries: 2 });
+	cache.set('a', 1);
+	cache.set('b', 2);
+	cache.get('a');
+	cache.set('c', 3);
+
+	assert.equal(cache.get('a'), 1);
+	assert.equal(cache.get('b'), undefined);
+	assert.equal(cache.get('c'), 3);
+	assert.equal(cache.size(), 2);
+});
+
+test('drops entries older than the TTL', (t) => {
+	t.mock.timers.enable({ apis: ['Date'], now: 0 });
+	const cache = createLruCache({ ttlMs: 1000 });
+	cache.set('a', 1);
+
+	t.mock.timers.tick(999);
+	assert.equal(cache.get('a'), 1);
+	t.mock.timers.tick(1);
+	assert.equal(cache.get('a'), undefined);
+	assert.equal(cache.size(), 0);
+});
+
+test('normalizes equivalent tool arguments to the same value', () => {
+	assert.deepEqual(
+		normalizeToolInput({ query: '  headless   commerce ', limit: 5, author: '', topic: null }),
+		{ limit: 5, query: 'headless commerce' }
+	);
+	assert.equal(
+		JSON.stringify(normalizeToolInput({ b: [' x '], a: 1 })),
+		JSON.stringify(normalizeToolInput({ a: 1, b: ['x'] }))
+	);
+});
+
+test('keys tool results on the dataset version, locale, tool and arguments', () => {
+	const cache = createToolResultCache({});
+	cache.set('search_articles', { query: 'commerce ' }, EN, 'result');
+
+	assert.equal(cache.get('search_articles', { query: ' commerce' }, EN), 'result');
+	const commerce = { query: 'commerce' };
+	assert.equal(cache.get('search_articles', commerce, { ...EN, version: 2 }), undefined);
+	assert.equal(cache.get('search_articles', commerce, { ...EN, locale: 'de' }), undefined);
+	assert.equal(cache.get('search_articles', { query: 'ai' }, EN), undefined);
+	assert.equal(cache.get('list_recent_articles', commerce, EN), undefined);
+
+	cache.set('list_topics', undefined, EN, 'topics');
+	assert.equal(cache.get('list_topics', {}, EN), 'topics');
+	cache.clear();
+	assert.equal(cache.size(), 0);
+});
+
+test('answers tool calls from the new articles after a reload', async (t) => {
+	// In this process, so the articles can be reloaded while the server keeps its cache
+	Object.assign(process.env, fixtureEnv());
+	logger.level = 'silent';
+	const { handleMcpRequest, handleMetricsRequest } = await import('../src/server.js');
+	const httpServer = createServer((req, res) =>
+		req.url === '/metrics' ? handleMetricsRequest(req, res) : handleMcpRequest(req, res)
+	);
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	t.after(() => httpServer.close());
+	const { port } = httpServer.address();
+	const client = await connectClient(port);
+	t.after(() => client.close());
+	const getTitle = async () => {
+		const result = await client.callTool({
+			name: 'get_article_content',
+			arguments: { slug: 'accessibility-checklist' },
+		});
+		return result.content[0].text.split('\n')[0];
+	};
+	const getCacheEntries = async () => {
+		const response = await fetch(`http://localhost:${port}/metrics`);
+		return Number((await response.text()).match(/^mcp_tool_cache_entries (\d+)$/m)[1]);
+	};
+
+	const title = await getTitle();
+	assert.equal(await getTitle(), title);
+	assert.equal(await getCacheEntries(), 1);
+	const version = getDatasetVersion();
+
+	const entries = await createFileSource(FIXTURE_DATA_PATH).load();
+	const article = entries.find(({ slug }) => slug === 'accessibility-checklist');
+	article.title = 'Accessibility checklist, updated';
+	await loadMagazineArticles({
+		type: 'memory',
+		describe: () => 'test entries',
+		check: async () => {},
+		load: async () => entries,
+	});
+
+	assert.equal(getDatasetVersion(), version + 1);
+	assert.equal(await getCacheEntries(), 0);
+	assert.notEqual(title, '# Accessibility checklist, updated');
+	assert.equal(await getTitle(), '# Accessibility checklist, updated');
+});
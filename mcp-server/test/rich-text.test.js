@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { renderRichTextToMarkdown, renderRichTextToPlainText } from '../src/rich-text.js';
+import { connectClient, fixtureEnv, startServer } from './helpers.js';
+
+const text = (value, ...marks) => ({
+	nodeType: 'text',
+	value,
+	marks: marks.map((type) => ({ type })),
+	data: {},
+});
+const node = (nodeType, content = [], data = {}) => ({ nodeType, data, content });
+const paragraph = (...content) => node('paragraph', content);
+const document = (...content) => node('document', content);
+const link = (id, linkType) => ({ target: { sys: { id, type: 'Link', linkType } } });
+
+describe('renderRichTextToMarkdown', () => {
+	test('renders headings, paragraphs and marks', () => {
+		const markdown = renderRichTextToMarkdown(
+			document(
+				node('heading-3', [text('Setup')]),
+				paragraph(text('Use '), text('npm ci ', 'code'), text('in '), text('CI', 'bold', 'italic'))
+			)
+		);
+
+		assert.equal(markdown, '### Setup\n\nUse `npm ci` in _**CI**_');
+	});
+
+	test('indents nested lists under their item', () => {
+		const item = (...content) => node('list-item', content);
+		const markdown = renderRichTextToMarkdown(
+			document(
+				node('ordered-list', [
+					item(paragraph(text('Plan')), node('unordered-list', [item(paragraph(text('Goals')))])),
+					item(paragraph(text('Build'))),
+				])
+			)
+		);
+
+		assert.equal(markdown, '1. Plan\n   - Goals\n2. Build');
+	});
+
+	test('resolves linked entries and assets and drops unresolvable ones', () => {
+		const links = {
+			entries: {
+				hyperlink: [{ sys: { id: 'entry-1' }, link: 'https://www.unic.com/en/contact' }],
+				block: [{ sys: { id: 'entry-2' }, text: 'The study', url: 'https://example.com/s' }],
+			},
+			assets: {
+				block: [{ sys: { id: 'asset-1' }, title: 'Team', url: 'https://example.com/t.png' }],
+			},
+		};
+		const markdown = renderRichTextToMarkdown(
+			document(
+				paragraph(
+					text('Please '),
+					node('entry-hyperlink', [text('get in touch')], link('entry-1', 'Entry')),
+					text('.')
+				),
+				node('embedded-entry-block', [], link('entry-2', 'Entry')),
+				node('embedded-asset-block', [], link('asset-1', 'Asset')),
+				node('embedded-asset-block', [], link('missing', 'Asset')),
+				node('hr')
+			),
+			links
+		);
+
+		assert.equal(
+			markdown,
+			[
+				'Please [get in touch](https://www.unic.com/en/contact).',
+				'[The study](https://example.com/s)',
+				'![Team](https://example.com/t.png)',
+				'---',
+			].join('\n\n')
+		);
+	});
+
+	test('returns an empty string without a document', () => {
+		assert.equal(renderRichTextToMarkdown(undefined), '');
+		assert.equal(renderRichTextToMarkdown(document()), '');
+	});
+});
+
+test('renderRichTextToPlainText() keeps the words without markup or embeds', () => {
+	const plain = renderRichTextToPlainText(
+		document(
+			node('heading-2', [text('Why')]),
+			paragraph(text('A '), text('bold', 'bold'), text(' '), node('hyperlink', [text('link')])),
+			node('unordered-list', [node('list-item', [paragraph(text('One'))])]),
+			node('embedded-asset-block', [], link('asset-1', 'Asset'))
+		)
+	);
+
+	assert.equal(plain, 'Why\n\nA bold link\n\n- One');
+});
+
+describe('get_article_content', () => {
+	let server;
+	let client;
+
+	before(async () => {
+		server = await startServer(fixtureEnv());
+		client = await connectClient(server.port);
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+	});
+
+	const getContent = async (args) => {
+		const result = await client.callTool({ name: 'get_article_content', arguments: args });
+		assert.equal(result.isError, undefined);
+		return result.content[0].text;
+	};
+
+	test('returns the rendered body as Markdown', async () => {
+		const markdown = await getContent({ slug: 'headless-commerce-platforms' });
+
+		assert.match(markdown, /^# Choosing a headless commerce platform\n/);
+		assert.match(markdown, /🌐 Also available in: de \(slug: headless-commerce-plattformen\)/);
+		assert.match(markdown, /\n## Why headless commerce\n/);
+		assert.match(markdown, /A \*\*headless\*\* storefront .* \[commerce overview\]\(https:/);
+		assert.match(markdown, /\n1\. Compare the platforms\n2\. Build a prototype\n/);
+		assert.match(
+			markdown,
+			/!\[Headless architecture diagram\]\(https:\/\/images\.example\.com\/headless-diagram\.png\)/
+		);
+	});
+
+	test('returns plain text on request', async () => {
+		const plain = await getContent({ slug: 'headless-commerce-platforms', format: 'text' });
+
+		assert.match(plain, /^Choosing a headless commerce platform\n\nPublished: March 12, 2024/);
+		assert.match(plain, /\nA headless storefront talks .* Read the commerce overview first\.\n/);
+		assert.doesNotMatch(plain, /\*\*|\]\(|!\[/);
+	});
+
+	test('finds the article by title and in other locales', async () => {
+		assert.match(await getContent({ title: 'composable commerce' }), /^# Composable commerce/);
+		assert.match(
+			await getContent({ slug: 'ki-agenten-im-kundenservice', locale: 'de' }),
+			/^# Wie KI-Agenten den Kundenservice verändern\n/
+		);
+	});
+
+	test('suggests similar titles when nothing matches', async () => {
+		const result = await client.callTool({
+			name: 'get_article_content',
+			arguments: { title: 'Choosing a headless platfrom' },
+		});
+
+		assert.equal(result.isError, true);
+		assert.equal(result._meta.error.code, 'unknown_article');
+		assert.match(result.content[0].text, /headless-commerce-platforms/);
+	});
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildSearchIndex, parseQuery, searchIndex, tokenize } from '../src/search-index.js';
+
+const DOCUMENTS = [
+	{ id: 'title', title: 'Digital commerce', body: 'Platforms and teams.' },
+	{ id: 'body', title: 'Team practices', body: 'How teams plan digital commerce projects.' },
+	{ id: 'reversed', title: 'Commerce goes digital', body: 'Shops move online.' },
+	{ id: 'community', title: 'Community events', body: 'Meetups for designers.' },
+	{ id: 'unrelated', title: 'Accessibility checklist', body: 'Contrast, focus and labels.' },
+];
+
+const index = buildSearchIndex(DOCUMENTS, (document) => document, { title: 3, body: 1 });
+const ids = (query) => searchIndex(index, query).map(({ document }) => document.id);
+
+test('tokenize() folds diacritics and stems plurals and verb forms', () => {
+	assert.deepEqual(tokenize('Zürich Straße'), ['zurich', 'strasse']);
+	assert.deepEqual(tokenize('Planning platforms, studies and processes'), [
+		'plann',
+		'platform',
+		'study',
+		'and',
+		'process',
+	]);
+});
+
+test('parseQuery() separates phrases, terms and prefixes and drops stopwords', () => {
+	assert.deepEqual(parseQuery('"digital commerce" for comm* teams'), {
+		phrases: [['digital', 'commerce']],
+		terms: ['team'],
+		prefixes: ['comm'],
+	});
+	assert.deepEqual(parseQuery('"commerce" commerce'), {
+		phrases: [],
+		terms: ['commerce'],
+		prefixes: [],
+	});
+	assert.deepEqual(parseQuery('the'), { phrases: [], terms: ['the'], prefixes: [] });
+});
+
+describe('searchIndex', () => {
+	test('ranks title matches above body matches', () => {
+		assert.deepEqual(ids('digital commerce'), ['title', 'reversed', 'body']);
+	});
+
+	test('favours documents that match every term', () => {
+		assert.deepEqual(ids('digital shops'), ['reversed', 'title', 'body']);
+	});
+
+	test('requires phrases in order', () => {
+		assert.deepEqual(ids('"digital commerce"'), ['title', 'body']);
+		assert.deepEqual(ids('"commerce goes digital"'), ['reversed']);
+		assert.deepEqual(ids('"commerce digital"'), []);
+	});
+
+	test('expands prefixes to every indexed term', () => {
+		assert.deepEqual(ids('comm*').sort(), ['body', 'community', 'reversed', 'title']);
+		assert.deepEqual(ids('communit*'), ['community']);
+	});
+
+	test('scores prefix matches below exact terms', () => {
+		const [exact] = searchIndex(index, 'community');
+		const [prefix] = searchIndex(index, 'communit*');
+
+		assert.equal(prefix.document.id, exact.document.id);
+		assert.ok(prefix.score < exact.score);
+	});
+
+	test('finds nothing for empty queries or without an index', () => {
+		assert.deepEqual(ids(''), []);
+		assert.deepEqual(ids('"'), []);
+		assert.deepEqual(searchIndex(null, 'commerce'), []);
+	});
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { before, describe, test } from 'node:test';
+import { findRankedArticles } from '../src/article-service.js';
+import { logger } from '../src/logger.js';
+import {
+	buildVectorIndex,
+	chunkText,
+	loadOrBuildVectorIndices,
+	searchVectorIndex,
+} from '../src/vector-index.js';
+import { loadFixtures } from './helpers.js';
+
+const DOCUMENTS = [
+	{ id: 'espresso', chunks: ['espresso roast beans grinder', 'grinder burr espresso crema'] },
+	{ id: 'filter', chunks: ['filter coffee beans roast', 'pour over filter kettle'] },
+	{ id: 'football', chunks: ['league match goal striker', 'striker penalty goal keeper'] },
+	{ id: 'tennis', chunks: ['tennis match serve racket', 'racket serve court league'] },
+	{ id: 'garden', chunks: ['garden plants soil compost', 'compost soil seeds water'] },
+	{ id: 'balcony', chunks: ['balcony plants pots water', 'pots seeds garden sun'] },
+];
+
+const ids = (hits) => hits.map(({ id }) => id);
+const slugs = (hits) => hits.map(({ article }) => article.slug);
+
+describe('vector index', () => {
+	before(() => {
+		logger.level = 'silent';
+	});
+
+	test('splits text into overlapping passages', () => {
+		const words = Array.from({ length: 300 }, (_, index) => `w${index}`);
+		const chunks = chunkText(words.join(' ')).map((chunk) => chunk.split(' '));
+
+		assert.deepEqual(
+			chunks.map((chunk) => [chunk[0], chunk.at(-1)]),
+			[
+				['w0', 'w149'],
+				['w120', 'w269'],
+				['w240', 'w299'],
+			]
+		);
+		assert.deepEqual(chunkText(''), []);
+	});
+
+	test('ranks documents about the same subject first', () => {
+		const index = buildVectorIndex(DOCUMENTS);
+		const top = (query) => ids(searchVectorIndex(index, query)).slice(0, 2);
+
+		assert.deepEqual(top('roast beans'), ['filter', 'espresso']);
+		assert.deepEqual(top('compost for plants'), ['garden', 'balcony']);
+		assert.equal(searchVectorIndex(index, 'goal striker')[0].id, 'football');
+	});
+
+	test('finds nothing without an index or for unknown words', () => {
+		assert.deepEqual(searchVectorIndex(null, 'espresso'), []);
+		assert.deepEqual(searchVectorIndex(buildVectorIndex(DOCUMENTS), 'quantum'), []);
+	});
+
+	test('stores the index and reuses it while the content is the same', (t) => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+		t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+		const filePath = path.join(directory, 'index.json');
+		const documents = new Map([['en', DOCUMENTS]]);
+
+		const built = loadOrBuildVectorIndices(documents, filePath);
+		const stored = fs.readFileSync(filePath, 'utf8');
+		const loaded = loadOrBuildVectorIndices(documents, filePath);
+
+		assert.equal(fs.readFileSync(filePath, 'utf8'), stored);
+		// Stored vectors are quantized, so similarities only match approximately
+		const expected = searchVectorIndex(built.get('en'), 'roast beans');
+		const actual = searchVectorIndex(loaded.get('en'), 'roast beans');
+		assert.deepEqual(ids(actual).slice(0, 2), ids(expected).slice(0, 2));
+		actual.forEach(({ id, score }) => {
+			const { score: builtScore } = expected.find((hit) => hit.id === id);
+			assert.ok(Math.abs(score - builtScore) < 0.01, id);
+		});
+
+		loadOrBuildVectorIndices(new Map([['en', DOCUMENTS.slice(1)]]), filePath);
+		const { fingerprint } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		assert.notEqual(fingerprint, JSON.parse(stored).fingerprint);
+	});
+
+	test('rebuilds an unreadable index file', (t) => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+		t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+		const filePath = path.join(directory, 'index.json');
+		fs.writeFileSync(filePath, '{"version": 1, "fingerp');
+
+		const indices = loadOrBuildVectorIndices(new Map([['en', DOCUMENTS]]), filePath);
+
+		assert.equal(ids(searchVectorIndex(indices.get('en'), 'tennis racket'))[0], 'tennis');
+		assert.doesNotThrow(() => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+	});
+});
+
+describe('findRankedArticles', () => {
+	before(() => loadFixtures());
+
+	test('ranks keyword matches by BM25 score', () => {
+		const hits = findRankedArticles('headless commerce', 'en', 'keyword');
+
+		assert.deepEqual(slugs(hits), [
+			'headless-commerce-platforms',
+			'composable-commerce-architecture',
+		]);
+		assert.ok(hits[0].score > hits[1].score);
+	});
+
+	test('finds articles by meaning in semantic mode', () => {
+		const hits = findRankedArticles('customer service automation', 'en', 'semantic');
+
+		assert.equal(hits[0].article.slug, 'ai-agents-in-customer-service');
+		assert.ok(hits.every(({ score }) => score >= 0.4 && score <= 1));
+	});
+
+	test('blends keyword and vector scores in hybrid mode', () => {
+		const hybrid = findRankedArticles('headless commerce', 'en', 'hybrid');
+
+		const keyword = findRankedArticles('headless commerce', 'en', 'keyword');
+		assert.deepEqual(slugs(hybrid), slugs(keyword));
+		assert.ok(hybrid.every(({ score }) => score > 0 && score <= 1));
+	});
+
+	test('keeps phrase and prefix queries keyword-only in hybrid mode', () => {
+		for (const query of ['"headless commerce"', 'compos*']) {
+			assert.deepEqual(
+				findRankedArticles(query, 'en', 'hybrid'),
+				findRankedArticles(query, 'en', 'keyword'),
+				query
+			);
+		}
+	});
+
+	test('falls back to keyword ranking when the vector index cannot embed the query', () => {
+		// Two German articles are too little content to train a vector model on
+		const keyword = findRankedArticles('kundenservice', 'de', 'keyword');
+
+		assert.deepEqual(slugs(keyword), ['ki-agenten-im-kundenservice']);
+		assert.deepEqual(findRankedArticles('kundenservice', 'de', 'semantic'), keyword);
+		assert.deepEqual(findRankedArticles('kundenservice', 'de', 'hybrid'), keyword);
+	});
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { test } from 'node:test';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { createSessionManager } from '../src/sessions.js';
+
+const INITIALIZE = {
+	jsonrpc: '2.0',
+	id: 1,
+	method: 'initialize',
+	params: {
+		protocolVersion: '2025-06-18',
+		capabilities: {},
+		clientInfo: { name: 'test', version: '1.0.0' },
+	},
+};
+
+test('closes the server when initialize starts no session', { timeout: 10_000 }, async (t) => {
+	const servers = [];
+	const sessions = createSessionManager({
+		createServer: () => {
+			const server = new McpServer({ name: 'test', version: '1.0.0' });
+			const close = server.close.bind(server);
+			server.closed = new Promise((resolve) => {
+				server.close = () => close().then(resolve);
+			});
+			servers.push(server);
+			return server;
+		},
+	});
+	t.after(() => sessions.closeAll());
+	const httpServer = createServer((req, res) => sessions.handleRequest(req, res));
+	await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+	t.after(() => httpServer.close());
+
+	// The transport rejects clients that do not accept event streams before starting a session
+	const response = await fetch(`http://127.0.0.1:${httpServer.address().port}/mcp`, {
+		method: 'POST',
+		headers: { 'content-type': 'application/json', accept: 'application/json' },
+		body: JSON.stringify(INITIALIZE),
+	});
+	await response.text();
+
+	assert.equal(response.status, 406);
+	assert.equal(servers.length, 1);
+	assert.equal(sessions.size(), 0);
+	await servers[0].closed;
+});
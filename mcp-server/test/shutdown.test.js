@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { after, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { MCP_ACCEPT, startServer } from './helpers.js';
+
+const TOOLS_LIST = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+// Sends the headers of a request at once and its body only when `finish` is called
+function startSlowRequest(port) {
+	const req = http.request({
+		port,
+		method: 'POST',
+		path: '/mcp',
+		headers: {
+			'content-type': 'application/json',
+			'content-length': Buffer.byteLength(TOOLS_LIST),
+			accept: MCP_ACCEPT,
+		},
+	});
+	const response = new Promise((resolve, reject) => {
+		req.on('response', (res) => {
+			let body = '';
+			res.on('data', (chunk) => (body += chunk));
+			res.on('end', () => resolve({ status: res.statusCode, body }));
+		});
+		req.on('error', reject);
+	});
+	req.write(TOOLS_LIST.slice(0, 10));
+	return { response, finish: () => req.end(TOOLS_LIST.slice(10)) };
+}
+
+// Opens a connection that has started a request, so the shutdown does not close it as idle
+function startLateRequest(port) {
+	const socket = net.connect(port);
+	let data = '';
+	socket.on('data', (chunk) => (data += chunk));
+	const closed = new Promise((resolve) => socket.on('close', resolve));
+	socket.write('POST /mcp HTTP/1.1\r\nHost: localhost\r\n');
+	return {
+		async send() {
+			socket.write(
+				`content-type: application/json\r\naccept: ${MCP_ACCEPT}\r\n` +
+					`content-length: ${Buffer.byteLength(TOOLS_LIST)}\r\n\r\n${TOOLS_LIST}`
+			);
+			await closed;
+			return data;
+		},
+	};
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+	test(`${signal} lets requests in flight finish and rejects new ones`, async () => {
+		const server = await startServer({ MCP_SESSION_MODE: 'stateless' });
+		after(() => server.stop());
+
+		const slow = startSlowRequest(server.port);
+		const late = startLateRequest(server.port);
+		await delay(200);
+
+		server.child.kill(signal);
+		await delay(300);
+
+		const lateResponse = await late.send();
+		assert.match(lateResponse, /^HTTP\/1\.1 503 /);
+		assert.match(lateResponse, /Retry-After: 1/i);
+
+		slow.finish();
+		const { status, body } = await slow.response;
+		assert.equal(status, 200);
+		assert.match(body, /search_articles/);
+
+		assert.equal(await server.exited, 0);
+		assert.match(server.output(), /"msg":"Shutdown complete".*"drained":true/);
+	});
+}
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { getArticleBySlug, getLoadReport } from '../src/article-service.js';
+import { normalizeTextFields, repairMojibake } from '../src/text-normalization.js';
+import { loadFixtures } from './helpers.js';
+
+describe('repairMojibake', () => {
+	test('decodes UTF-8 that was read as Windows-1252', () => {
+		assert.equal(repairMojibake('Die grÃ¼nen HÃ¤user'), 'Die grünen Häuser');
+		assert.equal(repairMojibake('itâ€™s â€œsafeâ€\u009d â€“ ok'), 'it’s “safe” – ok');
+		assert.equal(repairMojibake('Launch ðŸš€'), 'Launch 🚀');
+	});
+
+	test('decodes UTF-8 that was read as Latin-1', () => {
+		const latin1 = Buffer.from('Zürich – 🚀', 'utf8').toString('latin1');
+
+		assert.equal(repairMojibake(latin1), 'Zürich – 🚀');
+	});
+
+	test('repairs text that was double-encoded more than once', () => {
+		assert.equal(repairMojibake('ZÃƒÂ¼rich'), 'Zürich');
+	});
+
+	test('leaves correct text alone', () => {
+		for (const text of ['naïve café ©', 'Ã la carte', 'Größe: 5 µm', '¿Qué?', '']) {
+			assert.equal(repairMojibake(text), text);
+		}
+	});
+});
+
+test('normalizeTextFields() repairs and composes nested strings and counts changes', () => {
+	const decomposed = 'Cafe\u0301';
+	const { value, fixedFields } = normalizeTextFields({
+		title: 'ZÃ¼rich',
+		tags: ['ok', decomposed],
+		author: { name: 'JÃ¶rg', followers: 12, active: true, avatar: null },
+	});
+
+	assert.deepEqual(value, {
+		title: 'Zürich',
+		tags: ['ok', 'Café'],
+		author: { name: 'Jörg', followers: 12, active: true, avatar: null },
+	});
+	assert.equal(fixedFields, 3);
+});
+
+test('repairs article data on load and reports the repaired fields', async () => {
+	await loadFixtures();
+	const article = getArticleBySlug('spotlight-on-lena-keller');
+
+	assert.equal(article.lead, 'Lena Keller works at Unic in Zürich and coaches apprentices.');
+	assert.equal(article.keyvisual.cloudinaryAsset[0].alt, 'Lena Keller am Schreibtisch in Zürich');
+	assert.equal(getLoadReport().fixedFields, 2);
+});
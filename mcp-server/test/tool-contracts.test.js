@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { TOOL_CONTRACTS, getToolConfig } from '../src/tool-contracts.js';
+import { connectClient, fixtureEnv, startServer } from './helpers.js';
+
+// One successful call per tool, in both locales of the fixture dataset
+const CALLS = [
+	['search_articles', { query: 'commerce' }],
+	['filter_articles_by_date', { range: '2024' }],
+	['filter_articles_by_author', { authorName: 'Anna Muster' }],
+	['list_authors', {}],
+	['author_profile', { author: 'Jörg Nölke' }],
+	['list_recent_articles', {}],
+	['list_topics', {}],
+	['filter_articles_by_topic', { topic: 'commerce' }],
+	['query_articles', { topic: 'commerce' }],
+	['get_article_preview', { title: 'Choosing a headless commerce platform' }],
+	['get_related_articles', { slug: 'headless-commerce-platforms' }],
+	['get_article_content', { slug: 'headless-commerce-platforms' }],
+	['dataset_health', {}],
+	['search_articles', { query: 'KI', locale: 'de' }],
+	['list_recent_articles', { locale: 'de' }],
+	['get_article_preview', { title: 'Wie KI-Agenten den Kundenservice verändern', locale: 'de' }],
+];
+
+test('lets the article list widget page through every list tool', () => {
+	const articleList = { templateUri: 'ui://widget/article-list.html', invoking: '', invoked: '' };
+	const listTools = Object.keys(TOOL_CONTRACTS).filter(
+		(name) => getToolConfig(name, { articleList })._meta['openai/outputTemplate']
+	);
+
+	assert.deepEqual(listTools.sort(), [
+		'filter_articles_by_author',
+		'filter_articles_by_date',
+		'filter_articles_by_topic',
+		'list_recent_articles',
+		'query_articles',
+		'search_articles',
+	]);
+	for (const name of listTools) {
+		assert.equal(getToolConfig(name, { articleList })._meta['openai/widgetAccessible'], true, name);
+	}
+});
+
+describe('tool contracts with multilingual data', () => {
+	let server;
+	let client;
+
+	before(async () => {
+		server = await startServer(fixtureEnv());
+		client = await connectClient(server.port);
+		// Lets the client validate structuredContent against the advertised output schemas
+		await client.listTools();
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+	});
+
+	test('covers every tool', () => {
+		assert.deepEqual(
+			[...new Set(CALLS.map(([name]) => name))].sort(),
+			Object.keys(TOOL_CONTRACTS).sort()
+		);
+	});
+
+	for (const [name, args] of CALLS) {
+		test(`${name} ${JSON.stringify(args)} matches its output schema`, async () => {
+			const result = await client.callTool({ name, arguments: args });
+
+			assert.equal(result.isError, undefined, result.content?.[0]?.text);
+			const { outputSchema } = TOOL_CONTRACTS[name];
+			if (outputSchema) {
+				outputSchema.parse(result.structuredContent);
+			}
+		});
+	}
+
+	test('links the translations of an article with their titles', async () => {
+		const result = await client.callTool({
+			name: 'get_article_preview',
+			arguments: { title: 'Choosing a headless commerce platform' },
+		});
+
+		assert.deepEqual(result.structuredContent.article.translations, [
+			{
+				locale: 'de',
+				slug: 'headless-commerce-plattformen',
+				title: 'Die richtige Headless-Commerce-Plattform wählen',
+				url: 'https://www.unic.com/de/magazin/headless-commerce-plattformen',
+			},
+		]);
+	});
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { connectClient, startServer } from './helpers.js';
+
+const callTool = (client, name, args = {}) => client.callTool({ name, arguments: args });
+
+describe('tool errors', () => {
+	let server;
+	let client;
+
+	before(async () => {
+		server = await startServer({ RATE_LIMIT_TOOLS: '{"list_authors":1}' });
+		client = await connectClient(server.port);
+	});
+
+	after(async () => {
+		await client?.close();
+		await server?.stop();
+	});
+
+	test('reports arguments that do not match the input schema as invalid_input', async () => {
+		const result = await callTool(client, 'search_articles', { limit: 'ten' });
+
+		assert.equal(result.isError, true);
+		assert.equal(result.structuredContent, undefined);
+		assert.match(result.content[0].text, /^Invalid arguments for search_articles: /);
+		assert.match(result.content[0].text, /Hint: Correct the arguments/);
+		assert.equal(result._meta.error.code, 'invalid_input');
+		assert.deepEqual(
+			result._meta.error.issues.map(({ argument }) => argument),
+			['query', 'limit']
+		);
+	});
+
+	test('rejects limits that are not whole numbers between 1 and the maximum', async () => {
+		for (const limit of [0, 2.5, 101]) {
+			const result = await callTool(client, 'list_recent_articles', { limit });
+
+			assert.equal(result._meta?.error?.code, 'invalid_input', `limit ${limit}`);
+			assert.deepEqual(
+				result._meta.error.issues.map(({ argument }) => argument),
+				['limit']
+			);
+		}
+	});
+
+	test('asks for a slug or title when get_article_content has neither', async () => {
+		const result = await callTool(client, 'get_article_content', {});
+
+		assert.equal(result._meta?.error?.code, 'invalid_input');
+		assert.match(result.content[0].text, /slug or a title/);
+	});
+
+	test('reports invalid values found by the tool as validation errors', async () => {
+		const result = await callTool(client, 'query_articles', { startDate: 'someday' });
+
+		assert.equal(result.isError, true);
+		assert.equal(result._meta.error.code, 'invalid_date');
+		assert.equal(result._meta.error.retryable, false);
+	});
+
+	test('reports unknown articles as not found', async () => {
+		const result = await callTool(client, 'get_related_articles', { slug: 'no-such-article' });
+
+		assert.equal(result.isError, true);
+		assert.equal(result._meta.error.code, 'unknown_article');
+		assert.match(result._meta.error.hint, /search_articles/);
+	});
+
+	test('reports calls over the budget of the tool as rate_limited', async () => {
+		const first = await callTool(client, 'list_authors');
+		const second = await callTool(client, 'list_authors');
+
+		assert.equal(first.isError, undefined);
+		assert.equal(second.isError, true);
+		assert.equal(second._meta.error.code, 'rate_limited');
+		assert.equal(second._meta.error.retryable, true);
+		assert.equal(second._meta.error.limitPerMinute, 1);
+		assert.ok(second._meta.error.retryAfterSeconds > 0);
+	});
+});
+
+test('reports unexpected errors as internal_error without their message', async (t) => {
+	// In this process, so the rate limit store can fail like a broken Redis connection would
+	const { handleMcpRequest, setRateLimitStore } = await import('../src/server.js');
+	setRateLimitStore({
+		async take(key, { capacity }) {
+			if (key.startsWith('tool:')) throw new Error('store connection lost');
+			return { allowed: true, remaining: capacity, retryAfterMs: 0 };
+		},
+	});
+	const httpServer = createServer((req, res) => handleMcpRequest(req, res));
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	t.after(() => httpServer.close());
+	const client = await connectClient(httpServer.address().port);
+	t.after(() => client.close());
+
+	const result = await callTool(client, 'list_topics');
+
+	assert.equal(result.isError, true);
+	assert.equal(result._meta.error.code, 'internal_error');
+	assert.equal(typeof result._meta.error.requestId, 'string');
+	assert.doesNotMatch(result.content[0].text, /store connection lost/);
+});
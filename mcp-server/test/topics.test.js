@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import {
+	findArticlesByTopic,
+	getArticleBySlug,
+	getArticleTopics,
+	listTopics,
+	loadMagazineArticles,
+} from '../src/article-service.js';
+import {
+	extractKeywords,
+	extractTopics,
+	findTopic,
+	getTopicLabel,
+	scoreTopics,
+} from '../src/topics.js';
+import { loadFixtures } from './helpers.js';
+
+describe('topic extraction', () => {
+	test('weighs mentions in the title above the lead and the body', () => {
+		assert.deepEqual(scoreTopics({ title: 'AI at work' }), [{ id: 'ai', score: 3 }]);
+		assert.deepEqual(scoreTopics({ lead: 'How chatbots help' }), [{ id: 'ai', score: 2 }]);
+		assert.deepEqual(scoreTopics({ body: 'Machine learning in practice' }), [
+			{ id: 'ai', score: 1 },
+		]);
+	});
+
+	test('matches synonyms in other languages regardless of diacritics', () => {
+		assert.deepEqual(extractTopics({ title: 'Künstliche Intelligenz für Barrierefreiheit' }), [
+			'accessibility',
+			'ai',
+		]);
+	});
+
+	test('ignores passing mentions, especially in long bodies', () => {
+		const filler = Array.from({ length: 1200 }, () => 'word').join(' ');
+
+		assert.deepEqual(extractTopics({ body: 'We mention AI once.' }), []);
+		assert.deepEqual(extractTopics({ body: `AI ${filler} AI AI` }), []);
+		assert.deepEqual(extractTopics({ body: 'AI, AI and more AI.' }), ['ai']);
+	});
+
+	test('keeps at most four topics', () => {
+		const title = 'AI, e-commerce, accessibility, cloud, headless CMS and new work';
+
+		assert.equal(extractTopics({ title }).length, 4);
+	});
+
+	test('finds distinctive keywords and phrases per text', () => {
+		const [first, , last] = extractKeywords(
+			['design systems help design systems teams', 'design tokens and design tokens', 'audits'],
+			2
+		);
+
+		assert.deepEqual(
+			first.map(({ keyword }) => keyword),
+			['design systems', 'systems']
+		);
+		assert.deepEqual(last, []);
+	});
+});
+
+test('findTopic() resolves ids, labels and synonyms', () => {
+	assert.equal(findTopic('ai').id, 'ai');
+	assert.equal(findTopic('Artificial Intelligence').id, 'ai');
+	assert.equal(findTopic('Employee spotlight').id, 'employee-spotlight');
+	assert.equal(findTopic('E-Commerce').id, 'commerce');
+	assert.equal(findTopic('gardening'), null);
+	assert.equal(getTopicLabel('cloud-engineering'), 'Cloud & engineering');
+	assert.equal(getTopicLabel('gardening'), 'gardening');
+});
+
+describe('article topics', () => {
+	before(() => loadFixtures());
+
+	test('are extracted when the CMS has none and shared with translations', () => {
+		const english = getArticleBySlug('ai-agents-in-customer-service');
+		const german = getArticleBySlug('ki-agenten-im-kundenservice', 'de');
+
+		assert.deepEqual(getArticleTopics(english), ['ai', 'customer-experience']);
+		assert.deepEqual(getArticleTopics(german), getArticleTopics(english));
+	});
+
+	test('filter articles by id, label or synonym, newest first', () => {
+		const slugs = (topic, locale) => findArticlesByTopic(topic, locale).map(({ slug }) => slug);
+		const commerce = ['headless-commerce-platforms', 'composable-commerce-architecture'];
+
+		assert.deepEqual(slugs('commerce'), commerce);
+		assert.deepEqual(slugs('Commerce'), commerce);
+		assert.deepEqual(slugs('online shop'), commerce);
+		assert.deepEqual(slugs('Artificial intelligence', 'de'), ['ki-agenten-im-kundenservice']);
+		assert.deepEqual(slugs('gardening'), []);
+	});
+
+	test('are counted per locale', () => {
+		assert.deepEqual(listTopics('en')[0], { id: 'commerce', label: 'Commerce', count: 2 });
+		assert.deepEqual(
+			listTopics('de').map(({ id }) => id),
+			['ai', 'cms-dxp', 'commerce', 'customer-experience']
+		);
+	});
+});
+
+test('uses the topics of the CMS when there are any', async (t) => {
+	t.after(() => loadFixtures());
+	await loadMagazineArticles({
+		type: 'memory',
+		describe: () => 'test entries',
+		check: async () => {},
+		load: async () => [
+			{
+				slug: 'tagged',
+				title: 'AI in retail',
+				publicationDate: '2024-05-01',
+				topics: ['Sustainability', 'Gardening', ' '],
+			},
+		],
+	});
+
+	assert.deepEqual(getArticleTopics(getArticleBySlug('tagged')), ['sustainability', 'Gardening']);
+	assert.deepEqual(
+		findArticlesByTopic('climate').map(({ slug }) => slug),
+		['tagged']
+	);
+});
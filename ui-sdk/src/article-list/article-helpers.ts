@@ -1,4 +1,10 @@
-import { Article, RawArticle, ArticleInput, ArticleListWidgetProps } from '../types';
+import {
+	Article,
+	RawArticle,
+	ArticleInput,
+	ArticleListWidgetProps,
+	CallToolResponse,
+} from '../types';
 import rawArticles from '../../../blogposts.en.json';
 
 export function normalizeArticles(list?: ArticleInput[]): Article[] {
@@ -66,6 +72,8 @@ function transformRawArticle(raw: RawArticle | undefined): Article | null {
 		url,
 		heroUrl,
 		heroAlt,
+		locale: raw.locale ?? undefined,
+		topics: raw.topics ?? undefined,
 	};
 }
 
@@ -95,6 +103,25 @@ export function parseHostPayload(
 	return null;
 }
 
+/**
+ * Read the next page from a window.openai.callTool response
+ */
+export function parseToolResponse(
+	response: CallToolResponse | null | undefined
+): ArticleListWidgetProps | null {
+	if (response?.structuredContent) {
+		return parseHostPayload(response.structuredContent as ArticleListWidgetProps);
+	}
+	if (typeof response?.result === 'string') {
+		try {
+			return parseHostPayload(JSON.parse(response.result));
+		} catch {
+			return null;
+		}
+	}
+	return null;
+}
+
 function isWidgetPayload(value: unknown): value is ArticleListWidgetProps {
 	if (typeof value !== 'object' || value === null) {
 		return false;
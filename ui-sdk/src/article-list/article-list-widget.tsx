@@ -1,8 +1,14 @@
-import { useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from '@openai/apps-sdk-ui/components/Button';
 import { useWidgetProps } from '../use-widget-props';
 import ArticleCard from './components/article-card';
-import { ArticleListWidgetProps } from '../types';
-import { normalizeArticles, getFallbackArticles, parseHostPayload } from './article-helpers';
+import { ArticleInput, ArticleListWidgetProps } from '../types';
+import {
+	normalizeArticles,
+	getFallbackArticles,
+	parseHostPayload,
+	parseToolResponse,
+} from './article-helpers';
 
 import '../index.css';
 
@@ -17,14 +23,57 @@ export default function ArticleListWidget() {
 		[rawHostPayload]
 	);
 
+	// Pages fetched with "Load more" on top of the host payload
+	const [loadedArticles, setLoadedArticles] = useState<ArticleInput[]>([]);
+	const [nextCursor, setNextCursor] = useState(hostPayload.nextCursor);
+	const [isLoadingMore, setIsLoadingMore] = useState(false);
+	const [loadMoreError, setLoadMoreError] = useState<string | null>(null);
+
+	useEffect(() => {
+		setLoadedArticles([]);
+		setNextCursor(hostPayload.nextCursor);
+		setLoadMoreError(null);
+	}, [hostPayload]);
+
 	const articles = useMemo(() => {
 		// Use host articles if they exist and have items, otherwise use fallback
 		const hasHostArticles = Array.isArray(hostPayload.articles) && hostPayload.articles.length > 0;
-		const base = hasHostArticles ? normalizeArticles(hostPayload.articles) : getFallbackArticles();
-		return [...base].sort(
-			(a, b) => new Date(b.publicationDate).getTime() - new Date(a.publicationDate).getTime()
-		);
-	}, [hostPayload.articles]);
+		const base = hasHostArticles
+			? normalizeArticles([...(hostPayload.articles ?? []), ...loadedArticles])
+			: getFallbackArticles();
+		// Pages keep the order of the tool (relevance, date or title); an article repeated on a
+		// later page stays where it first appeared
+		return [...new Map(base.map((article) => [article.slug, article])).values()];
+	}, [hostPayload.articles, loadedArticles]);
+
+	const toolCall = hostPayload.toolCall;
+	const canLoadMore =
+		Boolean(toolCall && nextCursor) &&
+		typeof window !== 'undefined' &&
+		Boolean(window.openai?.callTool);
+
+	const loadMore = async () => {
+		if (!toolCall || !nextCursor) return;
+
+		setIsLoadingMore(true);
+		setLoadMoreError(null);
+		try {
+			const response = await window.openai.callTool(toolCall.name, {
+				...toolCall.arguments,
+				cursor: nextCursor,
+			});
+			const page = parseToolResponse(response);
+			if (!page) {
+				throw new Error('Unexpected tool response');
+			}
+			setLoadedArticles((previous) => [...previous, ...(page.articles ?? [])]);
+			setNextCursor(page.hasMore ? page.nextCursor : undefined);
+		} catch {
+			setLoadMoreError('Could not load more articles. Please try again.');
+		} finally {
+			setIsLoadingMore(false);
+		}
+	};
 
 	const heading = hostPayload.heading ?? null;
 	const responseSummary = hostPayload.summary ?? null;
@@ -49,6 +98,15 @@ export default function ArticleListWidget() {
 					})}
 				</ol>
 			)}
+
+			{canLoadMore ? (
+				<div className="flex flex-col items-center gap-2 py-4">
+					<Button color="secondary" variant="outline" loading={isLoadingMore} onClick={loadMore}>
+						Load more
+					</Button>
+					{loadMoreError ? <small>{loadMoreError}</small> : null}
+				</div>
+			) : null}
 		</section>
 	);
 }
@@ -22,12 +22,27 @@ const ArticleCard = ({ article }: ArticleCardProps) => {
 						{article.title}
 					</h3>
 					{article.lead && <p className="mt-1 text-md line-clamp-1">{article.lead}</p>}
+					{article.topics && article.topics.length > 0 && (
+						<ul className="flex flex-wrap gap-1 mt-2" aria-label="Topics">
+							{article.topics.map((topic) => (
+								<li
+									key={topic.id}
+									className="rounded-full bg-muted px-2 py-0.5 text-xs text-muted-foreground"
+								>
+									{topic.label}
+								</li>
+							))}
+						</ul>
+					)}
 					<div className="flex items-center gap-2 mt-2 text-xs text-muted-foreground">
 						<span>{article.author}</span>
 						<span>·</span>
 						<span>
 							{new Date(article.publicationDate)
-								.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })
+								.toLocaleDateString(article.locale ?? 'en-GB', {
+									month: 'short',
+									year: 'numeric',
+								})
 								.replace(/\//g, '-')}
 						</span>
 						<span className="text-gray-400 ml-auto mr-4 group-hover:translate-x-1 group-hover:text-black transition-all">
@@ -1,4 +1,9 @@
-import type { Article, ArticleInput, ArticlePreviewWidgetProps } from '../types';
+import type {
+	Article,
+	ArticleInput,
+	ArticlePreviewWidgetProps,
+	CallToolResponse,
+} from '../types';
 
 /**
  * Normalize a single article to ensure required fields exist
@@ -15,9 +20,32 @@ export function normalizeArticle(input: ArticleInput): Article {
 		url: article.url ?? '#',
 		heroUrl: article.heroUrl,
 		heroAlt: article.heroAlt,
+		locale: article.locale,
+		translations: article.translations ?? [],
+		topics: article.topics,
 	};
 }
 
+/**
+ * Read the related articles from a get_related_articles response
+ */
+export function parseRelatedArticles(response: CallToolResponse | null | undefined): Article[] {
+	let payload = response?.structuredContent;
+	if (!payload && typeof response?.result === 'string') {
+		try {
+			payload = JSON.parse(response.result);
+		} catch {
+			return [];
+		}
+	}
+
+	const articles = (payload as { articles?: unknown } | undefined)?.articles;
+	if (!Array.isArray(articles)) return [];
+	return articles
+		.filter((item): item is ArticleInput => Boolean(item) && typeof item === 'object')
+		.map(normalizeArticle);
+}
+
 /**
  * Parse and validate the host payload
  */
@@ -28,6 +56,7 @@ export function parseHostPayload(payload: unknown): ArticlePreviewWidgetProps |
 	return {
 		article: obj.article && typeof obj.article === 'object' ? (obj.article as ArticleInput) : null,
 		heading: typeof obj.heading === 'string' ? obj.heading : undefined,
+		locale: typeof obj.locale === 'string' ? obj.locale : undefined,
 	};
 }
 
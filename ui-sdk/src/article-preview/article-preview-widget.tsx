@@ -1,6 +1,7 @@
 import { useMemo } from 'react';
 import { useWidgetProps } from '../use-widget-props';
 import ArticlePreviewCard from './components/article-preview-card';
+import ReadNextStrip from './components/read-next-strip';
 import { ArticlePreviewWidgetProps } from '../types';
 import { normalizeArticle, parseHostPayload } from './article-helpers';
 import { fallback } from './article-helpers';
@@ -43,7 +44,10 @@ export default function ArticlePreviewWidget() {
 			{!article ? (
 				<div className="text-center py-6 text-info-surface">Loading article preview...</div>
 			) : (
-				<ArticlePreviewCard article={article} />
+				<>
+					<ArticlePreviewCard article={article} />
+					<ReadNextStrip article={article} />
+				</>
 			)}
 		</section>
 	);
@@ -6,11 +6,14 @@ interface ArticlePreviewCardProps {
 }
 
 const ArticlePreviewCard = ({ article }: ArticlePreviewCardProps) => {
-	const formattedDate = new Date(article.publicationDate).toLocaleDateString('en-US', {
-		year: 'numeric',
-		month: 'long',
-		day: 'numeric',
-	});
+	const formattedDate = new Date(article.publicationDate).toLocaleDateString(
+		article.locale ?? 'en-US',
+		{
+			year: 'numeric',
+			month: 'long',
+			day: 'numeric',
+		}
+	);
 
 	return (
 		<article className="overflow-hidden rounded-sm border border-primary-outline bg-card">
@@ -54,6 +57,22 @@ const ArticlePreviewCard = ({ article }: ArticlePreviewCardProps) => {
 						className="group-hover:translate-x-1 transition-transform"
 					/>
 				</a>
+
+				{article.translations && article.translations.length > 0 && (
+					<div className="flex flex-wrap items-center gap-2 mt-4 text-sm text-muted-foreground">
+						<span>Also available in:</span>
+						{article.translations.map((translation) => (
+							<a
+								key={translation.locale}
+								href={translation.url}
+								hrefLang={translation.locale}
+								className="uppercase font-medium hover:underline"
+							>
+								{translation.locale}
+							</a>
+						))}
+					</div>
+				)}
 			</div>
 		</article>
 	);
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { Article } from '../../types';
+import { parseRelatedArticles } from '../article-helpers';
+
+interface ReadNextStripProps {
+	article: Article;
+}
+
+const READ_NEXT_LIMIT = 4;
+
+const ReadNextStrip = ({ article }: ReadNextStripProps) => {
+	const [related, setRelated] = useState<Article[]>([]);
+
+	useEffect(() => {
+		if (typeof window === 'undefined' || !window.openai?.callTool) return;
+
+		let isCurrent = true;
+		setRelated([]);
+		window.openai
+			.callTool('get_related_articles', {
+				slug: article.slug,
+				limit: READ_NEXT_LIMIT,
+				...(article.locale ? { locale: article.locale } : {}),
+			})
+			.then((response) => {
+				if (isCurrent) setRelated(parseRelatedArticles(response));
+			})
+			// The strip is optional; the preview stays usable without it
+			.catch(() => undefined);
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [article.slug, article.locale]);
+
+	if (related.length === 0) {
+		return null;
+	}
+
+	return (
+		<nav className="mt-6" aria-label="Read next">
+			<h4 className="text-sm font-semibold uppercase text-muted-foreground mb-2">Read next</h4>
+			<ul className="flex gap-3 overflow-x-auto pb-2">
+				{related.map((relatedArticle) => (
+					<li key={relatedArticle.slug} className="w-48 shrink-0">
+						<a
+							href={relatedArticle.url}
+							className="block h-full overflow-hidden rounded-sm border border-primary-outline bg-card hover:underline"
+						>
+							{relatedArticle.heroUrl && (
+								<img
+									src={relatedArticle.heroUrl}
+									alt={relatedArticle.heroAlt || relatedArticle.title}
+									className="aspect-[2/1] w-full object-cover bg-muted"
+								/>
+							)}
+							<span className="block p-3 text-sm font-medium leading-snug">
+								{relatedArticle.title}
+							</span>
+						</a>
+					</li>
+				))}
+			</ul>
+		</nav>
+	);
+};
+
+export default ReadNextStrip;
@@ -0,0 +1,52 @@
+import type { AuthorProfile, AuthorProfileWidgetProps } from '../types';
+
+/**
+ * Parse and validate the host payload
+ */
+export function parseHostPayload(payload: unknown): AuthorProfileWidgetProps | null {
+	if (!payload || typeof payload !== 'object') return null;
+	const obj = payload as Record<string, unknown>;
+
+	return {
+		author: isAuthorProfile(obj.author) ? obj.author : null,
+		articles: Array.isArray(obj.articles) ? obj.articles : [],
+		heading: typeof obj.heading === 'string' ? obj.heading : undefined,
+		locale: typeof obj.locale === 'string' ? obj.locale : undefined,
+	};
+}
+
+function isAuthorProfile(value: unknown): value is AuthorProfile {
+	const author = value as AuthorProfile | null | undefined;
+	return (
+		typeof author?.name === 'string' &&
+		typeof author.articleCount === 'number' &&
+		Array.isArray(author.topics)
+	);
+}
+
+/**
+ * Initials shown when the author has no avatar
+ */
+export function getInitials(name: string): string {
+	return name
+		.split(/\s+/)
+		.filter(Boolean)
+		.slice(0, 2)
+		.map((part) => part[0].toUpperCase())
+		.join('');
+}
+
+export const fallback: AuthorProfileWidgetProps = {
+	heading: 'Author Profile',
+	author: {
+		id: 'fredi-bach',
+		name: 'Fredi Bach',
+		aliases: [],
+		avatarUrl: null,
+		articleCount: 1,
+		firstPublished: '2019-09-12T00:00:00.000Z',
+		lastPublished: '2019-09-12T00:00:00.000Z',
+		topics: [{ id: 'cloud-engineering', label: 'Cloud & engineering', count: 1 }],
+	},
+	articles: [],
+};
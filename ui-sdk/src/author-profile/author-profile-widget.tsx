@@ -0,0 +1,49 @@
+import { useMemo } from 'react';
+import { useWidgetProps } from '../use-widget-props';
+import AuthorHeader from './components/author-header';
+import ArticleCard from '../article-list/components/article-card';
+import { normalizeArticles } from '../article-list/article-helpers';
+import { AuthorProfileWidgetProps } from '../types';
+import { fallback, parseHostPayload } from './author-helpers';
+
+import '../index.css';
+
+const DEFAULT_WIDGET_PAYLOAD: AuthorProfileWidgetProps = {
+	author: null,
+};
+
+export default function AuthorProfileWidget() {
+	const rawHostPayload = useWidgetProps<AuthorProfileWidgetProps>(() => DEFAULT_WIDGET_PAYLOAD);
+	const hostPayload = useMemo(
+		() => parseHostPayload(rawHostPayload) ?? DEFAULT_WIDGET_PAYLOAD,
+		[rawHostPayload]
+	);
+
+	const isLocalhost =
+		typeof window !== 'undefined' &&
+		(window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1');
+
+	const author = hostPayload.author ?? (isLocalhost ? fallback.author : null);
+	const articles = useMemo(() => normalizeArticles(hostPayload.articles), [hostPayload.articles]);
+
+	return (
+		<section className="article-widget px-3 mx-auto" aria-live="polite">
+			{!author ? (
+				<div className="text-center py-6 text-info-surface">Loading author profile...</div>
+			) : (
+				<>
+					<AuthorHeader author={author} locale={hostPayload.locale} />
+					{articles.length > 0 && (
+						<ol className="mt-4">
+							{articles.map((article) => (
+								<li key={article.slug}>
+									<ArticleCard article={article} />
+								</li>
+							))}
+						</ol>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
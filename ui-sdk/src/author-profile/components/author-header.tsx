@@ -0,0 +1,53 @@
+import { Calendar } from '@openai/apps-sdk-ui/components/Icon';
+import { AuthorProfile } from '../../types';
+import { getInitials } from '../author-helpers';
+
+interface AuthorHeaderProps {
+	author: AuthorProfile;
+	locale?: string;
+}
+
+const AuthorHeader = ({ author, locale }: AuthorHeaderProps) => {
+	const formatDate = (date: string) =>
+		new Date(date).toLocaleDateString(locale ?? 'en-US', { year: 'numeric', month: 'long' });
+
+	return (
+		<header className="flex gap-4 items-center">
+			<div className="flex h-16 w-16 shrink-0 items-center justify-center overflow-hidden rounded-full bg-muted text-lg font-semibold text-muted-foreground">
+				{author.avatarUrl ? (
+					<img src={author.avatarUrl} alt={author.name} className="h-full w-full object-cover" />
+				) : (
+					<span aria-hidden="true">{getInitials(author.name)}</span>
+				)}
+			</div>
+
+			<div className="min-w-0">
+				<h2 className="text-2xl font-bold leading-tight">{author.name}</h2>
+				<div className="flex flex-wrap items-center gap-2 mt-1 text-sm text-muted-foreground">
+					<span>
+						{author.articleCount} {author.articleCount === 1 ? 'article' : 'articles'}
+					</span>
+					<span aria-hidden="true">·</span>
+					<Calendar width="16px" height="16px" />
+					<span>
+						{formatDate(author.firstPublished)} – {formatDate(author.lastPublished)}
+					</span>
+				</div>
+				{author.topics.length > 0 && (
+					<ul className="flex flex-wrap gap-1 mt-2" aria-label="Topics">
+						{author.topics.map((topic) => (
+							<li
+								key={topic.id}
+								className="rounded-full bg-muted px-2 py-0.5 text-xs text-muted-foreground"
+							>
+								{topic.label} ({topic.count})
+							</li>
+						))}
+					</ul>
+				)}
+			</div>
+		</header>
+	);
+};
+
+export default AuthorHeader;
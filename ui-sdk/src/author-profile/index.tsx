@@ -0,0 +1,24 @@
+import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+
+import AuthorProfileWidget from './author-profile-widget';
+
+const ROOT_ID = 'author-profile-root';
+
+export function App() {
+	return <AuthorProfileWidget />;
+}
+
+const container = document.getElementById(ROOT_ID);
+
+if (container && !container.dataset.mounted) {
+	const root = createRoot(container);
+	root.render(
+		<StrictMode>
+			<App />
+		</StrictMode>
+	);
+	container.dataset.mounted = 'true';
+}
+
+export default AuthorProfileWidget;
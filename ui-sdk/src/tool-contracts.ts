@@ -0,0 +1,444 @@
+// Generated from mcp-server/src/tool-contracts.js by `pnpm --filter unic-mcp-server types`.
+// Do not edit.
+
+export interface ArticleTopic {
+	id: string;
+	label: string;
+}
+
+export interface TopicCount {
+	id: string;
+	label: string;
+	/** Number of articles with this topic */
+	count: number;
+}
+
+export interface ArticleTranslation {
+	locale: string;
+	slug: string;
+	title: string;
+	url: string;
+}
+
+export interface WidgetArticle {
+	slug: string;
+	title: string;
+	lead: string;
+	author: string;
+	/** ISO timestamp */
+	publicationDate: string;
+	url: string;
+	heroUrl?: string;
+	heroAlt?: string;
+	/** Content language of the article, e.g. "de" */
+	locale: string;
+	/** The same article in other languages */
+	translations: ArticleTranslation[];
+	/** Topics the article is tagged with */
+	topics: ArticleTopic[];
+	/** Relevance score when the article comes from a search */
+	score?: number;
+}
+
+export interface RelatedArticle {
+	slug: string;
+	title: string;
+	lead: string;
+	author: string;
+	/** ISO timestamp */
+	publicationDate: string;
+	url: string;
+	heroUrl?: string;
+	heroAlt?: string;
+	/** Content language of the article, e.g. "de" */
+	locale: string;
+	/** The same article in other languages */
+	translations: ArticleTranslation[];
+	/** Topics the article is tagged with */
+	topics: ArticleTopic[];
+	/** Similarity to the source article */
+	score: number;
+	/** Ids of the topics both articles have */
+	sharedTopics: string[];
+	sameAuthor: boolean;
+}
+
+export interface AuthorProfile {
+	id: string;
+	name: string;
+	/** Other spellings of the name found in the data */
+	aliases: string[];
+	avatarUrl: string | null;
+	articleCount: number;
+	firstPublished: string;
+	lastPublished: string;
+	/** Topics of the author's articles, most used first */
+	topics: TopicCount[];
+}
+
+export interface ArticleListPayload {
+	heading: string;
+	articles: WidgetArticle[];
+	summary: string;
+	/** Number of matches on all pages */
+	total: number;
+	/** Whether more results are available after this page */
+	hasMore: boolean;
+	/** Cursor for the next page, passed back to the tool as `cursor` */
+	nextCursor?: string;
+	locale: string;
+	/** Tool call that produced this page, repeated with `cursor` to load more */
+	toolCall: {
+		name: string;
+		arguments: Record<string, unknown>;
+	};
+	generatedAt: string;
+	context: Record<string, unknown>;
+}
+
+export interface QueryArticlesPayload {
+	heading: string;
+	articles: WidgetArticle[];
+	summary: string;
+	/** Number of matches on all pages */
+	total: number;
+	/** Whether more results are available after this page */
+	hasMore: boolean;
+	/** Cursor for the next page, passed back to the tool as `cursor` */
+	nextCursor?: string;
+	locale: string;
+	/** Tool call that produced this page, repeated with `cursor` to load more */
+	toolCall: {
+		name: string;
+		arguments: Record<string, unknown>;
+	};
+	generatedAt: string;
+	context: Record<string, unknown>;
+	/** Number of matches per author, year and topic */
+	facets: {
+		authors: {
+			value: string;
+			count: number;
+		}[];
+		years: {
+			value: number;
+			count: number;
+		}[];
+		topics: {
+			value: string;
+			count: number;
+		}[];
+	};
+}
+
+export interface ArticlePreviewPayload {
+	heading: string;
+	article: WidgetArticle | null;
+	locale: string;
+	generatedAt: string;
+}
+
+export interface AuthorProfilePayload {
+	heading: string;
+	author: AuthorProfile;
+	/** Latest articles of the author */
+	articles: WidgetArticle[];
+	locale: string;
+	generatedAt: string;
+}
+
+export interface RelatedArticlesPayload {
+	heading: string;
+	/** The article the suggestions are for */
+	source: {
+		slug: string;
+		title: string;
+	};
+	articles: RelatedArticle[];
+	locale: string;
+	generatedAt: string;
+}
+
+export interface AuthorListPayload {
+	locale: string;
+	topic?: string;
+	authors: AuthorProfile[];
+}
+
+export interface TopicListPayload {
+	locale: string;
+	topics: TopicCount[];
+}
+
+export interface LoadReport {
+	source: string;
+	generatedAt: string;
+	totalEntries: number;
+	loaded: number;
+	dropped: number;
+	errorCount: number;
+	warningCount: number;
+	/** Text fields repaired while loading */
+	fixedFields: number;
+	/** Loaded articles per locale */
+	locales: Record<string, number>;
+	duplicateSlugs: {
+		slug: string;
+		locale: string | null;
+		/** Entries sharing the slug */
+		indices: number[];
+	}[];
+	issues: {
+		index: number;
+		slug: string | null;
+		locale: string | null;
+		title: string | null;
+		status: 'loaded' | 'dropped';
+		errors: string[];
+		warnings: string[];
+	}[];
+}
+
+/** Arguments of search_articles */
+export interface SearchArticlesInput {
+	/** The search query to find articles */
+	query: string;
+	/** Maximum number of results to return */
+	limit?: number;
+	/** 'hybrid' (keywords and meaning), 'keyword' (exact terms only) or 'semantic' (meaning only) */
+	mode?: 'hybrid' | 'keyword' | 'semantic';
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of search_articles */
+export type SearchArticlesOutput = ArticleListPayload;
+
+/** Arguments of filter_articles_by_date */
+export interface FilterArticlesByDateInput {
+	/** Whole date range as one expression, e.g. "last quarter", "past 6 months", "2023" or "between January 2024 and June 2024" */
+	range?: string;
+	/** Start date: ISO format (YYYY-MM-DD) or e.g. "March 2024", "Q1 2024" */
+	startDate?: string;
+	/** End date: ISO format (YYYY-MM-DD) or e.g. "March 2024" (includes all of it) */
+	endDate?: string;
+	/** Maximum number of results */
+	limit?: number;
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of filter_articles_by_date */
+export type FilterArticlesByDateOutput = ArticleListPayload;
+
+/** Arguments of filter_articles_by_author */
+export interface FilterArticlesByAuthorInput {
+	/** The author name to search for */
+	authorName: string;
+	/** Maximum number of results */
+	limit?: number;
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of filter_articles_by_author */
+export type FilterArticlesByAuthorOutput = ArticleListPayload;
+
+/** Arguments of list_authors */
+export interface ListAuthorsInput {
+	/** Only authors who wrote about this topic (id, label or synonym), e.g. "ai" */
+	topic?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of list_authors */
+export type ListAuthorsOutput = AuthorListPayload;
+
+/** Arguments of author_profile */
+export interface AuthorProfileInput {
+	/** Author name, e.g. "Markus Henkel" or "Henkel" */
+	author: string;
+	/** Maximum number of articles to list (default: 10, max: 100) */
+	limit?: number;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of author_profile */
+export type AuthorProfileOutput = AuthorProfilePayload;
+
+/** Arguments of list_recent_articles */
+export interface ListRecentArticlesInput {
+	/** Maximum number of articles to return */
+	limit?: number;
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of list_recent_articles */
+export type ListRecentArticlesOutput = ArticleListPayload;
+
+/** Arguments of list_topics */
+export interface ListTopicsInput {
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of list_topics */
+export type ListTopicsOutput = TopicListPayload;
+
+/** Arguments of filter_articles_by_topic */
+export interface FilterArticlesByTopicInput {
+	/** Topic id, label or synonym, e.g. "ai" or "New work" */
+	topic: string;
+	/** Maximum number of results */
+	limit?: number;
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of filter_articles_by_topic */
+export type FilterArticlesByTopicOutput = ArticleListPayload;
+
+/** Arguments of query_articles */
+export interface QueryArticlesInput {
+	/** Keywords or a description of the subject */
+	query?: string;
+	/** Author name or partial name */
+	author?: string;
+	/** Start date: ISO format (YYYY-MM-DD) or e.g. "March 2024", "last quarter" */
+	startDate?: string;
+	/** End date: ISO format (YYYY-MM-DD) or e.g. "March 2024" (includes all of it) */
+	endDate?: string;
+	/** Topic id, label or synonym, e.g. "ai" (see list_topics) */
+	topic?: string;
+	/** Sort field (default: 'relevance' with a query, 'date' otherwise) */
+	sortBy?: 'relevance' | 'date' | 'title';
+	/** Sort direction (default: 'asc' for title, 'desc' otherwise) */
+	sortOrder?: 'asc' | 'desc';
+	/** How `query` is matched: 'hybrid', 'keyword' or 'semantic' */
+	mode?: 'hybrid' | 'keyword' | 'semantic';
+	/** Maximum number of results */
+	limit?: number;
+	/** Cursor from a previous response (nextCursor) to fetch the next page */
+	cursor?: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of query_articles */
+export type QueryArticlesOutput = QueryArticlesPayload;
+
+/** Arguments of get_article_preview */
+export interface GetArticlePreviewInput {
+	/** The title of the article to preview */
+	title: string;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of get_article_preview */
+export type GetArticlePreviewOutput = ArticlePreviewPayload;
+
+/** Arguments of get_related_articles */
+export interface GetRelatedArticlesInput {
+	/** The slug of the article to find related articles for */
+	slug: string;
+	/** Maximum number of related articles (max: 10) */
+	limit?: number;
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** structuredContent of get_related_articles */
+export type GetRelatedArticlesOutput = RelatedArticlesPayload;
+
+/** Arguments of get_article_content */
+export interface GetArticleContentInput {
+	/** The slug of the article (preferred when known) */
+	slug?: string;
+	/** The title of the article if the slug is unknown */
+	title?: string;
+	/** Output format of the article body */
+	format?: 'markdown' | 'text';
+	/** Content language, e.g. 'de' or 'fr-CH'. Defaults to the user's locale */
+	locale?: string;
+}
+
+/** Arguments of dataset_health */
+export interface DatasetHealthInput {
+	/** Maximum number of affected entries to list */
+	maxIssues?: number;
+}
+
+/** structuredContent of dataset_health */
+export type DatasetHealthOutput = LoadReport;
+
+/** Arguments and structuredContent of every tool, by tool name */
+export interface ToolContracts {
+	search_articles: {
+		input: SearchArticlesInput;
+		output: SearchArticlesOutput;
+	};
+	filter_articles_by_date: {
+		input: FilterArticlesByDateInput;
+		output: FilterArticlesByDateOutput;
+	};
+	filter_articles_by_author: {
+		input: FilterArticlesByAuthorInput;
+		output: FilterArticlesByAuthorOutput;
+	};
+	list_authors: {
+		input: ListAuthorsInput;
+		output: ListAuthorsOutput;
+	};
+	author_profile: {
+		input: AuthorProfileInput;
+		output: AuthorProfileOutput;
+	};
+	list_recent_articles: {
+		input: ListRecentArticlesInput;
+		output: ListRecentArticlesOutput;
+	};
+	list_topics: {
+		input: ListTopicsInput;
+		output: ListTopicsOutput;
+	};
+	filter_articles_by_topic: {
+		input: FilterArticlesByTopicInput;
+		output: FilterArticlesByTopicOutput;
+	};
+	query_articles: {
+		input: QueryArticlesInput;
+		output: QueryArticlesOutput;
+	};
+	get_article_preview: {
+		input: GetArticlePreviewInput;
+		output: GetArticlePreviewOutput;
+	};
+	get_related_articles: {
+		input: GetRelatedArticlesInput;
+		output: GetRelatedArticlesOutput;
+	};
+	get_article_content: {
+		input: GetArticleContentInput;
+		output: undefined;
+	};
+	dataset_health: {
+		input: DatasetHealthInput;
+		output: DatasetHealthOutput;
+	};
+}
+
+export type ToolName = keyof ToolContracts;
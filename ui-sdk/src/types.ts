@@ -1,3 +1,11 @@
+import type {
+	ArticleListPayload,
+	ArticlePreviewPayload,
+	AuthorProfile,
+	AuthorProfilePayload,
+	WidgetArticle,
+} from './tool-contracts';
+
 export type OpenAiGlobals<
 	ToolInput = UnknownObject,
 	ToolOutput = UnknownObject,
@@ -39,7 +47,7 @@ export type OpenAiGlobals<
 // currently copied from types.ts in chatgpt/web-sandbox.
 // Will eventually use a public package.
 type API = {
-	callTool: (name: string, args: Record<string, unknown>) => Promise<{ result: string }>;
+	callTool: (name: string, args: Record<string, unknown>) => Promise<CallToolResponse>;
 	sendFollowUpMessage: (args: { prompt: string }) => Promise<void>;
 	openExternal(payload: { href: string }): void;
 
@@ -57,6 +65,11 @@ type API = {
 
 export type UnknownObject = Record<string, unknown>;
 
+export type CallToolResponse = {
+	result?: string;
+	structuredContent?: UnknownObject;
+};
+
 /** Display mode */
 export type DisplayMode = 'pip' | 'inline' | 'fullscreen';
 
@@ -82,18 +95,24 @@ declare global {
 }
 
 
-export interface Article {
-	id: string;
-	slug: string;
-	title: string;
-	lead: string;
-	publicationDate: string;
-	author: string;
-	url: string;
-	heroUrl?: string;
-	heroAlt?: string;
-	featured?: boolean;
-}
+// Payloads of the tools, generated from the server's tool contracts
+export type {
+	ArticleTopic,
+	ArticleTranslation,
+	AuthorProfile,
+	TopicCount as AuthorTopic,
+	WidgetArticle,
+} from './tool-contracts';
+
+/**
+ * Article as rendered by the widgets: a WidgetArticle sent by the server or a normalized
+ * RawArticle from demo data, which may lack the locale, translations and topics
+ */
+export type Article = Omit<WidgetArticle, 'locale' | 'translations' | 'topics'> &
+	Partial<Pick<WidgetArticle, 'locale' | 'translations' | 'topics'>> & {
+		id: string;
+		featured?: boolean;
+	};
 
 export type RawArticle = {
 	slug?: string | null;
@@ -112,19 +131,24 @@ export type RawArticle = {
 
 	/** Article URL from the CMS */
 	link?: string | null;
+	locale?: string | null;
+	topics?: WidgetArticle['topics'] | null;
 };
 
-export type ArticleInput = RawArticle | Article;
+export type ArticleInput = RawArticle | WidgetArticle | Article;
 
-export type ArticleListWidgetProps = {
-	heading?: string;
+/** structuredContent of the article list tools, whose articles may also be raw demo data */
+export type ArticleListWidgetProps = Partial<Omit<ArticleListPayload, 'articles'>> & {
 	articles?: ArticleInput[];
-	summary?: string;
-	total?: number;
-	context?: Record<string, unknown>;
 };
 
-export type ArticlePreviewWidgetProps = {
-	heading?: string;
+export type ArticlePreviewWidgetProps = Partial<Omit<ArticlePreviewPayload, 'article'>> & {
 	article?: ArticleInput | null;
 };
+
+export type AuthorProfileWidgetProps = Partial<
+	Omit<AuthorProfilePayload, 'author' | 'articles'>
+> & {
+	author?: AuthorProfile | null;
+	articles?: ArticleInput[];
+};